@@ -1,290 +1,259 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
-import { CheckCircle, Award, MessageSquare, BookOpen, Layers, Trophy, PlayCircle, RefreshCcw, Settings as SettingsIcon, BarChart2, Home, ChevronRight, ChevronLeft } from "lucide-react";
+import React, { useContext, useEffect, useId, useMemo, useRef, useState } from "react";
+import { CheckCircle, Award, MessageSquare, BookOpen, Layers, Trophy, PlayCircle, RefreshCcw, Settings as SettingsIcon, BarChart2, Home, ChevronRight, ChevronLeft, Plus, Trash2, Clock, PenSquare, Users, BookA, Search } from "lucide-react";
+import EconDiagram from "./diagrams/EconDiagram";
+import { LiveRegion, Pill } from "./components/ui";
+import AttemptReview from "./components/AttemptReview";
+import { ClassifyItem, ClozeItem, MatchItem, OrderItem } from "./components/InteractiveItems";
+import { Stimulus } from "./components/Stimulus";
+import MarkdownView from "./components/Markdown";
+import { ProfileMenu, ProfilePicker } from "./components/Profiles";
+import Studio from "./components/Studio";
+import ClassDashboard from "./components/ClassDashboard";
+import { GlossaryText, GlossaryView } from "./components/Glossary";
+import SearchPalette from "./components/SearchPalette";
+import { assemblePaper, blueprintFor, paperSize, prepareQuestion, questionHistory } from "./assessment/paper";
+import { markNumeric } from "./assessment/numeric";
+import { ITEM_TYPES, markItem } from "./assessment/items";
+import { BUNDLED_PACKS, DEFAULT_PACK_ID, acceptPack, findPack, readPackFile } from "./content/loader";
+import { localizePack, packLocales } from "./content/locale";
+import { answerTerms, buildGlossary } from "./content/glossary";
+import { formatIssues } from "./content/schema";
+import { stimulusText } from "./content/datasets";
+import { markShortAnswer, wordCount } from "./grading/heuristic";
+import { essayBands, essayMinWords, markEssay } from "./grading/essay";
+import { GradeFormatError, markEssayWithModel, markWithModel } from "./grading/llm";
+import { DEFAULT_BASE_URL, DEFAULT_MODEL, chatCompletion, isConfigured, isLocal, providerFrom } from "./ai/provider";
+import { answerFromCourse, buildIndex, glossaryContext, retrievalContext, search, sourcesOf, tokenize } from "./tutor/retrieval";
+import { resolveRoute, routeHref, useHashRoute, useLeaveGuard } from "./routing";
+import { PASS_MARK, buildReviewPlan, syllabusTags } from "./assessment/review";
+import { LS_SESSIONS_KEY, formatClock, sessionKey, timingFor, useExamSession } from "./assessment/session";
+import { LS_THREADS_KEY, activeThread, appendMessage, clearThread, listThreads, selectThread, startThread, threadKeyFor, trimHistory, validateThreads } from "./tutor/threads";
+import { downloadText, loadOrRecover, saveLS } from "./storage";
+import { LS_PROGRESS_KEY, LS_PROGRESS_V1_KEY, exportProgress, loadProgress, mergeProgress, newAttemptId, parseProgressImport } from "./progress/model";
+import { LS_PROFILES_KEY, createProfile, deleteProfile, hashPin, loadProfiles, profileKey, renameProfile, selectProfile, setProfilePin } from "./profiles";
+import { DEFAULT_LOCALE, I18nContext, LOCALES, detectLocale, isLocale, languageName, translate, useLocale, useT } from "./i18n";
+import { announce, useViewFocus } from "./a11y";
+import { applyUpdate, isOnline, useOnline, useUpdate } from "./pwa";
+import { buildSearchIndex, isSearchShortcut, searchShortcutLabel } from "./search";
 
 /**
- * IB ECONOMICS INTERACTIVE TUTOR (Single-file React artifact)
+ * IB ECONOMICS INTERACTIVE TUTOR
  * - Tailwind CSS classes
  * - lucide-react icons
  * - LocalStorage progress & settings
- * - Embedded AI Assistant (heuristic fallback; optional OpenAI key)
- * - Section tests with MCQ + Short Answer (rubrics)
- * - Master Final Exam with recommendations
+ * - Embedded AI Assistant (heuristic fallback; optional AI provider)
+ * - Section tests and a Master Final Exam from JSON content packs
+ * The full feature list is in the README.
  *
  * HOW TO USE
- *  - Drop this file into a React project (Vite/CRA/Next) with Tailwind set up.
- *  - Ensure `lucide-react` is available.
- *  - Render <IbEconTutor /> as default export on a page.
- *  - Optional: enter an OpenAI API key in Settings to enable AI grading/tutor.
+ *  - The app's root component (default export), rendered by ./App.jsx from ./main.jsx.
+ *  - `npm install`, then `npm run dev`; `npm run build` makes the installable offline build.
+ *  - Course content: JSON packs in ./content/packs (format in the README and ./content/schema.js).
+ *  - Optional: set an API key (and base URL/model for other OpenAI-compatible servers) in Settings to enable AI grading/tutor.
  */
 
 // ----------------------------- Utility: Local Storage -----------------------------
-const LS_KEY = "ibecon_tutor_progress_v1";
+// Helpers live in ./storage.js; progress has its own versioned key (see ./progress/model.js).
 const LS_SETTINGS_KEY = "ibecon_tutor_settings_v1";
+const LS_PACKS_KEY = "ibecon_tutor_packs_v1";
+// Stored per learner profile (see ./profiles.js); content packs are shared.
+const PROFILE_DATA_KEYS = [LS_PROGRESS_KEY, LS_PROGRESS_V1_KEY, LS_SETTINGS_KEY, LS_THREADS_KEY, LS_SESSIONS_KEY];
+const defaultSettings = { apiKey: "", aiBaseUrl: DEFAULT_BASE_URL, aiModel: DEFAULT_MODEL, name: "", packId: DEFAULT_PACK_ID, timedTests: true, teacherMode: false, locale: DEFAULT_LOCALE, highContrast: false, largeText: false };
 
-function loadLS(key, fallback) {
-  try { const raw = localStorage.getItem(key); return raw ? JSON.parse(raw) : fallback; } catch { return fallback; }
-}
-function saveLS(key, value) {
-  try { localStorage.setItem(key, JSON.stringify(value)); } catch {}
-}
-
-// ----------------------------- Curriculum Data -----------------------------
-// Structure: 6 Sections (3–4 lessons each). Lessons ~3–5 min read (concise here but structured).
-// Content aligned to IB Econ: Foundations, Micro (Markets & Elasticities), Micro (Gov & Failure), Macro, Global Economy, Development.
-
-/** Types */
-/** @typedef {{ id:string, type:"mcq"|"short", prompt:string, options?:string[], answer?:number, rubric?:{criteria:string[], guidance:string}, maxScore:number }} Question */
-/** @typedef {{ id:string, title:string, md:string }} Lesson */
-/** @typedef {{ id:string, title:string, lessons:Lesson[], test:{ questions:Question[] } }} Section */
-
-const curriculum /**: Section[] */ = [
-  {
-    id: "foundations",
-    title: "Foundations: Economic Thinking & Models",
-    lessons: [
-      {
-        id: "scarcity-choice",
-        title: "Scarcity, Choice, and Opportunity Cost",
-        md: `# Scarcity, Choice, Opportunity Cost\n\n**Scarcity** means resources are limited while wants are unlimited. Because of scarcity, **choice** is necessary and every choice implies an **opportunity cost**—the next best alternative forgone.\n\n**Key Ideas**\n- Economic goods vs. free goods; factors of production (land, labour, capital, entrepreneurship).\n- Production possibilities curve (PPC): shows trade-offs; points inside (inefficiency), on (efficient), outside (unattainable given resources/tech).\n- Economic growth shifts the PPC outward (more/better resources, technology).\n\n**Example**\nA government decides between spending on healthcare vs. defense. More of one typically means less of the other today. Investing in education can shift the PPC outward over time by improving labour quality.\n\n**Practice**\nSketch a simple PPC and label an efficient point, an inefficient point, and a potential growth shift.`
-      },
-      {
-        id: "positive-normative",
-        title: "Positive vs Normative & Economic Systems",
-        md: `# Positive vs Normative & Systems\n\n- **Positive statements**: factual, testable (\"An increase in minimum wage will raise firm costs\").\n- **Normative statements**: value judgments (\"The minimum wage should be higher\").\n- **Economic systems**: market, command, mixed. Most modern economies are **mixed**, combining market allocation with government intervention.\n\n**Institutions & Incentives**\nProperty rights, rule of law, and incentives influence productivity and innovation.\n\n**Application**\nExplain why purely command economies struggle with information and incentives, and how mixed systems try to balance efficiency with equity.`
-      },
-      {
-        id: "models-methods",
-        title: "Models, Ceteris Paribus, and Data",
-        md: `# Models, Ceteris Paribus, and Data\n\nEconomists build simplified **models** to explain/predict outcomes. **Ceteris paribus** (holding other factors constant) helps isolate relationships.\n\n**Data & Evidence**\nUse time series, cross-section, and panel data; beware of correlation vs. causation. Natural experiments and randomized trials (where feasible) improve causal inference.\n\n**Example**\nEvaluating a tax on sugary drinks: compare pre/post consumption while controlling for income changes and substitutes.`
-      }
-    ],
-    test: {
-      questions: [
-        { id: "f1", type: "mcq", prompt: "Which best defines opportunity cost?", options: ["The total monetary cost of a choice","The benefit from all alternatives","The value of the next best alternative forgone","The utility gained from consumption"], answer: 2, maxScore: 1 },
-        { id: "f2", type: "short", prompt: "Using a PPC, explain how investment in technology affects a country's production possibilities over time.", rubric: { criteria: ["Outward shift of PPC","Link to capital/tech improving productivity","Time dimension (long run)"], guidance: "Mention outward shift, productivity gains, and long-run growth." }, maxScore: 3 },
-        { id: "f3", type: "mcq", prompt: "A positive statement is:", options: ["The central bank should cut rates","Rent control is unfair","Raising taxes reduces disposable income","The minimum wage ought to be raised"], answer: 2, maxScore: 1 },
-        { id: "f4", type: "short", prompt: "Contrast market and command systems in terms of information and incentives.", rubric: { criteria: ["Price signals vs central planning","Incentives for efficiency/innovation","Equity/coordination trade-offs"], guidance: "Discuss price signals, incentive alignment, and planning issues." }, maxScore: 3 },
-        { id: "f5", type: "mcq", prompt: "Ceteris paribus means:", options: ["After taxes","Other things equal","Before interest","Ignoring opportunity cost"], answer: 1, maxScore: 1 }
-      ]
-    }
-  },
-  {
-    id: "micro-markets",
-    title: "Micro I: Competitive Markets & Elasticities",
-    lessons: [
-      { id: "demand-supply", title: "Demand & Supply Basics", md: `# Demand & Supply\n\n**Demand**: inverse relation between price and quantity demanded (law of demand), driven by income effect and substitution effect. Shifters: income, tastes, prices of related goods, expectations, number of buyers.\n\n**Supply**: direct relation between price and quantity supplied (law of supply). Shifters: input costs, technology, taxes/subsidies, expectations, number of sellers.\n\n**Equilibrium**: where Qd = Qs; surpluses put downward pressure on price; shortages push price up.\n\n**Applications**: harvest shocks, tech improvements, and policy changes.` },
-      { id: "elasticities", title: "Elasticities (PED, PES, XED, YED)", md: `# Elasticities\n\n- **Price Elasticity of Demand (PED)**: responsiveness of Qd to price; depends on substitutes, necessity, income share, time horizon.\n- **Price Elasticity of Supply (PES)**: responsiveness of Qs; depends on spare capacity, factor mobility, time.\n- **Cross Elasticity (XED)**: substitutes (+) vs complements (−).\n- **Income Elasticity (YED)**: normal (+) vs inferior (−).\n\n**Policy**: tax revenue depends on elasticity; with inelastic demand, consumers bear more incidence.` },
-      { id: "consumer-producer-surplus", title: "Welfare: Consumer & Producer Surplus", md: `# Welfare\n\n**Consumer surplus**: difference between willingness-to-pay and price. **Producer surplus**: price minus marginal cost. Total surplus maximized at competitive equilibrium (ignoring externalities).\n\n**Shifts** change surpluses; taxes create deadweight loss depending on elasticities.` }
-    ],
-    test: { questions: [
-      { id: "m1", type:"mcq", prompt: "If PED is elastic (>1), a price increase will:", options:["Raise total revenue","Lower total revenue","Not change revenue","Increase producer surplus"], answer:1, maxScore:1 },
-      { id: "m2", type:"short", prompt: "Explain how the availability of close substitutes affects PED, using an example.", rubric:{criteria:["Substitutes increase elasticity","Consumer switching rationale","Concrete example"], guidance:"Use a brand vs. generic example or transport modes."}, maxScore:3 },
-      { id: "m3", type:"mcq", prompt: "A positive XED implies:", options:["Inferior goods","Complements","Normal goods","Substitutes"], answer:3, maxScore:1 },
-      { id: "m4", type:"short", prompt: "Why is PES typically more elastic in the long run?", rubric:{criteria:["Time to adjust inputs","Capacity/factor mobility","Investment response"], guidance:"Mention planning and capacity expansion."}, maxScore:3 },
-      { id: "m5", type:"mcq", prompt: "At equilibrium in a competitive market:", options:["CS + PS is maximized (no externalities)","There is always a shortage","Price equals average cost","Government revenue is maximized"], answer:0, maxScore:1 }
-    ]}
-  },
-  {
-    id: "micro-failure",
-    title: "Micro II: Government, Market Failure, & Firms",
-    lessons: [
-      { id: "intervention", title: "Taxes, Subsidies, and Price Controls", md: `# Intervention\n\n- **Indirect taxes** (specific/ad valorem): raise price, reduce Q; incidence depends on elasticities.\n- **Subsidies**: lower price to consumers, raise received price for producers; increase Q; fiscal cost.\n- **Price ceiling** (max): below equilibrium → shortage, non-price rationing. **Price floor** (min): above equilibrium → surplus, e.g., minimum wages/agricultural supports.\n\n**Evaluation**: efficiency vs equity trade-offs, unintended consequences.` },
-      { id: "failure", title: "Market Failure & Externalities", md: `# Market Failure\n\nTypes: externalities (consumption/production; positive/negative), public goods (non-rival, non-excludable), common access resources, information asymmetry, market power.\n\n**Externalities**: MSC/MSB vs MPC/MPB. Taxes for negative externalities; subsidies for positive; permits, standards, nudges.\n\n**Public goods**: free-rider problem → government provision.\n\n**Information**: regulation, warranties, signaling/screening.` },
-      { id: "firms", title: "Firms, Costs, and Market Structures", md: `# Firms & Structures\n\n**Costs**: fixed vs variable; ATC, AVC, MC; short-run vs long-run, economies/diseconomies of scale.\n\n**Structures**: perfect competition, monopolistic competition, oligopoly, monopoly; pricing power, efficiency, non-price competition; game theory basics (prisoner’s dilemma).` }
-    ],
-    test: { questions: [
-      { id:"g1", type:"mcq", prompt:"A binding price ceiling creates:", options:["Surplus","Shortage","No change","Higher equilibrium price"], answer:1, maxScore:1 },
-      { id:"g2", type:"short", prompt:"Using MSC and MPC, explain how a carbon tax can reduce deadweight loss from a negative production externality.", rubric:{criteria:["MSC>MPC pre-tax","Tax internalizes external cost (MPC→MSC)","DWL reduction via moving toward social optimum"], guidance:"Diagram language acceptable."}, maxScore:3 },
-      { id:"g3", type:"mcq", prompt:"Public goods are characterized by:", options:["Rivalry and excludability","Non-rivalry and non-excludability","Non-rivalry and excludability","Rivalry and non-excludability"], answer:1, maxScore:1 },
-      { id:"g4", type:"short", prompt:"Give one policy to address information asymmetry in used-car markets and evaluate a limitation.", rubric:{criteria:["Policy named (warranty, inspection, disclosure)","Mechanism explained","Limitation/offset"], guidance:"Be specific."}, maxScore:3 },
-      { id:"g5", type:"mcq", prompt:"In the long run, economies of scale typically:", options:["Raise ATC","Lower ATC up to a point","Have no effect","Guarantee monopoly"], answer:1, maxScore:1 }
-    ]}
-  },
-  {
-    id: "macro",
-    title: "Macroeconomics: AD/AS, Objectives, and Policy Mix",
-    lessons: [
-      { id:"adas", title:"Aggregate Demand & Supply", md:`# AD & AS\n\n**AD** = C + I + G + (X−M). Shifts: income, confidence, interest rates, fiscal stance, external demand. **AS** (SRAS/LRAS) driven by costs/productivity and potential output.\n\n**Gaps**: recessionary vs inflationary; output vs price-level effects.\n\n**Shocks**: supply shocks (oil), demand shocks (housing/credit).` },
-      { id:"objectives", title:"Macro Objectives", md:`# Objectives\n\nGrowth, low and stable inflation, low unemployment, external balance, income distribution. Trade-offs (e.g., Phillips curve short-run).` },
-      { id:"policy", title:"Policy Toolkit: Fiscal, Monetary, Supply-side", md:`# Policies\n\n**Fiscal**: government spending/taxes; multipliers; crowding out (context-specific). **Monetary**: interest rates, open-market ops; lags. **Supply-side**: education, R&D, labour market reforms; time horizons differ.\n\n**Evaluation**: depends on output gaps, expectations, constraints.` }
-    ],
-    test: { questions: [
-      { id:"ma1", type:"mcq", prompt:"An increase in interest rates is most likely to:", options:["Raise investment","Lower investment and AD","Raise government spending","Increase net exports"], answer:1, maxScore:1 },
-      { id:"ma2", type:"short", prompt:"Explain how a negative supply shock affects inflation and output in the short run.", rubric:{criteria:["SRAS leftward shift","Higher price level (cost-push)","Lower output (stagflation risk)"], guidance:"Use AD–AS language."}, maxScore:3 },
-      { id:"ma3", type:"mcq", prompt:"Which is a supply-side policy?", options:["Cutting VAT temporarily","Lowering the policy rate","Apprenticeship and training subsidies","One-off stimulus cheques"], answer:2, maxScore:1 },
-      { id:"ma4", type:"short", prompt:"Under what conditions might expansionary fiscal policy be more effective than monetary policy?", rubric:{criteria:["Liquidity trap/zero lower bound","Weak monetary transmission","High fiscal multipliers"], guidance:"Relate to expectations and slack."}, maxScore:3 },
-      { id:"ma5", type:"mcq", prompt:"The components of AD are:", options:["C+S+T+G","C+I+G+(X−M)","W+R+I+P","Y=C+S+T"], answer:1, maxScore:1 }
-    ]}
-  },
-  {
-    id: "global",
-    title: "Global Economy: Trade, Exchange Rates, and BoP",
-    lessons: [
-      { id:"trade-theory", title:"Trade Theory & Protection", md:`# Trade Theory & Protection\n\n**Comparative advantage** drives gains from specialization and trade.\n\n**Protection**: tariffs, quotas, subsidies—motives include infant industry, strategic sectors, anti-dumping; costs include DWL, retaliation, consumer loss.\n\n**WTO**: rules-based system; exceptions exist (safeguards).` },
-      { id:"fx", title:"Exchange Rates & Policies", md:`# Exchange Rates\n\nDemand/supply of a currency in FX markets; factors: interest rate differentials, trade balance, expectations. **Regimes**: fixed, managed float, freely floating.\n\n**Policies**: reserves intervention, capital controls (rare in IB contexts).` },
-      { id:"bop", title:"Balance of Payments & ToT", md:`# BoP & Terms of Trade\n\n**BoP**: current account (goods, services, income, transfers), capital/financial account.\n\n**Terms of Trade (ToT)**: index of export prices relative to import prices; implications for income and sustainability, especially for primary-commodity exporters.` }
-    ],
-    test: { questions: [
-      { id:"gl1", type:"mcq", prompt:"A tariff generally:", options:["Raises consumer surplus","Lowers domestic price","Creates deadweight loss","Has no effect on imports"], answer:2, maxScore:1 },
-      { id:"gl2", type:"short", prompt:"Explain two factors that can cause a currency to appreciate in a floating regime.", rubric:{criteria:["Higher interest rates/capital inflows","Stronger net exports/terms of trade","Expectations/confidence"], guidance:"Name any two and explain."}, maxScore:3 },
-      { id:"gl3", type:"mcq", prompt:"The current account includes:", options:["FDI inflows","Portfolio flows","Goods and services trade","Official reserves transactions"], answer:2, maxScore:1 },
-      { id:"gl4", type:"short", prompt:"What are the consequences of a persistent current account deficit?", rubric:{criteria:["External debt/financing need","Exchange rate pressure","Adjustment via policy or income"], guidance:"Short and specific."}, maxScore:3 },
-      { id:"gl5", type:"mcq", prompt:"An improvement in ToT means:", options:["Export prices fall relative to imports","Import prices rise faster than exports","Export prices rise relative to imports","No real income effect"], answer:2, maxScore:1 }
-    ]}
-  },
-  {
-    id: "development",
-    title: "Development Economics: Measures & Strategies",
-    lessons: [
-      { id:"measures", title:"Measuring Development", md:`# Measuring Development\n\nBeyond GDP: **GNI per capita**, **PPP**, **Human Development Index (HDI)**, multidimensional poverty, inequality (Gini).\n\n**Limitations**: data quality, non-market activity, distribution, sustainability.` },
-      { id:"strategies", title:"Strategies: Markets, Intervention, and Institutions", md:`# Strategies\n\n**Market-led**: trade liberalization, microfinance, property rights. **Interventionist**: public goods, health/education, industrial policy.\n\n**Institutions**: rule of law, governance, corruption control, infrastructure.\n\n**Evaluation**: context matters; sequencing and capacity are crucial.` },
-      { id:"aid-debt", title:"Aid, Debt, and Sustainability", md:`# Aid, Debt, Sustainability\n\n**Aid**: humanitarian vs development; tied vs untied; effectiveness debates. **Debt**: burden, restructuring; **Sustainability**: SDGs, environmental constraints.\n\n**Case Lens**: commodity dependence and vulnerability to shocks.` }
-    ],
-    test: { questions: [
-      { id:"dv1", type:"mcq", prompt:"HDI combines:", options:["Income, inflation, unemployment","Income, health, education","GDP, Gini, life expectancy","GNI, FX reserves, literacy"], answer:1, maxScore:1 },
-      { id:"dv2", type:"short", prompt:"Explain why PPP adjustments are useful when comparing living standards across countries.", rubric:{criteria:["Price level differences","Real purchasing power","Cross-country comparability"], guidance:"Mention tradables vs non-tradables effects."}, maxScore:3 },
-      { id:"dv3", type:"mcq", prompt:"A potential drawback of tied aid is:", options:["Higher efficiency","Greater choice for recipients","Lower cost to donors","Distortion toward donor goods/services"], answer:3, maxScore:1 },
-      { id:"dv4", type:"short", prompt:"Give one institutional reform that can promote development and explain the channel.", rubric:{criteria:["Specific reform (property rights, judiciary, anti-corruption)","Mechanism for investment/productivity","Feasibility or constraint"], guidance:"One solid example suffices."}, maxScore:3 },
-      { id:"dv5", type:"mcq", prompt:"Commodity dependence often implies:", options:["Lower volatility","Stable export revenues","Exposure to terms-of-trade shocks","Faster diversification"], answer:2, maxScore:1 }
-    ]}
-  }
-];
-
-// ----------------------------- Master Final Exam -----------------------------
-const finalExam = {
-  questions: [
-    { id:"E1", type:"mcq", prompt:"If a government subsidizes positive externality goods, the likely effect is:", options:["Lower quantity and higher price","Higher quantity and lower effective price","No change in quantity","Higher deadweight loss from underconsumption"], answer:1, maxScore:1 },
-    { id:"E2", type:"short", prompt:"Using AD–AS, analyze the short-run and potential long-run effects of a large fiscal stimulus during a recession.", rubric:{criteria:["AD shift right; output gap closes","Inflation/price level effects","Long-run: crowding in/out, LRAS if supply-side","Context on slack and multipliers"], guidance:"Be balanced; mention conditions."}, maxScore:4 },
-    { id:"E3", type:"mcq", prompt:"A currency depreciation tends to:", options:["Worsen net exports immediately with no J-curve","Improve price competitiveness, possibly improving NX","Lower domestic inflation instantly","Eliminate current account deficits"], answer:1, maxScore:1 },
-    { id:"E4", type:"short", prompt:"Explain with an example how information asymmetry can lead to market failure and one corrective policy.", rubric:{criteria:["Mechanism (adverse selection/moral hazard)","Concrete example","Policy and limitation"], guidance:"Used-cars, insurance or labor markets are fine."}, maxScore:4 },
-    { id:"E5", type:"mcq", prompt:"Which set correctly pairs measure with theme?", options:["GNI per capita – inflation","HDI – health/education/income","PES – demand responsiveness","XED – income responsiveness"], answer:1, maxScore:1 },
-    { id:"E6", type:"short", prompt:"Evaluate the case for a carbon tax versus tradable permits to address negative production externalities.", rubric:{criteria:["Internalization mechanism","Efficiency & certainty trade-off (price vs quantity)","Administrative feasibility & politics"], guidance:"Reference elasticity/uncertainty."}, maxScore:4 },
-    { id:"E7", type:"mcq", prompt:"In monopolistic competition, in the long run firms:", options:["Earn positive economic profit","Produce at minimum ATC","Face zero economic profit due to entry","Set P=MC"], answer:2, maxScore:1 },
-    { id:"E8", type:"short", prompt:"Why might PPP adjustments change rankings of living standards relative to market-exchange-rate comparisons?", rubric:{criteria:["Tradables vs non-tradables prices","Balassa-Samuelson intuition","Comparability"], guidance:"Concise analytical explanation."}, maxScore:3 },
-    { id:"E9", type:"mcq", prompt:"The primary trade-off of a binding minimum wage is between:", options:["Equity and efficiency (possible unemployment)","Inflation and growth","Exports and imports","Fiscal and monetary policy"], answer:0, maxScore:1 },
-    { id:"E10", type:"short", prompt:"Discuss one reason why expansionary monetary policy may be weak when banks are capital constrained.", rubric:{criteria:["Transmission via lending\n","Capital adequacy constraints","Lending channel impairments"], guidance:"Mention credit supply frictions."}, maxScore:3 },
-    { id:"E11", type:"mcq", prompt:"A persistent current account surplus can lead to:", options:["Currency depreciation","Upward pressure on the currency","Immediate recession","Falling reserves"], answer:1, maxScore:1 },
-    { id:"E12", type:"short", prompt:"Using welfare areas, explain how a tariff affects CS, PS, government revenue, and DWL.", rubric:{criteria:["CS falls","PS rises","Gov revenue rectangles","DWL triangles"], guidance:"Use standard partial-equilibrium analysis."}, maxScore:4 }
-  ]
-};
+// ----------------------------- Course Content -----------------------------
+// Sections, lessons, tests and the final exam live in content packs (see ./content/schema.js).
+// The bundled "ib-core" pack is the default; teachers can load their own pack in Settings.
+// The open pack is shown in the student's language where it has a translation (see ./content/locale.js).
 
 // ----------------------------- Heuristic Grader & Helpers -----------------------------
-function scoreShortAnswer(text, rubric) {
-  if (!text) return 0;
-  const t = text.toLowerCase();
-  let score = 0;
-  const keywords = rubric?.criteria || [];
-  keywords.forEach((k) => {
-    const parts = k.toLowerCase().split(/[^a-z]+/).filter(Boolean);
-    const hit = parts.some(p => t.includes(p));
-    if (hit) score += 1;
-  });
-  // Normalize to rubric criteria count
-  const max = keywords.length || 3;
-  const ratio = Math.min(score / max, 1);
-  const maxScore = rubric?.maxScore || 3; // not provided; we pass separately in question
-  return Math.round(ratio * maxScore);
+/** Why the AI marker's result was not used, ahead of the offline marker's feedback. */
+function fallbackFeedback(e, offline, locale) {
+  const why = e instanceof GradeFormatError ? translate(locale, "mark.unusable", { error: e.message }) : e.message;
+  return `${translate(locale, "mark.offline", { why })}\n${offline.feedback}`;
 }
 
-async function openAIGrade({ prompt, answer, rubric, apiKey }) {
-  // Fallback to heuristic if no key
-  if (!apiKey) {
-    return { score: scoreShortAnswer(answer, rubric), feedback: "Heuristic feedback based on rubric coverage." };
+/** No point waiting on the AI provider: the device is offline and the provider isn't on it. */
+const unreachable = (provider) => !isOnline() && !isLocal(provider);
+
+/** The offline marker's result, saying it stood in because there's no connection. */
+const markedOffline = (offline, locale) => ({ ...offline, feedback: `${translate(locale, "mark.noConnection")}\n${offline.feedback}` });
+
+/**
+ * Mark a short answer with the AI provider when one is configured and reachable; otherwise, or if its result doesn't validate, offline.
+ * The AI marker writes its feedback in the student's language.
+ */
+async function gradeShortAnswer({ prompt, answer, rubric, provider, locale }) {
+  if (!isConfigured(provider) || !answer.trim()) return markShortAnswer(answer, rubric, locale);
+  if (unreachable(provider)) return markedOffline(markShortAnswer(answer, rubric, locale), locale);
+  try {
+    return await markWithModel(provider, { prompt, answer, rubric, language: languageName(locale) });
+  } catch (e) {
+    const offline = markShortAnswer(answer, rubric, locale);
+    return { ...offline, feedback: fallbackFeedback(e, offline, locale) };
   }
+}
+
+/** Mark an essay against its markbands with the AI provider when configured and reachable; otherwise, or on an unusable reply, offline. */
+async function gradeEssay({ q, answer, provider, locale }) {
+  if (!isConfigured(provider) || !answer?.text?.trim()) return markEssay(q, answer, locale);
+  if (unreachable(provider)) return markedOffline(markEssay(q, answer, locale), locale);
   try {
-    const sys = `You are a careful IB Economics marker. Score the student's short answer out of the max indicated. Use the rubric criteria. Provide 2-3 bullet feedback points.`;
-    const user = `Rubric criteria: ${rubric?.criteria?.join("; ") || ""}\nMax score: ${rubric?.maxScore || 3}\nQuestion: ${prompt}\nStudent answer: ${answer}`;
-    const res = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: { "Content-Type": "application/json", Authorization: `Bearer ${apiKey}` },
-      body: JSON.stringify({
-        model: "gpt-4o-mini",
-        messages: [ { role: "system", content: sys }, { role: "user", content: user } ],
-        temperature: 0.2,
-      })
-    });
-    const json = await res.json();
-    const content = json?.choices?.[0]?.message?.content || "";
-    // Extract a score by regex; fallback to heuristic
-    const m = content.match(/(\d+\.?\d*)\s*\/\s*(\d+)/);
-    const max = rubric?.maxScore || 3;
-    let score = scoreShortAnswer(answer, rubric);
-    if (m) {
-      const got = parseFloat(m[1]);
-      const denom = parseFloat(m[2]) || max;
-      score = Math.min(Math.round((got / denom) * max), max);
-    }
-    return { score, feedback: content || "AI feedback provided." };
+    return await markEssayWithModel(provider, q, answer, { language: languageName(locale), locale });
   } catch (e) {
-    return { score: scoreShortAnswer(answer, rubric), feedback: "Network error: used heuristic grading." };
+    const offline = markEssay(q, answer, locale);
+    return { ...offline, feedback: fallbackFeedback(e, offline, locale) };
   }
 }
 
+/** Keep what the review screen needs even if the content pack changes later. */
+function snapshotQuestion(q) {
+  const { id, type, prompt, options, answer, rubric, maxScore, unit, lesson, concept, difficulty, optionOrder, values, correctAnswer, steps, units, tolerance, decimals,
+    pairs, distractors, choices, items, startOrder, categories, itemOrder, text, wordBank, essay, minWords, guidance, stimulus, parts } = q;
+  return { id, type, prompt, options, answer, rubric, maxScore, unit, lesson, concept, difficulty, optionOrder, values, correctAnswer, steps, units, tolerance, decimals,
+    pairs, distractors, choices, items, startOrder, categories, itemOrder, text, wordBank, essay, minWords, guidance, stimulus, parts: parts?.map(snapshotQuestion) };
+}
+
+/** Grade one question. A data response is graded part by part: `answer` and `partResults` are keyed by part id. */
+async function gradeQuestion(q, answer, provider, locale = DEFAULT_LOCALE) {
+  if (q.type === "mcq") {
+    const correct = (answer===q.answer);
+    return { score: correct ? q.maxScore : 0, max: q.maxScore, correct, feedback: translate(locale, correct ? "mark.correct" : "mark.mcqWrong") };
+  }
+  if (q.type === "numeric") {
+    const res = markNumeric(q, answer, locale);
+    return { score: res.score, max: q.maxScore, correct: res.correct, feedback: res.feedback, steps: res.steps };
+  }
+  if (ITEM_TYPES.includes(q.type)) {
+    const res = markItem(q, answer, locale);
+    return { score: res.score, max: q.maxScore, correct: res.correct, feedback: res.feedback, parts: res.parts };
+  }
+  if (q.type === "essay") {
+    const res = await gradeEssay({ q, answer, provider, locale });
+    return { score: res.score, max: q.maxScore, feedback: res.feedback, level: res.level, bands: res.bands };
+  }
+  if (q.type === "data") {
+    const partResults = {};
+    for (const p of q.parts) partResults[p.id] = await gradeQuestion(p, answer?.[p.id], provider, locale);
+    const score = q.parts.reduce((n, p) => n + partResults[p.id].score, 0);
+    return { score, max: q.maxScore, feedback: q.parts.map(p => `(${p.id}) ${partResults[p.id].score}/${p.maxScore}`).join(" · "), partResults };
+  }
+  const res = await gradeShortAnswer({ prompt: q.prompt, answer: answer || "", rubric: { ...q.rubric, criteria: q.rubric?.criteria || [], maxScore: q.maxScore }, provider, locale });
+  return { score: res.score, max: q.maxScore, feedback: res.feedback, criteria: res.criteria || null };
+}
+
+/** Tell screen-reader users a paper's mark; the review it opens is read from its heading. */
+function announceMarks(percent, locale) {
+  announce(translate(locale, "a11y.graded", { percent, verdict: translate(locale, percent >= PASS_MARK ? "review.pass" : "review.below", { pass: PASS_MARK }) }));
+}
+
+/** Grade a whole paper. `results[qid]` = { score, max, feedback, correct?, criteria?, steps?, parts?, level?, bands?, partResults? }. */
+async function gradePaper({ questions, answers, provider, locale }) {
+  let points = 0; let max = 0; const results = {};
+  for (const q of questions) {
+    max += q.maxScore;
+    results[q.id] = await gradeQuestion(q, answers[q.id], provider, locale);
+    points += results[q.id].score;
+  }
+  const percent = Math.round((points / max) * 100);
+  return { points, max, percent, results, answers: { ...answers }, questions: questions.map(snapshotQuestion) };
+}
+
 // ----------------------------- Assistant (Tutor) -----------------------------
-async function assistantReply({ apiKey, context, question }) {
-  const sys = `You are a Socratic IB Economics tutor. Encourage learning with hints and questions first, then gently reveal answers. Keep replies under 200 words.`;
-  const user = `Context:\n${context}\n\nStudent: ${question}`;
-  if (!apiKey) {
-    // Heuristic: simple hinting engine
-    const hints = [
-      "Start by defining key terms in the question.",
-      "Sketch a quick diagram if relevant (PPC, AD–AS, MSC/MPC).",
-      "State the direction of shifts and the intuition before calculation.",
-      "Conclude with a brief evaluation: assumptions, time horizon, stakeholders."
-    ];
-    return `Here are some nudges:\n• ${hints.join("\n• ")}\nIf you share your attempt, I can pinpoint what to adjust.`;
+/** The source material of data-response questions on a paper, so the tutor works from the same figures. */
+function stimulusContext(questions) {
+  return (questions || []).filter(q => q.type === "data" && q.stimulus)
+    .map(q => `\n\nSource material for "${q.prompt}":\n${stimulusText(q.stimulus)}`).join("");
+}
+
+/** What to look up for the latest turn; a short follow-up ("why?") also uses the previous question. */
+function retrievalQuery(history) {
+  const asked = history.filter(m => m.role === "user").map(m => m.content);
+  const last = asked[asked.length - 1] || "";
+  return tokenize(last).length < 4 ? asked.slice(-2).join(" ") : last;
+}
+
+/**
+ * One tutor turn. `history` is the thread so far, ending with the student's new message; it is
+ * trimmed to the token budget. Relevant course passages are looked up in `index`: without a
+ * provider (or offline) they are the answer, with one they go into the prompt and the reply streams through
+ * `onDelta`. Returns the reply and the lessons it draws on. Replies are in the student's `locale`.
+ * @returns {Promise<{ content:string, sources:import("./tutor/retrieval").Source[] }>}
+ */
+async function assistantReply({ provider, context, history, index, here, locale = DEFAULT_LOCALE, onDelta, signal }) {
+  const t = (key, vars) => translate(locale, key, vars);
+  const query = retrievalQuery(history);
+  if (!isConfigured(provider) || unreachable(provider)) {
+    const found = answerFromCourse(index, query, here, locale);
+    // Nothing relevant in the course: general study hints.
+    const hints = ["tutor.hint1", "tutor.hint2", "tutor.hint3", "tutor.hint4"].map(k => t(k));
+    const reply = found || { content: t("tutor.noMatch", { hints: `• ${hints.join("\n• ")}` }), sources: [] };
+    return isConfigured(provider) ? { ...reply, content: t("tutor.offline", { content: reply.content }) } : reply;
   }
+  const hits = search(index, query, { limit: 4, here });
+  const material = hits.length ? `\n\nRelevant course material (cite lesson titles when you use it):\n${retrievalContext(hits)}` : "";
+  const definitions = glossaryContext(index, query);
+  const glossary = definitions ? `\n\nCourse glossary definitions of terms in the question (use the same wording):\n${definitions}` : "";
+  const language = languageName(locale);
+  const replyIn = language === "English" ? "" : ` The student is studying in ${language}: always reply in ${language}.`;
+  const sys = `You are a Socratic IB Economics tutor. Encourage learning with hints and questions first, then gently reveal answers. Build on what was already said in this conversation. Keep replies under 200 words.${replyIn}\n\nContext:\n${context}${material}${glossary}`;
+  const sources = sourcesOf(hits);
+  let partial = "";
   try {
-    const res = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: { "Content-Type": "application/json", Authorization: `Bearer ${apiKey}` },
-      body: JSON.stringify({ model: "gpt-4o-mini", messages: [ { role: "system", content: sys }, { role: "user", content: user } ], temperature: 0.4 })
+    const reply = await chatCompletion(provider, {
+      messages: [ { role: "system", content: sys }, ...trimHistory(history) ],
+      temperature: 0.4, signal,
+      onDelta: (d) => { partial += d; onDelta?.(d); },
     });
-    const json = await res.json();
-    return json?.choices?.[0]?.message?.content || "(No response)";
-  } catch {
-    return "I had trouble reaching the AI service, so here are heuristics: define terms, diagram, explain the mechanism, then evaluate trade-offs.";
+    return { content: reply.trim() || t("tutor.noResponse"), sources };
+  } catch (e) {
+    if (e.aborted) return { content: partial ? `${partial} …` : t("tutor.stopped"), sources };
+    if (partial) return { content: `${partial}\n\n(${e.message})`, sources };
+    const found = answerFromCourse(index, query, here, locale);
+    return found ? { ...found, content: t("tutor.fromNotes", { error: e.message, content: found.content }) } : { content: t("tutor.heuristics", { error: e.message }), sources: [] };
   }
 }
 
-// ----------------------------- Progress Model -----------------------------
-/** @typedef {{ lessonsCompleted: Record<string, boolean>, sectionScores: Record<string, { attempts:number, best:number }>, exam:{ attempts:number, best:number } }} Progress */
-const defaultProgress = { lessonsCompleted: {}, sectionScores: {}, exam: { attempts: 0, best: 0 } };
-
 // ----------------------------- UI Components -----------------------------
-function Pill({ children }) { return <span className="inline-flex items-center rounded-full border px-2 py-0.5 text-xs">{children}</span>; }
-
-function Header({ onNav, onOpenDashboard, onOpenExam, onOpenSettings, onOpenHome }) {
+function Header({ onOpenSearch, onOpenDashboard, onOpenExam, onOpenGlossary, onOpenSettings, onOpenHome, onOpenStudio, onOpenClass, children }) {
+  const t = useT();
   return (
     <div className="sticky top-0 z-20 bg-white/70 backdrop-blur border-b">
       <div className="mx-auto max-w-6xl px-4 py-3 flex items-center gap-3">
-        <button className="p-2 rounded hover:bg-gray-100" onClick={onOpenHome} title="Home"><Home className="w-5 h-5"/></button>
-        <BookOpen className="w-5 h-5"/>
-        <div className="font-semibold">IB Economics Interactive Tutor</div>
-        <div className="ml-auto flex items-center gap-2">
-          <button onClick={onOpenDashboard} className="flex items-center gap-1 rounded px-3 py-1.5 hover:bg-gray-100"><BarChart2 className="w-4 h-4"/> Dashboard</button>
-          <button onClick={onOpenExam} className="flex items-center gap-1 rounded px-3 py-1.5 hover:bg-gray-100"><Trophy className="w-4 h-4"/> Final Exam</button>
-          <button onClick={onOpenSettings} className="flex items-center gap-1 rounded px-3 py-1.5 hover:bg-gray-100"><SettingsIcon className="w-4 h-4"/> Settings</button>
-        </div>
+        <button className="p-2 rounded hover:bg-gray-100" onClick={onOpenHome} title={t("header.home")} aria-label={t("header.home")}><Home className="w-5 h-5" aria-hidden="true"/></button>
+        <BookOpen className="w-5 h-5" aria-hidden="true"/>
+        <div className="font-semibold">{t("app.title")}</div>
+        <nav className="ml-auto flex items-center gap-2" aria-label={t("a11y.menu")}>
+          {children}
+          <button onClick={onOpenSearch} aria-keyshortcuts="Control+K Meta+K /" className="flex items-center gap-1 rounded px-3 py-1.5 hover:bg-gray-100">
+            <Search className="w-4 h-4"/> {t("header.search")} <kbd className="ml-1 hidden lg:inline rounded border px-1 text-xs text-gray-500">{searchShortcutLabel()}</kbd>
+          </button>
+          <button onClick={onOpenDashboard} className="flex items-center gap-1 rounded px-3 py-1.5 hover:bg-gray-100"><BarChart2 className="w-4 h-4"/> {t("header.dashboard")}</button>
+          <button onClick={onOpenExam} className="flex items-center gap-1 rounded px-3 py-1.5 hover:bg-gray-100"><Trophy className="w-4 h-4"/> {t("header.exam")}</button>
+          <button onClick={onOpenGlossary} className="flex items-center gap-1 rounded px-3 py-1.5 hover:bg-gray-100"><BookA className="w-4 h-4"/> {t("header.glossary")}</button>
+          {onOpenStudio && <button onClick={onOpenStudio} className="flex items-center gap-1 rounded px-3 py-1.5 hover:bg-gray-100"><PenSquare className="w-4 h-4"/> {t("header.studio")}</button>}
+          {onOpenClass && <button onClick={onOpenClass} className="flex items-center gap-1 rounded px-3 py-1.5 hover:bg-gray-100"><Users className="w-4 h-4"/> {t("header.class")}</button>}
+          <button onClick={onOpenSettings} className="flex items-center gap-1 rounded px-3 py-1.5 hover:bg-gray-100"><SettingsIcon className="w-4 h-4"/> {t("header.settings")}</button>
+        </nav>
       </div>
     </div>
   );
 }
 
 function Sidebar({ sections, current, onSelect, progress }) {
+  const t = useT();
   return (
-    <aside className="w-full md:w-64 border-r bg-white/60">
-      <div className="p-3 text-xs uppercase tracking-wide text-gray-500">Curriculum</div>
+    <nav id="sections" tabIndex={-1} className="w-full md:w-64 border-r bg-white/60" aria-labelledby="sections-heading">
+      <h2 id="sections-heading" className="p-3 text-xs uppercase tracking-wide text-gray-500 font-normal">{t("sidebar.curriculum")}</h2>
       <ul>
         {sections.map((s, i) => {
           const ps = progress.sectionScores[s.id]?.best ?? 0;
           return (
             <li key={s.id}>
-              <button onClick={() => onSelect(i)} className={`w-full text-left px-4 py-3 flex items-start gap-3 hover:bg-gray-50 ${current===i?"bg-gray-50": ""}`}>
+              <button onClick={() => onSelect(i)} aria-current={current===i ? "true" : undefined} className={`w-full text-left px-4 py-3 flex items-start gap-3 hover:bg-gray-50 ${current===i?"bg-gray-50": ""}`}>
                 <Layers className="w-4 h-4 mt-0.5"/>
                 <div className="flex-1">
                   <div className="font-medium flex items-center gap-2">{s.title} {ps>0 && <Pill><Award className="w-3 h-3 mr-1"/> {ps}%</Pill>}</div>
-                  <div className="text-sm text-gray-600">{s.lessons.length} lessons · 1 test</div>
+                  <div className="text-sm text-gray-600">{t("section.summary", { n: s.lessons.length })}</div>
                 </div>
                 <ChevronRight className="w-4 h-4 opacity-60"/>
               </button>
@@ -292,42 +261,108 @@ function Sidebar({ sections, current, onSelect, progress }) {
           );
         })}
       </ul>
-    </aside>
+    </nav>
   );
 }
 
+// Lesson markdown is rendered by ./components/Markdown.jsx; these directives add the app's widgets:
+//   ::diagram{kind="supply-demand" show="cs,ps,dwl"}   an interactive diagram
+//   ::question{id="f1"}                                a question from the course to try in place
+// The open course (for ::question) and its glossary (for term definitions) come from CourseContext.
+const CourseContext = React.createContext(null);
+
+/** Every question of a pack: its section tests' and the final exam's. */
+const courseQuestions = (pack) => [...pack.sections.flatMap(s => s.test?.questions || []), ...(pack.finalExam?.questions || [])];
+
+/** A course question inside a lesson: answer, check, try again. Nothing is recorded. */
+function EmbeddedQuestion({ id }) {
+  const t = useT();
+  const locale = useLocale();
+  const course = useContext(CourseContext);
+  const source = course ? courseQuestions(course.pack).find(q => q.id === id) : null;
+  const [q, setQ] = useState(() => (source ? prepareQuestion(source) : null));
+  const [answer, setAnswer] = useState(undefined);
+  const [result, setResult] = useState(null);
+  const [checking, setChecking] = useState(false);
+  if (!q) return <p className="my-2 text-sm text-gray-500">{t("embedded.missing", { id })}</p>;
+  const check = async () => {
+    setChecking(true);
+    setResult(await gradeQuestion(q, answer, providerFrom(course.settings), locale));
+    setChecking(false);
+  };
+  const again = () => { setQ(prepareQuestion(source)); setAnswer(undefined); setResult(null); };
+  return (
+    <div className="my-4 rounded-xl border bg-gray-50 p-4">
+      <div className="text-xs uppercase tracking-wide text-gray-500 mb-2">{t("embedded.heading")}</div>
+      <QuestionInput q={q} value={answer} onChange={setAnswer} disabled={!!result} />
+      <div className="flex flex-wrap items-center gap-2">
+        {result
+          ? <button onClick={again} className="rounded-xl border bg-white px-3 py-1.5 text-sm hover:bg-gray-50 inline-flex items-center gap-2"><RefreshCcw className="w-4 h-4"/> {t("common.tryAgain")}</button>
+          : <button onClick={check} disabled={checking} className="rounded-xl border bg-white px-3 py-1.5 text-sm hover:bg-gray-50 disabled:opacity-50">{checking ? t("common.checking") : t("common.check")}</button>}
+        <span role="status" className={`text-sm ${result?.score >= result?.max ? "text-green-700" : "text-gray-800"}`}>{result && `${result.score}/${result.max} · ${result.feedback}`}</span>
+      </div>
+    </div>
+  );
+}
+
+/** One course question on a page of its own (#/practice/<id>, opened from search), with its lesson. */
+function PracticeQuestion({ id, onOpenLesson }) {
+  const t = useT();
+  const { pack } = useContext(CourseContext);
+  const section = pack.sections.find(s => s.test?.questions?.some(q => q.id === id));
+  const q = courseQuestions(pack).find(x => x.id === id);
+  const tags = q ? syllabusTags(q, section?.id) : null;
+  const unit = tags && pack.sections.find(s => s.id === tags.unit);
+  const lesson = unit?.lessons.find(l => l.id === tags.lesson);
+  return (
+    <div className="p-6">
+      <div className="flex items-center gap-3 mb-4">
+        <h1 className="text-2xl font-semibold" data-view-heading>{t("practice.title")}</h1>
+        {q && <Pill>{lesson?.title || unit?.title || t("exam.name")}</Pill>}
+      </div>
+      <p className="text-sm text-gray-600">{t("practice.intro")}</p>
+      <EmbeddedQuestion key={id} id={id} />
+      {lesson && (
+        <button onClick={() => onOpenLesson(unit.id, lesson.id)} className="inline-flex items-center gap-2 rounded-xl border px-4 py-2 hover:bg-gray-50">
+          <BookOpen className="w-4 h-4"/> {t("practice.openLesson", { title: lesson.title })}
+        </button>
+      )}
+    </div>
+  );
+}
+
+const LESSON_BLOCKS = {
+  diagram: (attrs) => <EconDiagram {...attrs} />,
+  question: (attrs) => <EmbeddedQuestion id={attrs.id} />,
+};
+
 function Markdown({ md }) {
-  // minimal markdown: # headings, **bold**, lists, paragraphs
-  const html = useMemo(() => {
-    let out = md
-      .replace(/^###\s(.+)$/gm, '<h3 class="text-lg font-semibold mt-4">$1</h3>')
-      .replace(/^##\s(.+)$/gm, '<h2 class="text-xl font-semibold mt-4">$1</h2>')
-      .replace(/^#\s(.+)$/gm, '<h1 class="text-2xl font-semibold mt-2">$1</h1>')
-      .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
-      .replace(/^-\s(.+)$/gm, '<li>$1</li>')
-      .replace(/(\n){2,}/g, '</p><p>')
-      .replace(/\n/g, '<br/>');
-    out = `<p>${out}</p>`;
-    out = out.replace(/<p><li>/g, '<ul class="list-disc pl-6"><li>').replace(/<\/li><\/p>/g, '</li></ul>');
-    return out;
-  }, [md]);
-  return <div className="prose max-w-none" dangerouslySetInnerHTML={{ __html: html }} />;
+  const course = useContext(CourseContext);
+  return <MarkdownView md={md} blocks={LESSON_BLOCKS} glossary={course?.glossary} />;
+}
+
+/** A question's prompt with glossary definitions, except for terms that are part of its answer. */
+function Prompt({ q }) {
+  const glossary = useContext(CourseContext)?.glossary;
+  const exclude = useMemo(() => (glossary ? answerTerms(glossary, q) : null), [glossary, q]);
+  return glossary ? <GlossaryText text={q.prompt} glossary={glossary} exclude={exclude} /> : q.prompt;
 }
 
 function LessonView({ section, lesson, onMarkComplete, completed }) {
+  const t = useT();
   return (
     <div className="p-6">
       <div className="flex items-center gap-3 mb-4">
         <h1 className="text-2xl font-semibold">{section.title}</h1>
-        <Pill>Lesson</Pill>
+        <Pill>{t("lesson.pill")}</Pill>
       </div>
-      <div className="mb-2 text-gray-600">{lesson.title}</div>
+      <h2 className="mb-2 text-gray-600" data-view-heading>{lesson.title}</h2>
       <div className="rounded-xl border p-4 bg-white">
         <Markdown md={lesson.md} />
       </div>
       <div className="mt-4 flex items-center gap-3">
         <button onClick={onMarkComplete} className="inline-flex items-center gap-2 rounded-xl border px-4 py-2 hover:bg-gray-50">
-          <CheckCircle className="w-4 h-4"/> Mark lesson complete {completed && <span className="text-green-600">(completed)</span>}
+          <CheckCircle className="w-4 h-4"/> {t("lesson.markComplete")} {completed && <span className="text-green-600">{t("lesson.completed")}</span>}
         </button>
       </div>
     </div>
@@ -335,101 +370,275 @@ function LessonView({ section, lesson, onMarkComplete, completed }) {
 }
 
 function SectionNavigator({ section, lessonIndex, onPrev, onNext, onOpenTest }) {
+  const t = useT();
   return (
     <div className="px-6 pb-6 flex items-center gap-2">
-      <button onClick={onPrev} className="rounded-xl border px-3 py-1.5 hover:bg-gray-50 disabled:opacity-40" disabled={lessonIndex===0}><ChevronLeft className="w-4 h-4"/></button>
-      <div className="text-sm text-gray-600">Lesson {lessonIndex+1} of {section.lessons.length}</div>
-      <button onClick={onNext} className="rounded-xl border px-3 py-1.5 hover:bg-gray-50 disabled:opacity-40" disabled={lessonIndex===section.lessons.length-1}><ChevronRight className="w-4 h-4"/></button>
+      <button onClick={onPrev} className="rounded-xl border px-3 py-1.5 hover:bg-gray-50 disabled:opacity-40" disabled={lessonIndex===0} aria-label={t("lesson.previous")}><ChevronLeft className="w-4 h-4"/></button>
+      <div className="text-sm text-gray-600">{t("lesson.position", { n: lessonIndex+1, total: section.lessons.length })}</div>
+      <button onClick={onNext} className="rounded-xl border px-3 py-1.5 hover:bg-gray-50 disabled:opacity-40" disabled={lessonIndex===section.lessons.length-1} aria-label={t("lesson.next")}><ChevronRight className="w-4 h-4"/></button>
       <div className="ml-auto"/>
-      <button onClick={onOpenTest} className="inline-flex items-center gap-2 rounded-xl border px-4 py-2 hover:bg-gray-50"><PlayCircle className="w-4 h-4"/> Take Section Test</button>
+      <button onClick={onOpenTest} className="inline-flex items-center gap-2 rounded-xl border px-4 py-2 hover:bg-gray-50"><PlayCircle className="w-4 h-4"/> {t("lesson.takeTest")}</button>
     </div>
   );
 }
 
-function MCQ({ q, value, onChange }) {
+// Each question is a fieldset whose legend is the prompt, so a screen reader reads the prompt with every control.
+function MCQ({ q, value, onChange, disabled }) {
+  const name = useId();
   return (
-    <div className="mb-4">
-      <div className="font-medium">{q.prompt}</div>
+    <fieldset className="mb-4">
+      <legend className="font-medium"><Prompt q={q} /></legend>
       <div className="mt-2 grid gap-2">
         {q.options.map((opt, i) => (
-          <label key={i} className={`flex items-center gap-2 rounded-xl border p-2 cursor-pointer ${value===i?"bg-gray-50 border-gray-400":""}`}>
-            <input type="radio" className="accent-black" checked={value===i} onChange={() => onChange(i)} />
+          <label key={i} className={`flex items-center gap-2 rounded-xl border p-2 cursor-pointer has-[:focus-visible]:ring-2 has-[:focus-visible]:ring-blue-600 ${value===i?"bg-gray-50 border-gray-400":""}`}>
+            <input type="radio" name={name} className="accent-black" checked={value===i} disabled={disabled} onChange={() => onChange(i)} />
             <span>{opt}</span>
           </label>
         ))}
       </div>
+    </fieldset>
+  );
+}
+
+function ShortAnswer({ q, value, onChange, disabled }) {
+  const t = useT();
+  const id = useId();
+  return (
+    <div className="mb-4">
+      <label htmlFor={id} className="block font-medium"><Prompt q={q} /></label>
+      <textarea id={id} aria-describedby={`${id}-rubric`} value={value||""} onChange={e=>onChange(e.target.value)} readOnly={disabled} className="mt-2 w-full rounded-xl border p-3 min-h-[120px] read-only:bg-gray-50" placeholder={disabled ? t("question.readingTime") : t("short.placeholder")}/>
+      <div id={`${id}-rubric`} className="text-xs text-gray-500 mt-1">{t("short.rubric", { criteria: q.rubric?.criteria?.join("; ") })}</div>
     </div>
   );
 }
 
-function ShortAnswer({ q, value, onChange }) {
+/** A calculation: optional working steps, then the final answer (and its units, when the question has them). */
+function NumericAnswer({ q, value, onChange, disabled }) {
+  const t = useT();
+  const v = value || {};
+  const set = (patch) => onChange({ ...v, ...patch });
+  const input = "rounded-xl border px-3 py-1.5 read-only:bg-gray-50";
+  return (
+    <fieldset className="mb-4">
+      <legend className="font-medium"><Prompt q={q} /></legend>
+      {q.steps?.length > 0 && (
+        <div className="mt-2 grid gap-2">
+          <div className="text-xs text-gray-500">{t("numeric.working")}</div>
+          {q.steps.map((s, i) => (
+            <label key={i} className="flex items-center gap-2 text-sm">
+              <span className="flex-1">{s.label}</span>
+              <input inputMode="decimal" value={v.steps?.[i] ?? ""} readOnly={disabled} onChange={e=>set({ steps: { ...v.steps, [i]: e.target.value } })} className={`${input} w-32`} />
+            </label>
+          ))}
+        </div>
+      )}
+      <div className="mt-3 flex items-center gap-2">
+        <label className="flex items-center gap-2">
+          <span className="text-sm font-medium">{t("numeric.answer")}</span>
+          <input inputMode="decimal" value={v.value ?? ""} readOnly={disabled} onChange={e=>set({ value: e.target.value })} className={`${input} w-40`} placeholder={disabled ? t("numeric.readingTime") : q.decimals !== undefined ? t("numeric.decimals", { n: q.decimals }) : ""} />
+        </label>
+        {q.units?.length > 0 && <input value={v.unit ?? ""} readOnly={disabled} onChange={e=>set({ unit: e.target.value })} className={`${input} w-28`} placeholder={t("numeric.units")} aria-label={t("numeric.unitsLabel")} />}
+      </div>
+    </fieldset>
+  );
+}
+
+/** An extended response: a plan (not marked), the essay with a live word count, and the bands it is marked on. */
+function EssayAnswer({ q, value, onChange, disabled }) {
+  const t = useT();
+  const v = value || {};
+  const words = wordCount(v.text);
+  const minWords = essayMinWords(q);
+  const id = useId();
   return (
     <div className="mb-4">
-      <div className="font-medium">{q.prompt}</div>
-      <textarea value={value||""} onChange={e=>onChange(e.target.value)} className="mt-2 w-full rounded-xl border p-3 min-h-[120px]" placeholder="Write 4–6 sentences…"/>
-      <div className="text-xs text-gray-500 mt-1">Rubric: {q.rubric?.criteria?.join("; ")}</div>
+      <div id={`${id}-prompt`} className="font-medium"><Prompt q={q} /> <span className="text-sm text-gray-500">{t("question.marks", { n: q.maxScore })}</span></div>
+      <div className="text-xs text-gray-500 mt-1">{t("essay.markedOn", { bands: essayBands(q).map(id => `${id} ${t(`band.${id}`)}`).join(" · ") })}</div>
+      <label className="block mt-2">
+        <span className="text-sm font-medium">{t("essay.plan")} <span className="font-normal text-gray-500">{t("essay.notMarked")}</span></span>
+        <textarea value={v.plan||""} onChange={e=>onChange({ ...v, plan: e.target.value })} readOnly={disabled} className="mt-1 w-full rounded-xl border p-3 min-h-[80px] text-sm read-only:bg-gray-50" placeholder={t("essay.planPlaceholder")}/>
+      </label>
+      <label className="block mt-2">
+        <span className="text-sm font-medium">{t("essay.essay")}</span>
+        <textarea value={v.text||""} onChange={e=>onChange({ ...v, text: e.target.value })} readOnly={disabled} aria-describedby={`${id}-prompt ${id}-words`} className="mt-1 w-full rounded-xl border p-3 min-h-[320px] leading-relaxed read-only:bg-gray-50" placeholder={disabled ? t("question.readingTime") : t("essay.placeholder")}/>
+      </label>
+      <div id={`${id}-words`} className={`text-xs mt-1 ${words < minWords ? "text-gray-500" : "text-green-700"}`}>{t("essay.words", { n: words, min: minWords })}</div>
     </div>
   );
 }
 
-function SectionTest({ section, settings, onSubmit, onCancel }) {
-  const [answers, setAnswers] = useState({});
-  const [submitting, setSubmitting] = useState(false);
+/** A data response: the stimulus beside its parts, (a), (b), …; the answer holds one entry per part id. */
+function DataResponse({ q, value, onChange, disabled }) {
+  const t = useT();
+  const v = value || {};
+  return (
+    <div className="mb-4">
+      <div className="font-medium"><Prompt q={q} /> <span className="text-sm text-gray-500">{t("question.marks", { n: q.maxScore })}</span></div>
+      <div className="mt-2 grid lg:grid-cols-2 gap-4 items-start">
+        <div className="lg:sticky lg:top-16 lg:max-h-[80vh] lg:overflow-y-auto"><Stimulus stimulus={q.stimulus} Markdown={Markdown} /></div>
+        <ol className="grid gap-2">
+          {q.parts.map(p => (
+            <li key={p.id} className="flex gap-2">
+              <span className="font-medium">({p.id})</span>
+              <div className="flex-1 min-w-0">
+                <QuestionInput q={p} value={v[p.id]} onChange={pv=>onChange({ ...v, [p.id]: pv })} disabled={disabled} />
+                <div className="text-xs text-gray-500 -mt-3 mb-2">{t("question.marks", { n: p.maxScore })}</div>
+              </div>
+            </li>
+          ))}
+        </ol>
+      </div>
+    </div>
+  );
+}
 
-  const handleChange = (qid, val) => setAnswers(a=>({ ...a, [qid]: val }));
+/** The input for a question of any type. */
+function QuestionInput({ q, value, onChange, disabled }) {
+  if (q.type === "data") return <DataResponse q={q} value={value} onChange={onChange} disabled={disabled} />;
+  if (q.type === "mcq") return <MCQ q={q} value={value} onChange={onChange} disabled={disabled} />;
+  if (q.type === "numeric") return <NumericAnswer q={q} value={value} onChange={onChange} disabled={disabled} />;
+  if (q.type === "match") return <MatchItem q={q} prompt={<Prompt q={q} />} value={value} onChange={onChange} disabled={disabled} />;
+  if (q.type === "order") return <OrderItem q={q} prompt={<Prompt q={q} />} value={value} onChange={onChange} disabled={disabled} />;
+  if (q.type === "classify") return <ClassifyItem q={q} prompt={<Prompt q={q} />} value={value} onChange={onChange} disabled={disabled} />;
+  if (q.type === "cloze") return <ClozeItem q={q} prompt={<Prompt q={q} />} value={value} onChange={onChange} disabled={disabled} />;
+  if (q.type === "essay") return <EssayAnswer q={q} value={value} onChange={onChange} disabled={disabled} />;
+  return <ShortAnswer q={q} value={value} onChange={onChange} disabled={disabled} />;
+}
 
-  const grade = async () => {
+// ----------------------------- Exam sittings -----------------------------
+/**
+ * A saved, optionally timed sitting of a paper (see ./assessment/session.js) plus submission:
+ * auto-submits when time runs out and warns before the student leaves mid-paper.
+ */
+function usePaperSitting({ sessionKey: key, sessionStore, makePaper, isValid, timing, grade, onSubmit, onPaper }) {
+  const t = useT();
+  const sitting = useExamSession({ key, storeKey: sessionStore, makePaper, isValid, timing });
+  // The tutor sees the paper's data-response stimuli (see contextForTutor).
+  useEffect(() => { onPaper?.(sitting.paper); }, [sitting.paper, onPaper]);
+  const [submitting, setSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState("");
+  const release = useLeaveGuard(true, t("sitting.leaveWarning"));
+  const started = useRef(false);
+  const submitRef = useRef(null);
+  submitRef.current = async () => {
+    if (started.current) return;
+    started.current = true;
     setSubmitting(true);
-    let points = 0; let max = 0; const feedback = {};
-    for (const q of section.test.questions) {
-      max += q.maxScore;
-      if (q.type === "mcq") {
-        const correct = (answers[q.id]===q.answer);
-        points += correct ? q.maxScore : 0;
-        feedback[q.id] = correct ? "Correct" : "Check the definition/mechanism and try again.";
-      } else {
-        const res = await openAIGrade({ prompt: q.prompt, answer: answers[q.id] || "", rubric: { criteria: q.rubric?.criteria || [], maxScore: q.maxScore }, apiKey: settings.apiKey });
-        points += res.score; feedback[q.id] = res.feedback;
-      }
+    setSubmitError("");
+    let graded;
+    try { graded = await grade(sitting.paper, sitting.answers); } catch (e) {
+      // The session stays saved, so the student can submit again.
+      started.current = false;
+      setSubmitting(false);
+      setSubmitError(e?.message || String(e));
+      return;
     }
-    const percent = Math.round((points / max) * 100);
-    setSubmitting(false);
-    onSubmit({ percent, feedback });
+    sitting.close();
+    release();
+    onSubmit(graded);
   };
+  useEffect(() => { if (sitting.phase === "over") submitRef.current(); }, [sitting.phase]);
+  const discard = () => { sitting.close(); release(); };
+  return { ...sitting, submitting, submitError, submit: () => submitRef.current(), discard };
+}
+
+function SittingStatus({ sitting }) {
+  const t = useT();
+  const locale = useLocale();
+  const { phase, remaining, timed, resumed, startedAt } = sitting;
+  const low = phase === "writing" && remaining !== null && remaining < 5 * 60000;
+  // The clock itself is silent; screen readers hear when writing starts and at five and one minute left.
+  const cue = phase !== "writing" ? null : remaining !== null && remaining < 60000 ? "sitting.oneMinute" : low ? "sitting.fiveMinutes" : "sitting.writing";
+  const lastCue = useRef(cue);
+  useEffect(() => {
+    if (cue && cue !== lastCue.current) announce(translate(locale, cue));
+    lastCue.current = cue;
+  }, [cue, locale]);
+  return (
+    <div className="mb-4 flex flex-col gap-2">
+      {(timed || phase === "reading") && (
+        <div role="timer" className={`sticky top-16 z-10 self-start rounded-full border px-3 py-1 text-sm font-medium inline-flex items-center gap-2 ${phase === "reading" ? "bg-blue-50 border-blue-300 text-blue-900" : low ? "bg-red-50 border-red-300 text-red-800" : "bg-white"}`}>
+          <Clock className="w-4 h-4"/>
+          {phase === "reading" ? t("sitting.reading", { time: formatClock(remaining) }) : phase === "over" ? t(sitting.submitting ? "sitting.over" : "sitting.timeUp") : t("sitting.left", { time: formatClock(remaining) })}
+        </div>
+      )}
+      {resumed && <div className="text-sm text-gray-600">{t("sitting.resumed", { when: new Date(startedAt).toLocaleString(locale) })}</div>}
+    </div>
+  );
+}
+
+function PaperQuestions({ sitting }) {
+  const locked = sitting.phase !== "writing" || sitting.submitting;
+  return sitting.paper.map((q) => (
+    <div key={q.id} className="mb-6">
+      <QuestionInput q={q} value={sitting.answers[q.id]} onChange={v=>sitting.setAnswer(q.id, v)} disabled={locked} />
+    </div>
+  ));
+}
+
+function SubmitButton({ sitting, label }) {
+  const t = useT();
+  return (
+    <>
+      <button onClick={sitting.submit} disabled={sitting.submitting || sitting.phase === "reading"} className="rounded-xl border px-4 py-2 hover:bg-gray-50 disabled:opacity-50 inline-flex items-center gap-2">
+        {sitting.submitting ? <RefreshCcw className="w-4 h-4 animate-spin"/> : <PlayCircle className="w-4 h-4"/>} {label}
+      </button>
+      {sitting.submitError && <span role="alert" className="text-sm text-red-700">{t("sitting.submitFailed", { error: sitting.submitError })}</span>}
+    </>
+  );
+}
+
+function DiscardButton({ sitting, onDiscarded }) {
+  const t = useT();
+  const discard = () => {
+    if (!window.confirm(t("sitting.discardConfirm"))) return;
+    sitting.discard();
+    onDiscarded();
+  };
+  return <button onClick={discard} disabled={sitting.submitting} className="rounded-xl border px-4 py-2 hover:bg-gray-50 text-red-700">{t("sitting.discard")}</button>;
+}
+
+function SectionTest({ section, pack, attempts, settings, sessionStore, onSubmit, onCancel, onPaper }) {
+  const t = useT();
+  const locale = useLocale();
+  const sitting = usePaperSitting({
+    sessionKey: sessionKey(pack.id, section.id),
+    sessionStore,
+    // A fresh paper per attempt: unseen and previously missed questions first, MCQ options shuffled, new numbers in calculations.
+    makePaper: () => assemblePaper({ section, blueprint: blueprintFor(section, pack), history: questionHistory(attempts, section.id) }),
+    isValid: (paper) => paper.every(q => section.test.questions.some(b => b.id === q.id)),
+    timing: settings.timedTests === false ? null : timingFor(section, pack),
+    grade: (paper, answers) => gradePaper({ questions: paper, answers, provider: providerFrom(settings), locale }),
+    onSubmit,
+    onPaper,
+  });
 
   return (
     <div className="p-6">
       <div className="flex items-center gap-3 mb-4">
-        <h2 className="text-xl font-semibold">{section.title} — Section Test</h2>
-        <Pill>5 questions • 70% to pass</Pill>
+        <h2 className="text-xl font-semibold">{t("test.title", { section: section.title })}</h2>
+        <Pill>{t("test.pill", { n: sitting.paper.length, pass: PASS_MARK })}</Pill>
       </div>
+      <SittingStatus sitting={sitting} />
       <div className="rounded-xl border bg-white p-4">
-        {section.test.questions.map((q) => (
-          <div key={q.id} className="mb-6">
-            {q.type === "mcq" ? (
-              <MCQ q={q} value={answers[q.id]} onChange={v=>handleChange(q.id, v)} />
-            ) : (
-              <ShortAnswer q={q} value={answers[q.id]} onChange={v=>handleChange(q.id, v)} />
-            )}
-          </div>
-        ))}
+        <PaperQuestions sitting={sitting} />
         <div className="flex items-center gap-2">
-          <button onClick={onCancel} className="rounded-xl border px-4 py-2 hover:bg-gray-50">Cancel</button>
-          <button onClick={grade} disabled={submitting} className="rounded-xl border px-4 py-2 hover:bg-gray-50 inline-flex items-center gap-2">
-            {submitting ? <RefreshCcw className="w-4 h-4 animate-spin"/> : <PlayCircle className="w-4 h-4"/>} Submit
-          </button>
+          <button onClick={onCancel} className="rounded-xl border px-4 py-2 hover:bg-gray-50">{t("test.back")}</button>
+          <DiscardButton sitting={sitting} onDiscarded={onCancel} />
+          <SubmitButton sitting={sitting} label={t("test.submit")} />
         </div>
       </div>
     </div>
   );
 }
 
-function Dashboard({ sections, progress }) {
+function Dashboard({ sections, progress, onOpenAttempt }) {
+  const t = useT();
   return (
     <div className="p-6">
       <div className="flex items-center gap-3 mb-4">
-        <h2 className="text-xl font-semibold">Progress Dashboard</h2>
-        <Pill><Award className="w-3 h-3 mr-1"/> Passing score ≥ 70%</Pill>
+        <h2 className="text-xl font-semibold">{t("dashboard.title")}</h2>
+        <Pill><Award className="w-3 h-3 mr-1"/> {t("dashboard.passing", { pass: PASS_MARK })}</Pill>
       </div>
       <div className="grid md:grid-cols-2 gap-4">
         {sections.map((s) => {
@@ -439,151 +648,521 @@ function Dashboard({ sections, progress }) {
           return (
             <div key={s.id} className="rounded-xl border p-4 bg-white">
               <div className="font-semibold mb-1">{s.title}</div>
-              <div className="text-sm text-gray-600 mb-2">Lessons: {completedLessons}/{s.lessons.length} ({percentLessons}%)</div>
+              <div className="text-sm text-gray-600 mb-2">{t("dashboard.lessons", { done: completedLessons, total: s.lessons.length, pct: percentLessons })}</div>
               <div className="h-2 bg-gray-100 rounded-full overflow-hidden mb-3"><div className="h-full bg-black" style={{ width: `${percentLessons}%`}}/></div>
-              <div className="text-sm">Best test score: <span className={`font-medium ${best>=70?"text-green-600":"text-gray-800"}`}>{best}%</span></div>
+              <div className="text-sm">{t("dashboard.bestTest")} <span className={`font-medium ${best>=PASS_MARK?"text-green-600":"text-gray-800"}`}>{best}%</span></div>
             </div>
           );
         })}
         <div className="rounded-xl border p-4 bg-white">
-          <div className="font-semibold mb-1">Master Final Exam</div>
-          <div className="text-sm text-gray-600 mb-2">Best score: {progress.exam.best}% · Attempts: {progress.exam.attempts}</div>
+          <div className="font-semibold mb-1">{t("exam.name")}</div>
+          <div className="text-sm text-gray-600 mb-2">{t("dashboard.exam", { best: progress.exam.best, n: progress.exam.attempts })}</div>
         </div>
       </div>
+      <AttemptHistory attempts={progress.attempts} sections={sections} onOpen={onOpenAttempt} />
     </div>
   );
 }
 
-function FinalExam({ settings, onSubmit }) {
+function AttemptHistory({ attempts, sections, onOpen }) {
+  const t = useT();
+  const locale = useLocale();
+  const recent = [...attempts].reverse();
+  return (
+    <div className="mt-6">
+      <h3 className="font-semibold mb-2">{t("history.title")}</h3>
+      {recent.length === 0 ? <div className="text-sm text-gray-600">{t("history.empty")}</div> : (
+        <ul className="rounded-xl border bg-white divide-y">
+          {recent.map(a => (
+            <li key={a.id} className="flex items-center gap-3 px-4 py-2 text-sm">
+              <span className="text-gray-500 w-40">{new Date(a.at).toLocaleString(locale)}</span>
+              <span className="flex-1">{a.kind === "exam" ? t("exam.name") : (sections.find(s=>s.id===a.sectionId)?.title || a.sectionId)}</span>
+              <span className={`font-medium ${a.percent>=PASS_MARK?"text-green-600":"text-gray-800"}`}>{a.percent}%</span>
+              <button onClick={()=>onOpen(a.id)} disabled={!a.results} title={a.results ? t("history.reviewTitle") : t("history.noDetails")} className="rounded-xl border px-3 py-1 hover:bg-gray-50 disabled:opacity-40">{t("history.review")}</button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function FinalExam({ exam, packId, settings, sessionStore, onSubmit, onExit, onPaper }) {
+  const t = useT();
+  const locale = useLocale();
+  const sitting = usePaperSitting({
+    sessionKey: sessionKey(packId),
+    sessionStore,
+    makePaper: () => exam.questions.map(q => prepareQuestion(q)),
+    isValid: (paper) => paper.length === exam.questions.length && paper.every(q => exam.questions.some(e => e.id === q.id)),
+    timing: settings.timedTests === false ? null : exam.timing || null,
+    grade: (paper, answers) => gradePaper({ questions: paper, answers, provider: providerFrom(settings), locale }),
+    onSubmit,
+    onPaper,
+  });
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center gap-3 mb-4">
+        <h2 className="text-xl font-semibold">{t("exam.name")}</h2>
+        <Pill>{t("exam.pill", { n: exam.questions.length })}{exam.timing && settings.timedTests !== false ? t("exam.minutes", { n: exam.timing.minutes }) : ""}</Pill>
+      </div>
+      <SittingStatus sitting={sitting} />
+      <div className="rounded-xl border bg-white p-4">
+        <PaperQuestions sitting={sitting} />
+        <div className="flex items-center gap-2">
+          <DiscardButton sitting={sitting} onDiscarded={onExit} />
+          <SubmitButton sitting={sitting} label={t("exam.submit")} />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/** Practice the questions an attempt lost marks on. Not recorded as an attempt; results show in place. */
+function RetryPractice({ attempt, sections, settings, onBack }) {
+  const t = useT();
+  const locale = useLocale();
+  const retryIds = new Set((attempt?.recommendations?.retry || []).map(r => r.id));
+  const questions = (attempt?.questions || []).filter(q => retryIds.has(q.id));
   const [answers, setAnswers] = useState({});
-  const [loading, setLoading] = useState(false);
-  const handleChange = (id, val) => setAnswers(a=>({ ...a, [id]: val }));
+  const [graded, setGraded] = useState(null);
+  const [grading, setGrading] = useState(false);
+  // Checking swaps the questions for their review (and trying again swaps back): start at the heading.
+  const root = useRef(null);
+  useViewFocus(root, graded ? "review" : "practice");
 
+  if (!questions.length) {
+    return (
+      <div className="p-6">
+        <h2 className="text-xl font-semibold mb-2">{t("retry.nothing")}</h2>
+        <p className="text-gray-600 mb-4">{t("retry.nothingText")}</p>
+        <button onClick={onBack} className="rounded-xl border px-4 py-2 hover:bg-gray-50">{t("retry.back")}</button>
+      </div>
+    );
+  }
+  if (graded) {
+    return (
+      <div ref={root}>
+        <AttemptReview attempt={{ ...graded, id: attempt.id, kind: attempt.kind, sectionId: attempt.sectionId, at: new Date().toISOString() }} sections={sections}
+          title={t("retry.title")} backLabel={t("retry.back")} retakeLabel={t("common.tryAgain")} onBack={onBack} onRetake={() => { setAnswers({}); setGraded(null); }} />
+      </div>
+    );
+  }
   const grade = async () => {
-    setLoading(true);
-    let points = 0; let max = 0; const perQuestion = {};
-    for (const q of finalExam.questions) {
-      max += q.maxScore;
-      if (q.type === "mcq") { const ok = (answers[q.id]===q.answer); points += ok? q.maxScore:0; perQuestion[q.id] = ok? q.maxScore:0; }
-      else { const res = await openAIGrade({ prompt: q.prompt, answer: answers[q.id] || "", rubric: { criteria: q.rubric?.criteria || [], maxScore: q.maxScore }, apiKey: settings.apiKey }); points += res.score; perQuestion[q.id] = res.score; }
-    }
-    const percent = Math.round((points / max) * 100);
-    setLoading(false);
-    // Recommendations: map weak areas back to sections by simple tags
-    const recs = generateRecommendations({ perQuestion, percent });
-    onSubmit({ percent, perQuestion, recommendations: recs });
+    setGrading(true);
+    const result = await gradePaper({ questions, answers, provider: providerFrom(settings), locale });
+    announceMarks(result.percent, locale);
+    setGraded(result);
+    setGrading(false);
   };
-
   return (
-    <div className="p-6">
+    <div className="p-6" ref={root}>
       <div className="flex items-center gap-3 mb-4">
-        <h2 className="text-xl font-semibold">Master Final Exam</h2>
-        <Pill>12 questions • Comprehensive</Pill>
+        <h2 className="text-xl font-semibold">{t("retry.title")}</h2>
+        <Pill>{t("retry.pill", { n: questions.length })}</Pill>
       </div>
       <div className="rounded-xl border bg-white p-4">
-        {finalExam.questions.map((q) => (
+        {questions.map((q) => (
           <div key={q.id} className="mb-6">
-            {q.type === "mcq" ? (
-              <MCQ q={q} value={answers[q.id]} onChange={v=>handleChange(q.id, v)} />
-            ) : (
-              <ShortAnswer q={q} value={answers[q.id]} onChange={v=>handleChange(q.id, v)} />
-            )}
+            <QuestionInput q={q} value={answers[q.id]} onChange={v=>setAnswers(a=>({ ...a, [q.id]: v }))} />
           </div>
         ))}
-        <button onClick={grade} disabled={loading} className="rounded-xl border px-4 py-2 hover:bg-gray-50 inline-flex items-center gap-2">
-          {loading ? <RefreshCcw className="w-4 h-4 animate-spin"/> : <PlayCircle className="w-4 h-4"/>} Submit Exam
-        </button>
+        <div className="flex items-center gap-2">
+          <button onClick={onBack} className="rounded-xl border px-4 py-2 hover:bg-gray-50">{t("retry.back")}</button>
+          <button onClick={grade} disabled={grading} className="rounded-xl border px-4 py-2 hover:bg-gray-50 inline-flex items-center gap-2">
+            {grading ? <RefreshCcw className="w-4 h-4 animate-spin"/> : <PlayCircle className="w-4 h-4"/>} {t("retry.check")}
+          </button>
+        </div>
       </div>
     </div>
   );
 }
 
-function generateRecommendations({ perQuestion, percent }) {
-  // Map exam questions to sections (simple mapping by index ranges)
-  const map = {
-    foundations: ["E2"],
-    "micro-markets": ["E1", "E7"],
-    "micro-failure": ["E6", "E12", "E4"],
-    macro: ["E2", "E10"],
-    global: ["E3", "E11"],
-    development: ["E5", "E8"],
+function ContentPacks({ packs, activeId, onSelect, onImport, onRemove }) {
+  const t = useT();
+  const [issues, setIssues] = useState(null);
+  const onFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    let read;
+    try { read = await readPackFile(file); } catch (err) { setIssues({ file: file.name, errors: [{ path: "", message: err.message }] }); return; }
+    const { pack, errors } = read;
+    if (!pack) { setIssues({ file: file.name, errors }); return; }
+    if (BUNDLED_PACKS.some(b => b.id === pack.id)) { setIssues({ file: file.name, errors: [{ path: "id", message: t("packs.builtInId", { id: pack.id }) }] }); return; }
+    setIssues(null);
+    onImport(pack);
   };
-  const scoresBySection = {};
-  for (const [sec, ids] of Object.entries(map)) {
-    const got = ids.reduce((s,id)=> s + (perQuestion[id] || 0), 0);
-    const max = ids.reduce((s,id)=> s + (finalExam.questions.find(q=>q.id===id)?.maxScore || 0), 0);
-    scoresBySection[sec] = max>0? Math.round((got/max)*100): 100;
-  }
-  const weak = Object.entries(scoresBySection).filter(([,v])=> v<70).sort((a,b)=>a[1]-b[1]).slice(0,3).map(([k,v])=>({ sectionId:k, score:v }));
-  return { overall: percent, weakSections: weak };
+  return (
+    <div className="rounded-xl border bg-white p-4 flex flex-col gap-3 max-w-xl mt-4">
+      <fieldset className="flex flex-col gap-2">
+        <legend className="font-semibold mb-3">{t("packs.title")}</legend>
+        {packs.map(p => (
+          <label key={p.id} className={`flex items-center gap-2 rounded-xl border p-2 cursor-pointer has-[:focus-visible]:ring-2 has-[:focus-visible]:ring-blue-600 ${p.id===activeId?"bg-gray-50 border-gray-400":""}`}>
+            <input type="radio" name="content-pack" className="accent-black" checked={p.id===activeId} onChange={()=>onSelect(p.id)} />
+            <span className="flex-1">{p.title} <span className="text-xs text-gray-500">· {t("packs.sections", { n: p.sections.length })} · {[p.locale || DEFAULT_LOCALE, ...packLocales(p)].map(l => LOCALES.find(x => x.id === l)?.name || l).join(", ")} · {t(p.source === "bundled" ? "packs.builtIn" : "packs.imported")}</span></span>
+            {p.source === "user" && <button onClick={(e)=>{ e.preventDefault(); onRemove(p.id); }} className="text-xs rounded-lg border px-2 py-1 hover:bg-gray-50">{t("common.remove")}</button>}
+          </label>
+        ))}
+      </fieldset>
+      <label className="text-sm">{t("packs.load")}
+        <input type="file" accept=".json,application/json" onChange={onFile} className="mt-1 block w-full text-sm"/>
+      </label>
+      {issues && (
+        <div role="alert" className="rounded-xl border border-red-300 bg-red-50 p-3 text-sm">
+          <div className="font-medium mb-1">{t("packs.notLoaded", { file: issues.file, n: issues.errors.length })}</div>
+          <pre className="whitespace-pre-wrap text-xs">{formatIssues(issues.errors)}</pre>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ProgressTransfer({ progress, name, onImport }) {
+  const t = useT();
+  const [status, setStatus] = useState(null);
+  const onExport = () => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadText(`ibecon-progress-${(name || "student").replace(/\W+/g, "-").toLowerCase()}-${stamp}.json`, exportProgress(progress, { name }));
+  };
+  const onFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const { progress: imported, error } = parseProgressImport(await file.text());
+    if (error) { setStatus({ ok: false, text: t("transfer.notImported", { file: file.name, error }) }); return; }
+    onImport(imported);
+    setStatus({ ok: true, text: t("transfer.imported", { file: file.name, attempts: imported.attempts.length, lessons: Object.keys(imported.lessonsCompleted).length }) });
+  };
+  return (
+    <div className="rounded-xl border bg-white p-4 flex flex-col gap-3 max-w-xl mt-4">
+      <div className="font-semibold">{t("transfer.title")}</div>
+      <div className="text-xs text-gray-500">{t("transfer.hint")}</div>
+      <div className="flex items-center gap-2">
+        <button onClick={onExport} className="rounded-xl border px-4 py-2 hover:bg-gray-50">{t("transfer.export")}</button>
+        <label className="rounded-xl border px-4 py-2 hover:bg-gray-50 cursor-pointer">{t("transfer.import")}
+          <input type="file" accept=".json,application/json" onChange={onFile} className="sr-only"/>
+        </label>
+      </div>
+      <div role="status" className={`text-sm ${status?.ok?"text-green-700":"text-red-700"}`}>{status?.text}</div>
+    </div>
+  );
+}
+
+/** Under the header: that the app is offline, and that a new version is ready to switch to. */
+function AppStatus() {
+  const t = useT();
+  const online = useOnline();
+  const update = useUpdate();
+  return (
+    <div role="status">
+      {!online && <div className="border-b border-amber-300 bg-amber-50 px-4 py-2 text-sm text-center">{t("app.offline")}</div>}
+      {update && (
+        <div className="border-b bg-blue-50 px-4 py-2 text-sm flex items-center justify-center gap-3">
+          {t("app.updateReady")}
+          <button onClick={applyUpdate} className="rounded-xl border px-3 py-1 bg-white hover:bg-gray-50">{t("app.update")}</button>
+        </div>
+      )}
+    </div>
+  );
 }
 
-function Settings({ settings, onChange }) {
+function StorageIssues({ issues, onDismiss }) {
+  const t = useT();
+  if (!issues.length) return null;
+  return (
+    <div className="m-4 rounded-xl border border-amber-300 bg-amber-50 p-4 text-sm">
+      {issues.map((iss) => (
+        <div key={iss.backupKey} className="mb-2">
+          <div className="font-medium">{t("storage.title")}</div>
+          <div>{t("storage.detail", { message: iss.message, key: iss.backupKey })}</div>
+          <button onClick={()=>downloadText(`${iss.backupKey}.txt`, iss.raw, "text/plain")} className="mt-2 rounded-xl border px-3 py-1 bg-white hover:bg-gray-50">{t("storage.download")}</button>
+        </div>
+      ))}
+      <button onClick={onDismiss} className="rounded-xl border px-3 py-1 bg-white hover:bg-gray-50">{t("common.dismiss")}</button>
+    </div>
+  );
+}
+
+function Settings({ settings, onChange, packs, onImportPack, onRemovePack, progress, onImportProgress, profileName }) {
+  const t = useT();
   const [apiKey, setApiKey] = useState(settings.apiKey || "");
+  const [aiBaseUrl, setAiBaseUrl] = useState(settings.aiBaseUrl || DEFAULT_BASE_URL);
+  const [aiModel, setAiModel] = useState(settings.aiModel || DEFAULT_MODEL);
   const [name, setName] = useState(settings.name || "");
+  const [timedTests, setTimedTests] = useState(settings.timedTests !== false);
+  const [teacherMode, setTeacherMode] = useState(!!settings.teacherMode);
+  const [check, setCheck] = useState(null); // { busy } | { ok, message }
+  const testConnection = async () => {
+    const provider = providerFrom({ apiKey, aiBaseUrl, aiModel });
+    if (!isConfigured(provider)) { setCheck({ ok: false, message: t("settings.needKey") }); return; }
+    if (unreachable(provider)) { setCheck({ ok: false, message: t("settings.offline") }); return; }
+    setCheck({ busy: true });
+    try {
+      await chatCompletion(provider, { messages: [{ role: "user", content: "Reply with the word OK." }], maxTokens: 5, timeoutMs: 15000, retries: 0 });
+      setCheck({ ok: true, message: t("settings.connected", { model: provider.model }) });
+    } catch (e) {
+      setCheck({ ok: false, message: e.message });
+    }
+  };
   return (
     <div className="p-6">
-      <h2 className="text-xl font-semibold mb-3">Settings</h2>
+      <h2 className="text-xl font-semibold mb-3">{t("settings.title")}</h2>
       <div className="rounded-xl border bg-white p-4 flex flex-col gap-3 max-w-xl">
-        <label className="text-sm">Display name
-          <input value={name} onChange={e=>setName(e.target.value)} className="mt-1 w-full rounded-xl border p-2" placeholder="Your name"/>
+        <label className="text-sm">{t("settings.language")}
+          <select value={settings.locale} onChange={e=>onChange({ ...settings, locale: e.target.value })} className="mt-1 w-full rounded-xl border p-2" lang={settings.locale}>
+            {LOCALES.map(l => <option key={l.id} value={l.id} lang={l.id}>{l.name}</option>)}
+          </select>
+          <span className="block text-xs text-gray-500 mt-1">{t("settings.languageHint")}</span>
+        </label>
+        <fieldset className="flex flex-col gap-2">
+          <legend className="text-sm mb-1">{t("settings.display")}</legend>
+          <label className="text-sm flex items-start gap-2">
+            <input type="checkbox" checked={!!settings.highContrast} onChange={e=>onChange({ ...settings, highContrast: e.target.checked })} className="mt-1 accent-black"/>
+            <span>{t("settings.highContrast")}<span className="block text-xs text-gray-500">{t("settings.highContrastHint")}</span></span>
+          </label>
+          <label className="text-sm flex items-start gap-2">
+            <input type="checkbox" checked={!!settings.largeText} onChange={e=>onChange({ ...settings, largeText: e.target.checked })} className="mt-1 accent-black"/>
+            <span>{t("settings.largeText")}<span className="block text-xs text-gray-500">{t("settings.largeTextHint")}</span></span>
+          </label>
+        </fieldset>
+        <label className="text-sm">{t("settings.name")}
+          <input value={name} onChange={e=>setName(e.target.value)} className="mt-1 w-full rounded-xl border p-2" placeholder={t("settings.namePlaceholder")}/>
+        </label>
+        <label className="text-sm flex items-start gap-2">
+          <input type="checkbox" checked={timedTests} onChange={e=>setTimedTests(e.target.checked)} className="mt-1 accent-black"/>
+          <span>{t("settings.timed")}<span className="block text-xs text-gray-500">{t("settings.timedHint")}</span></span>
+        </label>
+        <label className="text-sm flex items-start gap-2">
+          <input type="checkbox" checked={teacherMode} onChange={e=>setTeacherMode(e.target.checked)} className="mt-1 accent-black"/>
+          <span>{t("settings.teacher")}<span className="block text-xs text-gray-500">{t("settings.teacherHint")}</span></span>
         </label>
-        <label className="text-sm">OpenAI API Key (optional)
-          <input value={apiKey} onChange={e=>setApiKey(e.target.value)} className="mt-1 w-full rounded-xl border p-2" placeholder="sk-..."/>
-          <div className="text-xs text-gray-500 mt-1">Used for enhanced grading and the AI assistant. If empty, a local heuristic is used.</div>
+        <div className="font-medium mt-1">{t("settings.ai")}</div>
+        <div className="text-xs text-gray-500 -mt-2">{t("settings.aiHint")}</div>
+        <label className="text-sm">{t("settings.baseUrl")}
+          <input value={aiBaseUrl} onChange={e=>setAiBaseUrl(e.target.value)} className="mt-1 w-full rounded-xl border p-2" placeholder={DEFAULT_BASE_URL}/>
+        </label>
+        <label className="text-sm">{t("settings.model")}
+          <input value={aiModel} onChange={e=>setAiModel(e.target.value)} className="mt-1 w-full rounded-xl border p-2" placeholder={DEFAULT_MODEL}/>
+        </label>
+        <label className="text-sm">{t("settings.apiKey")}
+          <input type="password" value={apiKey} onChange={e=>setApiKey(e.target.value)} className="mt-1 w-full rounded-xl border p-2" placeholder={t("settings.apiKeyPlaceholder")}/>
         </label>
         <div className="flex items-center gap-2">
-          <button onClick={()=>onChange({ apiKey, name })} className="rounded-xl border px-4 py-2 hover:bg-gray-50">Save</button>
+          <button onClick={()=>onChange({ ...settings, apiKey, aiBaseUrl, aiModel, name, timedTests, teacherMode })} className="rounded-xl border px-4 py-2 hover:bg-gray-50">{t("common.save")}</button>
+          <button onClick={testConnection} disabled={check?.busy} className="rounded-xl border px-4 py-2 hover:bg-gray-50 disabled:opacity-50">{check?.busy ? t("settings.testing") : t("settings.test")}</button>
         </div>
+        <div role="status" className={`text-sm ${check?.ok ? "text-green-700" : "text-red-700"}`}>{check && !check.busy && check.message}</div>
       </div>
+      <ContentPacks
+        packs={packs}
+        activeId={settings.packId || DEFAULT_PACK_ID}
+        onSelect={(packId)=>onChange({ ...settings, packId })}
+        onImport={onImportPack}
+        onRemove={onRemovePack}
+      />
+      <ProgressTransfer progress={progress} name={settings.name || profileName} onImport={onImportProgress} />
     </div>
   );
 }
 
-function ChatDock({ open, onToggle, context, settings }) {
-  const [messages, setMessages] = useState([{ role:"system", content:"Hi! Ask me about this lesson or test. I’ll guide you." }]);
+function ChatDock({ open, onToggle, context, settings, threadKey, threadLabel, threads, onThreadsChange, index, here, onOpenLesson }) {
+  const t = useT();
+  const locale = useLocale();
   const [input, setInput] = useState("");
+  const [pending, setPending] = useState(null); // { key, text } while a reply is arriving
+  const abortRef = useRef(null);
   const boxRef = useRef(null);
-  useEffect(()=>{ if (boxRef.current) boxRef.current.scrollTop = boxRef.current.scrollHeight; }, [messages, open]);
+  const thread = activeThread(threads, threadKey);
+  const saved = listThreads(threads, threadKey).filter(th => th.messages.length > 0 || th.id === thread.id);
+  const streaming = pending?.key === threadKey ? pending.text : null;
+  useEffect(()=>{ if (boxRef.current) boxRef.current.scrollTop = boxRef.current.scrollHeight; }, [thread.messages, streaming, open]);
+
   const send = async () => {
-    if (!input.trim()) return;
     const question = input.trim();
-    setMessages(m => [...m, { role:"user", content: question }]);
+    if (!question || pending) return;
+    const key = threadKey;
+    const history = [...thread.messages, { role: "user", content: question }];
+    onThreadsChange(s => appendMessage(s, key, { role: "user", content: question }));
     setInput("");
-    const reply = await assistantReply({ apiKey: settings.apiKey, context, question });
-    setMessages(m => [...m, { role:"assistant", content: reply }]);
+    setPending({ key, text: "" });
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const reply = await assistantReply({
+      provider: providerFrom(settings), context, history, index, here, locale, signal: controller.signal,
+      onDelta: (d) => setPending(p => (p ? { ...p, text: p.text + d } : p)),
+    });
+    abortRef.current = null;
+    onThreadsChange(s => appendMessage(s, key, { role: "assistant", ...reply }));
+    setPending(null);
+    // Streamed text isn't live (it would be read word by word); the finished reply is read once.
+    announce(reply.content);
+  };
+  const toggleRef = useRef(null);
+  const onKeyDown = (e) => {
+    if (e.key !== "Escape") return;
+    onToggle();
+    toggleRef.current?.focus();
   };
+
   return (
     <div className={`fixed right-4 bottom-4 z-30 ${open?"":""}`}>
       {open && (
-        <div className="w-[360px] h-[460px] rounded-2xl border bg-white shadow-xl flex flex-col">
-          <div className="p-3 border-b flex items-center gap-2"><MessageSquare className="w-4 h-4"/> Tutor</div>
-          <div ref={boxRef} className="flex-1 overflow-auto p-3 space-y-2">
-            {messages.map((m,i)=> (
-              <div key={i} className={`rounded-xl p-2 ${m.role==='user'?"bg-black text-white ml-10":"bg-gray-100 mr-10"}`}>{m.content}</div>
+        <section id="tutor-panel" aria-labelledby="tutor-title" onKeyDown={onKeyDown} className="w-[360px] h-[460px] rounded-2xl border bg-white shadow-xl flex flex-col">
+          <div className="p-3 border-b flex items-center gap-2">
+            <MessageSquare className="w-4 h-4" aria-hidden="true"/>
+            <h2 id="tutor-title" className="font-medium">{t("tutor.title")}</h2>
+            <span className="text-xs text-gray-500 truncate flex-1" title={threadLabel}>{threadLabel}</span>
+            {saved.length > 1 && (
+              <select value={thread.id} onChange={e=>onThreadsChange(s => selectThread(s, threadKey, e.target.value))} className="text-xs rounded border px-1 py-0.5" title={t("tutor.earlier")}>
+                {saved.map((th, i) => <option key={th.id} value={th.id}>{t("tutor.thread", { n: i + 1, date: new Date(th.createdAt).toLocaleDateString(locale) })}</option>)}
+              </select>
+            )}
+            <button onClick={()=>onThreadsChange(s => startThread(s, threadKey))} disabled={!!pending} className="p-1 rounded hover:bg-gray-100 disabled:opacity-40" title={t("tutor.newThread")}><Plus className="w-4 h-4"/></button>
+            <button onClick={()=>onThreadsChange(s => clearThread(s, threadKey))} disabled={!!pending || thread.messages.length === 0} className="p-1 rounded hover:bg-gray-100 disabled:opacity-40" title={t("tutor.clear")}><Trash2 className="w-4 h-4"/></button>
+          </div>
+          <div ref={boxRef} tabIndex={0} aria-label={t("tutor.log")} aria-busy={!!pending} className="flex-1 overflow-auto p-3 space-y-2">
+            <div className="rounded-xl p-2 bg-gray-100 mr-10">{t("tutor.greeting")}</div>
+            {thread.messages.map((m,i)=> (
+              <div key={i} className={`rounded-xl p-2 whitespace-pre-wrap ${m.role==='user'?"bg-black text-white ml-10":"bg-gray-100 mr-10"}`}>
+                {m.content}
+                {m.sources?.length > 0 && (
+                  <div className="mt-2 flex flex-wrap gap-1">
+                    {m.sources.map(src => (
+                      <button key={`${src.sectionId}/${src.lessonId}`} onClick={()=>onOpenLesson(src.sectionId, src.lessonId)} className="rounded-full border bg-white px-2 py-0.5 text-xs hover:bg-gray-50 inline-flex items-center gap-1" title={t("tutor.openLesson")}>
+                        <BookOpen className="w-3 h-3"/>{src.title}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
             ))}
+            {streaming !== null && <div className="rounded-xl p-2 whitespace-pre-wrap bg-gray-100 mr-10">{streaming || <span className="text-gray-500">{t("tutor.thinking")}</span>}</div>}
           </div>
           <div className="p-2 border-t flex gap-2">
-            <input value={input} onChange={e=>setInput(e.target.value)} className="flex-1 rounded-xl border px-3 py-2" placeholder="Ask for a hint…"/>
-            <button onClick={send} className="rounded-xl border px-3 py-2 hover:bg-gray-50">Send</button>
+            <input id="tutor-input" value={input} onChange={e=>setInput(e.target.value)} onKeyDown={e=>{ if (e.key === "Enter") send(); }} aria-label={t("tutor.input")} className="flex-1 rounded-xl border px-3 py-2" placeholder={t("tutor.placeholder")}/>
+            {pending
+              ? <button onClick={()=>abortRef.current?.abort()} className="rounded-xl border px-3 py-2 hover:bg-gray-50">{t("tutor.stop")}</button>
+              : <button onClick={send} className="rounded-xl border px-3 py-2 hover:bg-gray-50">{t("tutor.send")}</button>}
           </div>
-        </div>
+        </section>
       )}
-      <button onClick={onToggle} className="mt-2 w-[360px] rounded-2xl border bg-white px-4 py-2 shadow inline-flex items-center gap-2"><MessageSquare className="w-4 h-4"/>{open?"Hide Tutor":"Ask the Tutor"}</button>
+      <button id="tutor-toggle" ref={toggleRef} onClick={onToggle} aria-expanded={open} aria-controls="tutor-panel" className="mt-2 w-[360px] rounded-2xl border bg-white px-4 py-2 shadow inline-flex items-center gap-2"><MessageSquare className="w-4 h-4" aria-hidden="true"/>{t(open ? "tutor.hide" : "tutor.show")}</button>
     </div>
   );
 }
 
 // ----------------------------- Root App -----------------------------
+/** Learner profiles around the course: the open profile's course app, or the profile picker. */
 export default function IbEconTutor() {
-  const [progress, setProgress] = useState(loadLS(LS_KEY, defaultProgress));
-  const [settings, setSettings] = useState(loadLS(LS_SETTINGS_KEY, { apiKey: "", name: "" }));
+  const [boot] = useState(() => loadProfiles(PROFILE_DATA_KEYS, LS_SETTINGS_KEY));
+  const [store, setStore] = useState(boot.store);
+  const [profileIssue, setProfileIssue] = useState(boot.issue);
+  // A PIN-protected profile asks for its PIN again after a reload.
+  const [unlocked, setUnlocked] = useState(() => !boot.store.profiles.find(p => p.id === boot.store.activeId)?.pinHash);
+  useEffect(()=> { saveLS(LS_PROFILES_KEY, store); }, [store]);
 
-  const [view, setView] = useState({ mode: "home" /* home|section|test|exam|dashboard|settings */, sectionIndex: 0, lessonIndex: 0 });
+  const active = unlocked ? store.profiles.find(p => p.id === store.activeId) : null;
+  const open = (id) => {
+    // Routes (an attempt under review, a test) belong to whoever was here before, whether the
+    // switch came from the picker or the header menu: start the next student at home.
+    window.history.replaceState(window.history.state, "", routeHref({ name: "home" }));
+    setStore(s => selectProfile(s, id));
+    setUnlocked(true);
+    setProfileIssue(null);
+  };
+  const create = async (name, pin) => {
+    const { store: next, profile } = createProfile(store, name);
+    setStore(pin ? setProfilePin(next, profile.id, await hashPin(profile.id, pin)) : next);
+    open(profile.id);
+  };
+  const profiles = {
+    list: store.profiles, active, onSwitch: open, onCreate: create,
+    onRename: (name) => setStore(renameProfile(store, active.id, name)),
+    onSetPin: async (pin) => { const hash = pin ? await hashPin(active.id, pin) : null; setStore(s => setProfilePin(s, active.id, hash)); },
+    onDelete: () => { setStore(deleteProfile(store, active.id, PROFILE_DATA_KEYS)); setUnlocked(false); },
+    onLock: () => setUnlocked(false),
+  };
+
+  // Before a profile is open, its language isn't known: use the browser's.
+  if (!active) return <I18nContext.Provider value={detectLocale()}><ProfilePicker profiles={store.profiles} onOpen={open} onCreate={create} /></I18nContext.Provider>;
+  return <CourseApp key={active.id} profiles={profiles} profileIssue={profileIssue} />;
+}
+
+function CourseApp({ profiles, profileIssue }) {
+  const profile = profiles.active;
+  const keyFor = (key) => profileKey(key, profile.id);
+  // Read storage once; anything unreadable is backed up and reported in a banner instead of vanishing.
+  const [boot] = useState(() => {
+    const p = loadProgress(keyFor);
+    const s = loadOrRecover(keyFor(LS_SETTINGS_KEY), { ...defaultSettings, name: profile.name, locale: detectLocale() }, v => ({ ...defaultSettings, ...v }));
+    const u = loadOrRecover(LS_PACKS_KEY, [], v => { if (!Array.isArray(v)) throw new Error("Saved content packs must be a list."); return v; });
+    const t = loadOrRecover(keyFor(LS_THREADS_KEY), {}, validateThreads);
+    return { progress: p.progress, settings: s.value, userPacks: u.value, threads: t.value, issues: [profileIssue, p.issue, s.issue, u.issue, t.issue].filter(Boolean) };
+  });
+  const [progress, setProgress] = useState(boot.progress);
+  const [settings, setSettings] = useState(boot.settings);
+  const [userPacks, setUserPacks] = useState(boot.userPacks);
+  const [threads, setThreads] = useState(boot.threads);
+  const [storageIssues, setStorageIssues] = useState(boot.issues);
+
+  // The URL hash is the source of truth for navigation (see ./routing.js).
+  const [route, navigate] = useHashRoute();
+  // Each new view starts at its heading, for keyboard and screen-reader users (see ./a11y.js).
+  const mainRef = useRef(null);
   const [tutorOpen, setTutorOpen] = useState(true);
+  const [searchOpen, setSearchOpen] = useState(false);
+  const [openPaper, setOpenPaper] = useState(null);
 
-  useEffect(()=> saveLS(LS_KEY, progress), [progress]);
-  useEffect(()=> saveLS(LS_SETTINGS_KEY, settings), [settings]);
+  // The profile never changes while mounted (the root remounts per profile), so its keys are fixed.
+  const [keys] = useState(() => ({ progress: keyFor(LS_PROGRESS_KEY), settings: keyFor(LS_SETTINGS_KEY), threads: keyFor(LS_THREADS_KEY), sessions: keyFor(LS_SESSIONS_KEY) }));
+  useEffect(()=> { saveLS(keys.progress, progress); }, [keys, progress]);
+  useEffect(()=> { saveLS(keys.settings, settings); }, [keys, settings]);
+  useEffect(()=> { saveLS(LS_PACKS_KEY, userPacks); }, [userPacks]);
+  useEffect(()=> { saveLS(keys.threads, threads); }, [keys, threads]);
+
+  const locale = isLocale(settings.locale) ? settings.locale : DEFAULT_LOCALE;
+  useEffect(()=> { document.documentElement.lang = locale; }, [locale]);
+  // Display options are classes on <html> (see index.css), so they reach the tutor dock and dialogs too.
+  useEffect(()=> {
+    const { classList } = document.documentElement;
+    classList.toggle("high-contrast", !!settings.highContrast);
+    classList.toggle("large-text", !!settings.largeText);
+    return () => classList.remove("high-contrast", "large-text");
+  }, [settings.highContrast, settings.largeText]);
+  useViewFocus(mainRef, routeHref(route), translate(locale, "app.title"));
+
+  const packs = useMemo(() => [...BUNDLED_PACKS, ...userPacks], [userPacks]);
+  // Students see the pack in their language; the teacher tools work on the pack as written.
+  const rawPack = findPack(packs, settings.packId);
+  const pack = useMemo(() => localizePack(rawPack, locale), [rawPack, locale]);
+  const curriculum = pack.sections;
+  const view = useMemo(() => resolveRoute(route, curriculum), [route, curriculum]);
+
+  const changeSettings = (next) => {
+    // Section and lesson ids belong to the old pack; start from home after switching.
+    if ((next.packId || DEFAULT_PACK_ID) !== pack.id) navigate({ name: "home" });
+    setSettings(next);
+  };
+  const importPack = (p) => {
+    setUserPacks(list => [...list.filter(x => x.id !== p.id), p]);
+    changeSettings({ ...settings, packId: p.id });
+  };
+  // The studio's working copy goes through the same checks as a loaded file; the studio stays open.
+  const saveStudioPack = (draft) => {
+    if (BUNDLED_PACKS.some(b => b.id === draft.id)) return [{ path: "id", message: t("packs.builtInId", { id: draft.id }) }];
+    const { pack: saved, errors } = acceptPack(draft);
+    if (saved) {
+      setUserPacks(list => [...list.filter(x => x.id !== saved.id), saved]);
+      setSettings(s => ({ ...s, packId: saved.id }));
+    }
+    return errors;
+  };
+  const removePack = (id) => {
+    setUserPacks(list => list.filter(x => x.id !== id));
+    if (settings.packId === id) changeSettings({ ...settings, packId: DEFAULT_PACK_ID });
+  };
 
   const currentSection = curriculum[view.sectionIndex];
   const currentLesson = currentSection?.lessons?.[view.lessonIndex];
@@ -593,128 +1172,228 @@ export default function IbEconTutor() {
     setProgress(p => ({ ...p, lessonsCompleted: { ...p.lessonsCompleted, [key]: true } }));
   };
 
-  const onSectionTestSubmit = ({ percent, feedback }) => {
+  // Every graded paper becomes an attempt record with a review plan built from the questions' syllabus tags;
+  // the student lands on its review screen.
+  const recordAttempt = (graded) => {
+    const attempt = { ...graded, recommendations: buildReviewPlan({ ...graded, sections: curriculum, sectionId: graded.sectionId }) };
+    setProgress(p => ({ ...p, attempts: [...p.attempts, attempt], updatedAt: attempt.at }));
+    navigate({ name: "review", attemptId: attempt.id }, { replace: true });
+    announceMarks(attempt.percent, locale);
+  };
+
+  const onSectionTestSubmit = (graded) => {
+    const sectionId = currentSection.id;
     setProgress(p => ({
       ...p,
       sectionScores: {
         ...p.sectionScores,
-        [currentSection.id]: {
-          attempts: (p.sectionScores[currentSection.id]?.attempts || 0) + 1,
-          best: Math.max(p.sectionScores[currentSection.id]?.best || 0, percent)
+        [sectionId]: {
+          attempts: (p.sectionScores[sectionId]?.attempts || 0) + 1,
+          best: Math.max(p.sectionScores[sectionId]?.best || 0, graded.percent)
         }
       }
     }));
-    setView(v=>({ ...v, mode: "section", }));
-    alert(`Section score: ${percent}%. ${percent>=70?"Pass":"Below 70% (you can retake)"}`);
-    console.log("Feedback:", feedback);
+    recordAttempt({ id: newAttemptId(), kind: "section", sectionId, at: new Date().toISOString(), ...graded });
   };
 
-  const onFinalExamSubmit = ({ percent, perQuestion, recommendations }) => {
+  const onFinalExamSubmit = (graded) => {
     setProgress(p => ({
-      ...p, exam: { attempts: p.exam.attempts + 1, best: Math.max(p.exam.best, percent) }
+      ...p, exam: { attempts: p.exam.attempts + 1, best: Math.max(p.exam.best, graded.percent) }
     }));
-    setView(v=>({ ...v, mode: "dashboard" }));
-    const weakList = recommendations.weakSections.map(w=> `${titleForSectionId(w.sectionId)} (${w.score}%)`).join(", ");
-    alert(`Final exam: ${percent}%. Weak areas: ${weakList || "None"}. Check dashboard for details.`);
-    console.log({ perQuestion, recommendations });
+    recordAttempt({ id: newAttemptId(), kind: "exam", at: new Date().toISOString(), ...graded });
   };
 
+  const openAttempt = (attemptId) => navigate({ name: "review", attemptId });
+  const reviewedAttempt = view.mode === "review" || view.mode === "retry" ? progress.attempts.find(a => a.id === view.attemptId) : null;
+
   const contextForTutor = useMemo(() => {
     if (view.mode === "section") {
-      return `${currentSection.title} → ${currentLesson.title}\nKey points: ${currentLesson.md.substring(0, 800)}…`;
+      return `The student is reading ${currentSection.title} → ${currentLesson.title}.`;
     } else if (view.mode === "test") {
-      return `${currentSection.title} test (5 Qs). Topics: ${currentSection.lessons.map(l=>l.title).join(", ")}.`;
+      return `${currentSection.title} test (${paperSize(currentSection, pack)} Qs). Topics: ${currentSection.lessons.map(l=>l.title).join(", ")}.${stimulusContext(openPaper)}`;
     } else if (view.mode === "exam") {
-      return `Master Final Exam across Foundations, Micro (markets/failure), Macro, Global, Development.`;
+      return `Master Final Exam across ${curriculum.map(s=>s.title).join("; ")}.${stimulusContext(openPaper)}`;
+    } else if (view.mode === "retry" && reviewedAttempt) {
+      const retryIds = new Set((reviewedAttempt.recommendations?.retry || []).map(r => r.id));
+      return `Retry practice.${stimulusContext(reviewedAttempt.questions?.filter(q => retryIds.has(q.id)))}`;
     }
     return `Course overview: ${curriculum.length} sections`;
-  }, [view, currentSection, currentLesson]);
+  }, [view, currentSection, currentLesson, curriculum, pack, openPaper, reviewedAttempt]);
+
+  const glossary = useMemo(() => buildGlossary(pack, locale), [pack, locale]);
+  const courseIndex = useMemo(() => buildIndex(pack, glossary), [pack, glossary]);
+  const searchIndex = useMemo(() => buildSearchIndex(pack, glossary, { exam: translate(locale, "exam.name") }), [pack, glossary, locale]);
+  useEffect(() => {
+    const onKey = (e) => { if (isSearchShortcut(e)) { e.preventDefault(); setSearchOpen(true); } };
+    document.addEventListener("keydown", onKey);
+    return () => document.removeEventListener("keydown", onKey);
+  }, []);
+  const tutorHere = view.mode === "section" ? { sectionId: currentSection.id, lessonId: currentLesson.id } : {};
+  const openLesson = (sectionId, lessonId) => navigate({ name: "lesson", sectionId, lessonId });
+
+  const course = useMemo(() => ({ pack, settings, glossary }), [pack, settings, glossary]);
+  const threadKey = threadKeyFor(view, currentSection, currentLesson);
+  const t = (key, vars) => translate(locale, key, vars);
+  const skipTo = (...ids) => ids.map(id => document.getElementById(id)).find(Boolean)?.focus();
+  const threadLabel = view.mode === "section" ? currentLesson.title
+    : view.mode === "test" ? t("tutor.testThread", { section: currentSection.title })
+    : view.mode === "exam" ? t("exam.name") : t("tutor.general");
 
   return (
-    <div className="min-h-screen bg-gradient-to-b from-white to-gray-50 text-gray-900">
-      <Header
-        onOpenHome={()=>setView({ mode:"home", sectionIndex: 0, lessonIndex: 0 })}
-        onNav={()=>setView(v=>({ ...v, mode: "section" }))}
-        onOpenDashboard={()=>setView(v=>({ ...v, mode: "dashboard" }))}
-        onOpenExam={()=>setView(v=>({ ...v, mode: "exam" }))}
-        onOpenSettings={()=>setView(v=>({ ...v, mode: "settings" }))}
-      />
+    <I18nContext.Provider value={locale}>
+      <CourseContext.Provider value={course}>
+        <div className="min-h-screen bg-gradient-to-b from-white to-gray-50 text-gray-900">
+          {/* Skip links: buttons rather than #anchors, which the hash router would treat as routes. */}
+          <div className="sr-only focus-within:not-sr-only focus-within:fixed focus-within:left-2 focus-within:top-2 focus-within:z-50 focus-within:flex focus-within:gap-2">
+            <button onClick={()=>skipTo("main")} className="rounded-xl border bg-white px-3 py-2 shadow">{t("a11y.skipToContent")}</button>
+            <button onClick={()=>skipTo("sections")} className="rounded-xl border bg-white px-3 py-2 shadow">{t("a11y.skipToSections")}</button>
+            <button onClick={()=>skipTo("tutor-input", "tutor-toggle")} className="rounded-xl border bg-white px-3 py-2 shadow">{t("a11y.skipToTutor")}</button>
+          </div>
+          <Header
+            onOpenHome={()=>navigate({ name: "home" })}
+            onOpenSearch={()=>setSearchOpen(true)}
+            onOpenDashboard={()=>navigate({ name: "dashboard" })}
+            onOpenExam={()=>navigate({ name: "exam" })}
+            onOpenGlossary={()=>navigate({ name: "glossary" })}
+            onOpenSettings={()=>navigate({ name: "settings" })}
+            onOpenStudio={settings.teacherMode ? ()=>navigate({ name: "studio" }) : undefined}
+            onOpenClass={settings.teacherMode ? ()=>navigate({ name: "class" }) : undefined}
+          >
+            {/* Leaving for another profile goes through home, so an exam in progress asks first. */}
+            <ProfileMenu profiles={profiles.list} active={profile}
+              onSwitch={(id)=> navigate({ name: "home" }) && profiles.onSwitch(id)}
+              onCreate={(name, pin)=> (navigate({ name: "home" }) ? profiles.onCreate(name, pin) : undefined)}
+              onRename={profiles.onRename} onSetPin={profiles.onSetPin}
+              onDelete={()=> navigate({ name: "home" }) && profiles.onDelete()}
+              onLock={()=> navigate({ name: "home" }) && profiles.onLock()} />
+          </Header>
+          <AppStatus />
 
-      <div className="mx-auto max-w-6xl grid md:grid-cols-[16rem_1fr]">
-        <Sidebar
-          sections={curriculum}
-          current={view.sectionIndex}
-          onSelect={(i)=>setView({ mode: "section", sectionIndex: i, lessonIndex: 0 })}
-          progress={progress}
-        />
-
-        <main>
-          {view.mode === "home" && (
-            <div className="p-8">
-              <h1 className="text-3xl font-semibold mb-2">Welcome{settings.name?`, ${settings.name}`:""}!</h1>
-              <p className="text-gray-600 mb-6">A focused IB Economics course with short lessons, end-of-section tests, a master exam, and an always-on tutor. Your progress saves automatically.</p>
-              <div className="grid md:grid-cols-2 gap-4">
-                {curriculum.map((s, idx)=> (
-                  <div key={s.id} className="rounded-2xl border bg-white p-5">
-                    <div className="font-semibold mb-1">{s.title}</div>
-                    <div className="text-sm text-gray-600 mb-3">{s.lessons.length} lessons · 1 test</div>
-                    <button onClick={()=>setView({ mode: "section", sectionIndex: idx, lessonIndex: 0 })} className="rounded-xl border px-3 py-2 hover:bg-gray-50 inline-flex items-center gap-2">
-                      Start <ChevronRight className="w-4 h-4"/>
-                    </button>
-                  </div>
-                ))}
-              </div>
-            </div>
-          )}
-
-          {view.mode === "section" && (
-            <>
-              <LessonView
-                section={currentSection}
-                lesson={currentLesson}
-                completed={progress.lessonsCompleted[`${currentSection.id}_${currentLesson.id}`]}
-                onMarkComplete={markLessonComplete}
-              />
-              <SectionNavigator
-                section={currentSection}
-                lessonIndex={view.lessonIndex}
-                onPrev={()=> setView(v=>({ ...v, lessonIndex: Math.max(0, v.lessonIndex-1) }))}
-                onNext={()=> setView(v=>({ ...v, lessonIndex: Math.min(currentSection.lessons.length-1, v.lessonIndex+1) }))}
-                onOpenTest={()=> setView(v=>({ ...v, mode: "test" }))}
-              />
-            </>
-          )}
-
-          {view.mode === "test" && (
-            <SectionTest
-              section={currentSection}
-              settings={settings}
-              onSubmit={onSectionTestSubmit}
-              onCancel={()=> setView(v=>({ ...v, mode: "section" }))}
+          <div className="mx-auto max-w-6xl grid md:grid-cols-[16rem_1fr]">
+            <Sidebar
+              sections={curriculum}
+              current={view.sectionIndex}
+              onSelect={(i)=>navigate({ name: "lesson", sectionId: curriculum[i].id })}
+              progress={progress}
             />
-          )}
 
-          {view.mode === "dashboard" && (
-            <Dashboard sections={curriculum} progress={progress} />
-          )}
+            <main id="main" ref={mainRef} tabIndex={-1}>
+              <StorageIssues issues={storageIssues} onDismiss={()=>setStorageIssues([])} />
+              {view.mode === "home" && (
+                <div className="p-8">
+                  <h1 className="text-3xl font-semibold mb-2">{settings.name ? t("home.welcomeName", { name: settings.name }) : t("home.welcome")}</h1>
+                  <p className="text-gray-600 mb-6">{t("home.intro")}</p>
+                  <div className="grid md:grid-cols-2 gap-4">
+                    {curriculum.map((s)=> (
+                      <div key={s.id} className="rounded-2xl border bg-white p-5">
+                        <div className="font-semibold mb-1">{s.title}</div>
+                        <div className="text-sm text-gray-600 mb-3">{t("section.summary", { n: s.lessons.length })}</div>
+                        <a href={routeHref({ name: "lesson", sectionId: s.id })} className="rounded-xl border px-3 py-2 hover:bg-gray-50 inline-flex items-center gap-2">
+                          {t("home.start")} <ChevronRight className="w-4 h-4"/>
+                        </a>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
 
-          {view.mode === "exam" && (
-            <FinalExam settings={settings} onSubmit={onFinalExamSubmit} />
-          )}
+              {view.mode === "section" && (
+                <>
+                  <LessonView
+                    section={currentSection}
+                    lesson={currentLesson}
+                    completed={progress.lessonsCompleted[`${currentSection.id}_${currentLesson.id}`]}
+                    onMarkComplete={markLessonComplete}
+                  />
+                  <SectionNavigator
+                    section={currentSection}
+                    lessonIndex={view.lessonIndex}
+                    onPrev={()=> navigate({ name: "lesson", sectionId: currentSection.id, lessonId: currentSection.lessons[Math.max(0, view.lessonIndex-1)].id })}
+                    onNext={()=> navigate({ name: "lesson", sectionId: currentSection.id, lessonId: currentSection.lessons[Math.min(currentSection.lessons.length-1, view.lessonIndex+1)].id })}
+                    onOpenTest={()=> navigate({ name: "test", sectionId: currentSection.id })}
+                  />
+                </>
+              )}
 
-          {view.mode === "settings" && (
-            <Settings settings={settings} onChange={(s)=> setSettings(s)} />
-          )}
-        </main>
-      </div>
+              {view.mode === "test" && (
+                <SectionTest
+                  key={currentSection.id}
+                  section={currentSection}
+                  pack={pack}
+                  attempts={progress.attempts}
+                  settings={settings}
+                  sessionStore={keys.sessions}
+                  onSubmit={onSectionTestSubmit}
+                  onCancel={()=> navigate({ name: "lesson", sectionId: currentSection.id })}
+                  onPaper={setOpenPaper}
+                />
+              )}
 
-      <ChatDock open={tutorOpen} onToggle={()=>setTutorOpen(o=>!o)} context={contextForTutor} settings={settings} />
+              {view.mode === "dashboard" && (
+                <Dashboard sections={curriculum} progress={progress} onOpenAttempt={openAttempt} />
+              )}
 
-      <footer className="mx-auto max-w-6xl px-4 py-10 text-sm text-gray-500">
-        <div className="flex items-center gap-2"><Award className="w-4 h-4"/> Tests require 70% to pass · Retake anytime for fresh feedback</div>
-      </footer>
-    </div>
+              {view.mode === "review" && (
+                <AttemptReview
+                  attempt={reviewedAttempt}
+                  sections={curriculum}
+                  onBack={()=> navigate({ name: "dashboard" })}
+                  onRetake={(a)=> navigate(a.kind === "exam" ? { name: "exam" } : { name: "test", sectionId: a.sectionId })}
+                  onRetry={(a)=> navigate({ name: "retry", attemptId: a.id })}
+                />
+              )}
+
+              {view.mode === "retry" && (
+                <RetryPractice key={view.attemptId} attempt={reviewedAttempt} sections={curriculum} settings={settings} onBack={()=> navigate({ name: "review", attemptId: view.attemptId })} />
+              )}
+
+              {view.mode === "notFound" && (
+                <div className="p-8">
+                  <h2 className="text-xl font-semibold mb-2">{t("notFound.title")}</h2>
+                  <p className="text-gray-600 mb-4">{t("notFound.text", { message: t(view.reason.key, view.reason.vars) })}</p>
+                  <a href={routeHref({ name: "home" })} className="rounded-xl border px-4 py-2 hover:bg-gray-50 inline-flex items-center gap-2"><Home className="w-4 h-4"/> {t("notFound.home")}</a>
+                </div>
+              )}
+
+              {view.mode === "exam" && (
+                <FinalExam key={pack.id} exam={pack.finalExam} packId={pack.id} settings={settings} sessionStore={keys.sessions} onSubmit={onFinalExamSubmit} onExit={()=>navigate({ name: "dashboard" })} onPaper={setOpenPaper} />
+              )}
+
+              {view.mode === "practice" && (
+                <PracticeQuestion id={view.questionId} onOpenLesson={openLesson} />
+              )}
+
+              {view.mode === "glossary" && (
+                <GlossaryView glossary={glossary} termId={view.termId} onOpenLesson={openLesson} />
+              )}
+
+              {view.mode === "settings" && (
+                <Settings settings={settings} onChange={changeSettings} packs={packs} onImportPack={importPack} onRemovePack={removePack}
+                  progress={progress} onImportProgress={(imported)=> setProgress(p => mergeProgress(p, imported))} profileName={profile.name} />
+              )}
+
+              {view.mode === "class" && (
+                <ClassDashboard pack={pack} onBack={()=>navigate({ name: "dashboard" })} />
+              )}
+
+              {view.mode === "studio" && (
+                <Studio activePack={rawPack} bundledIds={BUNDLED_PACKS.map(b => b.id)} Markdown={Markdown} onBack={()=>navigate({ name: "home" })} onSave={saveStudioPack} />
+              )}
+            </main>
+          </div>
+
+          <ChatDock open={tutorOpen} onToggle={()=>setTutorOpen(o=>!o)} context={contextForTutor} settings={settings}
+            threadKey={threadKey} threadLabel={threadLabel} threads={threads} onThreadsChange={setThreads}
+            index={courseIndex} here={tutorHere} onOpenLesson={openLesson} />
+
+          {searchOpen && <SearchPalette index={searchIndex} onClose={()=>setSearchOpen(false)} onOpen={(target)=>{ setSearchOpen(false); navigate(target); }} />}
+
+          <LiveRegion />
+          <footer className="mx-auto max-w-6xl px-4 py-10 text-sm text-gray-500">
+            <div className="flex items-center gap-2"><Award className="w-4 h-4"/> {t("footer.pass", { pass: PASS_MARK })}</div>
+          </footer>
+        </div>
+      </CourseContext.Provider>
+    </I18nContext.Provider>
   );
 }
-
-function titleForSectionId(id){ return (curriculum.find(s=>s.id===id)?.title) || id; }
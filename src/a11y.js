@@ -0,0 +1,57 @@
+import { useEffect, useRef, useState } from "react";
+
+/**
+ * SCREEN-READER SUPPORT
+ * Two things a sighted student gets for free and a screen-reader user does not:
+ *
+ * - Knowing the view changed. `useViewFocus` moves focus to the new view's heading (the element
+ *   marked `data-view-heading`, else the first h1/h2) and puts it in the document title.
+ * - Hearing results that appear elsewhere on the page. `announce(text)` speaks a message through
+ *   the app's one polite live region (<LiveRegion/> in ./components/ui.jsx): marks after a paper
+ *   is graded, the time warnings of a timed paper.
+ *
+ * Results shown beside the control that produced them use their own `role="status"` instead.
+ */
+
+const listeners = new Set();
+
+/** Speak `text` through the live region, if one is mounted. */
+export function announce(text) {
+  listeners.forEach(fn => fn(text));
+}
+
+/** The latest announcement; `n` changes on every call so a repeated message is spoken again. */
+export function useAnnouncement() {
+  const [message, setMessage] = useState({ text: "", n: 0 });
+  useEffect(() => {
+    const fn = (text) => setMessage(m => ({ text, n: m.n + 1 }));
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }, []);
+  return message;
+}
+
+/** The element a view starts at. */
+export function viewHeading(root) {
+  return root?.querySelector("[data-view-heading]") || root?.querySelector("h1, h2") || null;
+}
+
+/**
+ * When `key` changes, focus the heading inside `ref`; with `appTitle`, also name the document
+ * after it. The first render doesn't move focus: a page load shouldn't start anywhere but the top.
+ * @param {{ current: HTMLElement|null }} ref
+ * @param {string} key identifies the view, e.g. its route
+ * @param {string} [appTitle]
+ */
+export function useViewFocus(ref, key, appTitle) {
+  const shown = useRef(key);
+  useEffect(() => {
+    const heading = viewHeading(ref.current);
+    if (appTitle) document.title = heading?.textContent ? `${heading.textContent} · ${appTitle}` : appTitle;
+    if (shown.current === key) return;
+    shown.current = key;
+    if (!heading) return;
+    if (!heading.hasAttribute("tabindex")) heading.setAttribute("tabindex", "-1");
+    heading.focus({ preventScroll: true });
+  }, [ref, key, appTitle]);
+}
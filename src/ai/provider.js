@@ -0,0 +1,174 @@
+/**
+ * LLM PROVIDER
+ * One client for any OpenAI-compatible chat completions endpoint: api.openai.com, a hosted
+ * gateway, or a self-hosted server on the school network (Ollama, llama.cpp, vLLM, LM Studio…).
+ *
+ * Replies can be streamed (server-sent events). Requests time out, are retried with backoff
+ * on network errors, 408/429 and 5xx, and non-2xx responses raise a ProviderError carrying
+ * the server's own error message instead of being read as if they were completions.
+ */
+
+/** @typedef {{ baseUrl:string, model:string, apiKey:string }} Provider */
+/** @typedef {{ role:"system"|"user"|"assistant", content:string }} ChatMessage */
+
+export const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+export const DEFAULT_MODEL = "gpt-4o-mini";
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_RETRIES = 2;
+
+export class ProviderError extends Error {
+  /** @param {string} message @param {{ status?:number, body?:string, retryable?:boolean, aborted?:boolean }} [info] */
+  constructor(message, { status = 0, body = "", retryable = false, aborted = false } = {}) {
+    super(message);
+    this.name = "ProviderError";
+    this.status = status;
+    this.body = body;
+    this.retryable = retryable;
+    this.aborted = aborted;
+  }
+}
+
+/** Provider settings from the app's Settings object, with defaults filled in. */
+export function providerFrom(settings) {
+  return {
+    baseUrl: (settings?.aiBaseUrl || DEFAULT_BASE_URL).trim().replace(/\/+$/, ""),
+    model: (settings?.aiModel || DEFAULT_MODEL).trim(),
+    apiKey: (settings?.apiKey || "").trim(),
+  };
+}
+
+/** A key is required for the default endpoint; a custom (e.g. local) endpoint may not need one. */
+export function isConfigured(provider) {
+  return !!provider && (provider.apiKey !== "" || (provider.baseUrl !== DEFAULT_BASE_URL && provider.baseUrl !== ""));
+}
+
+/** A server on this machine (e.g. Ollama on localhost), which answers even without a network connection. */
+export function isLocal(provider) {
+  try {
+    return /^(localhost|127(\.\d+){3}|\[::1\])$/.test(new URL(provider.baseUrl).hostname);
+  } catch {
+    return false;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/** Pull a readable message out of an error response body (OpenAI style, plain string, or text). */
+function errorMessage(status, body) {
+  let detail = body.trim();
+  try {
+    const json = JSON.parse(body);
+    detail = json?.error?.message || (typeof json?.error === "string" ? json.error : "") || json?.message || json?.detail || detail;
+  } catch { /* not JSON: use the text as is */ }
+  const hint = status === 401 ? " Check the API key in Settings." : status === 404 ? " Check the base URL and model name in Settings." : "";
+  return `AI service error ${status}${detail ? `: ${String(detail).slice(0, 300)}` : ""}.${hint}`;
+}
+
+/** Read an SSE stream of chat completion chunks, calling `onDelta` with each piece of text. */
+async function readStream(res, onDelta, alive) {
+  if (!res.body || !/event-stream/.test(res.headers.get("content-type") || "")) {
+    // The server ignored `stream: true`; treat it as a normal completion.
+    const content = contentOf(await res.text());
+    onDelta(content);
+    return content;
+  }
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "", text = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    alive();
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    for (const line of lines) {
+      const data = line.match(/^data:\s*(.*)$/)?.[1];
+      if (!data) continue;
+      if (data === "[DONE]") return text;
+      let chunk;
+      try { chunk = JSON.parse(data); } catch { continue; }
+      if (chunk?.error) throw new ProviderError(errorMessage(res.status, data), { status: res.status, body: data });
+      const delta = chunk?.choices?.[0]?.delta?.content;
+      if (delta) { text += delta; onDelta(delta); }
+    }
+  }
+  return text;
+}
+
+function contentOf(body) {
+  let data;
+  try { data = JSON.parse(body); } catch { throw new ProviderError("The AI service sent a reply that is not JSON.", { body }); }
+  const content = data?.choices?.[0]?.message?.content;
+  if (typeof content !== "string") throw new ProviderError("The AI service reply has no message content.", { body });
+  return content;
+}
+
+/** One HTTP round trip. The timeout restarts whenever streamed data arrives; `signal` lets the caller stop. */
+async function send(url, headers, payload, { timeoutMs, signal, onDelta }) {
+  const controller = new AbortController();
+  let timer;
+  const alive = () => { clearTimeout(timer); timer = setTimeout(() => controller.abort(), timeoutMs); };
+  const stop = () => controller.abort();
+  signal?.addEventListener("abort", stop);
+  alive();
+  try {
+    const res = await fetch(url, { method: "POST", headers, body: JSON.stringify(payload), signal: controller.signal });
+    if (!res.ok) {
+      const body = await res.text();
+      const retryAfter = Number(res.headers.get("retry-after")) || 0;
+      throw Object.assign(new ProviderError(errorMessage(res.status, body), { status: res.status, body, retryable: res.status === 408 || res.status === 429 || res.status >= 500 }), { retryAfter });
+    }
+    return onDelta ? await readStream(res, onDelta, alive) : contentOf(await res.text());
+  } catch (e) {
+    if (e instanceof ProviderError) throw e;
+    if (e.name === "AbortError") {
+      if (signal?.aborted) throw new ProviderError("Stopped.", { aborted: true });
+      throw new ProviderError(`The AI service did not answer within ${Math.round(timeoutMs / 1000)} s.`, { retryable: true });
+    }
+    throw new ProviderError(`Could not reach the AI service (${e.message}).`, { retryable: true });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", stop);
+  }
+}
+
+/**
+ * Send a chat completion and return the assistant's text. With `onDelta` the reply is streamed
+ * and each new piece of text is passed to it as it arrives.
+ * @param {Provider} provider
+ * @param {{ messages:ChatMessage[], temperature?:number, maxTokens?:number, json?:boolean, timeoutMs?:number, retries?:number, signal?:AbortSignal, onDelta?:(text:string)=>void }} request
+ * @returns {Promise<string>} throws ProviderError
+ */
+export async function chatCompletion(provider, { messages, temperature = 0.3, maxTokens, json = false, timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES, signal, onDelta }) {
+  const headers = { "Content-Type": "application/json" };
+  if (provider.apiKey) headers.Authorization = `Bearer ${provider.apiKey}`;
+  const payload = { model: provider.model, messages, temperature };
+  if (maxTokens) payload.max_tokens = maxTokens;
+  if (json) payload.response_format = { type: "json_object" };
+  if (onDelta) payload.stream = true;
+  const url = `${provider.baseUrl}/chat/completions`;
+
+  let received = false;
+  const track = onDelta && ((text) => { received = true; onDelta(text); });
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await send(url, headers, payload, { timeoutMs, signal, onDelta: track });
+    } catch (e) {
+      // Some OpenAI-compatible servers reject `response_format`; the prompt still asks for JSON.
+      if (e.status === 400 && payload.response_format && /response_format|json/i.test(e.body)) { delete payload.response_format; continue; }
+      // A half-streamed reply can't be retried without repeating text the student has already seen.
+      if (!e.retryable || received || attempt >= retries) throw e;
+      await sleep(e.retryAfter ? e.retryAfter * 1000 : 500 * 2 ** attempt);
+    }
+  }
+}
+
+/** Parse a JSON object from model output, tolerating ```json fences or surrounding prose. */
+export function parseJsonReply(text) {
+  const unfenced = text.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, "");
+  try { return JSON.parse(unfenced); } catch { /* fall through */ }
+  const start = unfenced.indexOf("{"), end = unfenced.lastIndexOf("}");
+  if (start < 0 || end <= start) return null;
+  try { return JSON.parse(unfenced.slice(start, end + 1)); } catch { return null; }
+}
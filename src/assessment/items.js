@@ -0,0 +1,109 @@
+import { DEFAULT_LOCALE, translate } from "../i18n";
+
+/**
+ * INTERACTIVE ITEMS
+ * Question types answered by arranging rather than writing, all marked automatically with
+ * partial credit (the share of parts right, times `maxScore`, to the nearest half mark):
+ *
+ *   match     { pairs: [{ left, right }], distractors?: string[] }
+ *             answer { [pairIndex]: choiceIndex } into the paper's shuffled `choices`
+ *   order     { items: string[] }  (listed in the correct order)
+ *             answer [itemIndex, …] top to bottom; credit goes to the longest run of items already
+ *             in the right relative order, so one item out of place costs little. The shown
+ *             (shuffled) order is not an answer until the student moves an item or keeps it
+ *             explicitly: left alone, the item scores nothing
+ *   classify  { categories: string[], items: [{ text, category }] }  (`category` indexes `categories`)
+ *             answer { [itemIndex]: categoryIndex }
+ *   cloze     { text: "Demand is [[elastic|price elastic]] when…", wordBank?: string[] }
+ *             each [[…]] is a blank with its accepted answers; answer { [blankIndex]: text }
+ *
+ * Papers present the parts in random order (see ./paper.js); answers always refer back to the
+ * pack's own indexes.
+ */
+
+/** @typedef {{ label:string, given:string|null, expected:string, correct:boolean }} ItemPart */
+
+export const ITEM_TYPES = ["match", "order", "classify", "cloze"];
+
+const CLOZE_RE = /\[\[([^\]]+)\]\]/g;
+
+/** Split cloze text into text runs and blanks: `[{ text }, { blank: 0, answers: [...] }, …]`. */
+export function clozeParts(text) {
+  const parts = [];
+  let last = 0, blank = 0;
+  for (const m of text.matchAll(CLOZE_RE)) {
+    if (m.index > last) parts.push({ text: text.slice(last, m.index) });
+    parts.push({ blank: blank++, answers: m[1].split("|").map(a => a.trim()).filter(Boolean) });
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) parts.push({ text: text.slice(last) });
+  return parts;
+}
+
+export const clozeBlanks = (text) => clozeParts(text).filter(p => p.blank !== undefined);
+
+const norm = (s) => String(s ?? "").toLowerCase().replace(/[’']/g, "'").replace(/\s+/g, " ").trim().replace(/[.,;:!?]+$/, "");
+
+/** The shown order of an ordering item before the student moves anything. */
+export const startOrder = (q) => q.startOrder || q.items.map((_, i) => i);
+
+/** Whether `answer` is a complete ordering of the item's parts (anything else is not answered). */
+export const isOrder = (q, answer) => Array.isArray(answer) && answer.length === q.items.length && new Set(answer).size === answer.length
+  && answer.every(i => Number.isInteger(i) && i >= 0 && i < q.items.length);
+
+/** Items of the longest subsequence of `seq` that is in increasing (i.e. correct) order. */
+function inSequence(seq) {
+  const best = seq.map(() => 1), prev = seq.map(() => -1);
+  for (let i = 0; i < seq.length; i++) {
+    for (let j = 0; j < i; j++) if (seq[j] < seq[i] && best[j] + 1 > best[i]) { best[i] = best[j] + 1; prev[i] = j; }
+  }
+  const kept = new Set();
+  for (let i = best.indexOf(Math.max(...best)); i >= 0; i = prev[i]) kept.add(seq[i]);
+  return kept;
+}
+
+/** @returns {ItemPart[]} */
+function partsOf(q, answer, t) {
+  const position = (i) => t("items.position", { n: i + 1 });
+  switch (q.type) {
+    case "match":
+      return q.pairs.map((p, i) => {
+        const given = answer?.[i] === undefined ? null : q.choices?.[answer[i]] ?? null;
+        return { label: p.left, given, expected: p.right, correct: given === p.right };
+      });
+    case "order": {
+      if (!isOrder(q, answer)) return q.items.map((item, i) => ({ label: item, given: null, expected: position(i), correct: false }));
+      const seq = answer;
+      const kept = inSequence(seq);
+      return seq.map((item, pos) => ({ label: q.items[item], given: position(pos), expected: position(item), correct: kept.has(item) }));
+    }
+    case "classify":
+      return q.items.map((item, i) => {
+        const given = answer?.[i] === undefined ? null : q.categories[answer[i]] ?? null;
+        return { label: item.text, given, expected: q.categories[item.category], correct: answer?.[i] === item.category };
+      });
+    case "cloze":
+      return clozeBlanks(q.text).map(b => {
+        const given = answer?.[b.blank]?.trim() ? answer[b.blank] : null;
+        return { label: t("items.blank", { n: b.blank + 1 }), given, expected: b.answers[0], correct: given !== null && b.answers.some(a => norm(a) === norm(given)) };
+      });
+    default:
+      return [];
+  }
+}
+
+/**
+ * Mark an interactive item.
+ * @param {import("../i18n").Locale} [locale] the language of the feedback and part labels
+ * @returns {{ score:number, max:number, correct:boolean, feedback:string, parts:ItemPart[] }}
+ */
+export function markItem(q, answer, locale = DEFAULT_LOCALE) {
+  const t = (key, vars) => translate(locale, key, vars);
+  const parts = partsOf(q, answer, t);
+  const right = parts.filter(p => p.correct).length;
+  // For an ordering a single item is always "in sequence", so credit starts from the second.
+  const share = q.type === "order" ? Math.max(0, right - 1) / (parts.length - 1) : right / parts.length;
+  const score = parts.length ? Math.round(share * q.maxScore * 2) / 2 : 0;
+  const feedback = right === parts.length ? t("markItem.allCorrect") : t(`markItem.${q.type}`, { right, total: parts.length });
+  return { score, max: q.maxScore, correct: right === parts.length, feedback, parts };
+}
@@ -0,0 +1,204 @@
+import { DEFAULT_LOCALE, translate } from "../i18n";
+
+/**
+ * NUMERIC QUESTIONS
+ * Calculation items (PED, tax incidence, multiplier, terms of trade, Gini…) written as templates:
+ *
+ *   { type: "numeric", prompt: "Price rises from ${{p1}} to ${{p2}}…",
+ *     params: { p1: { min: 4, max: 10, step: 1 }, dp: { choices: [1, 2] }, p2: { expr: "p1 + dp" } },
+ *     answer: "(q2 - q1) / q1 / ((p2 - p1) / p1)", decimals: 2,
+ *     tolerance: { abs: 0.02 } | { rel: 0.01 }, units: ["%", "percent"],
+ *     steps: [{ label: "% change in quantity demanded", expr: "(q2 - q1) / q1 * 100", marks: 1 }],
+ *     maxScore: 3 }
+ *
+ * Each attempt draws fresh parameter values (ranges, choices, or expressions of earlier
+ * parameters) and fills `{{name}}` placeholders. Marking: a correct final answer in the right
+ * units earns full marks, the right value in the wrong units one mark less; otherwise each
+ * correct working step earns its marks, up to one less than full. Steps are checked to 1% unless
+ * they set their own `tolerance`, since they are often on a different scale from the answer.
+ *
+ * Expressions support + - * / ^, parentheses, and abs, min, max, sqrt, round(x, digits).
+ */
+
+/** @typedef {{ min:number, max:number, step?:number }|{ choices:number[] }|{ expr:string }} ParamSpec */
+/** @typedef {{ label:string, expr:string, marks?:number, tolerance?:{ abs?:number, rel?:number }, value?:number }} Step */
+/** @typedef {{ value?:string, unit?:string, steps?:Record<number, string> }} NumericAnswer */
+
+export class ExpressionError extends Error {
+  constructor(message) { super(message); this.name = "ExpressionError"; }
+}
+
+// ----------------------------- Expressions -----------------------------
+const FUNCTIONS = {
+  abs: Math.abs, min: Math.min, max: Math.max, sqrt: Math.sqrt,
+  round: (x, d = 0) => Math.round(x * 10 ** d) / 10 ** d,
+};
+
+function lex(src) {
+  const tokens = [];
+  const re = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_]\w*)|(\S))/y;
+  let m;
+  while (re.lastIndex < src.length && (m = re.exec(src))) {
+    if (m[1] !== undefined) tokens.push({ t: "num", v: parseFloat(m[1]) });
+    else if (m[2] !== undefined) tokens.push({ t: "id", v: m[2] });
+    else if (m[3] !== undefined) {
+      if (!"+-*/^(),".includes(m[3])) throw new ExpressionError(`Unexpected "${m[3]}" in "${src}".`);
+      tokens.push({ t: m[3] });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Evaluate an arithmetic expression with the given variables. Throws ExpressionError.
+ * @param {string} src
+ * @param {Record<string, number>} vars
+ */
+export function evaluate(src, vars = {}) {
+  const tokens = lex(String(src));
+  let i = 0;
+  const peek = () => tokens[i]?.t;
+  const expect = (t) => { if (peek() !== t) throw new ExpressionError(`Expected "${t}" in "${src}".`); i++; };
+
+  const primary = () => {
+    const tok = tokens[i++];
+    if (!tok) throw new ExpressionError(`Unexpected end of "${src}".`);
+    if (tok.t === "num") return tok.v;
+    if (tok.t === "(") { const v = sum(); expect(")"); return v; }
+    if (tok.t === "-") return -power();
+    if (tok.t === "+") return power();
+    if (tok.t === "id") {
+      if (peek() === "(") {
+        const fn = FUNCTIONS[tok.v];
+        if (!fn) throw new ExpressionError(`Unknown function "${tok.v}".`);
+        i++;
+        const args = [];
+        if (peek() !== ")") { args.push(sum()); while (peek() === ",") { i++; args.push(sum()); } }
+        expect(")");
+        return fn(...args);
+      }
+      if (!(tok.v in vars)) throw new ExpressionError(`Unknown parameter "${tok.v}".`);
+      return vars[tok.v];
+    }
+    throw new ExpressionError(`Unexpected "${tok.t}" in "${src}".`);
+  };
+  const power = () => { const base = primary(); if (peek() === "^") { i++; return base ** power(); } return base; };
+  const product = () => {
+    let v = power();
+    while (peek() === "*" || peek() === "/") v = tokens[i++].t === "*" ? v * power() : v / power();
+    return v;
+  };
+  const sum = () => {
+    let v = product();
+    while (peek() === "+" || peek() === "-") v = tokens[i++].t === "+" ? v + product() : v - product();
+    return v;
+  };
+
+  const value = sum();
+  if (i < tokens.length) throw new ExpressionError(`Unexpected "${tokens[i].t === "num" ? tokens[i].v : tokens[i].t}" in "${src}".`);
+  return value;
+}
+
+// ----------------------------- Instances -----------------------------
+/** Draw one value per parameter, in the order they are declared. */
+export function drawParams(params, rng = Math.random) {
+  const values = {};
+  for (const [name, spec] of Object.entries(params || {})) {
+    if (spec.expr !== undefined) values[name] = evaluate(spec.expr, values);
+    else if (spec.choices) values[name] = spec.choices[Math.floor(rng() * spec.choices.length)];
+    else {
+      const step = spec.step || 1;
+      const count = Math.floor((spec.max - spec.min) / step) + 1;
+      values[name] = +(spec.min + step * Math.floor(rng() * count)).toFixed(6);
+    }
+  }
+  return values;
+}
+
+/** Up to `decimals` places, without trailing zeros. */
+export function formatNumber(n, decimals = 4) {
+  if (!Number.isFinite(n)) return String(n);
+  return String(+n.toFixed(decimals));
+}
+
+function fillPlaceholders(text, values) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (m, name) => (name in values ? formatNumber(values[name]) : m));
+}
+
+/** A numeric template with parameters drawn, prompt filled in and the solution worked out. */
+export function instantiateNumeric(q, rng = Math.random) {
+  if (q.type !== "numeric" || q.values) return q;
+  const values = drawParams(q.params, rng);
+  return {
+    ...q,
+    prompt: fillPlaceholders(q.prompt, values),
+    values,
+    correctAnswer: evaluate(q.answer, values),
+    steps: (q.steps || []).map(s => ({ ...s, label: fillPlaceholders(s.label, values), value: evaluate(s.expr, values) })),
+  };
+}
+
+// ----------------------------- Marking -----------------------------
+/** Read a number a student typed: "1,250", "−0.8", "12.5%" and "$40" are all fine. */
+export function parseNumber(text) {
+  const cleaned = String(text ?? "").replace(/[−–]/g, "-").replace(/,(?=\d{3}\b)/g, "").replace(/[$£€%\s]/g, "");
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(cleaned)) return null;
+  return parseFloat(cleaned);
+}
+
+export function withinTolerance(given, expected, tolerance = {}) {
+  if (given === null || !Number.isFinite(expected)) return false;
+  const abs = tolerance.abs ?? 0;
+  const rel = tolerance.rel ?? (tolerance.abs === undefined ? 0.01 : 0);
+  return Math.abs(given - expected) <= Math.max(abs, rel * Math.abs(expected)) + 1e-9;
+}
+
+const normUnit = (u) => String(u || "").toLowerCase().replace(/\s+/g, " ").trim();
+
+/** A unit typed in the unit box, or after the number in the answer box ("12.5 %", "$40"). */
+function unitOk(q, answer) {
+  if (!q.units?.length) return true;
+  const accepted = q.units.map(normUnit);
+  const typed = normUnit(answer?.unit);
+  if (typed) return accepted.includes(typed);
+  const raw = normUnit(answer?.value);
+  return accepted.some(u => raw.endsWith(u) || raw.startsWith(u));
+}
+
+/**
+ * Mark a numeric answer against an instantiated question.
+ * @param {object} q instance from instantiateNumeric
+ * @param {NumericAnswer} answer
+ * @param {import("../i18n").Locale} [locale] the language of the feedback
+ * @returns {{ score:number, max:number, correct:boolean, feedback:string, steps:{ label:string, expected:number, given:string, correct:boolean, marks:number }[] }}
+ */
+export function markNumeric(q, answer = {}, locale = DEFAULT_LOCALE) {
+  const t = (key, vars) => translate(locale, key, vars);
+  const max = q.maxScore;
+  const decimals = q.decimals ?? 2;
+  const given = parseNumber(answer.value);
+  const valueOk = withinTolerance(given, q.correctAnswer, q.tolerance);
+  const unitsOk = unitOk(q, answer);
+  const steps = (q.steps || []).map((s, i) => {
+    const text = answer.steps?.[i] ?? "";
+    return { label: s.label, expected: s.value, given: text, marks: s.marks ?? 1, correct: withinTolerance(parseNumber(text), s.value, s.tolerance) };
+  });
+  const expected = `${formatNumber(q.correctAnswer, decimals)}${q.units?.length ? ` ${q.units[0]}` : ""}`;
+
+  let score, feedback;
+  if (valueOk && unitsOk) {
+    score = max;
+    feedback = t("mark.correct");
+  } else if (valueOk) {
+    score = Math.max(0, max - 1);
+    feedback = t("markNumeric.units", { unit: q.units[0], expected });
+  } else {
+    const stepMarks = steps.filter(s => s.correct).reduce((n, s) => n + s.marks, 0);
+    score = Math.min(stepMarks, Math.max(0, max - 1));
+    const why = given === null ? t(answer.value?.trim() ? "markNumeric.unreadable" : "markNumeric.blank") : t("markNumeric.outside", { value: formatNumber(given, decimals) });
+    const right = steps.filter(s => s.correct).length;
+    const working = !steps.length ? [] : [score ? t("markNumeric.stepsMarks", { right, total: steps.length, n: score }) : t("markNumeric.steps", { right, total: steps.length })];
+    feedback = [why, t("markNumeric.expected", { expected }), ...working].join(" ");
+  }
+  return { score, max, correct: score === max, feedback, steps };
+}
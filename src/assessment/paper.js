@@ -0,0 +1,130 @@
+import { instantiateNumeric } from "./numeric";
+
+/**
+ * SECTION TEST PAPERS
+ * A section's `test.questions` is a bank; each attempt gets a fresh paper drawn from it
+ * according to a blueprint (how many questions of each type, and whether every lesson
+ * must be covered). Questions the student has never seen come first, then ones they got
+ * wrong last time, then the rest. MCQ options are shuffled per paper; `optionOrder` maps
+ * the shuffled positions back to the bank's original option indexes. Numeric templates get
+ * fresh parameter values (see ./numeric.js); interactive items get their parts shuffled
+ * (see ./items.js). A data response gets each of its parts prepared the same way.
+ */
+
+/** @typedef {{ mcq?:number, short?:number, numeric?:number, match?:number, order?:number, classify?:number, cloze?:number, essay?:number, data?:number, coverLessons?:boolean }} Blueprint */
+
+export const DEFAULT_BLUEPRINT = { mcq: 3, short: 2, coverLessons: true };
+
+/** Count keys of a blueprint are question types; anything else is an option. */
+const BLUEPRINT_OPTIONS = ["coverLessons"];
+
+/** Section override → pack default → built-in default. */
+export function blueprintFor(section, pack) {
+  return { ...DEFAULT_BLUEPRINT, ...(pack?.testBlueprint || {}), ...(section?.test?.blueprint || {}) };
+}
+
+export function blueprintCounts(blueprint) {
+  return Object.entries(blueprint).filter(([k, v]) => !BLUEPRINT_OPTIONS.includes(k) && Number.isInteger(v) && v > 0);
+}
+
+/** Number of questions a paper will have, limited by what the bank holds. */
+export function paperSize(section, pack) {
+  const bank = section.test.questions;
+  return blueprintCounts(blueprintFor(section, pack)).reduce((n, [type, count]) => n + Math.min(count, bank.filter(q => q.type === type).length), 0);
+}
+
+/**
+ * What the student has done with each bank question so far.
+ * @returns {Map<string, { seen:number, wrong:boolean }>} keyed by question id; `wrong` reflects the latest attempt
+ */
+export function questionHistory(attempts, sectionId) {
+  const history = new Map();
+  for (const a of attempts) {
+    if (a.kind !== "section" || a.sectionId !== sectionId || !a.results) continue;
+    for (const [id, r] of Object.entries(a.results)) {
+      const prev = history.get(id) || { seen: 0, wrong: false };
+      history.set(id, { seen: prev.seen + 1, wrong: r.score < r.max });
+    }
+  }
+  return history;
+}
+
+function shuffle(list, rng) {
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/** Lower is better: unseen (0) < answered wrongly last time (1) < answered correctly (2). */
+function priority(q, history) {
+  const h = history.get(q.id);
+  if (!h) return 0;
+  return h.wrong ? 1 : 2;
+}
+
+/** Copy an MCQ with its options in random order and the answer index remapped. */
+export function shuffleOptions(q, rng = Math.random) {
+  if (q.type !== "mcq") return q;
+  const order = shuffle(q.options.map((_, i) => i), rng);
+  return { ...q, options: order.map(i => q.options[i]), answer: order.indexOf(q.answer), optionOrder: order };
+}
+
+/**
+ * Copy an interactive item with its parts in random order: match `choices`, the `startOrder` of
+ * an ordering item (never already correct), the `itemOrder` of a sort and a cloze `wordBank`.
+ */
+export function shuffleItems(q, rng = Math.random) {
+  switch (q.type) {
+    case "match": return { ...q, choices: shuffle([...q.pairs.map(p => p.right), ...(q.distractors || [])], rng) };
+    case "order": {
+      const ids = q.items.map((_, i) => i);
+      let order = shuffle(ids, rng);
+      for (let tries = 0; ids.length > 1 && tries < 10 && order.every((v, i) => v === i); tries++) order = shuffle(ids, rng);
+      if (ids.length > 1 && order.every((v, i) => v === i)) order = [...ids].reverse();
+      return { ...q, startOrder: order };
+    }
+    case "classify": return { ...q, itemOrder: shuffle(q.items.map((_, i) => i), rng) };
+    case "cloze": return q.wordBank ? { ...q, wordBank: shuffle(q.wordBank, rng) } : q;
+    default: return q;
+  }
+}
+
+/** One attempt's copy of a question: shuffled MCQ options and item parts, drawn numeric parameters. */
+export function prepareQuestion(q, rng = Math.random) {
+  if (q.type === "numeric") return instantiateNumeric(q, rng);
+  if (q.type === "data") return { ...q, parts: q.parts.map(p => prepareQuestion(p, rng)) };
+  return q.type === "mcq" ? shuffleOptions(q, rng) : shuffleItems(q, rng);
+}
+
+/**
+ * Draw a paper from a section bank.
+ * @param {{ section:object, blueprint:Blueprint, history?:Map<string,{seen:number,wrong:boolean}>, rng?:()=>number }} args
+ * @returns {object[]} questions in blueprint type order, each prepared with prepareQuestion
+ */
+export function assemblePaper({ section, blueprint, history = new Map(), rng = Math.random }) {
+  const bank = section.test.questions;
+  const quota = Object.fromEntries(blueprintCounts(blueprint));
+  // Random order first, then a stable sort by priority keeps ties random.
+  const ranked = shuffle(bank, rng).sort((a, b) => priority(a, history) - priority(b, history));
+  const picked = [];
+  const take = (q) => { picked.push(q); quota[q.type] -= 1; };
+  const available = (q) => quota[q.type] > 0 && !picked.includes(q);
+
+  if (blueprint.coverLessons) {
+    for (const lesson of shuffle(section.lessons, rng)) {
+      if (picked.some(q => q.lesson === lesson.id)) continue;
+      const q = ranked.find(c => c.lesson === lesson.id && available(c));
+      if (q) take(q);
+    }
+  }
+  for (const q of ranked) if (available(q)) take(q);
+
+  const types = Object.keys(quota);
+  const lessonOrder = section.lessons.map(l => l.id);
+  return picked
+    .sort((a, b) => types.indexOf(a.type) - types.indexOf(b.type) || lessonOrder.indexOf(a.lesson) - lessonOrder.indexOf(b.lesson))
+    .map(q => prepareQuestion(q, rng));
+}
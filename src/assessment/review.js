@@ -0,0 +1,64 @@
+/**
+ * REVIEW PLANS
+ * Every question can carry syllabus tags: `unit` (a section id), `lesson` (a lesson id in that
+ * section) and `concept` (a short key-concept label). Section-test questions default their unit
+ * to their own section. After a paper is graded the tags turn the results into a review plan:
+ * the lessons to reread (scored below the pass mark, weakest first) and the questions to retry.
+ */
+
+/** @typedef {{ unit:string|null, lesson:string|null, concept:string|null }} SyllabusTags */
+/** @typedef {{ sectionId:string, lessonId:string, title:string, score:number, concepts:string[] }} LessonToReread */
+/** @typedef {{ id:string, prompt:string, concept:string|null, sectionId:string|null, lessonId:string|null, score:number, max:number }} QuestionToRetry */
+/** @typedef {{ overall:number, weakSections:{ sectionId:string, score:number }[], lessons:LessonToReread[], retry:QuestionToRetry[], untagged:number }} ReviewPlan */
+
+export const PASS_MARK = 70;
+
+/** @returns {SyllabusTags} */
+export function syllabusTags(q, sectionId = null) {
+  return { unit: q.unit || sectionId || null, lesson: q.lesson || null, concept: q.concept || null };
+}
+
+const pct = (got, max) => (max > 0 ? Math.round((got / max) * 100) : 100);
+
+/**
+ * Build a review plan from a graded paper.
+ * @param {{ questions:object[], results:Record<string, { score:number, max:number }>, sections:object[], sectionId?:string|null, percent:number }} args
+ * @returns {ReviewPlan}
+ */
+export function buildReviewPlan({ questions, results, sections, sectionId = null, percent }) {
+  const byUnit = new Map(), byLesson = new Map();
+  const retry = [];
+  let untagged = 0;
+  const add = (map, key, r, extra) => {
+    const cur = map.get(key) || { got: 0, max: 0, concepts: new Set(), ...extra };
+    cur.got += r.score; cur.max += r.max;
+    map.set(key, cur);
+    return cur;
+  };
+
+  for (const q of questions) {
+    const r = results[q.id];
+    if (!r) continue;
+    const tags = syllabusTags(q, sectionId);
+    if (!tags.unit) { untagged += 1; continue; }
+    add(byUnit, tags.unit, r);
+    if (tags.lesson) {
+      const entry = add(byLesson, `${tags.unit}/${tags.lesson}`, r, { sectionId: tags.unit, lessonId: tags.lesson });
+      if (tags.concept && r.score < r.max) entry.concepts.add(tags.concept);
+    }
+    if (r.score < r.max) retry.push({ id: q.id, prompt: q.prompt, concept: tags.concept, sectionId: tags.unit, lessonId: tags.lesson, score: r.score, max: r.max });
+  }
+
+  const titleOf = (sid, lid) => sections.find(s => s.id === sid)?.lessons.find(l => l.id === lid)?.title || lid;
+  const lessons = [...byLesson.values()]
+    .map(e => ({ sectionId: e.sectionId, lessonId: e.lessonId, title: titleOf(e.sectionId, e.lessonId), score: pct(e.got, e.max), concepts: [...e.concepts] }))
+    .filter(e => e.score < PASS_MARK)
+    .sort((a, b) => a.score - b.score);
+  const weakSections = [...byUnit.entries()]
+    .map(([id, e]) => ({ sectionId: id, score: pct(e.got, e.max) }))
+    .filter(e => e.score < PASS_MARK)
+    .sort((a, b) => a.score - b.score);
+  retry.sort((a, b) => a.score / a.max - b.score / b.max);
+
+  return { overall: percent, weakSections, lessons, retry, untagged };
+}
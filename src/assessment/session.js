@@ -0,0 +1,117 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { loadOrRecover, saveLS } from "../storage";
+
+/**
+ * EXAM SESSIONS
+ * A sitting of a section test or the final exam. The paper and every answer are saved to
+ * local storage as the student works, so a reload, a crash or a detour to the dashboard
+ * resumes the same attempt. Optional timing works like an IB paper: reading time (questions
+ * visible, answers locked), then a countdown; when it runs out the caller auto-submits.
+ *
+ *   { [sessionKey]: { startedAt, readingEndsAt, endsAt, paper, answers, savedAt } }
+ *
+ * Times are epoch milliseconds; `endsAt` is null for an untimed sitting. Keys look like
+ * "<packId>:exam" or "<packId>:section:<sectionId>". Each learner profile has its own copy of the
+ * whole object (`storeKey`, see ../profiles.js).
+ */
+
+/** @typedef {{ minutes:number, readingMinutes?:number }} Timing */
+/** @typedef {{ startedAt:number, readingEndsAt:number|null, endsAt:number|null, paper:object[], answers:Record<string, any>, savedAt:number }} Session */
+
+export const LS_SESSIONS_KEY = "ibecon_tutor_sessions_v1";
+
+export const sessionKey = (packId, sectionId) => (sectionId ? `${packId}:section:${sectionId}` : `${packId}:exam`);
+
+/** Section override → pack default → untimed. */
+export function timingFor(section, pack) {
+  return section?.test?.timing || pack?.testTiming || null;
+}
+
+function validateSessions(v) {
+  if (!v || typeof v !== "object" || Array.isArray(v)) throw new Error("Saved exam sessions must be an object.");
+  return Object.fromEntries(Object.entries(v).filter(([, s]) => Array.isArray(s?.paper) && s.answers && typeof s.startedAt === "number"));
+}
+
+const readSessions = (storeKey) => loadOrRecover(storeKey, {}, validateSessions).value;
+
+function writeSession(key, session, storeKey = LS_SESSIONS_KEY) {
+  const all = readSessions(storeKey);
+  if (session) all[key] = session; else delete all[key];
+  saveLS(storeKey, all);
+}
+
+/** @returns {Session|null} */
+export function savedSession(key, storeKey = LS_SESSIONS_KEY) {
+  return readSessions(storeKey)[key] || null;
+}
+
+/** @returns {Session} */
+export function newSession(paper, timing, now = Date.now()) {
+  const reading = timing ? Math.max(0, timing.readingMinutes || 0) * 60000 : 0;
+  return {
+    startedAt: now,
+    readingEndsAt: reading ? now + reading : null,
+    endsAt: timing ? now + reading + timing.minutes * 60000 : null,
+    paper, answers: {}, savedAt: now,
+  };
+}
+
+/** @returns {"reading"|"writing"|"over"} */
+export function phaseOf(session, now = Date.now()) {
+  if (session.readingEndsAt && now < session.readingEndsAt) return "reading";
+  if (session.endsAt && now >= session.endsAt) return "over";
+  return "writing";
+}
+
+/** Milliseconds left in the current phase (null when untimed). */
+export function remainingMs(session, now = Date.now()) {
+  const phase = phaseOf(session, now);
+  if (phase === "reading") return session.readingEndsAt - now;
+  return session.endsAt ? Math.max(0, session.endsAt - now) : null;
+}
+
+export function formatClock(ms) {
+  const total = Math.ceil(ms / 1000);
+  const h = Math.floor(total / 3600), m = Math.floor((total % 3600) / 60), s = total % 60;
+  return `${h ? `${h}:${String(m).padStart(2, "0")}` : m}:${String(s).padStart(2, "0")}`;
+}
+
+/**
+ * Run one sitting. Resumes a saved session for `key` when its questions still exist
+ * (`isValid(paper)`), otherwise starts a new one with `makePaper()`.
+ * @param {{ key:string, storeKey?:string, makePaper:()=>object[], timing:Timing|null, isValid?:(paper:object[])=>boolean }} args
+ */
+export function useExamSession({ key, storeKey = LS_SESSIONS_KEY, makePaper, timing, isValid = () => true }) {
+  const [state] = useState(() => {
+    const saved = savedSession(key, storeKey);
+    if (saved && isValid(saved.paper)) return { session: saved, resumed: true };
+    const session = newSession(makePaper(), timing);
+    writeSession(key, session, storeKey);
+    return { session, resumed: false };
+  });
+  const [answers, setAnswers] = useState(state.session.answers);
+  const [now, setNow] = useState(() => Date.now());
+  const closed = useRef(false);
+  const session = state.session;
+
+  useEffect(() => {
+    if (!session.endsAt && !session.readingEndsAt) return;
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [session]);
+
+  // Autosave every change.
+  useEffect(() => {
+    if (!closed.current) writeSession(key, { ...session, answers, savedAt: Date.now() }, storeKey);
+  }, [key, storeKey, session, answers]);
+
+  const setAnswer = useCallback((qid, value) => setAnswers(a => ({ ...a, [qid]: value })), []);
+  /** Forget the saved sitting (after submitting, or when the student discards it). */
+  const close = useCallback(() => { closed.current = true; writeSession(key, null, storeKey); }, [key, storeKey]);
+
+  return {
+    paper: session.paper, answers, setAnswer, close,
+    resumed: state.resumed, startedAt: session.startedAt, timed: !!session.endsAt,
+    phase: phaseOf(session, now), remaining: remainingMs(session, now),
+  };
+}
@@ -0,0 +1,305 @@
+import React from "react";
+import { ArrowLeft, BookOpen, CheckCircle, RefreshCcw, RotateCcw, XCircle } from "lucide-react";
+import { Pill } from "./ui";
+import { routeHref } from "../routing";
+import { formatNumber } from "../assessment/numeric";
+import { ITEM_TYPES, clozeParts, isOrder } from "../assessment/items";
+import { PASS_MARK } from "../assessment/review";
+import { Stimulus } from "./Stimulus";
+import { useLocale, useT } from "../i18n";
+
+/**
+ * Post-test review of one saved attempt: the review plan (lessons to reread, questions to
+ * retry), then every question with the student's answer, the correct MCQ option, worked
+ * solution or item answers, rubric coverage or essay markbands, and the marker's feedback.
+ * Data responses show their source material and then each part the same way.
+ */
+
+function ScoreBadge({ score, max }) {
+  const full = score >= max, none = score === 0;
+  return <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${full ? "bg-green-100 text-green-800" : none ? "bg-red-100 text-red-800" : "bg-amber-100 text-amber-800"}`}>{score}/{max}</span>;
+}
+
+function McqReview({ q, answer }) {
+  const t = useT();
+  return (
+    <ul className="mt-2 grid gap-2">
+      {q.options.map((opt, i) => {
+        const chosen = answer === i, correct = q.answer === i;
+        return (
+          <li key={i} className={`flex items-center gap-2 rounded-xl border p-2 ${correct ? "border-green-500 bg-green-50" : chosen ? "border-red-400 bg-red-50" : ""}`}>
+            {correct ? <CheckCircle className="w-4 h-4 text-green-600"/> : chosen ? <XCircle className="w-4 h-4 text-red-600"/> : <span className="w-4 h-4"/>}
+            <span className="flex-1">{opt}</span>
+            {chosen && <Pill>{t("review.yourAnswer")}</Pill>}
+            {correct && <Pill>{t("review.correctAnswer")}</Pill>}
+          </li>
+        );
+      })}
+      {answer === undefined && <li className="text-sm text-gray-500">{t("review.notAnswered")}</li>}
+    </ul>
+  );
+}
+
+function ShortReview({ q, answer, result }) {
+  const t = useT();
+  return (
+    <div className="mt-2 flex flex-col gap-3">
+      <div>
+        <div className="text-xs uppercase tracking-wide text-gray-500 mb-1">{t("review.yourAnswer")}</div>
+        <div className="rounded-xl border bg-gray-50 p-3 whitespace-pre-wrap">{answer?.trim() ? answer : <span className="text-gray-500">{t("review.notAnswered")}</span>}</div>
+      </div>
+      <div>
+        <div className="text-xs uppercase tracking-wide text-gray-500 mb-1">{t("review.rubric")}</div>
+        <ul className="grid gap-1 text-sm">
+          {(result.criteria || (q.rubric?.criteria || []).map(text => ({ text, met: null }))).map((c, i) => (
+            <li key={i} className="flex items-center gap-2">
+              {c.met === true ? <CheckCircle className="w-4 h-4 text-green-600"/> : c.met === false ? <XCircle className="w-4 h-4 text-red-600"/> : <span className="w-4 h-4 text-center">•</span>}
+              <span>{c.text}</span>
+              {c.evidence && <span className="text-xs text-gray-500">— “{c.evidence}”</span>}
+              {c.comment && <span className="text-xs text-gray-500">— {c.comment}</span>}
+            </li>
+          ))}
+        </ul>
+        {q.rubric?.guidance && <div className="text-xs text-gray-500 mt-1">{t("review.guidance", { guidance: q.rubric.guidance })}</div>}
+      </div>
+      <div>
+        <div className="text-xs uppercase tracking-wide text-gray-500 mb-1">{t("review.feedback")}</div>
+        <div className="text-sm whitespace-pre-wrap">{result.feedback}</div>
+      </div>
+    </div>
+  );
+}
+
+function NumericReview({ q, answer, result }) {
+  const t = useT();
+  const given = answer?.value?.trim() ? `${answer.value}${answer.unit ? ` ${answer.unit}` : ""}` : null;
+  const steps = result.steps || (q.steps || []).map(s => ({ label: s.label, expected: s.value, given: "", correct: null }));
+  return (
+    <div className="mt-2 flex flex-col gap-3">
+      <div className="flex flex-wrap gap-4 text-sm">
+        <div><span className="text-gray-500">{t("review.yourAnswerValue")}</span> {given || <span className="text-gray-500">{t("review.notAnswered")}</span>}</div>
+        <div><span className="text-gray-500">{t("review.correctValue")}</span> {formatNumber(q.correctAnswer, q.decimals ?? 2)}{q.units?.length ? ` ${q.units[0]}` : ""}</div>
+      </div>
+      {steps.length > 0 && (
+        <div>
+          <div className="text-xs uppercase tracking-wide text-gray-500 mb-1">{t("review.working")}</div>
+          <ul className="grid gap-1 text-sm">
+            {steps.map((s, i) => (
+              <li key={i} className="flex items-center gap-2">
+                {s.correct === true ? <CheckCircle className="w-4 h-4 text-green-600"/> : s.correct === false ? <XCircle className="w-4 h-4 text-red-600"/> : <span className="w-4 h-4 text-center">•</span>}
+                <span>{s.label}: {formatNumber(s.expected, q.decimals ?? 2)}</span>
+                {s.given?.trim() && <span className="text-xs text-gray-500">{t("review.youWrote", { value: s.given })}</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      <div>
+        <div className="text-xs uppercase tracking-wide text-gray-500 mb-1">{t("review.feedback")}</div>
+        <div className="text-sm whitespace-pre-wrap">{result.feedback}</div>
+      </div>
+    </div>
+  );
+}
+
+function ItemReview({ q, answer, result }) {
+  const t = useT();
+  const parts = result.parts || [];
+  const seq = q.type === "order" && isOrder(q, answer) ? answer : null;
+  return (
+    <div className="mt-2 flex flex-col gap-3">
+      {q.type === "order" ? (
+        <div className="grid md:grid-cols-2 gap-3 text-sm">
+          <div>
+            <div className="text-xs uppercase tracking-wide text-gray-500 mb-1">{t("review.yourOrder")}</div>
+            {seq ? <ol className="list-decimal pl-5">{seq.map(i => <li key={i}>{q.items[i]}</li>)}</ol> : <p className="text-gray-500">{t("review.notAnswered")}</p>}
+          </div>
+          <div>
+            <div className="text-xs uppercase tracking-wide text-gray-500 mb-1">{t("review.correctOrder")}</div>
+            <ol className="list-decimal pl-5">{q.items.map((it, i) => <li key={i}>{it}</li>)}</ol>
+          </div>
+        </div>
+      ) : (
+        <ul className="grid gap-1 text-sm">
+          {parts.map((p, i) => (
+            <li key={i} className="flex items-center gap-2">
+              {p.correct ? <CheckCircle className="w-4 h-4 text-green-600"/> : <XCircle className="w-4 h-4 text-red-600"/>}
+              <span>{p.label}: {p.given ?? <span className="text-gray-500">{t("review.notAnsweredShort")}</span>}</span>
+              {!p.correct && <span className="text-xs text-gray-500">{t("review.itemAnswer", { answer: p.expected })}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+      {q.type === "cloze" && (
+        <div className="text-sm rounded-xl border bg-gray-50 p-3">
+          {clozeParts(q.text).map((p, k) => p.blank === undefined ? <React.Fragment key={k}>{p.text}</React.Fragment> : <strong key={k}>{p.answers[0]}</strong>)}
+        </div>
+      )}
+      <div>
+        <div className="text-xs uppercase tracking-wide text-gray-500 mb-1">{t("review.feedback")}</div>
+        <div className="text-sm whitespace-pre-wrap">{result.feedback}</div>
+      </div>
+    </div>
+  );
+}
+
+function EssayReview({ answer, result }) {
+  const t = useT();
+  return (
+    <div className="mt-2 flex flex-col gap-3">
+      <div className="text-sm"><span className="font-medium">{t("review.level", { level: result.level ?? "–" })}</span>{result.level !== undefined && <span className="text-gray-600"> — {t(`level.${result.level}`)}</span>}</div>
+      <div>
+        <div className="text-xs uppercase tracking-wide text-gray-500 mb-1">{t("review.markbands")}</div>
+        <ul className="grid gap-2 text-sm">
+          {(result.bands || []).map(b => (
+            <li key={b.id} className="rounded-xl border p-2">
+              <div className="flex items-center gap-2"><span className="font-medium flex-1">{b.id} {t(`band.${b.id}`)}</span><ScoreBadge score={b.score} max={b.max} /></div>
+              {b.comment && <div className="text-gray-600 mt-1">{b.comment}</div>}
+            </li>
+          ))}
+        </ul>
+      </div>
+      <details>
+        <summary className="text-xs uppercase tracking-wide text-gray-500 cursor-pointer">{t(answer?.plan?.trim() ? "review.yourEssayPlan" : "review.yourEssay")}</summary>
+        {answer?.plan?.trim() && <div className="mt-2 rounded-xl border bg-gray-50 p-3 whitespace-pre-wrap text-sm text-gray-600">{answer.plan}</div>}
+        <div className="mt-2 rounded-xl border bg-gray-50 p-3 whitespace-pre-wrap">{answer?.text?.trim() ? answer.text : <span className="text-gray-500">{t("review.notAnswered")}</span>}</div>
+      </details>
+      <div>
+        <div className="text-xs uppercase tracking-wide text-gray-500 mb-1">{t("review.feedback")}</div>
+        <div className="text-sm whitespace-pre-wrap">{result.feedback}</div>
+      </div>
+    </div>
+  );
+}
+
+/** The review of one question's answer, by type. */
+function QuestionReview({ q, answer, result }) {
+  if (q.type === "mcq") return <McqReview q={q} answer={answer} />;
+  if (q.type === "numeric") return <NumericReview q={q} answer={answer} result={result} />;
+  if (ITEM_TYPES.includes(q.type)) return <ItemReview q={q} answer={answer} result={result} />;
+  if (q.type === "essay") return <EssayReview answer={answer} result={result} />;
+  if (q.type === "data") return <DataReview q={q} answer={answer} result={result} />;
+  return <ShortReview q={q} answer={answer} result={result} />;
+}
+
+function DataReview({ q, answer, result }) {
+  const t = useT();
+  return (
+    <div className="mt-3 flex flex-col gap-3">
+      <details>
+        <summary className="text-xs uppercase tracking-wide text-gray-500 cursor-pointer">{t("stimulus.title")}</summary>
+        <div className="mt-2"><Stimulus stimulus={q.stimulus} /></div>
+      </details>
+      <ol className="flex flex-col gap-3">
+        {(q.parts || []).map(p => {
+          const pr = result.partResults?.[p.id] || { score: 0, max: p.maxScore, feedback: "" };
+          return (
+            <li key={p.id} className="rounded-xl border p-3">
+              <div className="flex items-start gap-3">
+                <div className="text-sm font-medium flex-1">({p.id}) {p.prompt}</div>
+                <ScoreBadge score={pr.score} max={pr.max} />
+              </div>
+              <QuestionReview q={p} answer={answer?.[p.id]} result={pr} />
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
+
+function ReviewPlan({ plan, sections, onRetry }) {
+  const t = useT();
+  const sectionTitle = (id) => sections.find(s => s.id === id)?.title || id;
+  const weak = plan.weakSections || [];
+  return (
+    <div className="rounded-xl border bg-white p-4 mb-4 flex flex-col gap-3">
+      <div className="font-semibold">{t("review.plan")}</div>
+      {weak.length > 0 && (
+        <div className="text-sm">
+          <span className="text-gray-600">{t("review.weak")}</span>
+          {weak.map(w => `${sectionTitle(w.sectionId)} (${w.score}%)`).join(" · ")}
+        </div>
+      )}
+      {plan.lessons && (
+        <div>
+          <div className="text-xs uppercase tracking-wide text-gray-500 mb-1">{t("review.reread")}</div>
+          {plan.lessons.length === 0 ? <div className="text-sm text-gray-600">{t("review.rereadNone", { pass: PASS_MARK })}</div> : (
+            <ul className="grid gap-1 text-sm">
+              {plan.lessons.map(l => (
+                <li key={`${l.sectionId}/${l.lessonId}`} className="flex flex-wrap items-center gap-2">
+                  <a href={routeHref({ name: "lesson", sectionId: l.sectionId, lessonId: l.lessonId })} className="inline-flex items-center gap-1 underline"><BookOpen className="w-4 h-4"/>{l.title}</a>
+                  <span className="text-gray-500">{sectionTitle(l.sectionId)} · {l.score}%</span>
+                  {l.concepts.length > 0 && <span className="text-gray-600">{t("review.focus", { concepts: l.concepts.join(", ") })}</span>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+      {plan.retry && plan.retry.length > 0 && (
+        <div>
+          <div className="text-xs uppercase tracking-wide text-gray-500 mb-1">{t("review.retryTitle")}</div>
+          <ul className="grid gap-1 text-sm list-disc pl-5">
+            {plan.retry.map(q => (
+              <li key={q.id}>{q.prompt} <span className="text-gray-500">({q.score}/{q.max}{q.concept ? ` · ${q.concept}` : ""})</span></li>
+            ))}
+          </ul>
+          {onRetry && <button onClick={onRetry} className="mt-2 rounded-xl border px-3 py-1 hover:bg-gray-50 inline-flex items-center gap-2 text-sm"><RotateCcw className="w-4 h-4"/> {t("review.retryButton")}</button>}
+        </div>
+      )}
+      {plan.untagged > 0 && <div className="text-xs text-gray-500">{t("review.untagged", { n: plan.untagged })}</div>}
+    </div>
+  );
+}
+
+export default function AttemptReview({ attempt, sections, onBack, onRetake, onRetry, title: heading, backLabel, retakeLabel }) {
+  const t = useT();
+  const locale = useLocale();
+  if (!attempt || !attempt.results) {
+    return (
+      <div className="p-6">
+        <h2 className="text-xl font-semibold mb-2">{t("review.notFound")}</h2>
+        <p className="text-gray-600 mb-4">{t("review.notFoundText")}</p>
+        <button onClick={onBack} className="rounded-xl border px-4 py-2 hover:bg-gray-50 inline-flex items-center gap-2"><ArrowLeft className="w-4 h-4"/> {t("review.backToDashboard")}</button>
+      </div>
+    );
+  }
+  const title = heading || (attempt.kind === "exam" ? t("exam.name") : (sections.find(s => s.id === attempt.sectionId)?.title || attempt.sectionId));
+  const passed = attempt.percent >= PASS_MARK;
+
+  return (
+    <div className="p-6">
+      <div className="flex flex-wrap items-center gap-3 mb-1">
+        <h2 className="text-xl font-semibold">{t("review.title", { title })}</h2>
+        <Pill>{new Date(attempt.at).toLocaleString(locale)}</Pill>
+      </div>
+      <div className="mb-4 text-lg">
+        {t("review.score")} <span className={`font-semibold ${passed ? "text-green-600" : "text-gray-900"}`}>{attempt.percent}%</span>
+        <span className="text-gray-600"> ({attempt.points}/{attempt.max}) · {t(passed ? "review.pass" : "review.below", { pass: PASS_MARK })}</span>
+      </div>
+
+      {attempt.recommendations && <ReviewPlan plan={attempt.recommendations} sections={sections} onRetry={onRetry && (() => onRetry(attempt))} />}
+
+      <ol className="flex flex-col gap-4">
+        {attempt.questions.map((q, idx) => {
+          const result = attempt.results[q.id] || { score: 0, max: q.maxScore, feedback: "" };
+          return (
+            <li key={q.id} className="rounded-xl border bg-white p-4">
+              <div className="flex items-start gap-3">
+                <div className="font-medium flex-1">{idx + 1}. {q.prompt}</div>
+                <ScoreBadge score={result.score} max={result.max} />
+              </div>
+              <QuestionReview q={q} answer={attempt.answers[q.id]} result={result} />
+            </li>
+          );
+        })}
+      </ol>
+
+      <div className="mt-4 flex items-center gap-2">
+        <button onClick={onBack} className="rounded-xl border px-4 py-2 hover:bg-gray-50 inline-flex items-center gap-2"><ArrowLeft className="w-4 h-4"/> {backLabel || t("review.backToDashboard")}</button>
+        <button onClick={() => onRetake(attempt)} className="rounded-xl border px-4 py-2 hover:bg-gray-50 inline-flex items-center gap-2"><RefreshCcw className="w-4 h-4"/> {retakeLabel || t("review.retake")}</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,225 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { ArrowLeft, Download, Trash2, Upload, Users } from "lucide-react";
+import { Pill } from "./ui";
+import {
+  LS_CLASS_KEY, addStudent, bestFor, classColumns, itemAnalysis, itemsCsv, loadClass, parseStudentFile, passRates,
+  removeStudent, scoresCsv, studentsBelowPass,
+} from "../progress/class";
+import { PASS_MARK } from "../assessment/review";
+import { downloadText, saveLS } from "../storage";
+import { useLocale, useT } from "../i18n";
+
+/**
+ * Class analytics for a teacher (see ../progress/class.js): import students' progress files, then
+ * a heatmap of best scores with each section's pass rate, the students below the pass mark, and
+ * item analysis for every question the class has answered. Both tables export as CSV.
+ */
+
+const button = "rounded-xl border px-3 py-1.5 text-sm hover:bg-gray-50 disabled:opacity-50 inline-flex items-center gap-2";
+
+/** Cell colour for a percent: below the pass mark in reds and ambers, passes in greens. */
+function heat(pct) {
+  if (pct === null) return "bg-gray-50 text-gray-400";
+  if (pct >= 85) return "bg-green-200 text-green-900";
+  if (pct >= PASS_MARK) return "bg-green-100 text-green-900";
+  if (pct >= 50) return "bg-amber-100 text-amber-900";
+  return "bg-red-200 text-red-900";
+}
+
+const facilityLabel = (f) => (f >= 80 ? "easy" : f >= 40 ? "medium" : "hard");
+const stamp = () => new Date().toISOString().slice(0, 10);
+
+function Heatmap({ students, columns, onRemove }) {
+  const t = useT();
+  const rates = passRates(students, columns);
+  return (
+    <div className="overflow-x-auto rounded-xl border bg-white">
+      <table className="w-full text-sm border-collapse">
+        <caption className="sr-only">{t("class.heatmapCaption")}</caption>
+        <thead>
+          <tr className="text-left">
+            <th scope="col" className="p-2 font-medium">{t("class.student")}</th>
+            {columns.map(c => <th key={c.id} scope="col" className="p-2 font-medium text-center min-w-[6rem]">{c.title}</th>)}
+            <th scope="col" className="p-2"><span className="sr-only">{t("common.remove")}</span></th>
+          </tr>
+        </thead>
+        <tbody>
+          {students.map(s => (
+            <tr key={s.id} className="border-t">
+              <th scope="row" className="p-2 text-left font-normal whitespace-nowrap" title={s.files.join(", ")}>{s.name}</th>
+              {columns.map(c => {
+                const best = bestFor(s.progress, c);
+                return <td key={c.id} className={`p-2 text-center ${heat(best)}`}>{best === null ? "—" : `${best}%`}</td>;
+              })}
+              <td className="p-2 text-right"><button onClick={() => onRemove(s)} aria-label={t("class.removeStudent", { name: s.name })} className="rounded-lg border px-2 py-1 text-xs hover:bg-gray-50"><Trash2 className="w-3 h-3"/></button></td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr className="border-t-2 font-medium">
+            <th scope="row" className="p-2 text-left">{t("class.passRate")}</th>
+            {rates.map(r => <td key={r.id} className={`p-2 text-center ${heat(r.rate)}`} title={t("class.passedOf", { passed: r.passed, attempted: r.attempted })}>{r.rate === null ? "—" : `${r.rate}%`}<span className="block text-xs font-normal">{r.passed}/{r.attempted}</span></td>)}
+            <td/>
+          </tr>
+        </tfoot>
+      </table>
+    </div>
+  );
+}
+
+function BelowPass({ students, columns }) {
+  const t = useT();
+  const below = studentsBelowPass(students, columns);
+  return (
+    <div className="rounded-xl border bg-white p-4">
+      <div className="font-semibold mb-2">{t("class.below", { pass: PASS_MARK })}</div>
+      {below.length === 0 ? <div className="text-sm text-gray-600">{t("class.belowNone")}</div> : (
+        <ul className="grid gap-1 text-sm">
+          {below.map(({ student, below: weak }) => (
+            <li key={student.id}><span className="font-medium">{student.name}</span>: {weak.map(w => `${w.column.title} ${w.best}%`).join(" · ")}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function Bar({ pct, label }) {
+  return (
+    <div className="flex items-center gap-2">
+      <div className="h-2 w-24 bg-gray-100 rounded-full overflow-hidden"><div className="h-full bg-black" style={{ width: `${pct}%` }}/></div>
+      <span className="text-xs tabular-nums">{label ?? `${pct}%`}</span>
+    </div>
+  );
+}
+
+function ItemDetail({ item }) {
+  const t = useT();
+  if (item.options) {
+    return (
+      <ul className="grid gap-1 mt-2">
+        {item.options.map((o, i) => (
+          <li key={i} className="grid grid-cols-[1fr_auto] gap-3 items-center text-sm">
+            <span className={o.correct ? "text-green-700 font-medium" : ""}>{String.fromCharCode(65 + i)}. {o.text}{o.correct && ` ${t("class.correctOption")}`}</span>
+            <Bar pct={item.responses ? Math.round((o.count / item.responses) * 100) : 0} label={`${o.count}`} />
+          </li>
+        ))}
+      </ul>
+    );
+  }
+  if (item.criteria?.length) {
+    return (
+      <ul className="grid gap-1 mt-2">
+        {item.criteria.map((c, i) => (
+          <li key={i} className="grid grid-cols-[1fr_auto] gap-3 items-center text-sm">
+            <span>{c.text}</span>
+            <Bar pct={Math.round((c.met / c.of) * 100)} />
+          </li>
+        ))}
+      </ul>
+    );
+  }
+  return null;
+}
+
+function ItemAnalysis({ items, sections }) {
+  const t = useT();
+  const locale = useLocale();
+  const [sectionId, setSectionId] = useState("");
+  const shown = sectionId ? items.filter(it => it.sectionId === sectionId) : items;
+  const titleOf = (id) => sections.find(s => s.id === id)?.title || id || "—";
+  return (
+    <div className="rounded-xl border bg-white p-4">
+      <div className="flex flex-wrap items-center gap-3 mb-2">
+        <div className="font-semibold">{t("class.items")}</div>
+        <label className="text-sm ml-auto">{t("class.section")}{" "}
+          <select value={sectionId} onChange={e=>setSectionId(e.target.value)} className="rounded-xl border px-2 py-1 text-sm">
+            <option value="">{t("class.all")}</option>
+            {sections.map(s => <option key={s.id} value={s.id}>{s.title}</option>)}
+          </select>
+        </label>
+        <button onClick={() => downloadText(`class-items-${stamp()}.csv`, itemsCsv(shown, locale), "text/csv")} disabled={!shown.length} className={button}><Download className="w-4 h-4"/> CSV</button>
+      </div>
+      <div className="text-xs text-gray-500 mb-2">{t("class.itemsHint")}</div>
+      {shown.length === 0 ? <div className="text-sm text-gray-600">{t("class.itemsNone")}</div> : (
+        <ul className="divide-y">
+          {shown.map(it => (
+            <li key={it.id} className="py-2">
+              <details>
+                <summary className="cursor-pointer grid md:grid-cols-[6rem_1fr_10rem_9rem] gap-2 items-center text-sm">
+                  <span className="text-gray-500">{it.id}</span>
+                  <span className="truncate" title={it.prompt}>{it.prompt || t("class.noPrompt")} <span className="text-xs text-gray-500">· {it.type} · {titleOf(it.sectionId)}</span></span>
+                  <Bar pct={it.facility} label={`${it.facility}% · ${t(`difficulty.${facilityLabel(it.facility)}`)}`} />
+                  <span className="text-xs text-gray-600">{t("class.responses", { n: it.responses })}{it.difficulty && it.difficulty !== facilityLabel(it.facility) ? ` · ${t("class.tagged", { difficulty: t(`difficulty.${it.difficulty}`) })}` : ""}</span>
+                </summary>
+                <ItemDetail item={it} />
+              </details>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default function ClassDashboard({ pack, onBack }) {
+  const t = useT();
+  const locale = useLocale();
+  const [boot] = useState(loadClass);
+  const [cls, setCls] = useState(boot.value);
+  const [report, setReport] = useState(boot.issue ? [{ ok: false, text: t("class.unreadable", { error: boot.issue.message, key: boot.issue.backupKey }) }] : []);
+  useEffect(() => { saveLS(LS_CLASS_KEY, cls); }, [cls]);
+
+  const sections = pack.sections;
+  const columns = useMemo(() => classColumns(sections, locale), [sections, locale]);
+  const items = useMemo(() => itemAnalysis(cls.students, pack), [cls, pack]);
+  const students = [...cls.students].sort((a, b) => a.name.localeCompare(b.name));
+
+  const onFiles = async (e) => {
+    const files = [...(e.target.files || [])];
+    e.target.value = "";
+    let next = cls;
+    const lines = [];
+    for (const file of files) {
+      const { name, progress, error } = parseStudentFile(await file.text(), file.name);
+      if (error) { lines.push({ ok: false, text: t("class.notImported", { file: file.name, error }) }); continue; }
+      next = addStudent(next, { name: name || t("class.unnamed"), progress, file: file.name });
+      lines.push({ ok: true, text: t("class.imported", { file: file.name, name: name || t("class.unnamed"), n: progress.attempts.length }) });
+    }
+    setCls(next);
+    setReport(lines);
+  };
+  const remove = (s) => { if (window.confirm(t("class.confirmRemove", { name: s.name }))) setCls(c => removeStudent(c, s.id)); };
+  const clear = () => { if (window.confirm(t("class.confirmClear"))) { setCls({ students: [] }); setReport([]); } };
+
+  return (
+    <div className="p-6 flex flex-col gap-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <h2 className="text-xl font-semibold">{t("class.title")}</h2>
+        <Pill><Users className="w-3 h-3 mr-1"/> {t("class.students", { n: students.length })}</Pill>
+        <Pill>{t("class.passMark", { pass: PASS_MARK })}</Pill>
+      </div>
+      <p className="text-sm text-gray-600 -mt-2">{t("class.intro")}</p>
+      <div className="flex flex-wrap items-center gap-2">
+        <button onClick={onBack} className={button}><ArrowLeft className="w-4 h-4"/> {t("class.back")}</button>
+        <label className={`${button} cursor-pointer`}><Upload className="w-4 h-4"/> {t("class.import")}
+          <input type="file" multiple accept=".json,application/json" onChange={onFiles} className="sr-only"/>
+        </label>
+        <button onClick={() => downloadText(`class-scores-${stamp()}.csv`, scoresCsv(students, columns, sections, locale), "text/csv")} disabled={!students.length} className={button}><Download className="w-4 h-4"/> {t("class.scoresCsv")}</button>
+        <button onClick={clear} disabled={!students.length} className={`${button} text-red-700`}><Trash2 className="w-4 h-4"/> {t("class.clear")}</button>
+      </div>
+      {report.length > 0 && (
+        <ul role="status" className="text-sm grid gap-0.5">
+          {report.map((r, i) => <li key={i} className={r.ok ? "text-green-700" : "text-red-700"}>{r.text}</li>)}
+        </ul>
+      )}
+      {students.length === 0 ? <div className="rounded-xl border bg-white p-4 text-sm text-gray-600">{t("class.empty")}</div> : (
+        <>
+          <Heatmap students={students} columns={columns} onRemove={remove} />
+          <BelowPass students={students} columns={columns} />
+          <ItemAnalysis items={items} sections={sections} />
+        </>
+      )}
+    </div>
+  );
+}
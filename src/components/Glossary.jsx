@@ -0,0 +1,93 @@
+import React, { useEffect, useId, useMemo, useRef, useState } from "react";
+import { BookOpen } from "lucide-react";
+import { splitTerms } from "../content/glossary";
+import { routeHref } from "../routing";
+import { useT } from "../i18n";
+
+/**
+ * The course glossary (see ../content/glossary.js): the definition shown on a term in a lesson or
+ * question, and the Glossary page (#/glossary). A term is a button: hovering, focusing or tapping
+ * it shows the definition, which screen readers hear as the button's description.
+ */
+
+/** A mention of a glossary term, with its definition on hover, focus or tap. */
+export function GlossaryTerm({ item, children }) {
+  const t = useT();
+  const id = useId();
+  const [hover, setHover] = useState(false);
+  const [pinned, setPinned] = useState(false);
+  const { entry } = item;
+  const ref = useRef(null);
+  const close = () => { setHover(false); setPinned(false); };
+  // Tabbing from the term to the "more" link keeps the definition open; focus leaving both closes it.
+  const onBlur = (e) => { if (!ref.current?.contains(e.relatedTarget)) close(); };
+  return (
+    <span ref={ref} className="relative" onMouseEnter={() => setHover(true)} onMouseLeave={() => setHover(false)}
+      onBlur={onBlur} onKeyDown={e => { if (e.key === "Escape") { ref.current.querySelector("button").focus(); close(); } }}>
+      <button type="button" onClick={() => setPinned(p => !p)} onFocus={() => setHover(true)}
+        aria-expanded={hover || pinned} aria-describedby={id} className="underline decoration-dotted underline-offset-2 cursor-help">{children}</button>
+      {/* Kept in the page while hidden so the button's description is always there. */}
+      <span id={id} role="tooltip" hidden={!(hover || pinned)} onMouseDown={e => e.preventDefault()}
+        className="absolute left-0 top-full z-30 w-72 max-w-[80vw] rounded-xl border bg-white p-3 text-left text-sm font-normal text-gray-900 shadow-lg">
+        <span className="block font-semibold">{entry.term}</span>
+        <span className="block mt-1">{entry.definition}</span>
+        <a href={routeHref({ name: "glossary", termId: entry.id })} className="mt-2 inline-block text-xs underline">{t("glossary.more")}</a>
+      </span>
+    </span>
+  );
+}
+
+/** Plain text (a question prompt) with its glossary terms defined, except those in `exclude`. */
+export function GlossaryText({ text, glossary, exclude }) {
+  const parts = useMemo(() => splitTerms(glossary, text, new Set(), exclude), [glossary, text, exclude]);
+  return parts.map((p, i) => (typeof p === "string"
+    ? <React.Fragment key={i}>{p}</React.Fragment>
+    : <GlossaryTerm key={i} item={glossary.byId.get(p.id)}>{p.text}</GlossaryTerm>));
+}
+
+/** The Glossary page: every term A–Z with a filter, its related terms and the lessons that use it. */
+export function GlossaryView({ glossary, termId, onOpenLesson }) {
+  const t = useT();
+  const [filter, setFilter] = useState("");
+  const unknown = termId && !glossary.byId.has(termId);
+  useEffect(() => {
+    if (termId) document.getElementById(`term-${termId}`)?.scrollIntoView({ block: "center" });
+  }, [termId]);
+  const q = filter.trim().toLowerCase();
+  const shown = q ? glossary.items.filter(({ entry: e }) => [e.term, ...(e.aliases || []), e.definition].some(s => s.toLowerCase().includes(q))) : glossary.items;
+  return (
+    <div className="p-6">
+      <h1 className="text-2xl font-semibold mb-1">{t("glossary.title")}</h1>
+      <p className="text-gray-600 mb-4">{glossary.items.length ? t("glossary.intro", { n: glossary.items.length }) : t("glossary.empty")}</p>
+      {unknown && <p role="status" className="mb-4 rounded-xl border border-amber-300 bg-amber-50 p-3 text-sm">{t("glossary.unknown", { id: termId })}</p>}
+      {glossary.items.length > 0 && (
+        <input type="search" value={filter} onChange={e => setFilter(e.target.value)} aria-label={t("glossary.filter")} placeholder={t("glossary.filter")} className="mb-4 w-full max-w-sm rounded-xl border px-3 py-2" />
+      )}
+      {q && shown.length === 0 && <p className="text-sm text-gray-600">{t("glossary.noMatch", { filter })}</p>}
+      <dl className="grid gap-3">
+        {shown.map(({ entry, related, lessons }) => (
+          <div key={entry.id} id={`term-${entry.id}`} className={`rounded-xl border bg-white p-4 ${entry.id === termId ? "ring-2 ring-blue-600" : ""}`}>
+            <dt className="font-semibold">{entry.term}{entry.aliases?.length > 0 && <span className="font-normal text-gray-500"> ({entry.aliases.join(", ")})</span>}</dt>
+            <dd className="mt-1">{entry.definition}</dd>
+            {related.length > 0 && (
+              <dd className="mt-2 text-sm">
+                {t("glossary.related")}{" "}
+                {related.map((r, i) => <React.Fragment key={r.id}>{i > 0 && ", "}<a href={routeHref({ name: "glossary", termId: r.id })} className="underline">{r.term}</a></React.Fragment>)}
+              </dd>
+            )}
+            {lessons.length > 0 && (
+              <dd className="mt-2 flex flex-wrap items-center gap-1 text-sm">
+                <span className="text-gray-600">{t("glossary.lessons")}</span>
+                {lessons.map(l => (
+                  <button key={`${l.sectionId}/${l.lessonId}`} onClick={() => onOpenLesson(l.sectionId, l.lessonId)} className="rounded-full border px-2 py-0.5 text-xs hover:bg-gray-50 inline-flex items-center gap-1">
+                    <BookOpen className="w-3 h-3" aria-hidden="true"/>{l.title}
+                  </button>
+                ))}
+              </dd>
+            )}
+          </div>
+        ))}
+      </dl>
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+import React, { useEffect, useId, useRef, useState } from "react";
+import { ArrowDown, ArrowUp, GripVertical } from "lucide-react";
+import { clozeParts, isOrder, startOrder } from "../assessment/items";
+import { useT } from "../i18n";
+
+/**
+ * Inputs for the interactive item types (see ../assessment/items.js). Everything works from
+ * the keyboard: selects and radio buttons for matching and sorting, move up/down buttons as
+ * well as drag and drop for ordering, and plain text fields (or a word-bank select) for blanks.
+ * Each item is a fieldset whose legend is the prompt (`prompt`, e.g. with glossary definitions, or
+ * else the plain `q.prompt`).
+ */
+
+export function MatchItem({ q, prompt, value, onChange, disabled }) {
+  const t = useT();
+  const v = value || {};
+  return (
+    <fieldset className="mb-4">
+      <legend className="font-medium">{prompt ?? q.prompt}</legend>
+      <div className="mt-2 grid gap-2">
+        {q.pairs.map((p, i) => (
+          <label key={i} className="grid md:grid-cols-2 items-center gap-2 rounded-xl border p-2">
+            <span>{p.left}</span>
+            <select value={v[i] ?? ""} disabled={disabled} onChange={e=>onChange({ ...v, [i]: e.target.value === "" ? undefined : Number(e.target.value) })} className="rounded-lg border px-2 py-1.5 bg-white">
+              <option value="">{t("items.choose")}</option>
+              {q.choices.map((c, j) => <option key={j} value={j}>{c}</option>)}
+            </select>
+          </label>
+        ))}
+      </div>
+    </fieldset>
+  );
+}
+
+export function OrderItem({ q, prompt, value, onChange, disabled }) {
+  const t = useT();
+  // The shuffled start is only shown: it becomes the answer once an item moves or the student keeps it.
+  const answered = isOrder(q, value);
+  const order = answered ? value : startOrder(q);
+  const [dragging, setDragging] = useState(null);
+  const [moved, setMoved] = useState(null);
+  const buttons = useRef({});
+
+  // Keep focus on the button that was pressed as its item moves (or its twin, at the top or bottom).
+  useEffect(() => {
+    if (!moved) return;
+    const same = buttons.current[`${moved.item}-${moved.dir}`];
+    (same && !same.disabled ? same : buttons.current[`${moved.item}-${moved.dir === "up" ? "down" : "up"}`])?.focus();
+  }, [moved]);
+
+  const move = (from, to) => {
+    if (disabled || to < 0 || to >= order.length || from === to) return;
+    const next = [...order];
+    const [item] = next.splice(from, 1);
+    next.splice(to, 0, item);
+    onChange(next);
+    return item;
+  };
+  const step = (pos, dir) => {
+    const item = move(pos, pos + (dir === "up" ? -1 : 1));
+    if (item !== undefined) setMoved({ item, dir, to: pos + (dir === "up" ? 0 : 2) });
+  };
+
+  const hint = useId();
+  return (
+    <fieldset className="mb-4" aria-describedby={hint}>
+      <legend className="font-medium">{prompt ?? q.prompt}</legend>
+      <div id={hint} className="text-xs text-gray-500 mt-1">{t("items.orderHint")}</div>
+      <ol className="mt-2 grid gap-2">
+        {order.map((item, pos) => (
+          <li key={item} draggable={!disabled}
+            onDragStart={() => setDragging(pos)} onDragEnd={() => setDragging(null)}
+            onDragOver={e => { if (dragging !== null) e.preventDefault(); }}
+            onDrop={e => { e.preventDefault(); move(dragging, pos); setDragging(null); }}
+            className={`flex items-center gap-2 rounded-xl border p-2 bg-white ${dragging === pos ? "opacity-50" : ""}`}>
+            <GripVertical className={`w-4 h-4 text-gray-400 ${disabled ? "" : "cursor-grab"}`} aria-hidden="true"/>
+            <span className="text-sm text-gray-500 w-5">{pos + 1}.</span>
+            <span className="flex-1">{q.items[item]}</span>
+            <button type="button" ref={el => { buttons.current[`${item}-up`] = el; }} onClick={() => step(pos, "up")} disabled={disabled || pos === 0} aria-label={t("items.moveUp", { item: q.items[item] })} className="rounded-lg border p-1 hover:bg-gray-50 disabled:opacity-30"><ArrowUp className="w-4 h-4"/></button>
+            <button type="button" ref={el => { buttons.current[`${item}-down`] = el; }} onClick={() => step(pos, "down")} disabled={disabled || pos === order.length - 1} aria-label={t("items.moveDown", { item: q.items[item] })} className="rounded-lg border p-1 hover:bg-gray-50 disabled:opacity-30"><ArrowDown className="w-4 h-4"/></button>
+          </li>
+        ))}
+      </ol>
+      {!answered && !disabled && (
+        <button type="button" onClick={() => onChange([...order])} className="mt-2 rounded-xl border px-3 py-1.5 text-sm hover:bg-gray-50">{t("items.keepOrder")}</button>
+      )}
+      <div className="sr-only" aria-live="polite">{moved ? t("items.moved", { item: q.items[moved.item], n: moved.to }) : ""}</div>
+    </fieldset>
+  );
+}
+
+export function ClassifyItem({ q, prompt, value, onChange, disabled }) {
+  const t = useT();
+  const v = value || {};
+  const rows = q.itemOrder || q.items.map((_, i) => i);
+  const name = useId();
+  return (
+    <fieldset className="mb-4">
+      <legend className="font-medium">{prompt ?? q.prompt}</legend>
+      <table className="mt-2 w-full text-sm">
+        <thead>
+          <tr><th scope="col" className="text-left font-normal text-gray-500 p-2">{t("items.item")}</th>{q.categories.map((c, j) => <th key={j} scope="col" className="font-medium p-2">{c}</th>)}</tr>
+        </thead>
+        <tbody>
+          {rows.map(i => (
+            <tr key={i} className="border-t">
+              <th scope="row" className="p-2 text-left font-normal">{q.items[i].text}</th>
+              {q.categories.map((c, j) => (
+                <td key={j} className="p-2 text-center">
+                  <input type="radio" className="accent-black" name={`${name}-${i}`} checked={v[i] === j} disabled={disabled} onChange={() => onChange({ ...v, [i]: j })} aria-label={`${q.items[i].text}: ${c}`} />
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </fieldset>
+  );
+}
+
+export function ClozeItem({ q, prompt, value, onChange, disabled }) {
+  const t = useT();
+  const v = value || {};
+  const set = (i, text) => onChange({ ...v, [i]: text });
+  return (
+    <fieldset className="mb-4">
+      <legend className="font-medium">{prompt ?? q.prompt}</legend>
+      {q.wordBank && <div className="mt-1 text-xs text-gray-500">{t("items.wordBank", { words: q.wordBank.join(" · ") })}</div>}
+      <p className="mt-2 leading-9">
+        {clozeParts(q.text).map((p, k) => p.blank === undefined ? <React.Fragment key={k}>{p.text}</React.Fragment> : q.wordBank ? (
+          <select key={k} value={v[p.blank] ?? ""} disabled={disabled} onChange={e=>set(p.blank, e.target.value)} aria-label={t("items.blank", { n: p.blank + 1 })} className="mx-1 rounded-lg border px-2 py-1 bg-white">
+            <option value="">…</option>
+            {q.wordBank.map(w => <option key={w} value={w}>{w}</option>)}
+          </select>
+        ) : (
+          <input key={k} value={v[p.blank] ?? ""} readOnly={disabled} onChange={e=>set(p.blank, e.target.value)} aria-label={t("items.blank", { n: p.blank + 1 })} className="mx-1 w-36 rounded-lg border px-2 py-1 read-only:bg-gray-50" />
+        ))}
+      </p>
+    </fieldset>
+  );
+}
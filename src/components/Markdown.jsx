@@ -0,0 +1,150 @@
+import React, { useMemo } from "react";
+import { parseMarkdown } from "../markdown/parse";
+import { mathText, parseMath } from "../markdown/math";
+import { linkTerms } from "../content/glossary";
+import { useT } from "../i18n";
+import { GlossaryTerm } from "./Glossary";
+
+/**
+ * Renders lesson Markdown (see ../markdown/parse.js) as React elements; nothing is inserted as
+ * HTML. Directives are the extension point: `blocks` maps a directive name to
+ *   (attrs, children, node) => ReactNode
+ * where `children` is the rendered body of a :::container (null for a ::leaf). Callouts and key
+ * terms are built in; the app adds its own (diagrams, embedded questions). A directive nobody
+ * handles is shown as its source line, so a typo stays visible instead of vanishing.
+ *
+ * With a `glossary` (../content/glossary.js), the first mention of each term shows its definition.
+ */
+
+const CALLOUT_TONES = {
+  note: { label: "callout.note", className: "border-blue-300 bg-blue-50" },
+  tip: { label: "callout.tip", className: "border-green-300 bg-green-50" },
+  warning: { label: "callout.warning", className: "border-amber-300 bg-amber-50" },
+  exam: { label: "callout.exam", className: "border-purple-300 bg-purple-50" },
+};
+
+/** A built-in label, in the reader's language (see ../i18n). */
+function Message({ id }) {
+  return useT()(id);
+}
+
+const BUILTIN_BLOCKS = {
+  // :::callout{tone="tip" title="Remember"} … :::
+  callout: (attrs, children) => {
+    const tone = CALLOUT_TONES[attrs.tone] || CALLOUT_TONES.note;
+    return (
+      <aside className={`my-3 rounded-xl border-l-4 p-3 ${tone.className}`}>
+        <div className="text-sm font-semibold mb-1">{attrs.title || <Message id={tone.label} />}</div>
+        {children}
+      </aside>
+    );
+  },
+  // :::keyterm{term="Opportunity cost"} definition :::
+  keyterm: (attrs, children) => (
+    <aside className="my-3 rounded-xl border p-3 bg-white">
+      <div className="text-xs uppercase tracking-wide text-gray-500"><Message id="callout.keyterm" /></div>
+      {attrs.term && <div className="font-semibold">{attrs.term}</div>}
+      {children}
+    </aside>
+  ),
+};
+
+const HEADINGS = {
+  1: "text-2xl font-semibold mt-2 mb-2",
+  2: "text-xl font-semibold mt-4 mb-2",
+  3: "text-lg font-semibold mt-4 mb-1",
+  4: "font-semibold mt-3 mb-1",
+  5: "font-semibold mt-3 mb-1",
+  6: "font-semibold mt-3 mb-1",
+};
+
+// ----------------------------- Formulas -----------------------------
+function MathNodes({ nodes }) {
+  return nodes.map((n, i) => {
+    switch (n.type) {
+      case "text": return n.italic ? <i key={i}>{n.value}</i> : <React.Fragment key={i}>{n.value}</React.Fragment>;
+      case "frac": return (
+        <span key={i} className="inline-flex flex-col items-center align-middle mx-0.5 text-[0.85em] leading-tight">
+          <span className="px-0.5"><MathNodes nodes={n.num} /></span>
+          <span className="px-0.5 border-t border-current w-full text-center"><MathNodes nodes={n.den} /></span>
+        </span>
+      );
+      case "sup": return <sup key={i}><MathNodes nodes={n.children} /></sup>;
+      case "sub": return <sub key={i}><MathNodes nodes={n.children} /></sub>;
+      case "sqrt": return <span key={i}>√<span className="border-t border-current"><MathNodes nodes={n.children} /></span></span>;
+      default: return <MathNodes key={i} nodes={n.children} />;
+    }
+  });
+}
+
+export function Formula({ src, display = false }) {
+  const nodes = useMemo(() => parseMath(src), [src]);
+  const label = mathText(nodes);
+  const body = <span className="font-serif whitespace-nowrap" role="img" aria-label={label}><MathNodes nodes={nodes} /></span>;
+  return display ? <div className="my-3 text-center text-lg">{body}</div> : body;
+}
+
+// ----------------------------- Tree -----------------------------
+function Inline({ nodes, glossary }) {
+  return nodes.map((n, i) => {
+    switch (n.type) {
+      case "text": return <React.Fragment key={i}>{n.value}</React.Fragment>;
+      case "br": return <br key={i} />;
+      case "strong": return <strong key={i}><Inline nodes={n.children} glossary={glossary} /></strong>;
+      case "em": return <em key={i}><Inline nodes={n.children} glossary={glossary} /></em>;
+      case "del": return <del key={i}><Inline nodes={n.children} glossary={glossary} /></del>;
+      case "term": return <GlossaryTerm key={i} item={glossary.byId.get(n.id)}><Inline nodes={n.children} /></GlossaryTerm>;
+      case "code": return <code key={i} className="rounded bg-gray-100 px-1 text-[0.9em]">{n.value}</code>;
+      case "math": return <Formula key={i} src={n.value} />;
+      case "link": {
+        if (!n.href) return <span key={i}><Inline nodes={n.children} /></span>;
+        const external = /^(https?:|mailto:)/i.test(n.href);
+        return <a key={i} href={n.href} title={n.title} className="underline" {...(external ? { target: "_blank", rel: "noopener noreferrer" } : {})}><Inline nodes={n.children} /></a>;
+      }
+      default: return null;
+    }
+  });
+}
+
+const alignClass = { left: "text-left", center: "text-center", right: "text-right" };
+
+function Blocks({ nodes, blocks, glossary, tight = false }) {
+  return nodes.map((n, i) => {
+    switch (n.type) {
+      case "heading": return React.createElement(`h${n.level}`, { key: i, className: HEADINGS[n.level] }, <Inline nodes={n.children} glossary={glossary} />);
+      case "paragraph": return tight ? <React.Fragment key={i}><Inline nodes={n.children} glossary={glossary} /></React.Fragment> : <p key={i} className="my-2"><Inline nodes={n.children} glossary={glossary} /></p>;
+      case "list": {
+        const items = n.items.map((item, k) => <li key={k} className={n.tight ? undefined : "my-1"}><Blocks nodes={item} blocks={blocks} glossary={glossary} tight={n.tight} /></li>);
+        return n.ordered
+          ? <ol key={i} start={n.start === 1 ? undefined : n.start} className="list-decimal pl-6 my-2">{items}</ol>
+          : <ul key={i} className="list-disc pl-6 my-2">{items}</ul>;
+      }
+      case "blockquote": return <blockquote key={i} className="my-3 border-l-4 border-gray-300 pl-3 text-gray-700"><Blocks nodes={n.children} blocks={blocks} glossary={glossary} /></blockquote>;
+      case "table": return (
+        <div key={i} className="my-3 overflow-x-auto">
+          <table className="text-sm border-collapse">
+            <thead><tr>{n.head.map((c, k) => <th key={k} scope="col" className={`border px-2 py-1 bg-gray-50 ${alignClass[n.align[k]] || "text-left"}`}><Inline nodes={c} glossary={glossary} /></th>)}</tr></thead>
+            <tbody>{n.rows.map((row, r) => <tr key={r}>{row.map((c, k) => <td key={k} className={`border px-2 py-1 ${alignClass[n.align[k]] || ""}`}><Inline nodes={c} glossary={glossary} /></td>)}</tr>)}</tbody>
+          </table>
+        </div>
+      );
+      case "code": return <pre key={i} className="my-3 rounded-xl bg-gray-100 p-3 text-sm overflow-x-auto"><code>{n.value}</code></pre>;
+      case "math": return <Formula key={i} src={n.value} display />;
+      case "hr": return <hr key={i} className="my-4" />;
+      case "directive": case "container": {
+        const render = blocks[n.name];
+        const children = n.type === "container" ? <Blocks nodes={n.children} blocks={blocks} glossary={glossary} /> : null;
+        if (render) return <React.Fragment key={i}>{render(n.attrs, children, n)}</React.Fragment>;
+        return <React.Fragment key={i}><p className="my-2 text-gray-500">{n.source}</p>{children}</React.Fragment>;
+      }
+      default: return null;
+    }
+  });
+}
+
+/** @param {{ md:string, blocks?:Record<string, (attrs:Record<string,string>, children:React.ReactNode, node:object) => React.ReactNode>, glossary?:import("../content/glossary").Glossary }} props */
+export default function Markdown({ md, blocks, glossary }) {
+  const tree = useMemo(() => linkTerms(parseMarkdown(md), glossary), [md, glossary]);
+  const all = useMemo(() => ({ ...BUILTIN_BLOCKS, ...blocks }), [blocks]);
+  return <div className="max-w-none"><Blocks nodes={tree} blocks={all} glossary={glossary} /></div>;
+}
@@ -0,0 +1,185 @@
+import React, { useEffect, useRef, useState } from "react";
+import { ChevronDown, Lock, Plus, Trash2, User } from "lucide-react";
+import { ProfileError, checkPin, isValidPin } from "../profiles";
+import { useT } from "../i18n";
+
+/**
+ * Learner profiles on a shared device (see ../profiles.js): the switcher in the header and the
+ * "Who's studying?" screen shown when no profile is open. Changes are made by the callbacks,
+ * which throw a ProfileError (shown in the interface language) when a name or PIN is not accepted.
+ */
+
+const input = "rounded-xl border px-3 py-1.5 text-sm";
+const button = "rounded-xl border px-3 py-1.5 text-sm hover:bg-gray-50 disabled:opacity-50";
+
+/** Run an action and show its error message, if any, under the form. */
+function useAction() {
+  const t = useT();
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const run = async (fn) => {
+    setError(""); setBusy(true);
+    try { await fn(); } catch (e) { setError(e instanceof ProfileError ? t(e.key, e.vars) : e.message); } finally { setBusy(false); }
+  };
+  return { error, busy, run, setError };
+}
+
+function PinPrompt({ profile, onUnlocked, onCancel }) {
+  const t = useT();
+  const [pin, setPin] = useState("");
+  const { error, busy, run, setError } = useAction();
+  const submit = (e) => {
+    e.preventDefault();
+    run(async () => { if (await checkPin(profile, pin)) onUnlocked(); else { setPin(""); setError(t("profiles.wrongPin")); } });
+  };
+  return (
+    <form onSubmit={submit} className="flex flex-col gap-2 p-2">
+      <label className="text-sm">{t("profiles.pinFor", { name: profile.name })}
+        <input type="password" inputMode="numeric" autoComplete="off" autoFocus value={pin} onChange={e=>setPin(e.target.value)} className={`${input} mt-1 w-full`} />
+      </label>
+      {error && <div role="alert" className="text-xs text-red-700">{error}</div>}
+      <div className="flex gap-2">
+        <button type="submit" disabled={busy || !pin} className={button}>{t("profiles.open")}</button>
+        <button type="button" onClick={onCancel} className={button}>{t("common.cancel")}</button>
+      </div>
+    </form>
+  );
+}
+
+function NewProfileForm({ onCreate, onDone }) {
+  const t = useT();
+  const [name, setName] = useState("");
+  const [pin, setPin] = useState("");
+  const { error, busy, run } = useAction();
+  const submit = (e) => {
+    e.preventDefault();
+    if (pin && !isValidPin(pin)) { run(() => { throw new Error(t("profiles.badPin")); }); return; }
+    run(async () => { await onCreate(name, pin || null); onDone?.(); });
+  };
+  return (
+    <form onSubmit={submit} className="flex flex-col gap-2 p-2">
+      <label className="text-sm">{t("profiles.name")}
+        <input value={name} onChange={e=>setName(e.target.value)} autoFocus className={`${input} mt-1 w-full`} placeholder={t("profiles.namePlaceholder")} />
+      </label>
+      <label className="text-sm">{t("profiles.pin")} <span className="text-gray-500">{t("profiles.pinOptional")}</span>
+        <input type="password" inputMode="numeric" autoComplete="new-password" value={pin} onChange={e=>setPin(e.target.value)} className={`${input} mt-1 w-full`} />
+      </label>
+      {error && <div role="alert" className="text-xs text-red-700">{error}</div>}
+      <div className="flex gap-2">
+        <button type="submit" disabled={busy} className={button}>{t("profiles.create")}</button>
+        {onDone && <button type="button" onClick={onDone} className={button}>{t("common.cancel")}</button>}
+      </div>
+    </form>
+  );
+}
+
+/** Other profiles to open, each asking for its PIN first when it has one. */
+function ProfileList({ profiles, onOpen }) {
+  const t = useT();
+  const [asking, setAsking] = useState(null);
+  if (asking) return <PinPrompt profile={asking} onUnlocked={() => onOpen(asking.id)} onCancel={() => setAsking(null)} />;
+  return (
+    <ul className="flex flex-col">
+      {profiles.map(p => (
+        <li key={p.id}>
+          <button onClick={() => (p.pinHash ? setAsking(p) : onOpen(p.id))} className="w-full text-left rounded-lg px-2 py-1.5 hover:bg-gray-100 inline-flex items-center gap-2 text-sm">
+            <User className="w-4 h-4"/><span className="flex-1">{p.name}</span>{p.pinHash && <Lock className="w-3 h-3 text-gray-500" aria-label={t("profiles.pinProtected")}/>}
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/** Rename, PIN and delete for the open profile. */
+function ManageProfile({ profile, canDelete, onRename, onSetPin, onDelete }) {
+  const t = useT();
+  const [name, setName] = useState(profile.name);
+  const [pin, setPin] = useState("");
+  const { error, busy, run } = useAction();
+  const savePin = () => run(async () => {
+    if (!isValidPin(pin)) throw new Error(t("profiles.badPin"));
+    await onSetPin(pin);
+    setPin("");
+  });
+  const remove = () => {
+    if (!window.confirm(t("profiles.deleteConfirm", { name: profile.name }))) return;
+    run(onDelete);
+  };
+  return (
+    <div className="flex flex-col gap-2 p-2">
+      <div className="flex gap-2">
+        <input value={name} onChange={e=>setName(e.target.value)} aria-label={t("profiles.profileName")} className={`${input} flex-1 min-w-0`} />
+        <button onClick={() => run(() => onRename(name))} disabled={busy || name === profile.name} className={button}>{t("profiles.rename")}</button>
+      </div>
+      <div className="flex gap-2">
+        <input type="password" inputMode="numeric" autoComplete="new-password" value={pin} onChange={e=>setPin(e.target.value)} aria-label={t(profile.pinHash ? "profiles.newPin" : "profiles.pin")} placeholder={t(profile.pinHash ? "profiles.newPin" : "profiles.addPin")} className={`${input} flex-1 min-w-0`} />
+        <button onClick={savePin} disabled={busy || !pin} className={button}>{t(profile.pinHash ? "profiles.change" : "profiles.set")}</button>
+        {profile.pinHash && <button onClick={() => run(() => onSetPin(null))} disabled={busy} className={button}>{t("common.remove")}</button>}
+      </div>
+      {error && <div role="alert" className="text-xs text-red-700">{error}</div>}
+      <button onClick={remove} disabled={busy || !canDelete} title={canDelete ? "" : t("profiles.lastProfile")} className={`${button} text-red-700 inline-flex items-center gap-2 self-start`}><Trash2 className="w-4 h-4"/> {t("profiles.delete")}</button>
+    </div>
+  );
+}
+
+/** The header's profile switcher. */
+export function ProfileMenu({ profiles, active, onSwitch, onCreate, onRename, onSetPin, onDelete, onLock }) {
+  const t = useT();
+  const [open, setOpen] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const ref = useRef(null);
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => { if (!ref.current?.contains(e.target)) setOpen(false); };
+    const onKey = (e) => { if (e.key === "Escape") setOpen(false); };
+    document.addEventListener("mousedown", onDown);
+    document.addEventListener("keydown", onKey);
+    return () => { document.removeEventListener("mousedown", onDown); document.removeEventListener("keydown", onKey); };
+  }, [open]);
+  const others = profiles.filter(p => p.id !== active.id);
+  const close = () => { setOpen(false); setCreating(false); };
+  return (
+    <div ref={ref} className="relative">
+      <button onClick={() => setOpen(o => !o)} aria-expanded={open} aria-haspopup="true" className="flex items-center gap-1 rounded px-3 py-1.5 hover:bg-gray-100" title={t("profiles.switch")}>
+        <User className="w-4 h-4"/> <span className="max-w-[10rem] truncate">{active.name}</span> <ChevronDown className="w-3 h-3"/>
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-1 w-72 rounded-xl border bg-white shadow-lg p-2 flex flex-col gap-1 z-30">
+          {others.length > 0 && (
+            <>
+              <div className="px-2 pt-1 text-xs uppercase tracking-wide text-gray-500">{t("profiles.switchTo")}</div>
+              <ProfileList profiles={others} onOpen={(id) => { close(); onSwitch(id); }} />
+            </>
+          )}
+          {creating
+            ? <NewProfileForm onCreate={async (name, pin) => { await onCreate(name, pin); close(); }} onDone={() => setCreating(false)} />
+            : <button onClick={() => setCreating(true)} className="text-left rounded-lg px-2 py-1.5 hover:bg-gray-100 inline-flex items-center gap-2 text-sm"><Plus className="w-4 h-4"/> {t("profiles.new")}</button>}
+          <div className="border-t mt-1 pt-1">
+            <div className="px-2 pt-1 text-xs uppercase tracking-wide text-gray-500">{t("profiles.thisProfile")}</div>
+            <ManageProfile key={active.id} profile={active} canDelete={profiles.length > 1} onRename={onRename} onSetPin={onSetPin} onDelete={async () => { close(); await onDelete(); }} />
+            {active.pinHash && <button onClick={() => { close(); onLock(); }} className="w-full text-left rounded-lg px-2 py-1.5 hover:bg-gray-100 inline-flex items-center gap-2 text-sm"><Lock className="w-4 h-4"/> {t("profiles.lock")}</button>}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/** Shown when no profile is open: after a PIN-protected profile was locked or deleted, or on a reload. */
+export function ProfilePicker({ profiles, onOpen, onCreate }) {
+  const t = useT();
+  const [creating, setCreating] = useState(false);
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-white to-gray-50 text-gray-900 flex items-start justify-center p-6">
+      <div className="mt-16 w-full max-w-sm rounded-xl border bg-white p-4 flex flex-col gap-2">
+        <h1 className="text-xl font-semibold">{t("profiles.who")}</h1>
+        <p className="text-sm text-gray-600">{t("profiles.whoHint")}</p>
+        <ProfileList profiles={profiles} onOpen={onOpen} />
+        {creating
+          ? <NewProfileForm onCreate={onCreate} onDone={() => setCreating(false)} />
+          : <button onClick={() => setCreating(true)} className={`${button} inline-flex items-center gap-2 self-start`}><Plus className="w-4 h-4"/> {t("profiles.new")}</button>}
+      </div>
+    </div>
+  );
+}
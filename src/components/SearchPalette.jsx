@@ -0,0 +1,92 @@
+import React, { useEffect, useId, useMemo, useRef, useState } from "react";
+import { BookA, BookOpen, HelpCircle, Search } from "lucide-react";
+import { searchCourse } from "../search";
+import { useT } from "../i18n";
+
+/**
+ * The search palette (see ../search.js): a dialog over the page with one search box and a list
+ * of ranked results. The box is a combobox, so focus stays in it while the arrow keys move
+ * through the results; Enter opens one and Escape closes the palette, returning focus to where
+ * it was.
+ */
+
+const ICONS = { lesson: BookOpen, question: HelpCircle, term: BookA };
+
+/** Text with the parts that matched the query marked. */
+function Highlight({ parts }) {
+  return parts.map((p, i) => (p.hit ? <mark key={i} className="rounded-sm bg-yellow-200 text-inherit">{p.text}</mark> : <React.Fragment key={i}>{p.text}</React.Fragment>));
+}
+
+/** Opens onto `onOpen(target)` (a route) for the chosen result; `onClose` when dismissed. */
+export default function SearchPalette({ index, onOpen, onClose }) {
+  const t = useT();
+  const id = useId();
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+  const hits = useMemo(() => searchCourse(index, query), [index, query]);
+
+  // Focus goes back where it was when the palette is dismissed (opening a result moves it to the new view).
+  useEffect(() => {
+    const before = document.activeElement;
+    inputRef.current?.focus();
+    return () => { if (document.activeElement === document.body || !document.activeElement) before?.focus?.(); };
+  }, []);
+  useEffect(() => {
+    listRef.current?.querySelector(`[data-index="${active}"]`)?.scrollIntoView({ block: "nearest" });
+  }, [active]);
+
+  const choose = (hit) => { if (hit) onOpen(hit.doc.target); };
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      if (hits.length) setActive(a => (a + (e.key === "ArrowDown" ? 1 : hits.length - 1)) % hits.length);
+    } else if (e.key === "Enter") {
+      e.preventDefault(); choose(hits[active]);
+    } else if (e.key === "Escape") {
+      e.preventDefault(); onClose();
+    } else if (e.key === "Tab") {
+      e.preventDefault(); // the box is the only stop in the dialog
+    }
+  };
+  const kindLabel = { lesson: t("search.lesson"), question: t("search.question"), term: t("search.term") };
+
+  return (
+    <div className="fixed inset-0 z-40 bg-black/30 flex items-start justify-center p-4" onMouseDown={e => { if (e.target === e.currentTarget) onClose(); }}>
+      <div role="dialog" aria-modal="true" aria-labelledby={`${id}-title`} className="mt-[10vh] w-full max-w-2xl rounded-2xl border bg-white shadow-xl flex flex-col max-h-[75vh]">
+        <h2 id={`${id}-title`} className="sr-only">{t("search.title")}</h2>
+        <div className="flex items-center gap-2 border-b px-4 py-3">
+          <Search className="w-4 h-4 text-gray-500" aria-hidden="true"/>
+          <input ref={inputRef} type="text" value={query} onChange={e => { setQuery(e.target.value); setActive(0); }} onKeyDown={onKeyDown}
+            role="combobox" aria-expanded={hits.length > 0} aria-controls={`${id}-results`} aria-autocomplete="list"
+            aria-activedescendant={hits[active] ? `${id}-${active}` : undefined} aria-label={t("search.title")} placeholder={t("search.placeholder")}
+            autoComplete="off" spellCheck={false} className="flex-1 bg-transparent text-base" />
+          <kbd className="rounded border px-1.5 py-0.5 text-xs text-gray-500">Esc</kbd>
+        </div>
+        <ul ref={listRef} id={`${id}-results`} role="listbox" aria-label={t("search.results", { n: hits.length })} className="overflow-auto p-2">
+          {hits.map((hit, i) => {
+            const Icon = ICONS[hit.doc.kind];
+            return (
+              <li key={hit.doc.id} id={`${id}-${i}`} data-index={i} role="option" aria-selected={i === active}
+                onMouseMove={() => setActive(i)} onClick={() => choose(hit)}
+                className={`rounded-xl px-3 py-2 cursor-pointer flex items-start gap-3 ${i === active ? "bg-gray-100" : ""}`}>
+                <Icon className="w-4 h-4 mt-1 shrink-0 text-gray-500" aria-hidden="true"/>
+                <div className="min-w-0 flex-1">
+                  <div className="font-medium line-clamp-2"><Highlight parts={hit.title} /></div>
+                  <div className="text-xs text-gray-500 truncate">{kindLabel[hit.doc.kind]}{hit.doc.where && ` · ${hit.doc.where}`}</div>
+                  {hit.snippet.length > 0 && <div className="mt-1 text-sm text-gray-700 line-clamp-2"><Highlight parts={hit.snippet} /></div>}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+        <div role="status" className="border-t px-4 py-2 text-xs text-gray-500">
+          {query.trim()
+            ? (hits.length ? t("search.results", { n: hits.length }) : t("search.none", { query: query.trim() }))
+            : t("search.hint")}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+import React from "react";
+import { columnsFor, datasetFrom } from "../content/datasets";
+import { useT } from "../i18n";
+
+/**
+ * Data-response stimuli (see ../content/datasets.js): the extract, data tables and line/bar
+ * charts. Charts are plain SVG with a text summary for screen readers.
+ */
+
+const COLORS = ["#111827", "#2563eb", "#dc2626", "#16a34a", "#9333ea"];
+const fmt = (v) => (v === null || v === undefined ? "–" : typeof v === "number" ? v.toLocaleString() : v);
+
+function Missing({ block }) {
+  const t = useT();
+  return <div className="my-2 rounded-xl border border-dashed p-3 text-sm text-gray-500">{t("stimulus.missing", { name: typeof block.data === "string" ? block.data : t("stimulus.inline") })}</div>;
+}
+
+export function DataTable({ table }) {
+  const t = useT();
+  const data = datasetFrom(table.data);
+  if (!data) return <Missing block={table} />;
+  const cols = columnsFor(table, data);
+  const idx = cols.map(c => data.columns.indexOf(c));
+  return (
+    <figure className="my-3 overflow-x-auto">
+      {table.caption && <figcaption className="text-sm font-medium mb-1">{table.caption}</figcaption>}
+      <table className="text-sm border-collapse">
+        <thead><tr>{cols.map(c => <th key={c} scope="col" className="border px-2 py-1 bg-gray-50 text-left font-medium">{c}</th>)}</tr></thead>
+        <tbody>
+          {data.rows.map((r, i) => <tr key={i}>{idx.map((j, k) => k === 0 ? <th key={k} scope="row" className="border px-2 py-1 text-left font-normal">{fmt(r[j])}</th> : <td key={k} className="border px-2 py-1 text-right tabular-nums">{fmt(r[j])}</td>)}</tr>)}
+        </tbody>
+      </table>
+      {table.source && <div className="text-xs text-gray-500 mt-1">{t("stimulus.source", { source: table.source })}</div>}
+    </figure>
+  );
+}
+
+// ----------------------------- Charts -----------------------------
+const W = 420, H = 240;
+const M = { top: 12, right: 12, bottom: 32, left: 44 };
+
+/** About five round tick values covering [lo, hi]. */
+function ticks(lo, hi) {
+  const span = hi - lo || 1;
+  const raw = span / 5, mag = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 2.5, 5, 10].map(m => m * mag).find(s => s >= raw);
+  const out = [];
+  for (let v = Math.floor(lo / step) * step; v <= hi + step * 1e-9; v += step) out.push(+v.toFixed(10));
+  return out;
+}
+
+export function DataChart({ chart }) {
+  const t = useT();
+  const data = datasetFrom(chart.data);
+  if (!data) return <Missing block={chart} />;
+  const xi = data.columns.indexOf(chart.x);
+  const series = (chart.y || []).filter(c => data.columns.includes(c)).map(c => ({ name: c, i: data.columns.indexOf(c) }));
+  const labels = data.rows.map(r => r[xi]);
+  const values = series.flatMap(s => data.rows.map(r => r[s.i])).filter(v => typeof v === "number");
+  if (xi < 0 || !series.length || !values.length) return <Missing block={chart} />;
+
+  const ts = ticks(Math.min(0, ...values), Math.max(0, ...values));
+  const lo = ts[0], hi = ts[ts.length - 1];
+  const pw = W - M.left - M.right, ph = H - M.top - M.bottom;
+  const band = pw / labels.length;
+  const cx = (i) => M.left + band * (i + 0.5);
+  const sy = (v) => M.top + (1 - (v - lo) / (hi - lo || 1)) * ph;
+  const barW = Math.max(2, (band * 0.8) / series.length);
+  const summary = t(chart.kind === "bar" ? "stimulus.bar" : "stimulus.line", { series: series.map(s => s.name).join(", "), x: chart.x,
+    values: series.map(s => `${s.name} ${data.rows.map(r => `${r[xi]} ${fmt(r[s.i])}`).join(", ")}`).join("; ") });
+
+  return (
+    <figure className="my-3">
+      {chart.caption && <figcaption className="text-sm font-medium mb-1">{chart.caption}</figcaption>}
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full max-w-md" role="img" aria-label={summary}>
+        {ts.map(tick => (
+          <g key={tick}>
+            <line x1={M.left} x2={W - M.right} y1={sy(tick)} y2={sy(tick)} stroke={tick === 0 ? "#9ca3af" : "#e5e7eb"} />
+            <text x={M.left - 6} y={sy(tick) + 4} textAnchor="end" fontSize="10" fill="#6b7280">{tick}</text>
+          </g>
+        ))}
+        {labels.map((l, i) => <text key={i} x={cx(i)} y={H - M.bottom + 14} textAnchor="middle" fontSize="10" fill="#6b7280">{l}</text>)}
+        {chart.yLabel && <text x={10} y={M.top + ph / 2} fontSize="10" fill="#6b7280" transform={`rotate(-90 10 ${M.top + ph / 2})`} textAnchor="middle">{chart.yLabel}</text>}
+        {series.map((s, k) => chart.kind === "bar"
+          ? data.rows.map((r, i) => typeof r[s.i] === "number" && (
+            <rect key={`${k}-${i}`} x={cx(i) - (barW * series.length) / 2 + k * barW} width={barW - 1}
+              y={Math.min(sy(r[s.i]), sy(0))} height={Math.abs(sy(r[s.i]) - sy(0))} fill={COLORS[k % COLORS.length]} />))
+          : <polyline key={k} fill="none" stroke={COLORS[k % COLORS.length]} strokeWidth="2"
+              points={data.rows.map((r, i) => (typeof r[s.i] === "number" ? `${cx(i)},${sy(r[s.i])}` : null)).filter(Boolean).join(" ")} />)}
+      </svg>
+      <div className="flex flex-wrap gap-3 text-xs mt-1" aria-hidden="true">
+        {series.map((s, k) => <span key={s.name} className="inline-flex items-center gap-1"><span className="inline-block w-3 h-3 rounded-sm" style={{ background: COLORS[k % COLORS.length] }}/>{s.name}</span>)}
+      </div>
+      {chart.source && <div className="text-xs text-gray-500 mt-1">{t("stimulus.source", { source: chart.source })}</div>}
+    </figure>
+  );
+}
+
+/** The whole stimulus. `Markdown` renders the extract; without it the text is shown as written. */
+export function Stimulus({ stimulus, Markdown }) {
+  const t = useT();
+  if (!stimulus) return null;
+  return (
+    <div className="rounded-xl border bg-gray-50 p-4">
+      <div className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">{t("stimulus.title")}</div>
+      {stimulus.md && (Markdown ? <Markdown md={stimulus.md} /> : <div className="text-sm whitespace-pre-wrap">{stimulus.md}</div>)}
+      {stimulus.tables?.map((t, i) => <DataTable key={`t${i}`} table={t} />)}
+      {stimulus.charts?.map((c, i) => <DataChart key={`c${i}`} chart={c} />)}
+    </div>
+  );
+}
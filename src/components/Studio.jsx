@@ -0,0 +1,369 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { ArrowDown, ArrowLeft, ArrowUp, Download, Plus, Save, Trash2, Upload } from "lucide-react";
+import { Pill } from "./ui";
+import { DIFFICULTIES } from "../content/schema";
+import {
+  EDITABLE_TYPES, LS_STUDIO_KEY, addLesson, addQuestion, addSection, draftFrom, draftShapeIssue, editCriterion, editOption, hasForm, isAbout, isQuestionShape, moveItem,
+  questionsOf, removeAt, renameLesson, renameQuestion, renameSection, replaceAt, selectionFor, studioIssues, updateQuestions, updateSection,
+} from "../content/studio";
+import { downloadText, loadOrRecover, saveLS } from "../storage";
+import { useT } from "../i18n";
+
+/**
+ * Teacher authoring studio: an outline of the working copy (sections with their lessons and test
+ * questions, then the final exam) beside an editor for the selected item. Lessons preview live
+ * through the app's own Markdown renderer (passed in as `Markdown`); MCQs and short answers have
+ * forms, other question types are edited as JSON. Problems found by the pack validator are listed
+ * and link to the item they are about.
+ */
+
+const input = "mt-1 w-full rounded-xl border p-2 text-sm";
+const small = "rounded-lg border px-2 py-1 text-xs hover:bg-gray-50 disabled:opacity-30";
+
+/** Set or (when empty) drop an optional field. */
+function withOpt(obj, key, value) {
+  const { [key]: _old, ...rest } = obj;
+  return value === "" || value === undefined || value === null ? rest : { ...rest, [key]: value };
+}
+
+function Field({ label, children, hint }) {
+  return (
+    <label className="text-sm block">{label}{hint && <span className="text-gray-500"> · {hint}</span>}
+      {children}
+    </label>
+  );
+}
+
+function MoveButtons({ what, index, count, onMove, onRemove }) {
+  const t = useT();
+  return (
+    <span className="inline-flex gap-1 shrink-0">
+      <button type="button" onClick={() => onMove(-1)} disabled={index === 0} aria-label={t("studio.moveUp", { what })} className={small}><ArrowUp className="w-3 h-3"/></button>
+      <button type="button" onClick={() => onMove(1)} disabled={index === count - 1} aria-label={t("studio.moveDown", { what })} className={small}><ArrowDown className="w-3 h-3"/></button>
+      {onRemove && <button type="button" onClick={onRemove} aria-label={t("studio.delete", { what })} className={`${small} text-red-700`}><Trash2 className="w-3 h-3"/></button>}
+    </span>
+  );
+}
+
+const confirmDelete = (t, what) => window.confirm(t("studio.confirmDelete", { what }));
+
+// ----------------------------- Outline -----------------------------
+function OutlineItem({ active, onClick, children, flagged }) {
+  const t = useT();
+  return (
+    <button type="button" onClick={onClick} aria-current={active ? "true" : undefined} className={`flex-1 min-w-0 text-left truncate rounded-lg px-2 py-1 text-sm ${active ? "bg-gray-100 font-medium" : "hover:bg-gray-50"}`}>
+      {flagged && <span className="text-red-600" title={t("studio.hasProblems")}>● </span>}{children}
+    </button>
+  );
+}
+
+function QuestionRows({ pack, s, sel, setSel, setPack, flagged }) {
+  const t = useT();
+  const questions = questionsOf(pack, s);
+  return (
+    <ul className="pl-3">
+      {questions.map((q, i) => {
+        const here = { kind: "question", s, q: i };
+        return (
+          <li key={`${q.id}-${i}`} className="flex items-center gap-1">
+            <OutlineItem active={sel.kind === "question" && sel.s === s && sel.q === i} onClick={() => setSel(here)} flagged={flagged(here)}>
+              <span className="text-gray-500">{q.id}</span> {q.type} · {q.prompt || t("studio.noPrompt")}
+            </OutlineItem>
+            <MoveButtons what={t("studio.theQuestion", { id: q.id })} index={i} count={questions.length}
+              onMove={(d) => { setPack(p => updateQuestions(p, s, qs => moveItem(qs, i, d))); setSel({ ...here, q: i + d }); }}
+              onRemove={() => { if (confirmDelete(t, t("studio.theQuestion", { id: q.id }))) { setPack(p => updateQuestions(p, s, qs => removeAt(qs, i))); setSel({ kind: s === "exam" ? "pack" : "section", s }); } }} />
+          </li>
+        );
+      })}
+      <li className="flex gap-1 py-1">
+        {EDITABLE_TYPES.map(type => (
+          <button key={type} type="button" onClick={() => { const r = addQuestion(pack, s, type); setPack(r.pack); setSel(r.sel); }} className={`${small} inline-flex items-center gap-1`}><Plus className="w-3 h-3"/>{t(type === "mcq" ? "studio.mcq" : "studio.shortAnswer")}</button>
+        ))}
+      </li>
+    </ul>
+  );
+}
+
+function Outline({ pack, sel, setSel, setPack, issues }) {
+  const t = useT();
+  const flagged = (target) => issues.some(e => isAbout(e.path, target));
+  return (
+    <nav aria-label={t("studio.outline")} className="flex flex-col gap-1 text-sm">
+      <div className="flex"><OutlineItem active={sel.kind === "pack"} onClick={() => setSel({ kind: "pack" })} flagged={flagged({ kind: "pack" })}>{t("studio.courseDetails")}</OutlineItem></div>
+      {pack.sections.map((section, s) => (
+        <details key={`${section.id}-${s}`} open={sel.s === s || undefined} className="rounded-lg border p-1">
+          <summary className="flex items-center gap-1 cursor-pointer">
+            <OutlineItem active={sel.kind === "section" && sel.s === s} onClick={() => setSel({ kind: "section", s })} flagged={flagged({ kind: "section", s })}>{section.title || section.id}</OutlineItem>
+            <MoveButtons what={t("studio.theSection", { title: section.title })} index={s} count={pack.sections.length}
+              onMove={(d) => { setPack(p => ({ ...p, sections: moveItem(p.sections, s, d) })); setSel({ kind: "section", s: s + d }); }}
+              onRemove={pack.sections.length > 1 ? () => { if (confirmDelete(t, t("studio.theSectionAll", { title: section.title }))) { setPack(p => ({ ...p, sections: removeAt(p.sections, s) })); setSel({ kind: "pack" }); } } : undefined} />
+          </summary>
+          <div className="pl-2 text-xs uppercase tracking-wide text-gray-500 mt-1">{t("studio.lessons")}</div>
+          <ul className="pl-3">
+            {section.lessons.map((lesson, l) => (
+              <li key={`${lesson.id}-${l}`} className="flex items-center gap-1">
+                <OutlineItem active={sel.kind === "lesson" && sel.s === s && sel.l === l} onClick={() => setSel({ kind: "lesson", s, l })} flagged={flagged({ kind: "lesson", s, l })}>{lesson.title || lesson.id}</OutlineItem>
+                <MoveButtons what={t("studio.theLesson", { title: lesson.title })} index={l} count={section.lessons.length}
+                  onMove={(d) => { setPack(p => updateSection(p, s, sec => ({ ...sec, lessons: moveItem(sec.lessons, l, d) }))); setSel({ kind: "lesson", s, l: l + d }); }}
+                  onRemove={section.lessons.length > 1 ? () => { if (confirmDelete(t, t("studio.theLessonQuoted", { title: lesson.title }))) { setPack(p => updateSection(p, s, sec => ({ ...sec, lessons: removeAt(sec.lessons, l) }))); setSel({ kind: "section", s }); } } : undefined} />
+              </li>
+            ))}
+            <li className="py-1"><button type="button" onClick={() => { const r = addLesson(pack, s); setPack(r.pack); setSel(r.sel); }} className={`${small} inline-flex items-center gap-1`}><Plus className="w-3 h-3"/>{t("studio.lesson")}</button></li>
+          </ul>
+          <div className="pl-2 text-xs uppercase tracking-wide text-gray-500">{t("studio.testQuestions")}</div>
+          <QuestionRows pack={pack} s={s} sel={sel} setSel={setSel} setPack={setPack} flagged={flagged} />
+        </details>
+      ))}
+      <button type="button" onClick={() => { const r = addSection(pack); setPack(r.pack); setSel(r.sel); }} className={`${small} inline-flex items-center gap-1 self-start`}><Plus className="w-3 h-3"/>{t("studio.section")}</button>
+      <details open={sel.s === "exam" || undefined} className="rounded-lg border p-1 mt-2">
+        <summary className="cursor-pointer px-2 py-1 font-medium">{t("exam.name")}</summary>
+        <QuestionRows pack={pack} s="exam" sel={sel} setSel={setSel} setPack={setPack} flagged={flagged} />
+      </details>
+    </nav>
+  );
+}
+
+// ----------------------------- Editors -----------------------------
+function PackEditor({ pack, setPack }) {
+  const t = useT();
+  return (
+    <div className="flex flex-col gap-3">
+      <Field label={t("studio.courseId")} hint={t("studio.courseIdHint")}><input value={pack.id || ""} onChange={e=>setPack(p => ({ ...p, id: e.target.value }))} className={input}/></Field>
+      <Field label={t("studio.title")}><input value={pack.title || ""} onChange={e=>setPack(p => ({ ...p, title: e.target.value }))} className={input}/></Field>
+      <Field label={t("studio.version")}><input type="number" min="1" value={pack.version ?? ""} onChange={e=>setPack(p => withOpt(p, "version", e.target.value === "" ? "" : Number(e.target.value)))} className={input}/></Field>
+      <div className="text-sm text-gray-600">{[t("studio.nSections", { n: pack.sections.length }), t("studio.nLessons", { n: pack.sections.reduce((n, s) => n + s.lessons.length, 0) }), t("studio.nTestQuestions", { n: pack.sections.reduce((n, s) => n + (s.test?.questions?.length || 0), 0) }), t("studio.nExamQuestions", { n: pack.finalExam?.questions?.length || 0 })].join(" · ")}</div>
+    </div>
+  );
+}
+
+function SectionEditor({ pack, s, setPack }) {
+  const t = useT();
+  const section = pack.sections[s];
+  return (
+    <div className="flex flex-col gap-3">
+      <Field label={t("studio.sectionId")} hint={t("studio.sectionIdHint")}><input value={section.id} onChange={e=>setPack(p => renameSection(p, s, e.target.value))} className={input}/></Field>
+      <Field label={t("studio.title")}><input value={section.title} onChange={e=>setPack(p => updateSection(p, s, sec => ({ ...sec, title: e.target.value })))} className={input}/></Field>
+      <div className="text-sm text-gray-600">{t("studio.nLessons", { n: section.lessons.length })} · {t("studio.nBankQuestions", { n: section.test?.questions?.length || 0 })}</div>
+    </div>
+  );
+}
+
+function LessonEditor({ pack, s, l, setPack, Markdown }) {
+  const t = useT();
+  const lesson = pack.sections[s].lessons[l];
+  const set = (patch) => setPack(p => updateSection(p, s, sec => ({ ...sec, lessons: replaceAt(sec.lessons, l, { ...sec.lessons[l], ...patch }) })));
+  return (
+    <div className="flex flex-col gap-3">
+      <div className="grid sm:grid-cols-2 gap-3">
+        <Field label={t("studio.lessonId")} hint={t("studio.lessonIdHint")}><input value={lesson.id} onChange={e=>setPack(p => renameLesson(p, s, l, e.target.value))} className={input}/></Field>
+        <Field label={t("studio.title")}><input value={lesson.title} onChange={e=>set({ title: e.target.value })} className={input}/></Field>
+      </div>
+      <div className="grid lg:grid-cols-2 gap-3 items-start">
+        <Field label={t("studio.markdown")} hint={t("studio.markdownHint")}>
+          <textarea value={lesson.md} onChange={e=>set({ md: e.target.value })} className={`${input} font-mono min-h-[420px]`} spellCheck />
+        </Field>
+        <div>
+          <div className="text-sm">{t("studio.preview")}</div>
+          <div className="mt-1 rounded-xl border p-4 bg-white max-h-[480px] overflow-y-auto">{!lesson.md.trim() ? <span className="text-sm text-gray-500">{t("studio.nothingToPreview")}</span>
+            : Markdown ? <Markdown md={lesson.md} /> : <div className="text-sm whitespace-pre-wrap">{lesson.md}</div>}</div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function McqFields({ q, set }) {
+  const t = useT();
+  return (
+    <fieldset className="flex flex-col gap-2">
+      <legend className="text-sm">{t("studio.options")} <span className="text-gray-500">· {t("studio.optionsHint")}</span></legend>
+      {q.options.map((opt, i) => (
+        <div key={i} className="flex items-center gap-2">
+          <input type="radio" name={`answer-${q.id}`} checked={q.answer === i} onChange={() => set({ answer: i })} aria-label={t("studio.optionCorrect", { n: i + 1 })} className="accent-black"/>
+          <input value={opt} onChange={e=>set({ options: replaceAt(q.options, i, e.target.value) })} aria-label={t("studio.option", { n: i + 1 })} className="flex-1 rounded-xl border p-2 text-sm"/>
+          <MoveButtons what={t("studio.theOption", { n: i + 1 })} index={i} count={q.options.length}
+            onMove={(d) => set(editOption(q, i, d < 0 ? "up" : "down"))}
+            onRemove={q.options.length > 2 ? () => set(editOption(q, i, "remove")) : undefined} />
+        </div>
+      ))}
+      <button type="button" onClick={() => set({ options: [...q.options, ""] })} className={`${small} inline-flex items-center gap-1 self-start`}><Plus className="w-3 h-3"/>{t("studio.addOption")}</button>
+    </fieldset>
+  );
+}
+
+function ShortFields({ q, set }) {
+  const t = useT();
+  const rubric = q.rubric || { criteria: [] };
+  const setRubric = (next) => set({ rubric: next });
+  return (
+    <div className="flex flex-col gap-3">
+      <fieldset className="flex flex-col gap-2">
+        <legend className="text-sm">{t("studio.criteria")} <span className="text-gray-500">· {t("studio.criteriaHint")}</span></legend>
+        {rubric.criteria.map((c, i) => (
+          <div key={i} className="flex items-center gap-2">
+            <input value={c} onChange={e=>setRubric(editCriterion(rubric, i, { text: e.target.value }))} aria-label={t("studio.criterion", { n: i + 1 })} className="flex-1 rounded-xl border p-2 text-sm"/>
+            {rubric.keywords?.[i] && <Pill>{t("studio.keywordGroups", { n: rubric.keywords[i].length })}</Pill>}
+            <MoveButtons what={t("studio.theCriterion", { n: i + 1 })} index={i} count={rubric.criteria.length}
+              onMove={(d) => setRubric(editCriterion(rubric, i, d < 0 ? "up" : "down"))}
+              onRemove={rubric.criteria.length > 1 ? () => setRubric(editCriterion(rubric, i, "remove")) : undefined} />
+          </div>
+        ))}
+        <button type="button" onClick={() => setRubric({ ...rubric, criteria: [...rubric.criteria, ""], ...(rubric.keywords ? { keywords: [...rubric.keywords, null] } : {}) })} className={`${small} inline-flex items-center gap-1 self-start`}><Plus className="w-3 h-3"/>{t("studio.addCriterion")}</button>
+      </fieldset>
+      <Field label={t("studio.guidance")} hint={t("studio.optional")}><textarea value={rubric.guidance || ""} onChange={e=>setRubric(withOpt(rubric, "guidance", e.target.value))} className={`${input} min-h-[60px]`}/></Field>
+      <Field label={t("studio.minWords")} hint={t("studio.optional")}><input type="number" min="0" value={rubric.minWords ?? ""} onChange={e=>setRubric(withOpt(rubric, "minWords", e.target.value === "" ? "" : Number(e.target.value)))} className={input}/></Field>
+    </div>
+  );
+}
+
+/** Types without a form (numeric, items, essays, data responses) are edited as JSON. */
+function JsonFields({ q, set }) {
+  const t = useT();
+  const [text, setText] = useState(() => JSON.stringify(q, null, 2));
+  const [error, setError] = useState("");
+  const change = (value) => {
+    setText(value);
+    try {
+      const parsed = JSON.parse(value);
+      if (!isQuestionShape(parsed)) throw new Error(t("studio.notObject"));
+      setError("");
+      set(parsed, true);
+    } catch (e) { setError(e.message); }
+  };
+  return (
+    <Field label={t("studio.json", { type: q.type })} hint={t("studio.jsonHint")}>
+      <textarea value={text} onChange={e=>change(e.target.value)} className={`${input} font-mono min-h-[360px]`} spellCheck={false}/>
+      {error && <span role="alert" className="block text-xs text-red-700 mt-1">{t("studio.notApplied", { error })}</span>}
+    </Field>
+  );
+}
+
+function QuestionEditor({ pack, s, i, setPack }) {
+  const t = useT();
+  const q = questionsOf(pack, s)[i];
+  const set = (patch, replace = false) => setPack(p => updateQuestions(p, s, qs => replaceAt(qs, i, replace ? patch : { ...qs[i], ...patch })));
+  const setOpt = (key, value) => setPack(p => updateQuestions(p, s, qs => replaceAt(qs, i, withOpt(qs[i], key, value))));
+  const unitSection = s === "exam" ? pack.sections.find(x => x.id === q.unit) : pack.sections[s];
+  if (!hasForm(q)) return <JsonFields key={`${s}-${i}`} q={q} set={set} />;
+  return (
+    <div className="flex flex-col gap-3">
+      <div className="grid sm:grid-cols-3 gap-3">
+        <Field label={t("studio.questionId")} hint={t("studio.questionIdHint")}><input value={q.id} onChange={e=>setPack(p => renameQuestion(p, s, i, e.target.value))} className={input}/></Field>
+        <Field label={t("studio.type")}><input value={t(q.type === "mcq" ? "studio.multipleChoice" : "studio.shortAnswer")} readOnly className={`${input} bg-gray-50`}/></Field>
+        <Field label={t("studio.marks")}><input type="number" min="0.5" step="0.5" value={q.maxScore ?? ""} onChange={e=>set({ maxScore: e.target.value === "" ? undefined : Number(e.target.value) })} className={input}/></Field>
+      </div>
+      <Field label={t("studio.prompt")}><textarea value={q.prompt} onChange={e=>set({ prompt: e.target.value })} className={`${input} min-h-[70px]`}/></Field>
+      <div className="grid sm:grid-cols-4 gap-3">
+        {s === "exam" && (
+          <Field label={t("studio.unit")}><select value={q.unit || ""} onChange={e=>setPack(p => updateQuestions(p, s, qs => replaceAt(qs, i, withOpt(withOpt(qs[i], "lesson", ""), "unit", e.target.value))))} className={input}>
+            <option value="">{t("studio.none")}</option>
+            {pack.sections.map(x => <option key={x.id} value={x.id}>{x.title}</option>)}
+          </select></Field>
+        )}
+        <Field label={t("studio.lesson")}><select value={q.lesson || ""} onChange={e=>setOpt("lesson", e.target.value)} disabled={!unitSection} className={input}>
+          <option value="">{t("studio.none")}</option>
+          {unitSection?.lessons.map(l => <option key={l.id} value={l.id}>{l.title}</option>)}
+        </select></Field>
+        <Field label={t("studio.concept")}><input value={q.concept || ""} onChange={e=>setOpt("concept", e.target.value)} className={input}/></Field>
+        <Field label={t("studio.difficulty")}><select value={q.difficulty || ""} onChange={e=>setOpt("difficulty", e.target.value)} className={input}>
+          <option value="">{t("studio.none")}</option>
+          {DIFFICULTIES.map(d => <option key={d} value={d}>{t(`difficulty.${d}`)}</option>)}
+        </select></Field>
+      </div>
+      {q.type === "mcq" ? <McqFields q={q} set={set} /> : <ShortFields q={q} set={set} />}
+    </div>
+  );
+}
+
+// ----------------------------- Studio -----------------------------
+function loadDraft() {
+  return loadOrRecover(LS_STUDIO_KEY, null, v => { if (draftShapeIssue(v?.pack)) throw new Error("The saved studio draft is not a content pack."); return v; }).value?.pack || null;
+}
+
+/** Keep a selection pointing at something that still exists. */
+function clampSelection(sel, pack) {
+  if (sel.kind === "pack") return sel;
+  if (sel.s !== "exam" && !pack.sections[sel.s]) return { kind: "pack" };
+  if (sel.kind === "lesson" && !pack.sections[sel.s].lessons[sel.l]) return { kind: "section", s: sel.s };
+  if (sel.kind === "question" && !questionsOf(pack, sel.s)[sel.q]) return sel.s === "exam" ? { kind: "pack" } : { kind: "section", s: sel.s };
+  return sel;
+}
+
+export default function Studio({ activePack, bundledIds, Markdown, onSave, onBack }) {
+  const t = useT();
+  const [pack, setPack] = useState(() => loadDraft() || draftFrom(activePack, bundledIds));
+  const [selection, setSel] = useState({ kind: "pack" });
+  const [status, setStatus] = useState(null); // { ok, text }
+  useEffect(() => { saveLS(LS_STUDIO_KEY, { pack, updatedAt: new Date().toISOString() }); }, [pack]);
+
+  const issues = useMemo(() => studioIssues(pack), [pack]);
+  const sel = clampSelection(selection, pack);
+  const here = issues.filter(e => isAbout(e.path, sel));
+
+  const save = () => {
+    const errors = onSave(pack);
+    setStatus(errors.length ? { ok: false, text: errors[0].message } : { ok: true, text: t("studio.saved", { title: pack.title }) });
+  };
+  const exportFile = () => downloadText(`${pack.id || "content-pack"}.json`, `${JSON.stringify(pack, null, 2)}\n`);
+  const importFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const data = JSON.parse(await file.text());
+      const issue = draftShapeIssue(data);
+      if (issue) throw new Error(issue.path ? `${issue.path}: ${issue.message}` : issue.message);
+      if (!window.confirm(t("studio.confirmReplace", { title: data.title || file.name }))) return;
+      setPack(draftFrom({ finalExam: { questions: [] }, ...data }, bundledIds)); setSel({ kind: "pack" });
+      setStatus({ ok: true, text: t("studio.loaded", { file: file.name }) });
+    } catch (err) { setStatus({ ok: false, text: t("studio.notLoaded", { file: file.name, error: err.message }) }); }
+  };
+  const startOver = () => {
+    if (!window.confirm(t("studio.confirmStartOver", { title: activePack.title }))) return;
+    setPack(draftFrom(activePack, bundledIds)); setSel({ kind: "pack" }); setStatus(null);
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex flex-wrap items-center gap-3 mb-1">
+        <h2 className="text-xl font-semibold">{t("studio.heading")}</h2>
+        <Pill>{pack.title || pack.id}</Pill>
+      </div>
+      <p className="text-sm text-gray-600 mb-3">{t("studio.intro")}</p>
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <button onClick={onBack} className="rounded-xl border px-3 py-1.5 text-sm hover:bg-gray-50 inline-flex items-center gap-2"><ArrowLeft className="w-4 h-4"/> {t("studio.back")}</button>
+        <button onClick={save} disabled={issues.length > 0} title={issues.length ? t("studio.fixFirst") : ""} className="rounded-xl border px-3 py-1.5 text-sm hover:bg-gray-50 disabled:opacity-50 inline-flex items-center gap-2"><Save className="w-4 h-4"/> {t("studio.save")}</button>
+        <button onClick={exportFile} className="rounded-xl border px-3 py-1.5 text-sm hover:bg-gray-50 inline-flex items-center gap-2"><Download className="w-4 h-4"/> {t("studio.export")}</button>
+        <label className="rounded-xl border px-3 py-1.5 text-sm hover:bg-gray-50 inline-flex items-center gap-2 cursor-pointer"><Upload className="w-4 h-4"/> {t("studio.import")}
+          <input type="file" accept=".json,application/json" onChange={importFile} className="sr-only"/>
+        </label>
+        <button onClick={startOver} className="rounded-xl border px-3 py-1.5 text-sm hover:bg-gray-50">{t("studio.startOver")}</button>
+      </div>
+      {status && <div role="status" className={`text-sm mb-3 ${status.ok ? "text-green-700" : "text-red-700"}`}>{status.text}</div>}
+      {issues.length > 0 && (
+        <details className="rounded-xl border border-red-300 bg-red-50 p-3 text-sm mb-3">
+          <summary className="cursor-pointer font-medium">{t("studio.problems", { n: issues.length })}</summary>
+          <ul className="mt-2 grid gap-1">
+            {issues.map((e, k) => <li key={k}><button type="button" onClick={() => setSel(selectionFor(e.path))} className="text-left underline decoration-dotted">{e.path || t("studio.course")}</button>: {e.message}</li>)}
+          </ul>
+        </details>
+      )}
+      <div className="grid md:grid-cols-[18rem_1fr] gap-4 items-start">
+        <div className="rounded-xl border bg-white p-2 md:max-h-[80vh] md:overflow-y-auto">
+          <Outline pack={pack} sel={sel} setSel={setSel} setPack={setPack} issues={issues} />
+        </div>
+        <div className="rounded-xl border bg-white p-4">
+          {here.length > 0 && (
+            <ul className="mb-3 rounded-xl border border-red-300 bg-red-50 p-2 text-sm text-red-800 list-disc pl-6">
+              {here.map((e, k) => <li key={k}>{e.message}</li>)}
+            </ul>
+          )}
+          {sel.kind === "pack" && <PackEditor pack={pack} setPack={setPack} />}
+          {sel.kind === "section" && <SectionEditor pack={pack} s={sel.s} setPack={setPack} />}
+          {sel.kind === "lesson" && <LessonEditor pack={pack} s={sel.s} l={sel.l} setPack={setPack} Markdown={Markdown} />}
+          {sel.kind === "question" && <QuestionEditor pack={pack} s={sel.s} i={sel.q} setPack={setPack} />}
+        </div>
+      </div>
+    </div>
+  );
+}
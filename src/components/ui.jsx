@@ -0,0 +1,11 @@
+import React from "react";
+import { useAnnouncement } from "../a11y";
+
+// ----------------------------- Shared UI bits -----------------------------
+export function Pill({ children }) { return <span className="inline-flex items-center rounded-full border px-2 py-0.5 text-xs">{children}</span>; }
+
+/** The app's polite live region: speaks whatever was last passed to `announce` (see ../a11y.js). */
+export function LiveRegion() {
+  const { text, n } = useAnnouncement();
+  return <div className="sr-only" role="status" aria-live="polite" aria-atomic="true">{text && <span key={n}>{text}</span>}</div>;
+}
@@ -0,0 +1,114 @@
+/**
+ * DATASETS AND STIMULUS
+ * Data-response questions show a stimulus: Markdown extracts, data tables and simple line or
+ * bar charts. Tables and charts take their `data` from
+ *  - a bundled file in `./data/` by name ("uk-macro-2015-2023.csv", "zamora-trade.json"), or
+ *  - inline data in the pack: `{ "columns": [...], "rows": [[...], …] }` or a list of objects.
+ *
+ * CSV files have a header row; JSON files hold a list of objects or `{ columns, rows }`.
+ * Numeric-looking cells become numbers. Packs are resolved when they load, so a saved attempt
+ * keeps the data it was answered against.
+ */
+
+/** @typedef {{ columns:string[], rows:(string|number|null)[][] }} Dataset */
+/** @typedef {{ caption?:string, data:string|object, columns?:string[] }} StimulusTable */
+/** @typedef {{ kind:"line"|"bar", caption?:string, data:string|object, x:string, y:string[], yLabel?:string }} StimulusChart */
+/** @typedef {{ md?:string, tables?:StimulusTable[], charts?:StimulusChart[] }} Stimulus */
+
+const files = import.meta.glob("./data/*.{csv,json}", { eager: true, query: "?raw", import: "default" });
+const BUNDLED = Object.fromEntries(Object.entries(files).map(([path, text]) => [path.replace(/^.*\//, ""), text]));
+
+export const BUNDLED_DATASETS = Object.keys(BUNDLED);
+
+const cell = (v) => {
+  if (v === null || v === undefined) return null;
+  if (typeof v === "number") return v;
+  const t = String(v).trim();
+  return t !== "" && /^[-+]?(\d+\.?\d*|\.\d+)$/.test(t) ? Number(t) : t;
+};
+
+/** RFC 4180-ish: quoted fields may hold commas, quotes ("") and newlines. */
+export function parseCsv(text) {
+  const records = [];
+  let field = "", record = [], quoted = false;
+  const src = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { record.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      record.push(field); field = "";
+      if (record.some(f => f.trim())) records.push(record);
+      record = [];
+    } else field += c;
+  }
+  record.push(field);
+  if (record.some(f => f.trim())) records.push(record);
+  const [columns = [], ...rows] = records;
+  return { columns: columns.map(c => c.trim()), rows: rows.map(r => columns.map((_, i) => cell(r[i]))) };
+}
+
+/** Normalise inline data (`{ columns, rows }` or a list of objects). @returns {Dataset|null} */
+function fromValue(v) {
+  if (Array.isArray(v)) {
+    if (!v.every(r => r && typeof r === "object" && !Array.isArray(r))) return null;
+    const columns = [...new Set(v.flatMap(Object.keys))];
+    return { columns, rows: v.map(r => columns.map(c => cell(r[c]))) };
+  }
+  if (v && Array.isArray(v.columns) && Array.isArray(v.rows) && v.rows.every(Array.isArray)) return { columns: v.columns.map(String), rows: v.rows.map(r => v.columns.map((_, i) => cell(r[i]))) };
+  return null;
+}
+
+/** A bundled dataset by file name, or inline data. @returns {Dataset|null} */
+export function datasetFrom(data) {
+  if (typeof data !== "string") return fromValue(data);
+  const text = BUNDLED[data];
+  if (text === undefined) return null;
+  if (data.endsWith(".csv")) return parseCsv(text);
+  try { return fromValue(JSON.parse(text)); } catch { return null; }
+}
+
+/** The columns a table or chart shows. */
+export function columnsFor(block, dataset) {
+  if (block.x) return [block.x, ...(block.y || [])].filter(c => dataset.columns.includes(c));
+  return block.columns?.length ? block.columns.filter(c => dataset.columns.includes(c)) : dataset.columns;
+}
+
+/** Replace dataset names in a data-response question with the data itself (parts are left as they are). */
+export function resolveStimulus(q) {
+  if (q.type !== "data" || !q.stimulus) return q;
+  const inline = (block) => (typeof block.data === "string" ? { ...block, source: block.data, data: datasetFrom(block.data) ?? block.data } : block);
+  return { ...q, stimulus: { ...q.stimulus, tables: q.stimulus.tables?.map(inline), charts: q.stimulus.charts?.map(inline) } };
+}
+
+export function resolvePackData(pack) {
+  return {
+    ...pack,
+    sections: pack.sections.map(s => ({ ...s, test: { ...s.test, questions: s.test.questions.map(resolveStimulus) } })),
+    finalExam: { ...pack.finalExam, questions: pack.finalExam.questions.map(resolveStimulus) },
+  };
+}
+
+// ----------------------------- Text -----------------------------
+const fmt = (v) => (v === null || v === undefined ? "–" : String(v));
+
+/** The stimulus as plain text, for the tutor's context. */
+export function stimulusText(stimulus) {
+  if (!stimulus) return "";
+  const out = [];
+  if (stimulus.md) out.push(stimulus.md.replace(/\*\*(.+?)\*\*/g, "$1").replace(/^#+\s*/gm, "").trim());
+  for (const block of [...(stimulus.tables || []), ...(stimulus.charts || [])]) {
+    const data = datasetFrom(block.data);
+    if (!data) continue;
+    const cols = columnsFor(block, data);
+    const idx = cols.map(c => data.columns.indexOf(c));
+    const label = block.kind ? `${block.caption || "Chart"} (${block.kind} chart)` : block.caption || "Table";
+    out.push([label, cols.join(" | "), ...data.rows.map(r => idx.map(i => fmt(r[i])).join(" | "))].join("\n"));
+  }
+  return out.join("\n\n");
+}
@@ -0,0 +1,145 @@
+/**
+ * GLOSSARY
+ * A pack may define its key terms:
+ *
+ *   "glossary": [{ "id": "consumer-surplus", "term": "Consumer surplus",
+ *                  "definition": "The difference between what buyers are willing to pay and the price they pay.",
+ *                  "aliases": ["CS"], "related": ["producer-surplus"],
+ *                  "lessons": ["micro-markets/consumer-producer-surplus"] }]
+ *
+ * `related` names other entries; `lessons` ("sectionId/lessonId") lists lessons that use the term
+ * without spelling it out. Every lesson whose text mentions the term or an alias is found by
+ * itself. Terms and aliases are matched as whole words, ignoring case and a plural "s"/"es";
+ * acronyms (two or more capitals, like "PED" or "ToT") must match exactly, so "AS" is never "as".
+ * A translated entry also matches its original wording (`original`, see ./locale.js), for lessons
+ * that have no translation yet.
+ *
+ * `linkTerms` marks the first mention of each term in a Markdown tree (../markdown/parse.js) as a
+ * `term` node, which the renderer shows with its definition. Questions use `answerTerms` to leave
+ * out terms whose definition would give the answer away.
+ */
+
+/** @typedef {{ id:string, term:string, definition:string, aliases?:string[], related?:string[], lessons?:string[], original?:string[] }} GlossaryEntry */
+/** @typedef {{ entry:GlossaryEntry, related:GlossaryEntry[], lessons:{ sectionId:string, lessonId:string, title:string }[] }} GlossaryItem */
+/** @typedef {{ items:GlossaryItem[], byId:Map<string, GlossaryItem>, pattern:RegExp|null, phrases:Map<string, { id:string, phrase:string, exact:boolean }[]> }} Glossary */
+
+const WORD = "[\\p{L}\\p{N}]";
+const isAcronym = (phrase) => /\p{Lu}.*\p{Lu}/u.test(phrase) && phrase.length <= 6 && !/\s/.test(phrase);
+const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const fold = (s) => s.toLowerCase().replace(/\s+/g, " ");
+
+/** Every wording of an entry: the term, its aliases and, for a translation, the original's. */
+const phrasesOf = (e) => [e.term, ...(e.aliases || []), ...(e.original || [])].filter(p => typeof p === "string" && p.trim());
+
+/** Index a pack's glossary: entries A–Z with their related entries and lessons, and a matcher. @returns {Glossary} */
+export function buildGlossary(pack, locale = "en") {
+  const entries = Array.isArray(pack?.glossary) ? pack.glossary : [];
+  const phrases = new Map();
+  for (const e of entries) {
+    for (const phrase of phrasesOf(e)) {
+      const key = fold(phrase.trim());
+      if (!phrases.has(key)) phrases.set(key, []);
+      phrases.get(key).push({ id: e.id, phrase: phrase.trim(), exact: isAcronym(phrase.trim()) });
+    }
+  }
+  // Longest first, so "price elasticity of demand" wins over "demand" at the same position.
+  const alternatives = [...phrases.keys()].sort((a, b) => b.length - a.length).map(k => escape(k).replace(/ /g, "\\s+"));
+  const pattern = alternatives.length ? new RegExp(`(?<!${WORD})(?:${alternatives.join("|")})(?:e?s)?(?!${WORD})`, "giu") : null;
+  const glossary = { items: [], byId: new Map(), pattern, phrases };
+
+  const lessons = (pack?.sections || []).flatMap(s => s.lessons.map(l => ({
+    ref: { sectionId: s.id, lessonId: l.id, title: l.title },
+    mentions: new Set(findTerms(glossary, `${l.title}\n${l.md}`).map(m => m.id)),
+  })));
+  for (const entry of entries) {
+    const listed = new Set(entry.lessons || []);
+    const uses = lessons.filter(l => listed.has(`${l.ref.sectionId}/${l.ref.lessonId}`) || l.mentions.has(entry.id)).map(l => l.ref);
+    glossary.byId.set(entry.id, { entry, related: [], lessons: uses });
+  }
+  for (const item of glossary.byId.values()) item.related = (item.entry.related || []).map(id => glossary.byId.get(id)?.entry).filter(Boolean);
+  glossary.items = [...glossary.byId.values()].sort((a, b) => a.entry.term.localeCompare(b.entry.term, locale, { sensitivity: "base" }));
+  return glossary;
+}
+
+/**
+ * Mentions of glossary terms in plain text, in order and without overlaps.
+ * @param {Set<string>} [exclude] entry ids to skip
+ * @returns {{ id:string, index:number, text:string }[]}
+ */
+export function findTerms(glossary, text, exclude) {
+  if (!glossary?.pattern || !text) return [];
+  const out = [];
+  for (const m of text.matchAll(glossary.pattern)) {
+    const key = fold(m[0]);
+    const candidates = glossary.phrases.get(key) || glossary.phrases.get(key.replace(/e?s$/, "")) || glossary.phrases.get(key.replace(/s$/, "")) || [];
+    const hit = candidates.find(c => (!c.exact || m[0] === c.phrase) && !exclude?.has(c.id));
+    if (hit) out.push({ id: hit.id, index: m.index, text: m[0] });
+  }
+  return out;
+}
+
+/** Split text into strings and `{ id, text }` term mentions, linking each entry once. */
+export function splitTerms(glossary, text, seen = new Set(), exclude) {
+  const parts = [];
+  let at = 0;
+  for (const m of findTerms(glossary, text, exclude)) {
+    if (seen.has(m.id)) continue;
+    seen.add(m.id);
+    if (m.index > at) parts.push(text.slice(at, m.index));
+    parts.push({ id: m.id, text: m.text });
+    at = m.index + m.text.length;
+  }
+  if (at < text.length) parts.push(text.slice(at));
+  return parts;
+}
+
+const SKIP_BLOCKS = new Set(["heading", "code", "math", "hr", "directive"]);
+const SKIP_INLINE = new Set(["code", "math", "link"]);
+
+/**
+ * A Markdown tree with the first mention of each glossary term turned into
+ * `{ type:"term", id, children }`. Headings, code, formulas and links are left alone.
+ */
+export function linkTerms(tree, glossary, exclude) {
+  if (!glossary?.pattern) return tree;
+  const seen = new Set();
+  const inline = (nodes) => nodes.flatMap(n => {
+    if (n.type === "text") return splitTerms(glossary, n.value, seen, exclude).map(p => (typeof p === "string" ? { type: "text", value: p } : { type: "term", id: p.id, children: [{ type: "text", value: p.text }] }));
+    if (n.children && !SKIP_INLINE.has(n.type)) return [{ ...n, children: inline(n.children) }];
+    return [n];
+  });
+  const blocks = (nodes) => nodes.map(n => {
+    if (SKIP_BLOCKS.has(n.type)) return n;
+    switch (n.type) {
+      case "paragraph": return { ...n, children: inline(n.children) };
+      case "list": return { ...n, items: n.items.map(blocks) };
+      case "blockquote": case "container": return { ...n, children: blocks(n.children) };
+      case "table": return { ...n, head: n.head.map(inline), rows: n.rows.map(r => r.map(inline)) };
+      default: return n;
+    }
+  });
+  return blocks(tree);
+}
+
+/** Everything a question's answer is made of, as text. */
+function answerText(q) {
+  const itemText = (it) => (typeof it === "string" ? it : it?.text);
+  return [
+    ...(q.options || []), ...(q.rubric?.criteria || []), q.rubric?.guidance, q.concept,
+    ...(q.pairs || []).flatMap(p => [p.left, p.right]), ...(q.distractors || []),
+    ...(q.items || []).map(itemText), ...(q.categories || []),
+    ...(q.type === "cloze" && q.text ? [...q.text.matchAll(/\[\[([^\]]+)\]\]/g)].map(m => m[1].replace(/\|/g, " ")) : []),
+    ...(q.essay?.keyTerms || []).flat(2),
+    ...(q.parts || []).map(answerText),
+  ].filter(s => typeof s === "string" && s).join("\n");
+}
+
+/**
+ * Terms a question's answer is made of — MCQ options, rubric criteria and guidance, the parts of
+ * an interactive item, an essay's key terms, its `concept` tag, and for a data response all of its
+ * parts' — whose definitions would answer it for the student.
+ * @returns {Set<string>}
+ */
+export function answerTerms(glossary, q) {
+  return new Set(findTerms(glossary, answerText(q)).map(m => m.id));
+}
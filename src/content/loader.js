@@ -0,0 +1,44 @@
+import { validatePack } from "./schema";
+import { resolvePackData } from "./datasets";
+
+/**
+ * CONTENT PACK LOADER
+ * - Bundled packs: every `./packs/*.json` file is picked up at build time.
+ * - User packs: a JSON file chosen in Settings or a pack saved from the authoring studio,
+ *   validated before it is accepted.
+ * Either way, dataset names in data-response stimuli are replaced by the data (./datasets.js).
+ */
+
+export const DEFAULT_PACK_ID = "ib-core";
+
+const bundledModules = import.meta.glob("./packs/*.json", { eager: true, import: "default" });
+
+/** Bundled packs are trusted but still validated so a bad edit shows up in the console during development. */
+export const BUNDLED_PACKS = Object.values(bundledModules).map((pack) => {
+  const { ok, errors } = validatePack(pack);
+  if (!ok && import.meta.env.DEV) console.warn(`Content pack "${pack?.id}" has problems:`, errors);
+  return { ...(ok ? resolvePackData(pack) : pack), source: "bundled" };
+});
+
+/** Validate a pack object (a parsed file, or one made in the authoring studio) as a user pack. */
+export function acceptPack(pack) {
+  const { ok, errors } = validatePack(pack);
+  return { pack: ok ? { ...resolvePackData(pack), source: "user" } : null, errors };
+}
+
+/** Parse and validate pack text. @returns {{ pack:object|null, errors:{path:string,message:string}[] }} */
+export function parsePack(text) {
+  let pack;
+  try { pack = JSON.parse(text); } catch (e) { return { pack: null, errors: [{ path: "", message: `Not valid JSON: ${e.message}` }] }; }
+  return acceptPack(pack);
+}
+
+/** Read a user-selected File (from an <input type="file">) as a pack. */
+export function readPackFile(file) {
+  return file.text().then(parsePack);
+}
+
+/** Resolve the active pack, falling back to the default bundled pack for unknown ids. */
+export function findPack(packs, id) {
+  return packs.find(p => p.id === id) || packs.find(p => p.id === DEFAULT_PACK_ID) || packs[0];
+}
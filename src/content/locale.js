@@ -0,0 +1,93 @@
+/**
+ * TRANSLATED CONTENT
+ * A pack is written in one language (`locale`, English by default) and may carry translations
+ * beside the text they replace, under `i18n`:
+ *
+ *   { "id": "l1", "title": "Scarcity", "md": "…",
+ *     "i18n": { "es": { "title": "Escasez", "md": "…" }, "fr": { "title": "Rareté" } } }
+ *
+ * `i18n` may appear on the pack, sections, lessons, questions, data-response parts and glossary
+ * entries. Only text is translated; ids, answers, marks, tags and data stay with the original:
+ *   pack, section: title          lesson: title, md          glossary entry: term, definition, aliases
+ *   question: prompt, options, guidance, text (cloze), wordBank, pairs, distractors, items,
+ *     categories, units, steps (labels only), rubric (criteria, guidance, keywords),
+ *     essay (keyTerms, diagrams), stimulus (md and table/chart captions)
+ * Anything a translation leaves out is shown from the original, so a half-translated pack
+ * still works. Lists must keep the original's length and order (the schema checks this).
+ * Translated rubric criteria without their own `keywords` drop the original's: the offline
+ * marker would otherwise look for English phrases in a Spanish answer.
+ * A translated glossary entry keeps the original's term and aliases as `original`, so the term is
+ * still recognised in lessons shown untranslated.
+ */
+
+export const PACK_TEXT_FIELDS = ["title"];
+export const LESSON_TEXT_FIELDS = ["title", "md"];
+export const GLOSSARY_TEXT_FIELDS = ["term", "definition", "aliases"];
+export const QUESTION_TEXT_FIELDS = ["prompt", "options", "guidance", "text", "wordBank", "pairs", "distractors", "items", "categories", "units", "steps", "rubric", "essay", "stimulus"];
+
+const isArr = Array.isArray;
+const pick = (tr, fields) => Object.fromEntries(fields.filter(f => tr?.[f] !== undefined).map(f => [f, tr[f]]));
+
+/** Drop `i18n` and lay the chosen translation's fields over the original. */
+function overlay(obj, locale, fields) {
+  const { i18n, ...rest } = obj;
+  return { ...rest, ...pick(i18n?.[locale], fields) };
+}
+
+function localizeQuestion(q, locale) {
+  const tr = q.i18n?.[locale];
+  const out = overlay(q, locale, QUESTION_TEXT_FIELDS.filter(f => !["rubric", "essay", "stimulus", "steps", "items"].includes(f)));
+  if (tr?.rubric && q.rubric) {
+    const criteria = tr.rubric.criteria ?? q.rubric.criteria;
+    const keywords = tr.rubric.keywords ?? (tr.rubric.criteria ? undefined : q.rubric.keywords);
+    out.rubric = { ...q.rubric, ...tr.rubric, criteria, keywords };
+    if (keywords === undefined) delete out.rubric.keywords;
+  }
+  if (tr?.essay && q.essay) out.essay = { ...q.essay, ...pick(tr.essay, ["keyTerms", "diagrams"]) };
+  if (isArr(tr?.steps) && isArr(q.steps)) out.steps = q.steps.map((s, i) => ({ ...s, label: tr.steps[i]?.label ?? tr.steps[i] ?? s.label }));
+  // Category-sort items keep their category; ordering items are plain text.
+  if (isArr(tr?.items) && isArr(q.items)) out.items = q.items.map((it, i) => (typeof it === "string" ? tr.items[i] ?? it : { ...it, text: tr.items[i]?.text ?? tr.items[i] ?? it.text }));
+  if (tr?.stimulus && q.stimulus) {
+    const captions = (key) => q.stimulus[key]?.map((b, i) => ({ ...b, ...pick(tr.stimulus[key]?.[i], ["caption"]) }));
+    out.stimulus = { ...q.stimulus, ...pick(tr.stimulus, ["md"]), ...(q.stimulus.tables ? { tables: captions("tables") } : {}), ...(q.stimulus.charts ? { charts: captions("charts") } : {}) };
+  }
+  if (isArr(q.parts)) out.parts = q.parts.map(p => localizeQuestion(p, locale));
+  return out;
+}
+
+function localizeEntry(e, locale) {
+  const out = overlay(e, locale, GLOSSARY_TEXT_FIELDS);
+  if (e.i18n?.[locale]) out.original = [e.term, ...(e.aliases || [])];
+  return out;
+}
+
+/** The locales a pack has any translation for, besides its own. */
+export function packLocales(pack) {
+  const found = new Set();
+  const visit = (obj) => {
+    if (!obj || typeof obj !== "object") return;
+    if (obj.i18n && typeof obj.i18n === "object") Object.keys(obj.i18n).forEach(l => found.add(l));
+    for (const [k, v] of Object.entries(obj)) if (k !== "i18n" && typeof v === "object") visit(v);
+  };
+  visit(pack);
+  found.delete(pack?.locale || "en");
+  return [...found];
+}
+
+/**
+ * The pack as shown in `locale`: translated text where the pack has it, the original elsewhere.
+ * The pack's own language returns the pack with its translations removed.
+ */
+export function localizePack(pack, locale) {
+  const mapQuestions = (questions) => questions?.map(q => localizeQuestion(q, locale));
+  return {
+    ...overlay(pack, locale, PACK_TEXT_FIELDS),
+    sections: pack.sections.map(s => ({
+      ...overlay(s, locale, PACK_TEXT_FIELDS),
+      lessons: s.lessons.map(l => overlay(l, locale, LESSON_TEXT_FIELDS)),
+      test: s.test && { ...s.test, questions: mapQuestions(s.test.questions) },
+    })),
+    finalExam: pack.finalExam && { ...pack.finalExam, questions: mapQuestions(pack.finalExam.questions) },
+    ...(Array.isArray(pack.glossary) ? { glossary: pack.glossary.map(e => localizeEntry(e, locale)) } : {}),
+  };
+}
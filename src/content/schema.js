@@ -0,0 +1,386 @@
+import { ExpressionError, instantiateNumeric } from "../assessment/numeric";
+import { clozeBlanks } from "../assessment/items";
+import { BUNDLED_DATASETS, datasetFrom } from "./datasets";
+import { GLOSSARY_TEXT_FIELDS, LESSON_TEXT_FIELDS, PACK_TEXT_FIELDS, QUESTION_TEXT_FIELDS, localizePack, packLocales } from "./locale";
+import { LOCALES } from "../i18n";
+
+/**
+ * CONTENT PACK SCHEMA
+ * A content pack is a JSON manifest holding the course: sections with lessons and a
+ * section test, plus the Master Final Exam.
+ *
+ *   { id, title, version, locale?,
+ *     testBlueprint?: { mcq, short, numeric, coverLessons }, testTiming?: Timing,
+ *     sections: [{ id, title, lessons: [{ id, title, md }], test: { questions: Question[], blueprint?, timing? } }],
+ *     finalExam: { questions: Question[], timing?: Timing },
+ *     glossary?: GlossaryEntry[] }
+ *
+ * A `Timing` is `{ minutes, readingMinutes? }`: reading time first, then the countdown.
+ *
+ * A section's `test.questions` is a question bank; each question may be tagged with the
+ * `lesson` id it assesses, a key `concept` and a `difficulty`. Final-exam questions are tagged
+ * with a `unit` (section id) too; the tags drive review plans (../assessment/review.js). Every test attempt draws a paper from the
+ * bank according to the blueprint (see ../assessment/paper.js).
+ *
+ * A short answer's `rubric.keywords[i]` (optional) lists concept groups for criterion i, each
+ * group a list of alternative phrases; the offline marker (../grading/heuristic.js) awards the
+ * criterion when every group appears. `rubric.minWords` overrides its minimum answer length.
+ *
+ * A numeric question is a template: `params`, an `answer` expression, optional working
+ * `steps`, `tolerance`, `units` and `decimals` (see ../assessment/numeric.js). Validation
+ * draws the lowest and highest parameter values to check that every expression works out.
+ *
+ * Interactive items — `match`, `order`, `classify` and `cloze` — are described in
+ * ../assessment/items.js; `essay` questions and their markbands in ../grading/essay.js.
+ *
+ * A `data` (data-response) question has a `stimulus` — Markdown text, tables and charts over
+ * bundled or inline data (see ./datasets.js) — and `parts`: sub-questions of any other type,
+ * each with an `id` ("a", "b", …) and its own `maxScore`, which add up to the question's.
+ *
+ * The optional `glossary` lists key terms with their definitions (see ./glossary.js); entries
+ * are checked for unique ids, and `related` and `lessons` must point at entries and lessons
+ * that exist.
+ *
+ * Any of these objects may carry translations under `i18n` (see ./locale.js). Each translated
+ * version of the pack is validated as well, so a Spanish cloze whose word bank misses an answer
+ * is caught like an English one.
+ *
+ * `validatePack` never throws: it returns every problem it finds so an author can fix
+ * a pack in one pass.
+ */
+
+/** @typedef {{ id:string, type:"mcq"|"short"|"numeric"|"match"|"order"|"classify"|"cloze"|"essay"|"data", prompt:string, options?:string[], answer?:number|string, rubric?:{criteria:string[], keywords?:(string[][]|null)[], minWords?:number, guidance?:string}, params?:Record<string, import("../assessment/numeric").ParamSpec>, steps?:import("../assessment/numeric").Step[], tolerance?:{abs?:number, rel?:number}, units?:string[], decimals?:number, pairs?:{left:string, right:string}[], distractors?:string[], items?:(string|{text:string, category:number})[], categories?:string[], text?:string, wordBank?:string[], essay?:{keyTerms:string[][], diagrams?:string[][], evaluation?:boolean}, minWords?:number, guidance?:string, stimulus?:import("./datasets").Stimulus, parts?:Question[], maxScore:number, unit?:string, lesson?:string, concept?:string, difficulty?:"easy"|"medium"|"hard" }} Question */
+/** @typedef {{ id:string, title:string, md:string }} Lesson */
+/** @typedef {{ mcq?:number, short?:number, numeric?:number, match?:number, order?:number, classify?:number, cloze?:number, essay?:number, data?:number, coverLessons?:boolean }} Blueprint */
+/** @typedef {{ minutes:number, readingMinutes?:number }} Timing */
+/** @typedef {{ id:string, title:string, lessons:Lesson[], test:{ questions:Question[], blueprint?:Blueprint, timing?:Timing } }} Section */
+/** @typedef {import("./glossary").GlossaryEntry} GlossaryEntry */
+/** @typedef {{ id:string, title:string, version?:number, locale?:string, testBlueprint?:Blueprint, testTiming?:Timing, sections:Section[], finalExam:{ questions:Question[], timing?:Timing }, glossary?:GlossaryEntry[] }} ContentPack */
+/** @typedef {{ path:string, message:string }} PackIssue */
+
+export const QUESTION_TYPES = ["mcq", "short", "numeric", "match", "order", "classify", "cloze", "essay", "data"];
+export const DIFFICULTIES = ["easy", "medium", "hard"];
+
+const isStr = (v) => typeof v === "string" && v.trim().length > 0;
+const isArr = Array.isArray;
+
+// ----------------------------- Question checks -----------------------------
+function checkQuestion(q, path, errors, lessonIds) {
+  if (!q || typeof q !== "object") { errors.push({ path, message: "Question must be an object." }); return; }
+  if (!isStr(q.id)) errors.push({ path, message: "Question is missing an `id`." });
+  if (!QUESTION_TYPES.includes(q.type)) errors.push({ path, message: `Unknown question type "${q.type}" (expected ${QUESTION_TYPES.join(", ")}).` });
+  if (!isStr(q.prompt)) errors.push({ path, message: "Question is missing a `prompt`." });
+  if (typeof q.maxScore !== "number" || !(q.maxScore > 0)) errors.push({ path, message: "`maxScore` must be a positive number." });
+  if (q.difficulty !== undefined && !DIFFICULTIES.includes(q.difficulty)) errors.push({ path, message: `Unknown difficulty "${q.difficulty}" (expected ${DIFFICULTIES.join(", ")}).` });
+  if (lessonIds && q.lesson !== undefined && !lessonIds.has(q.lesson)) errors.push({ path, message: `Question is tagged with lesson "${q.lesson}", which is not in this section.` });
+  if (q.concept !== undefined && !isStr(q.concept)) errors.push({ path, message: "`concept` must be non-empty text." });
+
+  if (q.type === "mcq") {
+    if (!isArr(q.options) || q.options.length < 2) errors.push({ path, message: "MCQ needs at least two `options`." });
+    else if (!Number.isInteger(q.answer) || q.answer < 0 || q.answer >= q.options.length) {
+      errors.push({ path, message: `MCQ \`answer\` ${JSON.stringify(q.answer)} is out of range (0–${q.options.length - 1}).` });
+    }
+  }
+  if (q.type === "short") {
+    const criteria = q.rubric?.criteria;
+    if (!isArr(criteria) || criteria.length === 0) errors.push({ path, message: "Short answer needs `rubric.criteria`." });
+    else criteria.forEach((c, i) => { if (!isStr(c)) errors.push({ path: `${path}.rubric.criteria[${i}]`, message: "Rubric criterion must be non-empty text." }); });
+    checkKeywords(q.rubric?.keywords, criteria, `${path}.rubric.keywords`, errors);
+    const minWords = q.rubric?.minWords;
+    if (minWords !== undefined && (!Number.isInteger(minWords) || minWords < 0)) errors.push({ path: `${path}.rubric.minWords`, message: "`minWords` must be a whole number ≥ 0." });
+  }
+  if (q.type === "numeric") checkNumeric(q, path, errors);
+  if (q.type === "match") {
+    if (!isArr(q.pairs) || q.pairs.length < 2 || !q.pairs.every(p => isStr(p?.left) && isStr(p?.right))) errors.push({ path: `${path}.pairs`, message: "Matching needs at least two `pairs` of { \"left\", \"right\" } text." });
+    else if (new Set(q.pairs.map(p => p.right)).size < q.pairs.length) errors.push({ path: `${path}.pairs`, message: "Each pair needs a different `right` answer." });
+    if (q.distractors !== undefined && (!isArr(q.distractors) || !q.distractors.every(isStr) || q.distractors.some(d => q.pairs?.some?.(p => p?.right === d)))) errors.push({ path: `${path}.distractors`, message: "`distractors` must be extra text choices that aren't already a right answer." });
+  }
+  if (q.type === "order" && (!isArr(q.items) || q.items.length < 2 || !q.items.every(isStr))) errors.push({ path: `${path}.items`, message: "Ordering needs at least two `items`, listed in the correct order." });
+  if (q.type === "classify") {
+    if (!isArr(q.categories) || q.categories.length < 2 || !q.categories.every(isStr)) errors.push({ path: `${path}.categories`, message: "Category sort needs at least two `categories`." });
+    else if (!isArr(q.items) || q.items.length === 0) errors.push({ path: `${path}.items`, message: "Category sort needs `items` like { \"text\": \"…\", \"category\": 0 }." });
+    else q.items.forEach((it, i) => {
+      if (!isStr(it?.text) || !Number.isInteger(it?.category) || it.category < 0 || it.category >= q.categories.length) errors.push({ path: `${path}.items[${i}]`, message: `Item needs \`text\` and a \`category\` index 0–${q.categories.length - 1}.` });
+    });
+  }
+  if (q.type === "essay") {
+    if (typeof q.maxScore === "number" && (!Number.isInteger(q.maxScore) || q.maxScore % 5 !== 0)) errors.push({ path, message: "An essay's `maxScore` must be a multiple of 5 (five markbands), e.g. 10 or 15." });
+    const isGroups = (v) => isArr(v) && v.length > 0 && v.every(g => isArr(g) && g.length > 0 && g.every(isStr));
+    if (!isGroups(q.essay?.keyTerms)) errors.push({ path: `${path}.essay.keyTerms`, message: "Essay needs `essay.keyTerms`, a list of phrase lists, e.g. [[\"negative externality\", \"external cost\"]]." });
+    if (q.essay?.diagrams !== undefined && !isGroups(q.essay.diagrams)) errors.push({ path: `${path}.essay.diagrams`, message: "`essay.diagrams` must be a list of phrase lists naming the expected diagrams." });
+    if (q.essay?.evaluation !== undefined && typeof q.essay.evaluation !== "boolean") errors.push({ path: `${path}.essay.evaluation`, message: "`essay.evaluation` must be true or false." });
+    if (q.minWords !== undefined && (!Number.isInteger(q.minWords) || q.minWords < 0)) errors.push({ path: `${path}.minWords`, message: "`minWords` must be a whole number ≥ 0." });
+  }
+  if (q.type === "cloze") {
+    if (!isStr(q.text) || clozeBlanks(q.text).length === 0) errors.push({ path: `${path}.text`, message: "Cloze `text` needs at least one blank, e.g. \"[[elastic|price elastic]]\"." });
+    else if (q.wordBank !== undefined) {
+      if (!isArr(q.wordBank) || !q.wordBank.every(isStr)) errors.push({ path: `${path}.wordBank`, message: "`wordBank` must be a list of words." });
+      else clozeBlanks(q.text).forEach(b => { if (!q.wordBank.includes(b.answers[0])) errors.push({ path: `${path}.wordBank`, message: `The word bank is missing "${b.answers[0]}" (blank ${b.blank + 1}).` }); });
+    }
+  }
+  if (q.type === "data") checkData(q, path, errors, lessonIds);
+}
+
+function checkData(q, path, errors, lessonIds) {
+  const st = q.stimulus;
+  if (!st || typeof st !== "object" || isArr(st)) errors.push({ path: `${path}.stimulus`, message: "Data response needs a `stimulus` with `md` text, `tables` and/or `charts`." });
+  else {
+    if (st.md !== undefined && typeof st.md !== "string") errors.push({ path: `${path}.stimulus.md`, message: "`md` must be Markdown text." });
+    if (!isStr(st.md) && !st.tables?.length && !st.charts?.length) errors.push({ path: `${path}.stimulus`, message: "The stimulus is empty." });
+    for (const key of ["tables", "charts"]) {
+      if (st[key] === undefined) continue;
+      if (!isArr(st[key])) { errors.push({ path: `${path}.stimulus.${key}`, message: `\`${key}\` must be a list.` }); continue; }
+      st[key].forEach((block, i) => {
+        const bp = `${path}.stimulus.${key}[${i}]`;
+        const data = datasetFrom(block?.data);
+        if (!data) { errors.push({ path: `${bp}.data`, message: typeof block?.data === "string" ? `Unknown dataset "${block.data}" (bundled: ${BUNDLED_DATASETS.join(", ")}).` : "`data` must name a bundled dataset or hold { \"columns\", \"rows\" } or a list of objects." }); return; }
+        const missing = (cols) => cols.filter(c => !data.columns.includes(c));
+        if (key === "tables") {
+          if (block.columns !== undefined && (!isArr(block.columns) || missing(block.columns).length)) errors.push({ path: `${bp}.columns`, message: `\`columns\` must be column names from the data (${data.columns.join(", ")}).` });
+          return;
+        }
+        if (!["line", "bar"].includes(block.kind)) errors.push({ path: `${bp}.kind`, message: `Unknown chart kind "${block.kind}" (expected line, bar).` });
+        if (!data.columns.includes(block.x)) errors.push({ path: `${bp}.x`, message: `\`x\` must be a column of the data (${data.columns.join(", ")}).` });
+        if (!isArr(block.y) || !block.y.length || missing(block.y).length) errors.push({ path: `${bp}.y`, message: `\`y\` must list the columns to plot (${data.columns.join(", ")}).` });
+        else if (block.y.some(c => !data.rows.some(r => typeof r[data.columns.indexOf(c)] === "number"))) errors.push({ path: `${bp}.y`, message: "Every plotted column needs numbers." });
+      });
+    }
+  }
+  if (!isArr(q.parts) || q.parts.length === 0) { errors.push({ path: `${path}.parts`, message: "Data response needs `parts`, e.g. [{ \"id\": \"a\", \"type\": \"short\", … }]." }); return; }
+  const ids = new Set();
+  q.parts.forEach((part, i) => {
+    const pp = `${path}.parts[${i}]`;
+    checkQuestion(part, pp, errors, lessonIds);
+    if (part?.type === "data") errors.push({ path: pp, message: "A part can't itself be a data response." });
+    if (isStr(part?.id) && ids.has(part.id)) errors.push({ path: pp, message: `Duplicate part id "${part.id}".` });
+    ids.add(part?.id);
+  });
+  const total = q.parts.reduce((n, p) => n + (typeof p?.maxScore === "number" ? p.maxScore : 0), 0);
+  if (typeof q.maxScore === "number" && total !== q.maxScore) errors.push({ path: `${path}.maxScore`, message: `\`maxScore\` is ${q.maxScore} but the parts add up to ${total}.` });
+}
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+function checkNumeric(q, path, errors) {
+  const before = errors.length;
+  if (!q.params || typeof q.params !== "object" || isArr(q.params)) errors.push({ path: `${path}.params`, message: "Numeric question needs `params`, e.g. { \"p1\": { \"min\": 2, \"max\": 8 } }." });
+  else for (const [name, spec] of Object.entries(q.params)) {
+    const pp = `${path}.params.${name}`;
+    if (!/^[A-Za-z_]\w*$/.test(name)) errors.push({ path: pp, message: "Parameter names must be letters, digits and _ (not starting with a digit)." });
+    if (isStr(spec?.expr)) continue;
+    if (isArr(spec?.choices)) { if (!spec.choices.length || !spec.choices.every(isNum)) errors.push({ path: pp, message: "`choices` must be a non-empty list of numbers." }); continue; }
+    if (!isNum(spec?.min) || !isNum(spec?.max) || spec.min > spec.max) errors.push({ path: pp, message: "Parameter needs `min` ≤ `max`, a `choices` list or an `expr`." });
+    else if (spec.step !== undefined && !(isNum(spec.step) && spec.step > 0)) errors.push({ path: pp, message: "`step` must be a positive number." });
+  }
+  if (!isStr(q.answer)) errors.push({ path: `${path}.answer`, message: "Numeric `answer` must be an expression over the params, e.g. \"(q2 - q1) / q1\"." });
+  if (q.steps !== undefined && (!isArr(q.steps) || !q.steps.every(s => isStr(s?.label) && isStr(s?.expr) && (s.marks === undefined || (Number.isInteger(s.marks) && s.marks > 0))))) {
+    errors.push({ path: `${path}.steps`, message: "Each step needs a `label`, an `expr` and optionally whole-number `marks` > 0." });
+  }
+  const t = q.tolerance;
+  if (t !== undefined && (!t || typeof t !== "object" || isArr(t) || Object.entries(t).some(([k, v]) => !["abs", "rel"].includes(k) || !isNum(v) || v < 0))) {
+    errors.push({ path: `${path}.tolerance`, message: "`tolerance` must be like { \"abs\": 0.05 } or { \"rel\": 0.01 }." });
+  }
+  if (q.units !== undefined && (!isArr(q.units) || !q.units.length || !q.units.every(isStr))) errors.push({ path: `${path}.units`, message: "`units` must be a non-empty list of accepted unit spellings." });
+  if (q.decimals !== undefined && (!Number.isInteger(q.decimals) || q.decimals < 0)) errors.push({ path: `${path}.decimals`, message: "`decimals` must be a whole number ≥ 0." });
+  if (errors.length > before || !isStr(q.prompt)) return;
+
+  // Try the extremes of every range so a division by zero or a typo shows up now, not mid-exam.
+  for (const draw of [() => 0, () => 0.999999]) {
+    try {
+      const inst = instantiateNumeric(q, draw);
+      if (!Number.isFinite(inst.correctAnswer) || inst.steps.some(s => !Number.isFinite(s.value))) { errors.push({ path, message: "The answer or a step doesn't come out as a finite number for some parameter values." }); return; }
+      const left = inst.prompt.match(/\{\{\s*(\w+)\s*\}\}/);
+      if (left) { errors.push({ path: `${path}.prompt`, message: `Prompt uses {{${left[1]}}}, which is not a parameter.` }); return; }
+    } catch (e) {
+      errors.push({ path, message: e instanceof ExpressionError ? e.message : `The question could not be generated (${e.message}).` });
+      return;
+    }
+  }
+}
+
+/** `keywords` parallels `criteria`: each entry is null or a list of non-empty phrase lists. */
+function checkKeywords(keywords, criteria, path, errors) {
+  if (keywords === undefined) return;
+  if (!isArr(keywords)) { errors.push({ path, message: "`keywords` must be a list with one entry per criterion." }); return; }
+  if (isArr(criteria) && keywords.length !== criteria.length) errors.push({ path, message: `\`keywords\` has ${keywords.length} entries but there are ${criteria.length} criteria.` });
+  keywords.forEach((groups, i) => {
+    if (groups === null) return;
+    if (!isArr(groups) || groups.length === 0 || !groups.every(g => isArr(g) && g.length > 0 && g.every(isStr))) {
+      errors.push({ path: `${path}[${i}]`, message: "Each keyword entry must be null or a list of phrase lists, e.g. [[\"long run\", \"over time\"]]." });
+    }
+  });
+}
+
+function checkQuestions(questions, path, seen, errors, lessonIds) {
+  if (!isArr(questions) || questions.length === 0) { errors.push({ path, message: "Expected a non-empty `questions` array." }); return; }
+  questions.forEach((q, i) => {
+    const qp = `${path}[${i}]`;
+    checkQuestion(q, qp, errors, lessonIds);
+    if (isStr(q?.id)) {
+      if (seen.has(q.id)) errors.push({ path: qp, message: `Duplicate question id "${q.id}" (also at ${seen.get(q.id)}).` });
+      else seen.set(q.id, qp);
+    }
+  });
+}
+
+/** Blueprint counts must name known question types; with a bank, the bank must be able to fill them. */
+function checkBlueprint(bp, path, errors, bank) {
+  if (bp === undefined) return;
+  if (!bp || typeof bp !== "object" || isArr(bp)) { errors.push({ path, message: "Blueprint must be an object like { \"mcq\": 3, \"short\": 2 }." }); return; }
+  for (const [key, value] of Object.entries(bp)) {
+    if (key === "coverLessons") { if (typeof value !== "boolean") errors.push({ path, message: "`coverLessons` must be true or false." }); continue; }
+    if (!QUESTION_TYPES.includes(key)) { errors.push({ path, message: `Unknown blueprint entry "${key}".` }); continue; }
+    if (!Number.isInteger(value) || value < 0) { errors.push({ path, message: `Blueprint count for "${key}" must be a whole number ≥ 0.` }); continue; }
+    if (bank) {
+      const have = bank.filter(q => q?.type === key).length;
+      if (have < value) errors.push({ path, message: `Blueprint asks for ${value} ${key} question(s) but the bank has ${have}.` });
+    }
+  }
+}
+
+/** Exam questions name their unit (section) and a lesson in it. */
+function checkUnits(questions, path, sections, errors) {
+  questions.forEach((q, i) => {
+    const qp = `${path}[${i}]`;
+    if (q?.unit === undefined) {
+      if (q?.lesson !== undefined) errors.push({ path: qp, message: "A `lesson` tag needs a `unit` (section id) on exam questions." });
+      return;
+    }
+    const section = sections.find(s => s?.id === q.unit);
+    if (!section) errors.push({ path: qp, message: `Question is tagged with unit "${q.unit}", which is not a section id.` });
+    else if (q.lesson !== undefined && !(section.lessons || []).some(l => l?.id === q.lesson)) errors.push({ path: qp, message: `Lesson "${q.lesson}" is not in unit "${q.unit}".` });
+  });
+}
+
+function checkTiming(t, path, errors) {
+  if (t === undefined) return;
+  if (!t || typeof t !== "object" || isArr(t)) { errors.push({ path, message: "Timing must be an object like { \"minutes\": 90, \"readingMinutes\": 5 }." }); return; }
+  if (typeof t.minutes !== "number" || !(t.minutes > 0)) errors.push({ path, message: "`minutes` must be a positive number." });
+  if (t.readingMinutes !== undefined && (typeof t.readingMinutes !== "number" || t.readingMinutes < 0)) errors.push({ path, message: "`readingMinutes` must be a number ≥ 0." });
+}
+
+function checkGlossary(glossary, sections, errors) {
+  if (glossary === undefined) return;
+  if (!isArr(glossary)) { errors.push({ path: "glossary", message: "`glossary` must be a list of { \"id\", \"term\", \"definition\" } entries." }); return; }
+  const ids = new Map();
+  glossary.forEach((e, i) => { if (isStr(e?.id) && !ids.has(e.id)) ids.set(e.id, `glossary[${i}]`); });
+  const lessons = new Set(isArr(sections) ? sections.flatMap(s => (isArr(s?.lessons) ? s.lessons.map(l => `${s?.id}/${l?.id}`) : [])) : []);
+  glossary.forEach((e, i) => {
+    const gp = `glossary[${i}]`;
+    if (!e || typeof e !== "object" || isArr(e)) { errors.push({ path: gp, message: "Glossary entry must be an object." }); return; }
+    if (!isStr(e.id)) errors.push({ path: gp, message: "Glossary entry is missing an `id`." });
+    else if (ids.get(e.id) !== gp) errors.push({ path: gp, message: `Duplicate glossary id "${e.id}" (also at ${ids.get(e.id)}).` });
+    if (!isStr(e.term)) errors.push({ path: gp, message: "Glossary entry is missing its `term`." });
+    if (!isStr(e.definition)) errors.push({ path: gp, message: "Glossary entry is missing its `definition`." });
+    if (e.aliases !== undefined && (!isArr(e.aliases) || !e.aliases.every(isStr))) errors.push({ path: `${gp}.aliases`, message: "`aliases` must be a list of other names for the term." });
+    if (e.related !== undefined) {
+      if (!isArr(e.related)) errors.push({ path: `${gp}.related`, message: "`related` must be a list of glossary ids." });
+      else e.related.forEach(id => { if (!ids.has(id) || id === e.id) errors.push({ path: `${gp}.related`, message: `"${id}" is not another glossary entry's id.` }); });
+    }
+    if (e.lessons !== undefined) {
+      if (!isArr(e.lessons)) errors.push({ path: `${gp}.lessons`, message: "`lessons` must be a list like [\"sectionId/lessonId\"]." });
+      else e.lessons.forEach(ref => { if (!lessons.has(ref)) errors.push({ path: `${gp}.lessons`, message: `There is no lesson "${ref}" (expected "sectionId/lessonId").` }); });
+    }
+  });
+}
+
+// ----------------------------- Pack checks -----------------------------
+/** @returns {{ ok:boolean, errors:PackIssue[] }} */
+export function validatePack(pack) {
+  const errors = [];
+  if (!pack || typeof pack !== "object" || isArr(pack)) return { ok: false, errors: [{ path: "", message: "Pack must be a JSON object." }] };
+  if (!isStr(pack.id)) errors.push({ path: "id", message: "Pack is missing an `id`." });
+  if (!isStr(pack.title)) errors.push({ path: "title", message: "Pack is missing a `title`." });
+
+  checkBlueprint(pack.testBlueprint, "testBlueprint", errors);
+  checkTiming(pack.testTiming, "testTiming", errors);
+  const questionIds = new Map();
+  const sectionIds = new Map();
+  if (!isArr(pack.sections) || pack.sections.length === 0) {
+    errors.push({ path: "sections", message: "Pack needs a non-empty `sections` array." });
+  } else {
+    pack.sections.forEach((s, si) => {
+      const sp = `sections[${si}]`;
+      if (!isStr(s?.id)) errors.push({ path: sp, message: "Section is missing an `id`." });
+      else if (sectionIds.has(s.id)) errors.push({ path: sp, message: `Duplicate section id "${s.id}" (also at ${sectionIds.get(s.id)}).` });
+      else sectionIds.set(s.id, sp);
+      if (!isStr(s?.title)) errors.push({ path: sp, message: "Section is missing a `title`." });
+
+      const lessonIds = new Map();
+      if (!isArr(s?.lessons) || s.lessons.length === 0) errors.push({ path: `${sp}.lessons`, message: "Section needs at least one lesson." });
+      else s.lessons.forEach((l, li) => {
+        const lp = `${sp}.lessons[${li}]`;
+        if (!isStr(l?.id)) errors.push({ path: lp, message: "Lesson is missing an `id`." });
+        else if (lessonIds.has(l.id)) errors.push({ path: lp, message: `Duplicate lesson id "${l.id}" in section "${s.id}".` });
+        else lessonIds.set(l.id, lp);
+        if (!isStr(l?.title)) errors.push({ path: lp, message: "Lesson is missing a `title`." });
+        if (!isStr(l?.md)) errors.push({ path: lp, message: "Lesson is missing its markdown `md`." });
+      });
+
+      checkQuestions(s?.test?.questions, `${sp}.test.questions`, questionIds, errors, lessonIds);
+      if (isArr(s?.test?.questions)) {
+        checkBlueprint(s.test.blueprint, `${sp}.test.blueprint`, errors, s.test.questions);
+        if (s.test.blueprint === undefined && pack.testBlueprint) checkBlueprint(pack.testBlueprint, `${sp}.test (pack testBlueprint)`, errors, s.test.questions);
+      }
+      checkTiming(s?.test?.timing, `${sp}.test.timing`, errors);
+    });
+  }
+
+  checkQuestions(pack.finalExam?.questions, "finalExam.questions", questionIds, errors);
+  if (isArr(pack.finalExam?.questions) && isArr(pack.sections)) checkUnits(pack.finalExam.questions, "finalExam.questions", pack.sections, errors);
+  checkTiming(pack.finalExam?.timing, "finalExam.timing", errors);
+  checkGlossary(pack.glossary, pack.sections, errors);
+  if (pack.locale !== undefined && !LOCALES.some(l => l.id === pack.locale)) errors.push({ path: "locale", message: `Unknown locale "${pack.locale}" (expected ${LOCALES.map(l => l.id).join(", ")}).` });
+  if (errors.length === 0) checkTranslations(pack, errors);
+  return { ok: errors.length === 0, errors };
+}
+
+// ----------------------------- Translation checks -----------------------------
+const sameLength = (tr, orig) => !isArr(tr) || !isArr(orig) || tr.length === orig.length;
+
+/** One object's `i18n`: known locales, known fields, and lists as long as the original's. */
+function checkI18n(obj, path, fields, own, errors) {
+  if (obj?.i18n === undefined) return;
+  const ip = path ? `${path}.i18n` : "i18n";
+  if (!obj.i18n || typeof obj.i18n !== "object" || isArr(obj.i18n)) { errors.push({ path: ip, message: "`i18n` must map locales to translations, e.g. { \"es\": { \"title\": \"…\" } }." }); return; }
+  for (const [locale, tr] of Object.entries(obj.i18n)) {
+    const tp = `${ip}.${locale}`;
+    if (!LOCALES.some(l => l.id === locale)) { errors.push({ path: tp, message: `Unknown locale "${locale}" (expected ${LOCALES.map(l => l.id).join(", ")}).` }); continue; }
+    if (locale === own) { errors.push({ path: tp, message: `The pack is written in "${own}"; edit the text itself instead.` }); continue; }
+    if (!tr || typeof tr !== "object" || isArr(tr)) { errors.push({ path: tp, message: "A translation must be an object of translated fields." }); continue; }
+    for (const key of Object.keys(tr)) if (!fields.includes(key)) errors.push({ path: `${tp}.${key}`, message: `\`${key}\` can't be translated (translatable: ${fields.join(", ")}).` });
+    for (const key of ["options", "pairs", "items", "categories", "steps"]) {
+      if (!sameLength(tr[key], obj[key])) errors.push({ path: `${tp}.${key}`, message: `Has ${tr[key].length} entries but the original has ${obj[key].length}; keep the same order and length.` });
+    }
+    if (!sameLength(tr.rubric?.criteria, obj.rubric?.criteria)) errors.push({ path: `${tp}.rubric.criteria`, message: `Has ${tr.rubric.criteria.length} criteria but the original has ${obj.rubric.criteria.length}.` });
+    for (const key of ["tables", "charts"]) {
+      if (!sameLength(tr.stimulus?.[key], obj.stimulus?.[key])) errors.push({ path: `${tp}.stimulus.${key}`, message: `Has ${tr.stimulus[key].length} entries but the original has ${obj.stimulus[key].length}.` });
+    }
+  }
+}
+
+/** Every `i18n` in the pack, then each translated version of it as a pack of its own. */
+function checkTranslations(pack, errors) {
+  const own = pack.locale || "en";
+  const before = errors.length;
+  const questions = (list, path) => (list || []).forEach((q, i) => {
+    checkI18n(q, `${path}[${i}]`, QUESTION_TEXT_FIELDS, own, errors);
+    (q.parts || []).forEach((p, k) => checkI18n(p, `${path}[${i}].parts[${k}]`, QUESTION_TEXT_FIELDS, own, errors));
+  });
+  checkI18n(pack, "", PACK_TEXT_FIELDS, own, errors);
+  pack.sections.forEach((s, si) => {
+    checkI18n(s, `sections[${si}]`, PACK_TEXT_FIELDS, own, errors);
+    s.lessons.forEach((l, li) => checkI18n(l, `sections[${si}].lessons[${li}]`, LESSON_TEXT_FIELDS, own, errors));
+    questions(s.test.questions, `sections[${si}].test.questions`);
+  });
+  questions(pack.finalExam.questions, "finalExam.questions");
+  (pack.glossary || []).forEach((e, i) => checkI18n(e, `glossary[${i}]`, GLOSSARY_TEXT_FIELDS, own, errors));
+  if (errors.length > before) return;
+  for (const locale of packLocales(pack)) {
+    for (const e of validatePack(localizePack(pack, locale)).errors) errors.push({ path: `[${locale}] ${e.path}`, message: e.message });
+  }
+}
+
+export function formatIssues(errors) {
+  return errors.map(e => (e.path ? `${e.path}: ${e.message}` : e.message)).join("\n");
+}
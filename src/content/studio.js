@@ -0,0 +1,259 @@
+import { validatePack } from "./schema";
+import { parseDirectiveAttrs } from "../markdown/parse";
+
+/**
+ * AUTHORING STUDIO (model)
+ * The teacher's working copy of a content pack, edited in the studio (../components/Studio.jsx)
+ * and kept in local storage between visits. "Save" turns it into a user pack like an imported
+ * file; "Export" downloads the same JSON. Like content packs, the working copy is shared by all
+ * learner profiles.
+ *
+ *   ibecon_tutor_studio_v1: { pack, updatedAt }
+ *
+ * A selection points at one thing in the pack: `{ kind: "pack" }`, `{ kind: "section", s }`,
+ * `{ kind: "lesson", s, l }` or `{ kind: "question", s, q }`, where `s` is a section index or
+ * "exam" for the final exam.
+ */
+
+/** @typedef {{ kind:"pack"|"section"|"lesson"|"question", s?:number|"exam", l?:number, q?:number }} Selection */
+
+export const LS_STUDIO_KEY = "ibecon_tutor_studio_v1";
+export const EDITABLE_TYPES = ["mcq", "short"];
+
+const ID_RE = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+/** A working copy of `pack`. A built-in pack's copy gets a new id so saving never shadows it. */
+export function draftFrom(pack, bundledIds = []) {
+  const { source: _source, ...body } = structuredClone(pack);
+  if (!bundledIds.includes(body.id)) return body;
+  return { ...body, id: uniqueId(`${body.id}-custom`, new Set(bundledIds)), title: `${body.title} (custom)` };
+}
+
+export function uniqueId(base, taken) {
+  if (!taken.has(base)) return base;
+  let n = 2;
+  while (taken.has(`${base}-${n}`)) n++;
+  return `${base}-${n}`;
+}
+
+const allQuestionIds = (pack) => new Set([...pack.sections.flatMap(s => s.test?.questions || []), ...(pack.finalExam?.questions || [])].map(q => q.id));
+
+// ----------------------------- Lists -----------------------------
+export const moveItem = (list, i, delta) => {
+  const j = i + delta;
+  if (j < 0 || j >= list.length) return list;
+  const next = [...list];
+  [next[i], next[j]] = [next[j], next[i]];
+  return next;
+};
+export const replaceAt = (list, i, value) => list.map((x, k) => (k === i ? value : x));
+export const removeAt = (list, i) => list.filter((_, k) => k !== i);
+
+// ----------------------------- Edits -----------------------------
+export const updateSection = (pack, s, fn) => ({ ...pack, sections: replaceAt(pack.sections, s, fn(pack.sections[s])) });
+
+export function questionsOf(pack, s) {
+  return s === "exam" ? pack.finalExam?.questions || [] : pack.sections[s]?.test?.questions || [];
+}
+
+export function updateQuestions(pack, s, fn) {
+  if (s === "exam") return { ...pack, finalExam: { ...pack.finalExam, questions: fn(questionsOf(pack, s)) } };
+  return updateSection(pack, s, sec => ({ ...sec, test: { ...sec.test, questions: fn(sec.test?.questions || []) } }));
+}
+
+export function addSection(pack) {
+  const id = uniqueId("new-section", new Set(pack.sections.map(s => s.id)));
+  const section = { id, title: "New section", lessons: [{ id: "lesson-1", title: "New lesson", md: "# New lesson\n\nWrite the lesson here." }], test: { questions: [] } };
+  return { pack: { ...pack, sections: [...pack.sections, section] }, sel: { kind: "section", s: pack.sections.length } };
+}
+
+export function addLesson(pack, s) {
+  const lessons = pack.sections[s].lessons;
+  const id = uniqueId(`lesson-${lessons.length + 1}`, new Set(lessons.map(l => l.id)));
+  const next = updateSection(pack, s, sec => ({ ...sec, lessons: [...sec.lessons, { id, title: "New lesson", md: "" }] }));
+  return { pack: next, sel: { kind: "lesson", s, l: lessons.length } };
+}
+
+/** A new, not yet valid question of `type` ("mcq" or "short"), tagged for the section or exam. */
+export function addQuestion(pack, s, type) {
+  const prefix = s === "exam" ? "E" : `${pack.sections[s].id.split("-").map(w => w[0]).join("")}`;
+  const id = uniqueId(`${prefix}${questionsOf(pack, s).length + 1}`, allQuestionIds(pack));
+  const q = type === "mcq"
+    ? { id, type, prompt: "", options: ["", ""], answer: 0, maxScore: 1 }
+    : { id, type, prompt: "", rubric: { criteria: [""] }, maxScore: 2 };
+  const tagged = s === "exam" ? q : { ...q, lesson: pack.sections[s].lessons[0]?.id };
+  return { pack: updateQuestions(pack, s, qs => [...qs, tagged]), sel: { kind: "question", s, q: questionsOf(pack, s).length } };
+}
+
+/**
+ * Move, replace or remove rubric criterion `i`, keeping the parallel `keywords` list in step.
+ * @param {"up"|"down"|"remove"|{ text:string }} op
+ */
+export function editCriterion(rubric, i, op) {
+  const { criteria = [], keywords } = rubric;
+  const apply = (list) => (op === "up" ? moveItem(list, i, -1) : op === "down" ? moveItem(list, i, 1) : op === "remove" ? removeAt(list, i) : list);
+  if (typeof op === "object") return { ...rubric, criteria: replaceAt(criteria, i, op.text) };
+  return { ...rubric, criteria: apply(criteria), ...(keywords ? { keywords: apply(keywords) } : {}) };
+}
+
+/** Move or remove MCQ option `i`, keeping `answer` on the same option. */
+export function editOption(q, i, op) {
+  const order = q.options.map((_, k) => k);
+  const next = op === "up" ? moveItem(order, i, -1) : op === "down" ? moveItem(order, i, 1) : removeAt(order, i);
+  const answer = next.indexOf(q.answer);
+  return { ...q, options: next.map(k => q.options[k]), answer: answer < 0 ? 0 : answer };
+}
+
+// ----------------------------- Checks -----------------------------
+/**
+ * Pack validation plus what a form makes easy to leave behind: badly spelled ids (ids end up in
+ * links, so they are kept to letters, digits, - and _), blank MCQ options or rubric criteria, and
+ * `::question{id=…}` directives in lessons that no question answers to.
+ */
+export function studioIssues(pack) {
+  const { errors } = validatePack(pack);
+  const extra = [];
+  const check = (id, path) => { if (typeof id === "string" && id && !ID_RE.test(id)) extra.push({ path, message: `Id "${id}" should use only letters, digits, - and _.` }); };
+  const blanks = (list, path, what) => (Array.isArray(list) ? list : []).forEach((x, i) => { if (typeof x === "string" && !x.trim()) extra.push({ path: `${path}[${i}]`, message: `${what} ${i + 1} is blank.` }); });
+  const checkQuestion = (q, path) => {
+    check(q?.id, path);
+    if (q?.type === "mcq") blanks(q.options, `${path}.options`, "Option");
+    if (q?.type === "short") blanks(q.rubric?.criteria, `${path}.rubric.criteria`, "Criterion");
+  };
+  const questionIds = new Set([...(pack.sections || []).flatMap(s => s?.test?.questions || []), ...(pack.finalExam?.questions || [])].map(q => q?.id));
+  const embeds = (md, path) => {
+    if (typeof md !== "string") return;
+    for (const m of md.matchAll(QUESTION_DIRECTIVE_RE)) {
+      const { id } = parseDirectiveAttrs(m[2]);
+      if (!questionIds.has(id)) extra.push({ path, message: `::question shows "${id ?? ""}", which is not a question in this course.` });
+    }
+  };
+  check(pack.id, "id");
+  (pack.sections || []).forEach((s, si) => {
+    check(s?.id, `sections[${si}]`);
+    (s?.lessons || []).forEach((l, li) => {
+      const lp = `sections[${si}].lessons[${li}]`;
+      check(l?.id, lp);
+      embeds(l?.md, `${lp}.md`);
+      Object.entries(l?.i18n || {}).forEach(([loc, tr]) => embeds(tr?.md, `${lp}.i18n.${loc}.md`));
+    });
+    (s?.test?.questions || []).forEach((q, qi) => checkQuestion(q, `sections[${si}].test.questions[${qi}]`));
+  });
+  (pack.finalExam?.questions || []).forEach((q, qi) => checkQuestion(q, `finalExam.questions[${qi}]`));
+  return [...errors, ...extra];
+}
+
+const isText = (v) => v === undefined || typeof v === "string";
+const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+/** Enough of a question for the outline to list it. */
+export const isQuestionShape = (q) => isObj(q) && isText(q.id) && isText(q.type) && isText(q.prompt);
+
+/**
+ * What the studio needs just to show a pack: lists where it goes through a list, text where it
+ * shows text. Returns the first problem, or null; everything else is for studioIssues to list
+ * once the pack is open.
+ * @returns {import("./schema").PackIssue|null}
+ */
+export function draftShapeIssue(pack) {
+  if (!isObj(pack)) return { path: "", message: "Pack must be a JSON object." };
+  if (!isText(pack.id) || !isText(pack.title)) return { path: "", message: "The pack's `id` and `title` must be text." };
+  if (!Array.isArray(pack.sections)) return { path: "sections", message: "Pack has no `sections` list." };
+  const questions = (list, path) => {
+    if (list === undefined) return null;
+    if (!Array.isArray(list)) return { path, message: "`questions` must be a list." };
+    const i = list.findIndex(q => !isQuestionShape(q));
+    return i < 0 ? null : { path: `${path}[${i}]`, message: "A question must be an object whose `id`, `type` and `prompt` are text." };
+  };
+  for (const [si, sec] of pack.sections.entries()) {
+    const path = `sections[${si}]`;
+    if (!isObj(sec) || !isText(sec.id) || !isText(sec.title)) return { path, message: "A section must be an object whose `id` and `title` are text." };
+    if (!Array.isArray(sec.lessons)) return { path: `${path}.lessons`, message: "Section has no `lessons` list." };
+    const li = sec.lessons.findIndex(l => !isObj(l) || !isText(l.id) || !isText(l.title) || typeof l.md !== "string");
+    if (li >= 0) return { path: `${path}.lessons[${li}]`, message: "A lesson must be an object with `md` text and text `id` and `title`." };
+    if (sec.test !== undefined && !isObj(sec.test)) return { path: `${path}.test`, message: "`test` must be an object." };
+    const issue = questions(sec.test?.questions, `${path}.test.questions`);
+    if (issue) return issue;
+  }
+  if (pack.finalExam !== undefined && !isObj(pack.finalExam)) return { path: "finalExam", message: "`finalExam` must be an object." };
+  return questions(pack.finalExam?.questions, "finalExam.questions");
+}
+
+/** Whether a question has what its form edits; otherwise (e.g. a type just changed in JSON) it stays in the JSON editor. */
+export function hasForm(q) {
+  if (q.type === "mcq") return Array.isArray(q.options) && q.options.every(o => typeof o === "string");
+  if (q.type === "short") return q.rubric === undefined || (isObj(q.rubric) && Array.isArray(q.rubric.criteria) && q.rubric.criteria.every(c => typeof c === "string"));
+  return false;
+}
+
+/** The path prefix issues about a selection start with. */
+export function pathOf(sel) {
+  if (sel.kind === "pack") return "";
+  if (sel.kind === "question") return sel.s === "exam" ? `finalExam.questions[${sel.q}]` : `sections[${sel.s}].test.questions[${sel.q}]`;
+  if (sel.kind === "lesson") return `sections[${sel.s}].lessons[${sel.l}]`;
+  return `sections[${sel.s}]`;
+}
+
+/** The selection an issue path points into (the closest item the studio can show). */
+export function selectionFor(path) {
+  let m = path.match(/^finalExam\.questions\[(\d+)\]/);
+  if (m) return { kind: "question", s: "exam", q: +m[1] };
+  m = path.match(/^sections\[(\d+)\](?:\.test\.questions\[(\d+)\]|\.lessons\[(\d+)\])?/);
+  if (!m) return { kind: "pack" };
+  if (m[2] !== undefined) return { kind: "question", s: +m[1], q: +m[2] };
+  if (m[3] !== undefined) return { kind: "lesson", s: +m[1], l: +m[3] };
+  return { kind: "section", s: +m[1] };
+}
+
+/** Is `path` about the selected item (exactly it, or something inside it)? */
+export function isAbout(path, sel) {
+  const base = pathOf(sel);
+  if (!base) return !/^(sections|finalExam)\b/.test(path);
+  return path === base || path.startsWith(`${base}.`) || path.startsWith(`${base}[`);
+}
+
+// ----------------------------- Renaming -----------------------------
+/** Point the glossary's `lessons` refs ("sectionId/lessonId") through `fn`. */
+const retagGlossary = (pack, fn) => (pack.glossary ? { ...pack, glossary: pack.glossary.map(e => (e.lessons ? { ...e, lessons: e.lessons.map(fn) } : e)) } : pack);
+
+/** Change a lesson id and the `lesson` tags and glossary refs that point at it. */
+export function renameLesson(pack, s, l, id) {
+  const section = pack.sections[s];
+  const from = section.lessons[l].id;
+  const retag = (q) => (q.lesson === from ? { ...q, lesson: id } : q);
+  const next = updateSection(pack, s, sec => ({ ...sec, lessons: replaceAt(sec.lessons, l, { ...sec.lessons[l], id }), test: { ...sec.test, questions: (sec.test?.questions || []).map(retag) } }));
+  const ref = `${section.id}/${from}`;
+  return retagGlossary(updateQuestions(next, "exam", qs => qs.map(q => (q.unit === section.id ? retag(q) : q))), r => (r === ref ? `${section.id}/${id}` : r));
+}
+
+/** Change a section id and the exam questions' `unit` tags and glossary refs that point at it. */
+export function renameSection(pack, s, id) {
+  const from = pack.sections[s].id;
+  const next = updateSection(pack, s, sec => ({ ...sec, id }));
+  const retagged = updateQuestions(next, "exam", qs => qs.map(q => (q.unit === from ? { ...q, unit: id } : q)));
+  return retagGlossary(retagged, r => (r.startsWith(`${from}/`) ? `${id}${r.slice(from.length)}` : r));
+}
+
+const QUESTION_DIRECTIVE_RE = /^(\s*::question\{)([^}]*)\}/gm;
+
+/** A lesson with `fn` applied to its Markdown and to each translation's. */
+const mapLessonMd = (lesson, fn) => ({
+  ...lesson, md: fn(lesson.md),
+  ...(lesson.i18n ? { i18n: Object.fromEntries(Object.entries(lesson.i18n).map(([loc, tr]) => [loc, typeof tr?.md === "string" ? { ...tr, md: fn(tr.md) } : tr])) } : {}),
+});
+
+/**
+ * Change a question id and the lessons' `::question{id=…}` directives that show it. Directives are
+ * left alone while the old or new id belongs to another question too (a clash mid-edit), so they
+ * never move to the wrong question; the studio's checks point out any left dangling.
+ */
+export function renameQuestion(pack, s, i, id) {
+  const from = questionsOf(pack, s)[i].id;
+  const taken = allQuestionIds(pack);
+  const next = updateQuestions(pack, s, qs => replaceAt(qs, i, { ...qs[i], id }));
+  if (taken.has(id) || allQuestionIds(next).has(from)) return next;
+  const retag = (md) => (typeof md === "string" ? md.replace(QUESTION_DIRECTIVE_RE, (all, head, attrs) => {
+    if (parseDirectiveAttrs(attrs).id !== from) return all;
+    return `${head}${attrs.replace(/(\bid=)(?:"[^"]*"|\S+)/, `$1"${id}"`)}}`;
+  }) : md);
+  return { ...next, sections: next.sections.map(sec => ({ ...sec, lessons: sec.lessons.map(l => mapLessonMd(l, retag)) })) };
+}
@@ -0,0 +1,159 @@
+import React, { useRef, useState } from "react";
+import { RefreshCcw } from "lucide-react";
+import { DIAGRAMS, DOMAIN, buildDiagram, clampParams } from "./models";
+import { useLocale, useT } from "../i18n";
+
+/**
+ * Interactive SVG diagram embedded in lessons via `::diagram{kind="…"}`.
+ * Curves can be shifted with the sliders or by dragging the round handles
+ * (arrow keys move a focused handle).
+ */
+
+// ----------------------------- Layout -----------------------------
+const W = 380, H = 300;
+const M = { top: 16, right: 70, bottom: 40, left: 44 };
+const PW = W - M.left - M.right;
+const PH = H - M.top - M.bottom;
+const sx = (q) => M.left + (q / DOMAIN) * PW;
+const sy = (p) => M.top + (1 - p / DOMAIN) * PH;
+const path = (pts) => pts.map(([x, y], i) => `${i ? "L" : "M"}${sx(x).toFixed(1)},${sy(y).toFixed(1)}`).join(" ");
+
+/** Attributes from the directive arrive as strings; keep the numeric ones that match a control. */
+function initialParams(kind, attrs) {
+  const out = {};
+  for (const c of DIAGRAMS[kind].controls) {
+    if (attrs[c.id] !== undefined && !isNaN(Number(attrs[c.id]))) out[c.id] = Number(attrs[c.id]);
+  }
+  return out;
+}
+
+export default function EconDiagram({ kind, show, variant, title, controls, ...attrs }) {
+  const t = useT();
+  const locale = useLocale();
+  const def = DIAGRAMS[kind];
+  const start = def ? initialParams(kind, attrs) : {};
+  const [params, setParams] = useState(start);
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+
+  if (!def) {
+    return <div className="my-3 rounded-xl border border-dashed p-3 text-sm text-gray-500">{t("diagram.unknown", { kind, kinds: Object.keys(DIAGRAMS).join(", ") })}</div>;
+  }
+
+  const showList = show !== undefined ? show.split(",").map(s => s.trim()).filter(Boolean) : undefined;
+  const { scene, params: current } = buildDiagram(kind, params, { show: showList, variant, locale });
+  const heading = title || t(`diagram.title.${kind}`);
+  const visibleControls = controls ? def.controls.filter(c => controls.split(",").map(s => s.trim()).includes(c.id)) : def.controls;
+
+  const update = (patch) => setParams(p => clampParams(kind, { ...def.defaults, ...p, ...patch }));
+
+  const toModel = (e) => {
+    const r = svgRef.current.getBoundingClientRect();
+    const px = ((e.clientX - r.left) / r.width) * W;
+    const py = ((e.clientY - r.top) / r.height) * H;
+    return { x: ((px - M.left) / PW) * DOMAIN, y: (1 - (py - M.top) / PH) * DOMAIN };
+  };
+
+  const onPointerDown = (h) => (e) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    dragRef.current = { handle: h, last: toModel(e) };
+  };
+  const onPointerMove = (e) => {
+    const d = dragRef.current;
+    if (!d) return;
+    const pos = toModel(e);
+    const delta = { dx: pos.x - d.last.x, dy: pos.y - d.last.y, x: pos.x, y: pos.y };
+    d.last = pos;
+    setParams(p => {
+      const base = clampParams(kind, { ...def.defaults, ...p });
+      return clampParams(kind, { ...base, ...d.handle.drag(base, delta) });
+    });
+  };
+  const onPointerUp = () => { dragRef.current = null; };
+
+  const onHandleKey = (h) => (e) => {
+    const step = e.shiftKey ? 0.5 : 0.1;
+    const moves = { ArrowLeft: [-step, 0], ArrowRight: [step, 0], ArrowUp: [0, step], ArrowDown: [0, -step] };
+    const mv = moves[e.key];
+    if (!mv) return;
+    e.preventDefault();
+    const [dx, dy] = mv;
+    update(h.drag(current, { dx, dy, x: h.x + dx, y: h.y + dy }));
+  };
+
+  return (
+    <figure className="my-4 rounded-xl border bg-white p-3 not-prose">
+      <figcaption className="flex items-center gap-2 mb-2">
+        <span className="font-medium">{heading}</span>
+        <button onClick={() => setParams(start)} className="ml-auto rounded-lg border px-2 py-1 text-xs hover:bg-gray-50 inline-flex items-center gap-1" title={t("diagram.resetTitle")}><RefreshCcw className="w-3 h-3"/> {t("diagram.reset")}</button>
+      </figcaption>
+      <div className="grid md:grid-cols-[1fr_12rem] gap-3 items-start">
+        <svg ref={svgRef} viewBox={`0 0 ${W} ${H}`} className="w-full touch-none select-none" role="img" aria-label={`${heading}. ${scene.notes.join(" ")}`}
+          onPointerMove={onPointerMove} onPointerUp={onPointerUp} onPointerLeave={onPointerUp}>
+          {/* shaded areas */}
+          {scene.areas.map(a => (
+            <g key={a.id}>
+              <path d={`${path(a.points)} Z`} fill={a.fill} stroke="none"/>
+              <text x={sx(a.points.reduce((s, p) => s + p[0], 0) / a.points.length)} y={sy(a.points.reduce((s, p) => s + p[1], 0) / a.points.length)} fontSize="10" textAnchor="middle" dominantBaseline="middle" fill="#111">{a.label}</text>
+            </g>
+          ))}
+          {/* axes */}
+          <line x1={sx(0)} y1={sy(0)} x2={sx(DOMAIN)} y2={sy(0)} stroke="#111"/>
+          <line x1={sx(0)} y1={sy(0)} x2={sx(0)} y2={sy(DOMAIN)} stroke="#111"/>
+          <text x={sx(DOMAIN)} y={sy(0) + 28} fontSize="11" textAnchor="end">{scene.axes.x}</text>
+          <text x={sx(0) + 4} y={sy(DOMAIN) + 4} fontSize="11">{scene.axes.y}</text>
+          {/* equilibrium guides */}
+          {scene.points.filter(p => p.guides).map(p => (
+            <g key={`g-${p.id}`} stroke="#9ca3af" strokeDasharray="3 3">
+              <line x1={sx(p.x)} y1={sy(p.y)} x2={sx(p.x)} y2={sy(0)}/>
+              <line x1={sx(p.x)} y1={sy(p.y)} x2={sx(0)} y2={sy(p.y)}/>
+            </g>
+          ))}
+          {scene.points.map(p => (
+            <g key={`l-${p.id}`} fontSize="10" fill="#374151">
+              {p.xLabel && <text x={sx(p.x)} y={sy(0) + 12} textAnchor="middle">{p.xLabel}</text>}
+              {p.yLabel && <text x={sx(0) - 4} y={sy(p.y)} textAnchor="end" dominantBaseline="middle">{p.yLabel}</text>}
+            </g>
+          ))}
+          {/* curves */}
+          {scene.curves.filter(c => c.points.length > 1).map(c => {
+            const [lx, ly] = c.points[c.points.length - 1];
+            return (
+              <g key={c.id}>
+                <path d={path(c.points)} fill="none" stroke={c.color} strokeWidth="2" strokeDasharray={c.dashed ? "6 4" : undefined}/>
+                <text x={sx(lx) + 4} y={sy(ly)} fontSize="10" fill={c.color} dominantBaseline="middle">{c.label}</text>
+              </g>
+            );
+          })}
+          {/* equilibrium points */}
+          {scene.points.map(p => (
+            <g key={`p-${p.id}`}>
+              <circle cx={sx(p.x)} cy={sy(p.y)} r="3" fill="#111"/>
+              {p.label && <text x={sx(p.x) + 5} y={sy(p.y) - 6} fontSize="10" fontWeight="600">{p.label}</text>}
+            </g>
+          ))}
+          {/* drag handles */}
+          {scene.handles.map(h => (
+            <circle key={h.id} cx={sx(h.x)} cy={sy(h.y)} r="7" fill="white" stroke="#111" strokeWidth="1.5" className="cursor-grab focus:outline-none focus:stroke-blue-600"
+              tabIndex={0} role="slider" aria-label={h.title} aria-valuetext={scene.notes[0]}
+              onPointerDown={onPointerDown(h)} onKeyDown={onHandleKey(h)}>
+              <title>{h.title}</title>
+            </circle>
+          ))}
+        </svg>
+        <div className="flex flex-col gap-2 text-sm">
+          {visibleControls.map(c => (
+            <label key={c.id} className="flex flex-col gap-1">
+              <span className="flex justify-between"><span>{t(`diagram.control.${c.id}`)}</span><span className="text-gray-500">{current[c.id].toLocaleString(locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}</span></span>
+              <input type="range" min={c.min} max={c.max} step={c.step} value={current[c.id]} onChange={e => update({ [c.id]: Number(e.target.value) })} className="accent-black"/>
+            </label>
+          ))}
+        </div>
+      </div>
+      <ul className="mt-2 text-sm text-gray-700">
+        {scene.notes.map((n, i) => <li key={i}>{n}</li>)}
+      </ul>
+    </figure>
+  );
+}
@@ -0,0 +1,288 @@
+/**
+ * ECONOMIC DIAGRAM MODELS
+ * Pure geometry for the lesson diagrams. Every model works in "economic units"
+ * on a 0–10 × 0–10 plane and returns a scene the SVG renderer can draw:
+ *  - curves:  straight lines or polylines with a label
+ *  - areas:   shaded polygons (CS, PS, DWL, tax revenue…)
+ *  - points:  labelled equilibria with dashed guides to the axes
+ *  - handles: drag targets that translate pointer deltas into parameter changes
+ *  - notes:   short text read-outs under the chart
+ *
+ * Every label, note and handle title comes from the i18n catalogs (`diagram.*`), in the
+ * language passed to buildDiagram.
+ */
+
+import { DEFAULT_LOCALE, translate } from "../i18n";
+
+// ----------------------------- Geometry helpers -----------------------------
+export const DOMAIN = 10;
+
+/** @typedef {{ a:number, m:number }} Line  P = a + m·Q */
+/** @typedef {{ id:string, label:string, points:[number,number][], color:string, dashed?:boolean }} Curve */
+/** @typedef {{ id:string, label:string, points:[number,number][], fill:string }} Area */
+/** @typedef {{ id:string, label:string, x:number, y:number, guides?:boolean, xLabel?:string, yLabel?:string }} Marker */
+/** @typedef {{ id:string, x:number, y:number, title:string, drag:(params:object, delta:{dx:number,dy:number,x:number,y:number})=>object }} Handle */
+/** @typedef {{ id:string, min:number, max:number, step:number }} Control */
+/** @typedef {{ axes:{x:string,y:string}, curves:Curve[], areas:Area[], points:Marker[], handles:Handle[], notes:string[] }} Scene */
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+const round = (v) => Math.round(v * 100) / 100;
+
+/** Line through P = a + m·(Q − shift): a horizontal shift of `shift` units. */
+function shifted(a, m, shift) { return { a: a - m * shift, m }; }
+function at(line, q) { return line.a + line.m * q; }
+function intersect(l1, l2) {
+  if (l1.m === l2.m) return null;
+  const q = (l2.a - l1.a) / (l1.m - l2.m);
+  return { x: q, y: at(l1, q) };
+}
+
+/** Clip a line to the visible plane and return its two end points. */
+function segment(line) {
+  const pts = [];
+  for (let q = 0; q <= DOMAIN; q += DOMAIN / 200) {
+    const p = at(line, q);
+    if (p >= 0 && p <= DOMAIN) pts.push([q, p]);
+  }
+  return pts.length ? [pts[0], pts[pts.length - 1]] : [];
+}
+
+function end(curve) { return curve.points[curve.points.length - 1]; }
+
+/** Region between a horizontal price level and a curve from Q = 0 to q1, clipped to the plane. */
+function wedge(line, q1, price) {
+  const steps = 24;
+  const edge = Array.from({ length: steps + 1 }, (_, i) => {
+    const q = (q1 * i) / steps;
+    return [q, clamp(at(line, q), 0, DOMAIN)];
+  });
+  return [[0, price], ...edge, [q1, price]];
+}
+
+/** Shoelace area of a polygon. */
+function area(points) {
+  let sum = 0;
+  points.forEach(([x1, y1], i) => {
+    const [x2, y2] = points[(i + 1) % points.length];
+    sum += x1 * y2 - x2 * y1;
+  });
+  return Math.abs(sum) / 2;
+}
+
+// ----------------------------- Supply & Demand -----------------------------
+// Demand: P = 9 − 0.8(Q − dShift); Supply: P = 1 + tax + 0.8(Q − sShift).
+// Positive shifts move a curve to the right (increase); a tax lifts supply vertically.
+function supplyDemand({ demandShift = 0, supplyShift = 0, tax = 0 }, show, _variant, t) {
+  const D = shifted(9, -0.8, demandShift);
+  const S = shifted(1, 0.8, supplyShift);
+  const St = { a: S.a + tax, m: S.m };
+  const e0 = intersect(D, S);
+  const e1 = tax > 0 ? intersect(D, St) : e0;
+
+  const curves = [
+    { id: "D", label: t("diagram.D"), points: segment(D), color: "#2563eb" },
+    { id: "S", label: t("diagram.S"), points: segment(S), color: "#dc2626" },
+  ];
+  if (tax > 0) curves.push({ id: "St", label: t("diagram.sTax"), points: segment(St), color: "#dc2626", dashed: true });
+
+  const areas = [];
+  const pc = e1.y;            // price consumers pay
+  const pp = e1.y - tax;      // price producers keep
+  const csArea = wedge(D, e1.x, pc);
+  const psArea = wedge(S, e1.x, pp);
+  if (show.has("cs")) areas.push({ id: "cs", label: t("diagram.CS"), fill: "rgba(37,99,235,0.18)", points: csArea });
+  if (show.has("ps")) areas.push({ id: "ps", label: t("diagram.PS"), fill: "rgba(220,38,38,0.18)", points: psArea });
+  if (tax > 0) {
+    if (show.has("tax")) areas.push({ id: "tax", label: t("diagram.taxRevenue"), fill: "rgba(234,179,8,0.25)", points: [[0, pp], [0, pc], [e1.x, pc], [e1.x, pp]] });
+    if (show.has("dwl")) areas.push({ id: "dwl", label: t("diagram.DWL"), fill: "rgba(0,0,0,0.22)", points: [[e1.x, pc], [e1.x, pp], [e0.x, e0.y]] });
+  }
+
+  const points = [{ id: "e0", label: tax > 0 ? "E₀" : "E", x: e0.x, y: e0.y, guides: true, xLabel: tax > 0 ? "Q₀" : "Qe", yLabel: tax > 0 ? "P₀" : "Pe" }];
+  if (tax > 0) {
+    points.push({ id: "e1", label: "E₁", x: e1.x, y: pc, guides: true, xLabel: "Qt", yLabel: "Pc" });
+    points.push({ id: "pp", label: "", x: e1.x, y: pp, guides: true, yLabel: "Pp" });
+  }
+
+  const handles = [
+    { id: "hD", ...xy(end(curves[0])), title: t("diagram.dragDemand"), drag: (p, { dx }) => ({ demandShift: p.demandShift + dx }) },
+    { id: "hS", ...xy(end(curves[1])), title: t("diagram.dragSupply"), drag: (p, { dx }) => ({ supplyShift: p.supplyShift + dx }) },
+  ];
+
+  const cs = area(csArea);
+  const ps = area(psArea);
+  const notes = [t("diagram.equilibrium", { p: round(pc), q: round(e1.x) }), t("diagram.surplus", { cs: round(cs), ps: round(ps) })];
+  if (tax > 0) notes.push(t("diagram.taxNote", { revenue: round(tax * e1.x), dwl: round(0.5 * tax * (e0.x - e1.x)) }));
+
+  return { axes: { x: t("diagram.quantity"), y: t("diagram.price") }, curves, areas, points, handles, notes };
+}
+
+function xy([x, y]) { return { x, y }; }
+
+// ----------------------------- Production Possibilities Curve -----------------------------
+// Quarter-ellipse PPC with radius 6 + growth on each axis; the student's point can be dragged.
+function ppc({ growth = 0, pointX = 3, pointY = 3 }, _show, _variant, t) {
+  const arc = (r) => Array.from({ length: 41 }, (_, i) => {
+    const t = (Math.PI / 2) * (i / 40);
+    return [r * Math.cos(t), r * Math.sin(t)];
+  });
+  const r0 = 6, r1 = 6 + growth;
+  const curves = [{ id: "ppc", label: `${t("diagram.PPC")}${growth > 0 ? "₁" : ""}`, points: arc(r1), color: "#2563eb" }];
+  if (growth > 0) curves.unshift({ id: "ppc0", label: `${t("diagram.PPC")}₀`, points: arc(r0), color: "#94a3b8", dashed: true });
+
+  const dist = Math.hypot(pointX, pointY);
+  const status = Math.abs(dist - r1) < 0.25 ? "efficient" : dist < r1 ? "inefficient" : "unattainable";
+  const points = [{ id: "pt", label: "A", x: pointX, y: pointY, guides: true }];
+  const handles = [
+    { id: "hPt", x: pointX, y: pointY, title: t("diagram.dragPoint"), drag: (_p, { x, y }) => ({ pointX: x, pointY: y }) },
+    { id: "hPpc", ...xy(arc(r1)[20]), title: t("diagram.dragPpc"), drag: (p, { dx, dy }) => ({ growth: p.growth + (dx + dy) / 2 }) },
+  ];
+  const notes = [t("diagram.pointIs", { status: t(`diagram.${status}`) })];
+  if (growth > 0) notes.push(t("diagram.grown"));
+
+  return { axes: { x: t("diagram.consumerGoods"), y: t("diagram.capitalGoods") }, curves, areas: [], points, handles, notes };
+}
+
+// ----------------------------- AD–AS -----------------------------
+// AD: P = 8 − 0.7(Y − adShift); SRAS: P = 1 + 0.7(Y − srasShift); LRAS vertical at Yf = 5 + lrasShift.
+function adas({ adShift = 0, srasShift = 0, lrasShift = 0 }, show, _variant, t) {
+  const AD = shifted(8, -0.7, adShift);
+  const SRAS = shifted(1, 0.7, srasShift);
+  const yf = 5 + lrasShift;
+  const e = intersect(AD, SRAS);
+  const curves = [
+    { id: "AD", label: t("diagram.AD"), points: segment(AD), color: "#2563eb" },
+    { id: "SRAS", label: t("diagram.SRAS"), points: segment(SRAS), color: "#dc2626" },
+    { id: "LRAS", label: t("diagram.LRAS"), points: [[yf, 0], [yf, DOMAIN]], color: "#16a34a" },
+  ];
+  const gap = e.x - yf;
+  const areas = [];
+  if (show.has("gap") && Math.abs(gap) > 0.05) {
+    areas.push({ id: "gap", label: t(gap < 0 ? "diagram.recessionaryGap" : "diagram.inflationaryGap"), fill: gap < 0 ? "rgba(37,99,235,0.12)" : "rgba(220,38,38,0.12)", points: [[Math.min(e.x, yf), 0], [Math.min(e.x, yf), e.y], [Math.max(e.x, yf), e.y], [Math.max(e.x, yf), 0]] });
+  }
+  const points = [{ id: "e", label: "E", x: e.x, y: e.y, guides: true, xLabel: "Y", yLabel: t("diagram.PL") }];
+  const handles = [
+    { id: "hAD", ...xy(end(curves[0])), title: t("diagram.dragCurve", { curve: t("diagram.AD") }), drag: (p, { dx }) => ({ adShift: p.adShift + dx }) },
+    { id: "hSRAS", ...xy(end(curves[1])), title: t("diagram.dragCurve", { curve: t("diagram.SRAS") }), drag: (p, { dx }) => ({ srasShift: p.srasShift + dx }) },
+    { id: "hLRAS", x: yf, y: DOMAIN - 0.5, title: t("diagram.dragCurve", { curve: t("diagram.LRAS") }), drag: (p, { dx }) => ({ lrasShift: p.lrasShift + dx }) },
+  ];
+  const kind = Math.abs(gap) <= 0.05 ? t("diagram.fullEmployment") : t(gap < 0 ? "diagram.recessionaryGapOf" : "diagram.inflationaryGapOf", { gap: round(Math.abs(gap)) });
+  const notes = [t("diagram.output", { y: round(e.x), pl: round(e.y) }), kind];
+  return { axes: { x: t("diagram.realGdp"), y: t("diagram.priceLevel") }, curves, areas, points, handles, notes };
+}
+
+// ----------------------------- Externalities -----------------------------
+// Negative production externality: MSC = MPC + gap; a per-unit tax shifts MPC up.
+// Positive consumption externality: MSB = MPB + gap; a per-unit subsidy shifts MPB up.
+function externality({ gap = 2, policy = 0 }, show, variant, t) {
+  const positive = variant === "positive-consumption";
+  const MPC = { a: 1, m: 0.7 };
+  const MPB = { a: 9, m: -0.7 };
+  const MSC = positive ? MPC : { a: MPC.a + gap, m: MPC.m };
+  const MSB = positive ? { a: MPB.a + gap, m: MPB.m } : MPB;
+  const withPolicy = positive ? { a: MPB.a + policy, m: MPB.m } : { a: MPC.a + policy, m: MPC.m };
+
+  const market = positive ? intersect(withPolicy, MPC) : intersect(MPB, withPolicy);
+  const optimum = intersect(MSB, MSC);
+  const qm = market.x;
+
+  const curves = positive ? [
+    { id: "MPB", label: t("diagram.MPB"), points: segment(MPB), color: "#2563eb" },
+    { id: "MSB", label: t("diagram.MSB"), points: segment(MSB), color: "#7c3aed" },
+    { id: "S", label: `${t("diagram.MPC")} = ${t("diagram.MSC")}`, points: segment(MPC), color: "#dc2626" },
+  ] : [
+    { id: "D", label: `${t("diagram.MPB")} = ${t("diagram.MSB")}`, points: segment(MPB), color: "#2563eb" },
+    { id: "MPC", label: t("diagram.MPC"), points: segment(MPC), color: "#dc2626" },
+    { id: "MSC", label: t("diagram.MSC"), points: segment(MSC), color: "#7c3aed" },
+  ];
+  if (policy > 0) curves.push({ id: "policy", label: t(positive ? "diagram.mpbSubsidy" : "diagram.mpcTax"), points: segment(withPolicy), color: "#64748b", dashed: true });
+
+  const areas = [];
+  if (show.has("dwl") && Math.abs(qm - optimum.x) > 0.02) {
+    areas.push({ id: "dwl", label: t("diagram.welfareLoss"), fill: "rgba(0,0,0,0.22)", points: [[optimum.x, optimum.y], [qm, at(MSC, qm)], [qm, at(MSB, qm)]] });
+  }
+  const points = [
+    { id: "m", label: t("diagram.market"), x: qm, y: positive ? at(MPC, qm) : at(MPB, qm), guides: true, xLabel: "Qm" },
+    { id: "o", label: t("diagram.optimum"), x: optimum.x, y: optimum.y, guides: true, xLabel: "Q*" },
+  ];
+  const gapCurve = positive ? MSB : MSC;
+  const base = positive ? MPB : MPC;
+  const gx = Math.min(qm + 1, DOMAIN - 1);
+  if (show.has("gap") && gap > 0) {
+    curves.push({ id: "gapMarker", label: t(positive ? "diagram.externalBenefit" : "diagram.externalCost"), points: [[gx, at(base, gx)], [gx, at(gapCurve, gx)]], color: "#7c3aed", dashed: true });
+  }
+  const handles = [
+    { id: "hGap", ...xy(end(curves[positive ? 1 : 2])), title: t(positive ? "diagram.dragExternalBenefit" : "diagram.dragExternalCost"), drag: (p, { dy }) => ({ gap: p.gap + dy }) },
+  ];
+  const notes = [
+    t("diagram.marketVsOptimum", { market: round(qm), optimum: round(optimum.x) }),
+    t(Math.abs(qm - optimum.x) <= 0.02 ? (positive ? "diagram.internalizedSubsidy" : "diagram.internalizedTax") : qm > optimum.x ? "diagram.over" : "diagram.under"),
+  ];
+  return { axes: { x: t("diagram.quantity"), y: t(positive ? "diagram.benefitsCosts" : "diagram.costsBenefits") }, curves, areas, points, handles, notes };
+}
+
+// ----------------------------- Registry -----------------------------
+// Titles and slider labels are catalog keys too: `diagram.title.<kind>` and `diagram.control.<id>`.
+/** @type {Record<string, { controls:Control[], defaults:object, show:string[], build:(params:object, show:Set<string>, variant:string|undefined, t:(key:string, vars?:object)=>string)=>Scene }>} */
+export const DIAGRAMS = {
+  "supply-demand": {
+    controls: [
+      { id: "demandShift", min: -3, max: 3, step: 0.1 },
+      { id: "supplyShift", min: -3, max: 3, step: 0.1 },
+      { id: "tax", min: 0, max: 4, step: 0.1 },
+    ],
+    defaults: { demandShift: 0, supplyShift: 0, tax: 0 },
+    show: ["cs", "ps", "tax", "dwl"],
+    build: supplyDemand,
+  },
+  ppc: {
+    controls: [
+      { id: "growth", min: 0, max: 3, step: 0.1 },
+      { id: "pointX", min: 0, max: 9.5, step: 0.1 },
+      { id: "pointY", min: 0, max: 9.5, step: 0.1 },
+    ],
+    defaults: { growth: 0, pointX: 3, pointY: 3 },
+    show: [],
+    build: ppc,
+  },
+  "ad-as": {
+    controls: [
+      { id: "adShift", min: -3, max: 3, step: 0.1 },
+      { id: "srasShift", min: -3, max: 3, step: 0.1 },
+      { id: "lrasShift", min: -2, max: 3, step: 0.1 },
+    ],
+    defaults: { adShift: 0, srasShift: 0, lrasShift: 0 },
+    show: ["gap"],
+    build: adas,
+  },
+  externality: {
+    controls: [
+      { id: "gap", min: 0, max: 4, step: 0.1 },
+      { id: "policy", min: 0, max: 4, step: 0.1 },
+    ],
+    defaults: { gap: 2, policy: 0 },
+    show: ["dwl", "gap"],
+    build: externality,
+  },
+};
+
+/**
+ * Merge user params over defaults, clamp them to the control ranges and build the scene.
+ * `show` limits the shaded areas (e.g. "cs,ps"); when omitted the diagram's defaults apply.
+ * Text and numbers are written for `locale`.
+ */
+export function buildDiagram(kind, params, { show, variant, locale = DEFAULT_LOCALE } = {}) {
+  const def = DIAGRAMS[kind];
+  if (!def) return null;
+  const merged = clampParams(kind, { ...def.defaults, ...params });
+  const shown = new Set(show ? show : def.show);
+  const num = new Intl.NumberFormat(locale, { maximumFractionDigits: 2 });
+  const t = (key, vars) => translate(locale, key, vars && Object.fromEntries(Object.entries(vars).map(([k, v]) => [k, typeof v === "number" ? num.format(v) : v])));
+  return { scene: def.build(merged, shown, variant, t), params: merged };
+}
+
+export function clampParams(kind, params) {
+  const def = DIAGRAMS[kind];
+  const out = { ...params };
+  for (const c of def.controls) out[c.id] = clamp(Number(out[c.id]) || 0, c.min, c.max);
+  return out;
+}
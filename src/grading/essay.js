@@ -0,0 +1,167 @@
+import { hasExplanation, matchCriterion, wordCount } from "./heuristic";
+import { DEFAULT_LOCALE, translate } from "../i18n";
+
+/**
+ * ESSAY MARKBANDS
+ * Extended-response questions (Paper 1 style, 10 or 15 marks) are marked by level, not by
+ * checklist. Each assessment objective gets a band score from 0 to 4:
+ *
+ *   AO1 Knowledge and understanding — key terms defined and theory explained
+ *   AO2 Application — real-world examples
+ *   AO3 Evaluation — only when the question asks for it (15-mark questions by default)
+ *   AO4 Diagrams — a relevant, labelled and explained diagram
+ *
+ * The band scores give the mark; the mark falls in one of five levels of equal width (1–3,
+ * 4–6, … for 15 marks). A pack question carries
+ *
+ *   { type: "essay", maxScore: 15, minWords?, essay: { keyTerms: [["phrase", "alt"], …],
+ *     diagrams?: [["AD", "aggregate demand"], …], evaluation?: boolean } }
+ *
+ * The offline marker below looks for the signals an examiner looks for, in English, Spanish or
+ * French; the AI marker (./llm.js) is given the same bands and level descriptors. Band titles,
+ * level descriptors and the offline marker's comments come from the i18n catalogs (`band.*`, `level.*`, `markEssay.*`).
+ */
+
+/** @typedef {{ id:string, title:string, score:number, max:number, comment:string }} BandResult */
+/** @typedef {{ score:number, max:number, level:number, bands:BandResult[], feedback:string }} EssayResult */
+
+export const BAND_MAX = 4;
+
+/** What each band rewards, as the AI marker is told (its instructions are in English). */
+export const BAND_DESCRIPTORS = {
+  AO1: "relevant economic terms are defined and used accurately; the theory is explained",
+  AO2: "relevant real-world examples (a named country, firm or policy, dates and data) are used to support the argument",
+  AO3: "arguments are weighed: short v long run, stakeholders, assumptions and a supported final judgement",
+  AO4: "a relevant diagram is included, correctly labelled and fully explained in the text",
+};
+
+export const bandTitle = (id, locale = DEFAULT_LOCALE) => translate(locale, `band.${id}`);
+export const levelDescriptor = (level, locale = DEFAULT_LOCALE) => translate(locale, `level.${level}`);
+
+/** Which bands a question is marked on, in order. */
+export function essayBands(q) {
+  const evaluation = q.essay?.evaluation ?? q.maxScore >= 15;
+  return ["AO1", "AO2", ...(evaluation ? ["AO3"] : []), "AO4"];
+}
+
+/** Mark ranges of the five levels: `[{ level, min, max }]` for levels 1–5. */
+export function markbands(maxScore) {
+  const width = maxScore / 5;
+  return [1, 2, 3, 4, 5].map(level => ({ level, min: Math.round((level - 1) * width) + 1, max: Math.round(level * width) }));
+}
+
+export function levelFor(mark, maxScore) {
+  if (mark <= 0) return 0;
+  return markbands(maxScore).find(b => mark <= b.max)?.level ?? 5;
+}
+
+export const essayMinWords = (q) => q.minWords ?? q.maxScore * 25;
+
+// ----------------------------- Signals -----------------------------
+const has = (re, text) => re.test(text);
+
+// Patterns are matched against the essay without accents, in English, Spanish and French.
+const DEFINITION_RE = /\b(is defined as|is when|refers to|means|is the (?:amount|level|rate|change|responsiveness|cost|value)|se define como|es cuando|se refiere a|significa|es (?:la|el) (?:cantidad|nivel|tasa|variacion|sensibilidad|coste|costo|valor)|est definie? comme|designe|signifie|correspond a|renvoie a|c'est quand|c'est lorsque|est (?:la|le) (?:quantite|niveau|taux|variation|sensibilite|cout|valeur))\b/i;
+const DIAGRAM_RE = /\b(diagram|graph|figure|fig\.?|as shown|illustrated|diagrama|grafic[oa]|figura|como se muestra|ilustrad[oa]|graphique|schema|comme le montre|illustree?)\b/i;
+const CURVE_RE = /\b(AD\d?|AS\d?|SRAS\d?|LRAS|MSC|MSB|MPC|MPB|MEC|PPC|[DS]\d|DA\d?|OA\d?|OACP|OALP|DG\d?|OG\d?|FPP|CMg[SP]|BMg[SP]|Cm[SP]|Bm[SP])\b|\b(demand|supply|cost|benefit) curve\b|\bcurva de (?:demanda|oferta|costes?|costos?|beneficios?)\b|\bcourbe d(?:e |')(?:demande|offre|couts?|benefices?)\b/;
+const MOVEMENT_RE = /\b(shift|shifts|shifted|shifting|moves? (?:from|to|along)|new equilibrium|equilibrium|welfare loss|deadweight loss|triangle|area|desplaza\w*|se mueve|nuevo equilibrio|equilibrio|perdida (?:de bienestar|irrecuperable)|triangulo|deplace\w*|nouvel equilibre|equilibre|perte (?:seche|de bien-etre)|aire|surface)\b/i;
+const AXIS_RE = /\b(axis|price level|real (?:gdp|output)|quantity|x-axis|y-axis|P1|Q1|Pe|Qe|Y1|PL1|eje|nivel (?:general )?de precios|PIB real|produccion real|cantidad|axe|niveau (?:general )?des prix|production reelle|quantite)\b/i;
+const EXAMPLE_RE = /\b(for example|for instance|e\.g\.|such as|in the case of|a case in point|this happened|in \d{4}|por ejemplo|tal(?:es)? como|en el caso de|un ejemplo|esto ocurrio|en \d{4}|par exemple|notamment|tel(?:le)?s? que|dans le cas de|c'est le cas|c'est ce qui s'est passe)\b/i;
+const PLACE_RE = /\b(UK|US|USA|EU|China|India|Japan|Germany|France|Brazil|Mexico|Nigeria|Kenya|Ghana|South Africa|Australia|Canada|Argentina|Chile|Indonesia|Vietnam|Bangladesh|Ethiopia|Turkey|Russia|Singapore|Norway|Sweden|Zimbabwe|Venezuela|Greece|Spain|Italy|Korea|Saudi Arabia|Egypt|Pakistan|Philippines|Thailand|Peru|Colombia|Rwanda|Botswana|Federal Reserve|ECB|Bank of England|IMF|World Bank|WTO|OPEC|EE\.? ?UU\.?|Estados Unidos|Reino Unido|UE|Alemania|Francia|Brasil|Japon|Sudafrica|Etiopia|Turquia|Rusia|Singapur|Noruega|Suecia|Grecia|Espana|Italia|Corea|Arabia Saudita|Egipto|Filipinas|Tailandia|Ruanda|Reserva Federal|BCE|Banco de Inglaterra|FMI|Banco Mundial|OMC|OPEP|Etats-Unis|Royaume-Uni|Chine|Inde|Allemagne|Bresil|Mexique|Afrique du Sud|Australie|Argentine|Chili|Indonesie|Ethiopie|Turquie|Russie|Singapour|Norvege|Suede|Grece|Espagne|Italie|Coree|Arabie saoudite|Egypte|Thailande|Perou|Colombie|Reserve federale|Banque d'Angleterre|Banque mondiale)\b/;
+const YEAR_RE = /\b(19|20)\d{2}\b/;
+const STAT_RE = /\d+(?:[.,]\d+)?\s?(?:%|percent|per cent|billion|million|bn|m\b|por ciento|pour cent|millones|mil millones|milliards?)/i;
+const EVALUATION = [
+  { id: "counter", re: /\b(however|on the other hand|although|whereas|nevertheless|alternatively|in contrast|critics|sin embargo|por otro lado|por otra parte|aunque|mientras que|no obstante|en cambio|por el contrario|los criticos|cependant|toutefois|en revanche|d'un autre cote|bien que|alors que|neanmoins|par contre|pourtant|les critiques)\b/i },
+  { id: "timeFrame", re: /\b(short[- ]run|long[- ]run|short[- ]term|long[- ]term|time lags?|over time|in the future|(?:a|en el) (?:corto|largo) plazo|con el tiempo|retardos?|en el futuro|(?:a|en|au|sur le) (?:court|long) terme|avec le temps|decalages?|a l'avenir)\b/i },
+  { id: "stakeholders", re: /\b(stakeholders?|consumers|producers|workers|the government|taxpayers|households|firms|the poor|exporters|importers|agentes|partes interesadas|consumidores|productores|trabajadores|el gobierno|el estado|contribuyentes|hogares|empresas|los pobres|exportadores|importadores|parties prenantes|acteurs|consommateurs|producteurs|travailleurs|l'etat|le gouvernement|contribuables|menages|entreprises|les pauvres|exportateurs|importateurs)\b.*\b(gain|lose|benefit|harm|worse off|better off|burden|gana|pierd|benefici|perjudic|carga|gagn|perd|profit|penalis|lese|fardeau)\w*/i },
+  { id: "assumptions", re: /\b(depends? on|assum\w*|ceteris paribus|extent|magnitude|if the|unless|elastic\w*|depende\w* de|supon\w*|supuestos?|medida|magnitud|si (?:el|la|los|las) |a menos que|depend\w* d[eu]|hypothes\w*|suppos\w*|dans quelle mesure|ampleur|si (?:le|la|les) |a moins que)\b/i },
+  { id: "judgement", re: /\b(in conclusion|to conclude|overall|on balance|ultimately|the most (?:important|effective|significant)|therefore,? the|en conclusion|para concluir|en definitiva|en resumen|en conjunto|en ultima instancia|lo mas (?:importante|eficaz|significativo)|por (?:lo )?tanto,? (?:la|el)|pour conclure|en somme|globalement|au final|en definitive|tout bien considere|(?:le|la) plus (?:important|importante|efficace|significati(?:f|ve))|donc,? (?:la|le))\b/i },
+];
+
+const bandResult = (id, score, comment, locale) => ({ id, title: bandTitle(id, locale), score: Math.max(0, Math.min(BAND_MAX, score)), max: BAND_MAX, comment });
+
+/** "“a”, “b” and “c”" in the feedback's language. */
+const quoteList = (items, locale) =>
+  new Intl.ListFormat(locale, { type: "conjunction" }).format(items.map(text => translate(locale, "markEssay.quoted", { text })));
+
+function markAO1(text, q, locale) {
+  const t = (key, vars) => translate(locale, key, vars);
+  const groups = q.essay?.keyTerms || [];
+  const found = groups.filter(g => matchCriterion(text, g[0], [g]).met);
+  const missing = groups.filter(g => !found.includes(g)).map(g => g[0]);
+  const share = groups.length ? found.length / groups.length : 0.5;
+  let score = Math.round(share * 3);
+  if (has(DEFINITION_RE, text) && hasExplanation(text)) score += 1;
+  const comment = score >= 3
+    ? (missing.length ? t("markEssay.ao1GoodMore", { terms: quoteList(missing.slice(0, 2), locale) }) : t("markEssay.ao1Good"))
+    : [found.length ? t("markEssay.ao1Used", { terms: quoteList(found.map(g => g[0]).slice(0, 3), locale) }) : t("markEssay.ao1Few"),
+      missing.length ? t("markEssay.ao1Define", { terms: quoteList(missing.slice(0, 3), locale) }) : t("markEssay.ao1DefineAll")].join(" ");
+  return bandResult("AO1", score, comment, locale);
+}
+
+function markAO2(text, q, locale) {
+  const signals = [has(EXAMPLE_RE, text), has(PLACE_RE, text), has(YEAR_RE, text), has(STAT_RE, text)];
+  const score = signals.filter(Boolean).length;
+  const comment = translate(locale, score >= 3 ? "markEssay.ao2Good" : score ? "markEssay.ao2Some" : "markEssay.ao2None");
+  return bandResult("AO2", score, comment, locale);
+}
+
+function markAO3(text, q, locale) {
+  const t = (key, vars) => translate(locale, key, vars);
+  const found = EVALUATION.filter(e => e.re.test(text));
+  const missing = EVALUATION.filter(e => !found.includes(e)).map(e => e.id);
+  let score = found.length;
+  if (!found.some(e => e.id === "judgement")) score = Math.min(score, 3);
+  const ways = (ids) => new Intl.ListFormat(locale, { type: "conjunction" }).format(ids.map(id => t(`markEssay.eval.${id}`)));
+  const comment = score >= 3 && !missing.length ? t("markEssay.ao3Good")
+    : [found.length ? t("markEssay.ao3Used", { ways: ways(found.map(e => e.id)) }) : t("markEssay.ao3None"),
+      t(missing.includes("judgement") ? "markEssay.ao3AddJudgement" : "markEssay.ao3Add", { ways: ways(missing.slice(0, 3)) })].join(" ");
+  return bandResult("AO3", score, comment, locale);
+}
+
+function markAO4(text, q, locale) {
+  const expected = q.essay?.diagrams || [];
+  const named = expected.length ? expected.some(g => matchCriterion(text, g[0], [g]).met) : has(CURVE_RE, text);
+  const signals = [has(DIAGRAM_RE, text), named, has(CURVE_RE, text) && has(AXIS_RE, text), has(MOVEMENT_RE, text) && hasExplanation(text)];
+  const score = signals.filter(Boolean).length;
+  const diagrams = expected.length ? new Intl.ListFormat(locale, { type: "disjunction" }).format(expected.map(g => g[0])) : "";
+  const key = score >= 3 ? "markEssay.ao4Good" : !signals[0] ? "markEssay.ao4None" : "markEssay.ao4Explain";
+  const comment = translate(locale, score < 3 && diagrams ? `${key}Named` : key, { diagrams });
+  return bandResult("AO4", score, comment, locale);
+}
+
+const MARKERS = { AO1: markAO1, AO2: markAO2, AO3: markAO3, AO4: markAO4 };
+
+// ----------------------------- Marking -----------------------------
+/** Turn band scores into a mark and level, capped for very short essays. */
+export function combineBands(bands, q, words) {
+  const max = q.maxScore;
+  const share = bands.reduce((n, b) => n + b.score, 0) / (bands.length * BAND_MAX);
+  let mark = Math.round(share * max);
+  const minWords = essayMinWords(q);
+  const capped = words < minWords && mark > markbands(max)[1].max;
+  if (capped) mark = markbands(max)[1].max;
+  return { mark, level: levelFor(mark, max), capped };
+}
+
+/**
+ * Mark an essay offline against the markbands.
+ * @param {{ text?:string, plan?:string }|undefined} answer
+ * @param {import("../i18n").Locale} [locale] the language of the feedback
+ * @returns {EssayResult}
+ */
+export function markEssay(q, answer, locale = DEFAULT_LOCALE) {
+  const t = (key, vars) => translate(locale, key, vars);
+  const text = answer?.text || "";
+  const words = wordCount(text);
+  const ids = essayBands(q);
+  if (!words) {
+    return { score: 0, max: q.maxScore, level: 0, bands: ids.map(id => bandResult(id, 0, t("markEssay.notAttempted"), locale)), feedback: t("markEssay.blank") };
+  }
+  const plain = text.normalize("NFD").replace(/\p{M}/gu, "").replace(/’/g, "'");
+  const bands = ids.map(id => MARKERS[id](plain, q, locale));
+  const { mark, level, capped } = combineBands(bands, q, words);
+  const lines = bands.map(b => t("markEssay.band", { id: b.id, title: b.title, word: t(`markEssay.word${b.score}`), comment: b.comment }));
+  const notes = capped ? [t("markEssay.tooShort", { n: words, min: essayMinWords(q) })] : [];
+  return { score: mark, max: q.maxScore, level, bands, feedback: [t("markEssay.level", { level, descriptor: levelDescriptor(level, locale) }), ...lines, ...notes].join("\n") };
+}
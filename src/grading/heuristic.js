@@ -0,0 +1,232 @@
+import { DEFAULT_LOCALE, translate } from "../i18n";
+
+/**
+ * OFFLINE RUBRIC MARKER
+ * Marks short answers without an API key, one rubric criterion at a time.
+ *
+ * A criterion can carry curated keywords in `rubric.keywords[i]`: a list of concept groups,
+ * each group a list of alternative phrases. The criterion is met when every group is found
+ * in the answer. Without curated keywords the criterion text itself is used: most of its
+ * content words (or their synonyms) must appear.
+ *
+ * Matching is done on stems within a clause, so "shifts", "shifted" and "shifting" all match
+ * "shift"; a phrase preceded by a negation ("not an outward shift") does not count.
+ * Very short answers and answers with no cause-and-effect language are capped. Feedback is
+ * written in the student's language (the i18n catalogs' `markShort.*` messages).
+ *
+ * Words are compared without accents ("inversion" matches "inversión"). Stopwords, negations and
+ * connectives are listed for English, Spanish and French together, because a rubric is in the
+ * pack's language, not necessarily the student's; the stemmer knows the common Spanish and French
+ * endings as well as the English ones.
+ */
+
+/** @typedef {{ criteria:string[], keywords?:(string[][]|null)[], guidance?:string, minWords?:number, maxScore?:number }} Rubric */
+/** @typedef {{ text:string, met:boolean, evidence?:string, negated?:string, hint?:string }} CriterionResult */
+
+// ----------------------------- Text processing -----------------------------
+const STOPWORDS = new Set(["a an the and or of to in on for with by as at from into is are was were be been being it its this that these those their there which who whom how what when where why than then so such can could may might will would should must do does did has have had use using via e g eg etc vs",
+  "los las una unos unas del con por para sobre entre son fue ser sea esta este estos estas ese esa eso esto esos esas sus que como cuando donde cual cuales quien muy tambien pero hay puede pueden debe deben segun mediante",
+  "les une des dans par pour sur avec est sont etait etre cette ces ses leur leurs qui quoi dont comme quand mais aux peut peuvent doit doivent tres aussi elle elles ils lors selon"].join(" ").split(" "));
+const NEGATORS = new Set(["not", "no", "never", "without", "neither", "nor", "hardly", "cannot", "none", "nunca", "ni", "ne", "pas", "jamais", "sans"]);
+const CONNECTIVES = ["because", "so", "therefore", "thus", "hence", "leads to", "lead to", "as a result", "which means", "this means", "causing", "causes", "due to", "since", "results in", "resulting in", "meaning", "in turn", "consequently",
+  "porque", "por lo tanto", "por eso", "asi que", "lo que", "debido a", "provoca", "conduce a", "como resultado", "en consecuencia", "ya que",
+  "parce que", "donc", "ainsi", "ce qui", "entraine", "en raison de", "par consequent", "car", "puisque", "provoque"];
+
+/** Lower-case words without accents: "Inversión" → "inversion". */
+export function words(text) {
+  return String(text || "").toLowerCase().normalize("NFD").replace(/\p{M}/gu, "").match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// English endings, then the Spanish and French ones that share a stem with them ("productividad",
+// "productivité" and "productivity" all give "productiv").
+const SUFFIXES = ["ational", "aciones", "ization", "idades", "amente", "ations", "acion", "ation", "ities", "idad", "mente", "ites", "ity", "ite", "ness", "ment", "ings", "ing", "ied", "ies", "aux", "ed", "ly", "ie", "es", "s"];
+const REPLACEMENTS = { ational: "ate", ization: "ize", ied: "y", ies: "y", ie: "y", aux: "al" };
+
+/** Light suffix-stripping stemmer: good enough to conflate regular inflections. */
+export function stem(word) {
+  let w = word.toLowerCase();
+  if (w.length <= 3) return w;
+  for (const suf of SUFFIXES) {
+    if (w.endsWith(suf) && w.length - suf.length >= 3) {
+      if (suf === "s" && (w.endsWith("ss") || w.endsWith("us") || w.endsWith("is"))) continue;
+      w = w.slice(0, -suf.length) + (REPLACEMENTS[suf] || "");
+      break;
+    }
+  }
+  if (/([b-df-hj-np-tv-z])\1$/.test(w) && !/(ll|ss|zz)$/.test(w)) w = w.slice(0, -1);
+  if (w.length > 3 && w.endsWith("e")) w = w.slice(0, -1);
+  return w;
+}
+
+/** Split into clauses of stemmed tokens; "isn't" → "is not". */
+export function clauses(text) {
+  return (text || "")
+    .toLowerCase()
+    .replace(/n['’]t\b/g, " not")
+    .split(/[.;:!?\n]+|,\s*(?:but|however|although|whereas)\b/)
+    .map(words)
+    .filter(c => c.length)
+    .map(ws => ({ words: ws, stems: ws.map(stem) }));
+}
+
+export function wordCount(text) {
+  return ((text || "").match(/[\p{L}\p{N}'’-]+/gu) || []).length;
+}
+
+// ----------------------------- Synonyms -----------------------------
+// Single words in a phrase also match their synonyms (applied to stems).
+const SYNONYM_GROUPS = [
+  ["increase", "rise", "raise", "grow", "higher", "boost", "expand", "more", "gain"],
+  ["decrease", "fall", "drop", "lower", "reduce", "decline", "shrink", "contract", "less", "cut"],
+  ["outward", "outwards", "rightward", "right"],
+  ["inward", "inwards", "leftward", "left"],
+  ["shift", "move", "moves", "push"],
+  ["cost", "costs", "expense"],
+  ["price", "prices"],
+  ["firm", "firms", "business", "producer", "company", "seller"],
+  ["consumer", "buyer", "household", "customer"],
+  ["government", "state", "authority", "policymaker"],
+  ["productivity", "productive", "efficiency", "output per worker"],
+  ["technology", "tech", "innovation"],
+  ["example", "instance"],
+  ["inflation", "price level"],
+  ["unemployment", "jobless", "unemployed"],
+  ["output", "gdp", "production", "real gdp"],
+  ["interest", "rate", "rates"],
+  ["currency", "exchange rate"],
+];
+const SYNONYMS = new Map();
+for (const group of SYNONYM_GROUPS) {
+  const stems = group.filter(w => !w.includes(" ")).map(stem);
+  for (const s of stems) SYNONYMS.set(s, new Set([...(SYNONYMS.get(s) || []), ...stems]));
+}
+
+// ----------------------------- Phrase matching -----------------------------
+const MAX_GAP = 2;
+
+function tokenMatches(stemmed, want) {
+  return stemmed === want || (SYNONYMS.get(want)?.has(stemmed) ?? false);
+}
+
+/** Find `phrase` (stems) in a clause allowing up to MAX_GAP filler words between its words; null when absent. */
+function findPhrase(clause, phrase, from = 0) {
+  for (let i = from; i < clause.stems.length; i++) {
+    if (!tokenMatches(clause.stems[i], phrase[0])) continue;
+    let pos = i, ok = true;
+    for (let k = 1; k < phrase.length && ok; k++) {
+      ok = false;
+      for (let j = pos + 1; j <= Math.min(pos + 1 + MAX_GAP, clause.stems.length - 1); j++) {
+        if (tokenMatches(clause.stems[j], phrase[k])) { pos = j; ok = true; break; }
+      }
+    }
+    if (ok) return { start: i, end: pos };
+  }
+  return null;
+}
+
+function isNegated(clause, start) {
+  for (let j = Math.max(0, start - 3); j < start; j++) {
+    const w = clause.words[j];
+    if (NEGATORS.has(w) && !(w === "not" && clause.words[j + 1] === "only")) return true;
+  }
+  return false;
+}
+
+/**
+ * Look for any alternative of a concept group.
+ * @returns {{ found:boolean, evidence?:string, negated?:string }}
+ */
+function matchGroup(parts, alternatives) {
+  let negated;
+  for (const alt of alternatives) {
+    const phrase = words(alt).map(stem);
+    if (!phrase.length) continue;
+    for (const clause of parts) {
+      let hit = findPhrase(clause, phrase);
+      while (hit) {
+        const text = clause.words.slice(hit.start, hit.end + 1).join(" ");
+        if (!isNegated(clause, hit.start)) return { found: true, evidence: text };
+        negated = negated || clause.words.slice(Math.max(0, hit.start - 3), hit.end + 1).join(" ");
+        hit = findPhrase(clause, phrase, hit.start + 1);
+      }
+    }
+  }
+  return { found: false, negated };
+}
+
+/** Content words of a criterion, one group each, used when no curated keywords exist. */
+function derivedGroups(criterion) {
+  const content = words(criterion).filter(w => w.length > 2 && !/^\d+$/.test(w) && !STOPWORDS.has(w));
+  return [...new Set(content)].map(w => [w]);
+}
+
+// ----------------------------- Marking -----------------------------
+/** Decide one criterion. */
+export function matchCriterion(text, criterion, keywords) {
+  const parts = clauses(text);
+  if (keywords?.length) {
+    const results = keywords.map(g => matchGroup(parts, g));
+    const met = results.every(r => r.found);
+    const missing = keywords.find((g, i) => !results[i].found);
+    return {
+      text: criterion, met,
+      evidence: met ? results.map(r => r.evidence).join(" … ") : undefined,
+      negated: results.find(r => !r.found && r.negated)?.negated,
+      hint: missing ? missing[0] : undefined,
+    };
+  }
+  const groups = derivedGroups(criterion);
+  const results = groups.map(g => matchGroup(parts, g));
+  const found = results.filter(r => r.found).length;
+  const met = groups.length > 0 && found >= Math.max(1, Math.ceil(groups.length * 0.6));
+  return {
+    text: criterion, met,
+    evidence: met ? results.filter(r => r.found).map(r => r.evidence).join(" … ") : undefined,
+    negated: results.find(r => !r.found && r.negated)?.negated,
+  };
+}
+
+export function hasExplanation(text) {
+  const t = ` ${words(text).join(" ")} `;
+  return CONNECTIVES.some(c => t.includes(` ${c} `));
+}
+
+/**
+ * Mark a short answer against its rubric.
+ * @param {string} text
+ * @param {Rubric} rubric
+ * @param {import("../i18n").Locale} [locale] the language of the feedback
+ * @returns {{ score:number, max:number, criteria:CriterionResult[], feedback:string }}
+ */
+export function markShortAnswer(text, rubric, locale = DEFAULT_LOCALE) {
+  const t = (key, vars) => translate(locale, key, vars);
+  const criteria = rubric?.criteria || [];
+  const max = rubric?.maxScore || 3;
+  const words = wordCount(text);
+  if (!words) {
+    return { score: 0, max, criteria: criteria.map(c => ({ text: c, met: false })), feedback: t("markShort.blank") };
+  }
+
+  const results = criteria.map((c, i) => matchCriterion(text, c, rubric?.keywords?.[i]));
+  const met = results.filter(r => r.met).length;
+  let score = Math.round((met / (criteria.length || 1)) * max);
+
+  const notes = [];
+  const minWords = rubric?.minWords ?? Math.max(12, max * 6);
+  if (words < minWords && score > 1) {
+    score = 1;
+    notes.push(t("markShort.tooShort", { n: words, min: minWords }));
+  }
+  if (score >= 2 && !hasExplanation(text)) {
+    score -= 1;
+    notes.push(t("markShort.noExplanation"));
+  }
+
+  const bullets = results.map(r => {
+    if (r.met) return `✓ ${r.text}`;
+    if (r.negated) return `✗ ${t("markShort.negated", { criterion: r.text, phrase: r.negated })}`;
+    return `✗ ${t(r.hint ? "markShort.missingHint" : "markShort.missing", { criterion: r.text, hint: r.hint })}`;
+  });
+  const summary = met === criteria.length ? t("markShort.allCovered") : t("markShort.covered", { met, total: criteria.length });
+  return { score: Math.max(0, Math.min(score, max)), max, criteria: results, feedback: [summary, ...bullets, ...notes].join("\n") };
+}
@@ -0,0 +1,132 @@
+import { chatCompletion, parseJsonReply } from "../ai/provider";
+import { BAND_DESCRIPTORS, BAND_MAX, bandTitle, essayBands, essayMinWords, levelDescriptor, levelFor, markbands } from "./essay";
+import { DEFAULT_LOCALE, translate } from "../i18n";
+
+/**
+ * AI RUBRIC MARKER
+ * Asks the configured model for a structured result and only accepts it if it validates:
+ *
+ *   { "criteria": [{ "score": 0..1, "comment": "…" }, …one per rubric criterion, in order],
+ *     "total": 0..maxScore (whole number),
+ *     "feedback": ["…", …] }
+ *
+ * Essays are marked against markbands (./essay.js) instead:
+ *
+ *   { "bands": [{ "id": "AO1", "score": 0..4, "comment": "…" }, …one per band, in order],
+ *     "mark": 0..maxScore (whole number), "feedback": ["…", …] }
+ *
+ * Anything else raises an error so the caller can fall back to the offline marker.
+ *
+ * With a `language` (e.g. "Spanish") the model is told the student works in it and writes its
+ * comments and feedback in it; the question and rubric already come from the translated pack.
+ */
+
+/** @typedef {{ score:number, max:number, criteria:{ text:string, met:boolean, score:number, comment?:string }[], feedback:string }} MarkResult */
+
+export class GradeFormatError extends Error {
+  constructor(message) { super(message); this.name = "GradeFormatError"; }
+}
+
+/** The instruction to reply in the student's language; none for English. */
+const replyIn = (language) => (language && language !== "English" ? `The student is working in ${language}: write every comment and feedback point in ${language}.` : null);
+
+function gradingMessages({ prompt, answer, rubric, language }) {
+  const criteria = rubric.criteria.map((c, i) => `${i + 1}. ${c}`).join("\n");
+  const system = [
+    "You are a careful IB Economics examiner. Mark the student's short answer against the rubric.",
+    "Reply with a single JSON object and nothing else, in exactly this shape:",
+    `{"criteria":[{"score":<number 0 to 1, how fully this criterion is met>,"comment":"<one sentence>"}],"total":<whole number 0 to ${rubric.maxScore}>,"feedback":["<2-3 short, actionable points>"]}`,
+    `"criteria" must have exactly ${rubric.criteria.length} entries, in the rubric's order. Do not give credit for points the answer negates or only names without explaining.`,
+    replyIn(language),
+  ].filter(Boolean).join("\n");
+  const user = `Question: ${prompt}\nRubric criteria:\n${criteria}${rubric.guidance ? `\nGuidance: ${rubric.guidance}` : ""}\nMax score: ${rubric.maxScore}\n\nStudent answer:\n${answer}`;
+  return [{ role: "system", content: system }, { role: "user", content: user }];
+}
+
+/**
+ * Check a parsed model reply against the rubric. Throws GradeFormatError.
+ * @returns {MarkResult}
+ */
+export function validateGrade(data, rubric) {
+  const max = rubric.maxScore;
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw new GradeFormatError("reply is not a JSON object");
+  if (!Array.isArray(data.criteria) || data.criteria.length !== rubric.criteria.length) {
+    throw new GradeFormatError(`expected ${rubric.criteria.length} criteria, got ${Array.isArray(data.criteria) ? data.criteria.length : "none"}`);
+  }
+  const criteria = data.criteria.map((c, i) => {
+    const score = typeof c === "number" ? c : c?.score;
+    if (typeof score !== "number" || !(score >= 0 && score <= 1)) throw new GradeFormatError(`criterion ${i + 1} needs a score from 0 to 1`);
+    return { text: rubric.criteria[i], met: score >= 0.5, score, comment: typeof c?.comment === "string" ? c.comment : undefined };
+  });
+  const total = Number(data.total);
+  if (!Number.isFinite(total) || total < 0 || total > max) throw new GradeFormatError(`total must be between 0 and ${max}`);
+  const bullets = Array.isArray(data.feedback) ? data.feedback.filter(f => typeof f === "string" && f.trim()) : typeof data.feedback === "string" ? [data.feedback] : [];
+  if (!bullets.length) throw new GradeFormatError("feedback is missing");
+
+  const lines = criteria.map(c => `${c.met ? "✓" : "✗"} ${c.text}${c.comment ? ` — ${c.comment}` : ""}`);
+  return { score: Math.round(total), max, criteria, feedback: [...bullets.map(b => `• ${b.trim()}`), ...lines].join("\n") };
+}
+
+/**
+ * Mark one short answer with the model. Throws ProviderError or GradeFormatError.
+ * @param {import("../ai/provider").Provider} provider
+ * @param {{ prompt:string, answer:string, rubric:{ criteria:string[], guidance?:string, maxScore:number }, language?:string }} item
+ * @returns {Promise<MarkResult>}
+ */
+export async function markWithModel(provider, item) {
+  const reply = await chatCompletion(provider, { messages: gradingMessages(item), temperature: 0, json: true });
+  return validateGrade(parseJsonReply(reply), item.rubric);
+}
+
+// ----------------------------- Essays -----------------------------
+function essayMessages(q, answer, language) {
+  const ids = essayBands(q);
+  const bands = ids.map(id => `${id} ${bandTitle(id)}: ${BAND_DESCRIPTORS[id]}`).join("\n");
+  const levels = markbands(q.maxScore).map(b => `Level ${b.level} (${b.min}–${b.max} marks): ${levelDescriptor(b.level)}`).join("\n");
+  const system = [
+    `You are a careful IB Economics examiner. Mark the student's ${q.maxScore}-mark essay against the markbands.`,
+    "Reply with a single JSON object and nothing else, in exactly this shape:",
+    `{"bands":[{"id":"<band id>","score":<whole number 0 to ${BAND_MAX}>,"comment":"<one or two sentences of targeted advice>"}],"mark":<whole number 0 to ${q.maxScore}>,"feedback":["<2-3 short, actionable points>"]}`,
+    `"bands" must have exactly ${ids.length} entries with ids ${ids.join(", ")}, in that order. Choose the level that best fits the essay as a whole, then the mark within it.`,
+    `Essays under ${essayMinWords(q)} words rarely go beyond level 2. Diagrams are described in words; credit them when the labels and shifts are explained.`,
+    replyIn(language),
+  ].filter(Boolean).join("\n");
+  const terms = (q.essay?.keyTerms || []).map(g => g[0]).join(", ");
+  const user = `Question: ${q.prompt}\nBands:\n${bands}\nLevels:\n${levels}${terms ? `\nKey terms expected: ${terms}` : ""}${q.guidance ? `\nGuidance: ${q.guidance}` : ""}\n\nStudent essay:\n${answer.text}`;
+  return [{ role: "system", content: system }, { role: "user", content: user }];
+}
+
+/**
+ * Check a parsed essay mark against the question's bands. Throws GradeFormatError.
+ * @returns {import("./essay").EssayResult}
+ */
+export function validateEssayGrade(data, q, locale = DEFAULT_LOCALE) {
+  const ids = essayBands(q);
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw new GradeFormatError("reply is not a JSON object");
+  if (!Array.isArray(data.bands) || data.bands.length !== ids.length) throw new GradeFormatError(`expected ${ids.length} bands, got ${Array.isArray(data.bands) ? data.bands.length : "none"}`);
+  const bands = data.bands.map((b, i) => {
+    const score = Number(b?.score);
+    if (!Number.isInteger(score) || score < 0 || score > BAND_MAX) throw new GradeFormatError(`band ${ids[i]} needs a whole-number score from 0 to ${BAND_MAX}`);
+    return { id: ids[i], title: bandTitle(ids[i], locale), score, max: BAND_MAX, comment: typeof b?.comment === "string" ? b.comment.trim() : "" };
+  });
+  const mark = Number(data.mark);
+  if (!Number.isInteger(mark) || mark < 0 || mark > q.maxScore) throw new GradeFormatError(`mark must be a whole number between 0 and ${q.maxScore}`);
+  const bullets = Array.isArray(data.feedback) ? data.feedback.filter(f => typeof f === "string" && f.trim()) : typeof data.feedback === "string" ? [data.feedback] : [];
+  if (!bullets.length) throw new GradeFormatError("feedback is missing");
+
+  const level = levelFor(mark, q.maxScore);
+  const lines = bands.map(b => translate(locale, b.comment ? "markEssay.bandScoreComment" : "markEssay.bandScore", { id: b.id, title: b.title, score: b.score, max: BAND_MAX, comment: b.comment }));
+  return { score: mark, max: q.maxScore, level, bands, feedback: [translate(locale, "markEssay.level", { level, descriptor: levelDescriptor(level, locale) }), ...bullets.map(b => `• ${b.trim()}`), ...lines].join("\n") };
+}
+
+/**
+ * Mark one essay with the model. Throws ProviderError or GradeFormatError.
+ * @param {import("../ai/provider").Provider} provider
+ * @param {object} q the essay question
+ * @param {{ text:string, plan?:string }} answer
+ * @param {{ language?:string, locale?:import("../i18n").Locale }} [options] `locale` for the band titles and level descriptor around the model's feedback
+ */
+export async function markEssayWithModel(provider, q, answer, { language, locale } = {}) {
+  const reply = await chatCompletion(provider, { messages: essayMessages(q, answer, language), temperature: 0, json: true, maxTokens: 900 });
+  return validateEssayGrade(parseJsonReply(reply), q, locale);
+}
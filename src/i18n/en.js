@@ -0,0 +1,593 @@
+// English messages: the reference catalog. Other languages fall back to these (see ./index.js).
+export default {
+  // App shell
+  "app.title": "IB Economics Interactive Tutor",
+  "app.offline": "You're offline. Lessons, tests and the built-in marker still work; AI marking and the AI tutor come back when you reconnect.",
+  "app.updateReady": "A new version of the tutor is ready.",
+  "app.update": "Update now",
+  "header.home": "Home",
+  "header.search": "Search",
+  "header.dashboard": "Dashboard",
+  "header.exam": "Final Exam",
+  "header.glossary": "Glossary",
+  "header.studio": "Studio",
+  "header.class": "Class",
+  "header.settings": "Settings",
+  "sidebar.curriculum": "Curriculum",
+  "section.summary": "{n} lessons · 1 test",
+  "section.summary_one": "{n} lesson · 1 test",
+  "home.welcome": "Welcome!",
+  "home.welcomeName": "Welcome, {name}!",
+  "home.intro": "A focused IB Economics course with short lessons, end-of-section tests, a master exam, and an always-on tutor. Your progress saves automatically.",
+  "home.start": "Start",
+  "notFound.title": "Page not found",
+  "notFound.text": "{message} The link may be from another course or an older version of this one.",
+  "notFound.section": "There is no section “{id}” in this course.",
+  "notFound.lesson": "“{section}” has no lesson “{id}”.",
+  "notFound.page": "There is no page at “{path}”.",
+  "notFound.home": "Go to the course home",
+  "footer.pass": "Tests require {pass}% to pass · Retake anytime for fresh feedback",
+  "exam.name": "Master Final Exam",
+  "a11y.skipToContent": "Skip to content",
+  "a11y.skipToSections": "Skip to course sections",
+  "a11y.skipToTutor": "Skip to the tutor",
+  "a11y.menu": "App menu",
+  "a11y.graded": "Marked: {percent}% — {verdict}",
+  "a11y.answer": "Your answer",
+
+  // Lessons
+  "lesson.pill": "Lesson",
+  "lesson.markComplete": "Mark lesson complete",
+  "lesson.completed": "(completed)",
+  "lesson.position": "Lesson {n} of {total}",
+  "lesson.previous": "Previous lesson",
+  "lesson.next": "Next lesson",
+  "lesson.takeTest": "Take Section Test",
+  "glossary.title": "Glossary",
+  "glossary.intro": "{n} key terms of the course. In lessons and questions they are underlined with dots: hover over, tap or focus one to see its definition.",
+  "glossary.intro_one": "1 key term of the course. In lessons and questions it is underlined with dots: hover over, tap or focus it to see its definition.",
+  "glossary.empty": "This course has no glossary yet.",
+  "glossary.unknown": "There is no term “{id}” in this glossary.",
+  "glossary.filter": "Filter terms",
+  "glossary.noMatch": "No term matches “{filter}”.",
+  "glossary.related": "See also:",
+  "glossary.lessons": "Used in:",
+  "glossary.more": "Open in the glossary",
+  "search.title": "Search the course",
+  "search.placeholder": "Search lessons, questions and the glossary…",
+  "search.hint": "Type a word or phrase. ↑ ↓ choose a result, Enter opens it, Esc closes the search.",
+  "search.results": "{n} results",
+  "search.results_one": "{n} result",
+  "search.none": "Nothing in this course matches “{query}”.",
+  "search.lesson": "Lesson",
+  "search.question": "Practice question",
+  "search.term": "Glossary",
+  "practice.title": "Practice question",
+  "practice.intro": "Answer and check it as often as you like; practice isn't recorded in your progress.",
+  "practice.openLesson": "Read the lesson: {title}",
+  "embedded.heading": "Check your understanding",
+  "embedded.missing": "(Question “{id}” is not in this course.)",
+  "callout.note": "Note",
+  "callout.tip": "Tip",
+  "callout.warning": "Watch out",
+  "callout.exam": "Exam technique",
+  "callout.keyterm": "Key term",
+  "stimulus.title": "Source material",
+  "stimulus.source": "Source: {source}",
+  "stimulus.missing": "Data “{name}” is not available.",
+  "stimulus.inline": "inline",
+  "stimulus.bar": "Bar chart of {series} by {x}: {values}",
+  "stimulus.line": "Line chart of {series} by {x}: {values}",
+
+  // Answering questions
+  "common.check": "Check",
+  "common.checking": "Checking…",
+  "common.tryAgain": "Try again",
+  "common.cancel": "Cancel",
+  "common.remove": "Remove",
+  "common.dismiss": "Dismiss",
+  "common.save": "Save",
+  "question.readingTime": "Reading time — you can write when it ends.",
+  "question.marks": "[{n} marks]",
+  "question.marks_one": "[{n} mark]",
+  "short.placeholder": "Write 4–6 sentences…",
+  "short.rubric": "Rubric: {criteria}",
+  "numeric.working": "Working (marks for correct steps if the final answer is wrong)",
+  "numeric.answer": "Answer",
+  "numeric.readingTime": "Reading time",
+  "numeric.decimals": "to {n} d.p.",
+  "numeric.units": "units",
+  "numeric.unitsLabel": "Units",
+  "essay.markedOn": "Marked on: {bands}. Describe any diagram in words: name it, label the axes and curves, and explain the shifts.",
+  "essay.plan": "Plan / outline",
+  "essay.notMarked": "(not marked)",
+  "essay.planPlaceholder": "Definitions · diagram · examples · evaluation points · judgement",
+  "essay.essay": "Essay",
+  "essay.placeholder": "Introduction with definitions, analysis with a diagram, real-world examples, evaluation and a conclusion…",
+  "essay.words": "{n} words · aim for at least {min}",
+  "essay.words_one": "{n} word · aim for at least {min}",
+  "band.AO1": "Knowledge and understanding",
+  "band.AO2": "Real-world examples",
+  "band.AO3": "Evaluation",
+  "band.AO4": "Diagrams",
+  "level.0": "The work does not reach a standard described by the descriptors below.",
+  "level.1": "Little understanding of the demands of the question; few relevant terms; no relevant theory or examples.",
+  "level.2": "Some understanding of the question; some relevant terms and theory, with errors; limited application.",
+  "level.3": "The demands of the question are understood; relevant terms and theory mostly correct; a relevant diagram and examples are present but not always explained.",
+  "level.4": "The demands of the question are addressed; terms used accurately; diagrams and examples explained and used to support the argument; evaluation is present.",
+  "level.5": "The demands of the question are addressed throughout; terms used accurately and consistently; diagrams fully explained; examples used effectively; evaluation is supported by evidence.",
+  "items.choose": "Choose…",
+  "items.orderHint": "Drag the items, or use the arrow buttons, to put them in order (first at the top). If the order shown is already right, choose “Keep this order”.",
+  "items.moveUp": "Move “{item}” up",
+  "items.moveDown": "Move “{item}” down",
+  "items.moved": "“{item}” moved to position {n}.",
+  "items.keepOrder": "Keep this order",
+  "items.item": "Item",
+  "items.wordBank": "Word bank: {words}",
+  "items.blank": "Blank {n}",
+  "items.position": "position {n}",
+
+  // Marking
+  "mark.correct": "Correct",
+  "mark.mcqWrong": "Check the definition/mechanism and try again.",
+  "mark.unusable": "The AI marker's reply was unusable ({error})",
+  "mark.offline": "{why} — marked offline instead.",
+  "mark.noConnection": "You're offline, so the built-in marker marked this instead of the AI marker.",
+  "markShort.blank": "No answer was given. Aim for 4–6 sentences that cover each rubric point.",
+  "markShort.tooShort": "Your answer is very short ({n} words). Develop each point in full sentences — aim for at least {min} words.",
+  "markShort.tooShort_one": "Your answer is very short ({n} word). Develop each point in full sentences — aim for at least {min} words.",
+  "markShort.noExplanation": "You name the right ideas but don't explain them. Link causes and effects with words like “because”, “so” or “which leads to”.",
+  "markShort.negated": "{criterion} — you wrote “{phrase}”, which reads as the opposite. State the point positively if that is what you mean.",
+  "markShort.missing": "{criterion} — not covered.",
+  "markShort.missingHint": "{criterion} — not covered. Consider discussing “{hint}”.",
+  "markShort.allCovered": "All rubric points are covered.",
+  "markShort.covered": "{met} of {total} rubric points covered.",
+  "markEssay.notAttempted": "Not attempted.",
+  "markEssay.blank": "No essay was written. Plan first, then write an introduction with definitions, the analysis with a diagram, examples, and (if asked) evaluation.",
+  "markEssay.level": "Level {level}: {descriptor}",
+  "markEssay.band": "{id} {title}: {word} — {comment}",
+  "markEssay.bandScore": "{id} {title}: {score}/{max}",
+  "markEssay.bandScoreComment": "{id} {title}: {score}/{max} — {comment}",
+  "markEssay.word0": "absent",
+  "markEssay.word1": "limited",
+  "markEssay.word2": "partial",
+  "markEssay.word3": "good",
+  "markEssay.word4": "thorough",
+  "markEssay.tooShort": "At {n} words the essay is too short to reach a higher level; aim for at least {min} words.",
+  "markEssay.tooShort_one": "At {n} word the essay is too short to reach a higher level; aim for at least {min} words.",
+  "markEssay.quoted": "“{text}”",
+  "markEssay.ao1Good": "Key terms are used and explained.",
+  "markEssay.ao1GoodMore": "Key terms are used and explained; also bring in {terms}.",
+  "markEssay.ao1Used": "You use {terms}.",
+  "markEssay.ao1Few": "Few of the key terms appear.",
+  "markEssay.ao1Define": "Define {terms} precisely and explain the theory step by step (“because…, so…”).",
+  "markEssay.ao1DefineAll": "Define the key terms precisely and explain the theory step by step (“because…, so…”).",
+  "markEssay.ao2Good": "Real-world examples support the argument.",
+  "markEssay.ao2Some": "There is some application; make the example specific — a named country or policy, a year and a figure — and link it to the theory.",
+  "markEssay.ao2None": "There is no real-world example. Name a country, firm or policy, say when, and use a figure to support each main point.",
+  "markEssay.ao3Good": "Evaluation is balanced and ends in a judgement.",
+  "markEssay.ao3Used": "You evaluate through {ways}.",
+  "markEssay.ao3None": "There is no evaluation yet.",
+  "markEssay.ao3Add": "Add {ways}.",
+  "markEssay.ao3AddJudgement": "Add {ways} — finish with a supported judgement that answers the question.",
+  "markEssay.eval.counter": "counter-argument",
+  "markEssay.eval.timeFrame": "time frame",
+  "markEssay.eval.stakeholders": "stakeholders",
+  "markEssay.eval.assumptions": "assumptions and conditions",
+  "markEssay.eval.judgement": "judgement",
+  "markEssay.ao4Good": "The diagram is referred to and explained.",
+  "markEssay.ao4None": "Include a relevant diagram, label the axes and curves, and refer to it in your explanation.",
+  "markEssay.ao4NoneNamed": "Include a relevant diagram (e.g. {diagrams}), label the axes and curves, and refer to it in your explanation.",
+  "markEssay.ao4Explain": "Refer to the diagram's labels (axes, curves, equilibria) and explain each shift and its effect.",
+  "markEssay.ao4ExplainNamed": "Refer to the diagram's labels (axes, curves, equilibria) and explain each shift and its effect (e.g. {diagrams}).",
+  "markNumeric.units": "The value is right, but give it in {unit}. Expected {expected}.",
+  "markNumeric.unreadable": "Your final answer isn't a number we could read.",
+  "markNumeric.blank": "No final answer was given.",
+  "markNumeric.outside": "Your final answer {value} is outside the accepted range.",
+  "markNumeric.expected": "Expected {expected}.",
+  "markNumeric.steps": "{right} of {total} working steps correct.",
+  "markNumeric.stepsMarks": "{right} of {total} working steps correct ({n} marks for working).",
+  "markNumeric.stepsMarks_one": "{right} of {total} working steps correct ({n} mark for working).",
+  "markItem.allCorrect": "All correct.",
+  "markItem.order": "{right} of {total} items in the right sequence.",
+  "markItem.match": "{right} of {total} pairs correct.",
+  "markItem.classify": "{right} of {total} items correct.",
+  "markItem.cloze": "{right} of {total} blanks correct.",
+
+  // Tests and the exam
+  "sitting.leaveWarning": "Your answers are saved and you can resume this attempt, but a timed paper's clock keeps running while you are away. Leave anyway?",
+  "sitting.reading": "Reading time {time} — answers unlock when it ends",
+  "sitting.over": "Time is up — submitting…",
+  "sitting.timeUp": "Time is up",
+  "sitting.left": "Time left {time}",
+  "sitting.resumed": "Resumed your attempt from {when}. Answers save automatically.",
+  "sitting.discardConfirm": "Discard this attempt? Your answers will be deleted.",
+  "sitting.discard": "Discard attempt",
+  "sitting.submitFailed": "Your answers could not be marked ({error}). They are still saved: try submitting again.",
+  "sitting.writing": "Reading time is over: you can answer now.",
+  "sitting.fiveMinutes": "Five minutes left.",
+  "sitting.oneMinute": "One minute left.",
+  "test.title": "{section} — Section Test",
+  "test.pill": "{n} questions • {pass}% to pass",
+  "test.pill_one": "{n} question • {pass}% to pass",
+  "test.back": "Back to lessons",
+  "test.submit": "Submit",
+  "exam.pill": "{n} questions • Comprehensive",
+  "exam.minutes": " • {n} min",
+  "exam.submit": "Submit Exam",
+  "retry.nothing": "Nothing to retry",
+  "retry.nothingText": "This attempt has no questions that lost marks, or it was taken before review plans were available.",
+  "retry.back": "Back to review",
+  "retry.title": "Retry practice",
+  "retry.pill": "{n} questions • not recorded",
+  "retry.pill_one": "{n} question • not recorded",
+  "retry.check": "Check answers",
+
+  // Dashboard and review
+  "dashboard.title": "Progress Dashboard",
+  "dashboard.passing": "Passing score ≥ {pass}%",
+  "dashboard.lessons": "Lessons: {done}/{total} ({pct}%)",
+  "dashboard.bestTest": "Best test score:",
+  "dashboard.exam": "Best score: {best}% · Attempts: {n}",
+  "history.title": "Attempt history",
+  "history.empty": "No attempts yet. Take a section test or the final exam to see your results here.",
+  "history.review": "Review",
+  "history.reviewTitle": "Review this attempt",
+  "history.noDetails": "No details were saved for this attempt",
+  "review.title": "{title} — Review",
+  "review.score": "Score:",
+  "review.pass": "Pass",
+  "review.below": "Below {pass}% (you can retake)",
+  "review.notFound": "Attempt not found",
+  "review.notFoundText": "This attempt has no saved details. Attempts taken before review was available only kept their score.",
+  "review.backToDashboard": "Back to dashboard",
+  "review.retake": "Retake",
+  "review.yourAnswer": "Your answer",
+  "review.correctAnswer": "Correct answer",
+  "review.notAnswered": "Not answered.",
+  "review.notAnsweredShort": "not answered",
+  "review.rubric": "Rubric coverage",
+  "review.guidance": "Guidance: {guidance}",
+  "review.feedback": "Marker feedback",
+  "review.yourAnswerValue": "Your answer:",
+  "review.correctValue": "Correct answer:",
+  "review.working": "Working",
+  "review.youWrote": "— you wrote {value}",
+  "review.yourOrder": "Your order",
+  "review.correctOrder": "Correct order",
+  "review.itemAnswer": "— answer: {answer}",
+  "review.level": "Level {level}",
+  "review.markbands": "Markbands",
+  "review.yourEssay": "Your essay",
+  "review.yourEssayPlan": "Your essay and plan",
+  "review.plan": "Review plan",
+  "review.weak": "Weak areas: ",
+  "review.reread": "Lessons to reread",
+  "review.rereadNone": "None — every lesson on this paper is at {pass}% or above.",
+  "review.focus": "— focus on {concepts}",
+  "review.retryTitle": "Questions to retry",
+  "review.retryButton": "Retry these questions",
+  "review.untagged": "{n} questions have no syllabus tags and are not included in this plan.",
+  "review.untagged_one": "{n} question has no syllabus tags and is not included in this plan.",
+
+  // Settings
+  "settings.title": "Settings",
+  "settings.language": "Language",
+  "settings.languageHint": "For the app, the course wherever the content pack has a translation (English otherwise), and the AI tutor and marker.",
+  "settings.display": "Display",
+  "settings.highContrast": "High contrast",
+  "settings.highContrastHint": "Darker text and borders, and thicker focus outlines.",
+  "settings.largeText": "Larger text",
+  "settings.largeTextHint": "Makes all text and controls bigger.",
+  "settings.name": "Display name",
+  "settings.namePlaceholder": "Your name",
+  "settings.timed": "Time limits on tests and the final exam",
+  "settings.timedHint": "Uses the reading time and countdown set by the course. Turn off for untimed practice.",
+  "settings.teacher": "Teacher tools",
+  "settings.teacherHint": "Adds the authoring studio (write lessons and questions, export them as a content pack) and class analytics (import students' progress files) to the header. Problems found by the pack validator are listed in English.",
+  "settings.ai": "AI provider (optional)",
+  "settings.aiHint": "Used for enhanced grading and the AI assistant. Any OpenAI-compatible endpoint works, including a server on your school network (e.g. Ollama at http://localhost:11434/v1) so student work never leaves it. If nothing is set, a local heuristic is used.",
+  "settings.baseUrl": "Base URL",
+  "settings.model": "Model",
+  "settings.apiKey": "API key",
+  "settings.apiKeyPlaceholder": "sk-... (leave empty for a local server without keys)",
+  "settings.testing": "Testing…",
+  "settings.test": "Test connection",
+  "settings.needKey": "Enter an API key, or the base URL of a local server.",
+  "settings.offline": "You're offline. Reconnect to check the AI service.",
+  "settings.connected": "Connected to {model}.",
+  "packs.title": "Course content",
+  "packs.sections": "{n} sections",
+  "packs.sections_one": "{n} section",
+  "packs.builtIn": "built-in",
+  "packs.imported": "imported",
+  "packs.load": "Load a content pack (.json)",
+  "packs.notLoaded": "“{file}” was not loaded ({n} problems):",
+  "packs.notLoaded_one": "“{file}” was not loaded ({n} problem):",
+  "packs.builtInId": "\"{id}\" is a built-in pack id; choose another id.",
+  "transfer.title": "Backup & transfer progress",
+  "transfer.hint": "Download your progress to keep a backup or move it to another device. Importing merges with what is already here.",
+  "transfer.export": "Export progress",
+  "transfer.import": "Import progress",
+  "transfer.notImported": "“{file}” was not imported: {error}",
+  "transfer.imported": "Imported “{file}”: {attempts} attempt(s) and {lessons} completed lesson(s) merged; best scores kept.",
+  "storage.title": "Some saved data could not be read.",
+  "storage.detail": "{message} The original was kept under “{key}” and defaults are being used. If you have an exported progress file, import it in Settings.",
+  "storage.download": "Download unreadable data",
+
+  // Profiles
+  "profiles.switch": "Switch profile",
+  "profiles.switchTo": "Switch to",
+  "profiles.new": "New profile",
+  "profiles.thisProfile": "This profile",
+  "profiles.lock": "Lock and choose a profile",
+  "profiles.pinFor": "PIN for {name}",
+  "profiles.wrongPin": "That PIN is not right.",
+  "profiles.open": "Open",
+  "profiles.badPin": "A PIN is 4 to 8 digits.",
+  "profiles.name": "Name",
+  "profiles.namePlaceholder": "e.g. Maya",
+  "profiles.pin": "PIN",
+  "profiles.pinOptional": "(optional, 4–8 digits)",
+  "profiles.create": "Create profile",
+  "profiles.pinProtected": "PIN protected",
+  "profiles.deleteConfirm": "Delete the profile \"{name}\"? Its progress, attempts, settings and tutor conversations on this device will be deleted.",
+  "profiles.profileName": "Profile name",
+  "profiles.rename": "Rename",
+  "profiles.newPin": "New PIN",
+  "profiles.addPin": "Add a PIN",
+  "profiles.change": "Change",
+  "profiles.set": "Set",
+  "profiles.lastProfile": "The last profile can't be deleted",
+  "profiles.nameRequired": "Enter a name for the profile.",
+  "profiles.nameTaken": "There is already a profile called \"{name}\".",
+  "profiles.lastProfileError": "The last profile can't be deleted.",
+  "profiles.delete": "Delete this profile",
+  "profiles.who": "Who's studying?",
+  "profiles.whoHint": "Each profile keeps its own progress, settings and tutor conversations on this device.",
+
+  // Tutor
+  "tutor.title": "Tutor",
+  "tutor.greeting": "Hi! Ask me about this lesson or test. I’ll guide you.",
+  "tutor.earlier": "Earlier threads",
+  "tutor.thread": "Thread {n} · {date}",
+  "tutor.newThread": "New thread",
+  "tutor.clear": "Clear this thread",
+  "tutor.openLesson": "Open this lesson",
+  "tutor.thinking": "Thinking…",
+  "tutor.placeholder": "Ask for a hint…",
+  "tutor.stop": "Stop",
+  "tutor.send": "Send",
+  "tutor.log": "Conversation with the tutor",
+  "tutor.input": "Message to the tutor",
+  "tutor.hide": "Hide Tutor",
+  "tutor.show": "Ask the Tutor",
+  "tutor.testThread": "{section} test",
+  "tutor.general": "General",
+  "tutor.noMatch": "I couldn't find that in the course notes. Here are some nudges:\n{hints}\nTry naming the concept you're stuck on (e.g. “price elasticity”).",
+  "tutor.hint1": "Start by defining key terms in the question.",
+  "tutor.hint2": "Sketch a quick diagram if relevant (PPC, AD–AS, MSC/MPC).",
+  "tutor.hint3": "State the direction of shifts and the intuition before calculation.",
+  "tutor.hint4": "Conclude with a brief evaluation: assumptions, time horizon, stakeholders.",
+  "tutor.noResponse": "(No response)",
+  "tutor.stopped": "(Stopped)",
+  "tutor.fromNotes": "{error}\nFrom the course notes instead:\n{content}",
+  "tutor.heuristics": "{error}\nMeanwhile, here are heuristics: define terms, diagram, explain the mechanism, then evaluate trade-offs.",
+  "tutor.offline": "You're offline, so this answer comes from the course notes. The AI tutor is back when you reconnect.\n{content}",
+  "tutor.courseSays": "Here is what the course says:",
+  "tutor.ownWords": "Try putting it in your own words — which part would you explain first?",
+  "tutor.from": "(from “{title}”)",
+  "tutor.examiners": "Examiners asking “{prompt}” look for: {criteria}",
+  "class.title": "Class analytics",
+  "class.students": "{n} students",
+  "class.students_one": "{n} student",
+  "class.passMark": "Pass mark {pass}%",
+  "class.intro": "Collect the files students download from Settings → “Export progress” and import them here. They are read in this browser and kept on this device only.",
+  "class.back": "Back",
+  "class.import": "Import progress files",
+  "class.scoresCsv": "Scores CSV",
+  "class.clear": "Clear class",
+  "class.empty": "No students yet. Import one or more progress files to see the class.",
+  "class.unreadable": "The saved class could not be read ({error}); it was kept under “{key}”.",
+  "class.notImported": "“{file}” was not imported: {error}",
+  "class.imported": "“{file}”: {name}, {n} attempts.",
+  "class.imported_one": "“{file}”: {name}, {n} attempt.",
+  "class.unnamed": "Unnamed student",
+  "class.confirmRemove": "Remove {name} from the class view? Their own device is not affected.",
+  "class.confirmClear": "Remove every student from the class view?",
+  "class.heatmapCaption": "Best score per student and section; the last row is each section's pass rate",
+  "class.student": "Student",
+  "class.removeStudent": "Remove {name}",
+  "class.passRate": "Pass rate",
+  "class.passedOf": "{passed} of {attempted} attempted",
+  "class.below": "Below the {pass}% pass mark",
+  "class.belowNone": "Everyone has passed what they have attempted.",
+  "class.correctOption": "(correct)",
+  "class.items": "Item analysis",
+  "class.section": "Section",
+  "class.all": "All",
+  "class.itemsHint": "Facility is the average share of the marks scored. MCQs show how often each option was picked; short answers how often each rubric point was met.",
+  "class.itemsNone": "No answered questions yet. Progress files only include questions from attempts taken since attempts were saved with their papers.",
+  "class.noPrompt": "(no prompt)",
+  "difficulty.easy": "easy",
+  "difficulty.medium": "medium",
+  "difficulty.hard": "hard",
+  "class.responses": "{n} responses",
+  "class.responses_one": "{n} response",
+  "class.tagged": "tagged {difficulty}",
+  "class.csvLessons": "Lessons completed",
+  "class.csvBelow": "Below {pass}%",
+  "class.csvPassRate": "Pass rate %",
+  "class.csvQuestion": "Question",
+  "class.csvSection": "Section",
+  "class.csvType": "Type",
+  "class.csvTagged": "Tagged difficulty",
+  "class.csvPrompt": "Prompt",
+  "class.csvResponses": "Responses",
+  "class.csvStudents": "Students",
+  "class.csvFacility": "Facility %",
+  "class.csvOptions": "Option counts (* = correct)",
+  "class.csvCriteria": "Criteria met %",
+  "studio.heading": "Authoring studio",
+  "studio.intro": "Edit a working copy of the course. It is kept on this device as you type; save it to use it, or export the JSON to share it with other computers.",
+  "studio.back": "Back",
+  "studio.save": "Save and use",
+  "studio.fixFirst": "Fix the problems listed first",
+  "studio.export": "Export JSON",
+  "studio.import": "Import JSON",
+  "studio.startOver": "Start over from the course",
+  "studio.problems": "{n} problems to fix before saving",
+  "studio.problems_one": "{n} problem to fix before saving",
+  "studio.course": "course",
+  "studio.saved": "Saved “{title}” and switched the course to it.",
+  "studio.confirmReplace": "Replace the studio's working copy with “{title}”?",
+  "studio.loaded": "Loaded “{file}” into the studio. Fix any problems listed, then save.",
+  "studio.notLoaded": "“{file}” was not loaded: {error}",
+  "studio.confirmStartOver": "Discard the working copy and start again from “{title}”?",
+  "studio.moveUp": "Move {what} up",
+  "studio.moveDown": "Move {what} down",
+  "studio.delete": "Delete {what}",
+  "studio.confirmDelete": "Delete {what}? This can't be undone (except by starting over from the course).",
+  "studio.theQuestion": "question {id}",
+  "studio.theSection": "section {title}",
+  "studio.theSectionAll": "the section “{title}” with its lessons and questions",
+  "studio.theLesson": "lesson {title}",
+  "studio.theLessonQuoted": "the lesson “{title}”",
+  "studio.theOption": "option {n}",
+  "studio.theCriterion": "criterion {n}",
+  "studio.hasProblems": "Has problems",
+  "studio.outline": "Course outline",
+  "studio.courseDetails": "Course details",
+  "studio.lessons": "Lessons",
+  "studio.testQuestions": "Test questions",
+  "studio.section": "Section",
+  "studio.lesson": "Lesson",
+  "studio.mcq": "MCQ",
+  "studio.multipleChoice": "Multiple choice",
+  "studio.shortAnswer": "Short answer",
+  "studio.noPrompt": "(no prompt)",
+  "studio.none": "(none)",
+  "studio.courseId": "Course id",
+  "studio.courseIdHint": "saved packs are kept by id; a built-in id can't be reused",
+  "studio.title": "Title",
+  "studio.version": "Version",
+  "studio.nSections": "{n} sections",
+  "studio.nSections_one": "{n} section",
+  "studio.nLessons": "{n} lessons",
+  "studio.nLessons_one": "{n} lesson",
+  "studio.nTestQuestions": "{n} test questions",
+  "studio.nTestQuestions_one": "{n} test question",
+  "studio.nExamQuestions": "{n} exam questions",
+  "studio.nExamQuestions_one": "{n} exam question",
+  "studio.nBankQuestions": "{n} questions in the test bank",
+  "studio.nBankQuestions_one": "{n} question in the test bank",
+  "studio.sectionId": "Section id",
+  "studio.sectionIdHint": "used in links; exam questions tagged with it and glossary links follow a change",
+  "studio.lessonId": "Lesson id",
+  "studio.lessonIdHint": "questions tagged with it and glossary links follow a change",
+  "studio.markdown": "Markdown",
+  "studio.markdownHint": "# headings, **bold**, lists, | tables |, $formulas$, :::callout, ::diagram, ::question{id=…} — see the README",
+  "studio.preview": "Preview",
+  "studio.nothingToPreview": "Nothing to preview yet.",
+  "studio.options": "Options",
+  "studio.optionsHint": "choose the correct one",
+  "studio.optionCorrect": "Option {n} is correct",
+  "studio.option": "Option {n}",
+  "studio.addOption": "Option",
+  "studio.criteria": "Rubric criteria",
+  "studio.criteriaHint": "one mark point each; keyword groups for the offline marker move with their criterion",
+  "studio.criterion": "Criterion {n}",
+  "studio.addCriterion": "Criterion",
+  "studio.keywordGroups": "{n} keyword groups",
+  "studio.keywordGroups_one": "{n} keyword group",
+  "studio.guidance": "Guidance for the marker",
+  "studio.optional": "optional",
+  "studio.minWords": "Minimum words",
+  "studio.json": "Question JSON ({type})",
+  "studio.jsonHint": "see the content-pack format in the README",
+  "studio.notObject": "A question must be a JSON object whose `id`, `type` and `prompt` are text.",
+  "studio.notApplied": "Not applied: {error}",
+  "studio.questionId": "Question id",
+  "studio.questionIdHint": "::question directives showing it follow a change",
+  "studio.type": "Type",
+  "studio.marks": "Marks (maxScore)",
+  "studio.prompt": "Prompt",
+  "studio.unit": "Unit",
+  "studio.concept": "Concept",
+  "studio.difficulty": "Difficulty",
+  "diagram.reset": "Reset",
+  "diagram.resetTitle": "Reset diagram",
+  "diagram.unknown": "Unknown diagram “{kind}”. Available: {kinds}.",
+  "diagram.title.supply-demand": "Demand & Supply",
+  "diagram.title.ppc": "Production Possibilities Curve",
+  "diagram.title.ad-as": "Aggregate Demand & Supply",
+  "diagram.title.externality": "Externalities: MSC/MPC & MSB/MPB",
+  "diagram.control.demandShift": "Demand shift",
+  "diagram.control.supplyShift": "Supply shift",
+  "diagram.control.tax": "Per-unit tax",
+  "diagram.control.growth": "Economic growth",
+  "diagram.control.pointX": "Point A: consumer goods",
+  "diagram.control.pointY": "Point A: capital goods",
+  "diagram.control.adShift": "AD shift",
+  "diagram.control.srasShift": "SRAS shift",
+  "diagram.control.lrasShift": "LRAS shift",
+  "diagram.control.gap": "External cost/benefit",
+  "diagram.control.policy": "Tax / subsidy per unit",
+  "diagram.D": "D",
+  "diagram.S": "S",
+  "diagram.sTax": "S + tax",
+  "diagram.AD": "AD",
+  "diagram.SRAS": "SRAS",
+  "diagram.LRAS": "LRAS",
+  "diagram.PPC": "PPC",
+  "diagram.PL": "PL",
+  "diagram.MPB": "MPB",
+  "diagram.MSB": "MSB",
+  "diagram.MPC": "MPC",
+  "diagram.MSC": "MSC",
+  "diagram.mpbSubsidy": "MPB + subsidy",
+  "diagram.mpcTax": "MPC + tax",
+  "diagram.CS": "CS",
+  "diagram.PS": "PS",
+  "diagram.DWL": "DWL",
+  "diagram.taxRevenue": "Tax revenue",
+  "diagram.welfareLoss": "Welfare loss",
+  "diagram.recessionaryGap": "Recessionary gap",
+  "diagram.inflationaryGap": "Inflationary gap",
+  "diagram.externalBenefit": "External benefit",
+  "diagram.externalCost": "External cost",
+  "diagram.market": "Market",
+  "diagram.optimum": "Optimum",
+  "diagram.quantity": "Quantity",
+  "diagram.price": "Price",
+  "diagram.consumerGoods": "Consumer goods",
+  "diagram.capitalGoods": "Capital goods",
+  "diagram.realGdp": "Real GDP",
+  "diagram.priceLevel": "Price level",
+  "diagram.benefitsCosts": "Benefits, costs",
+  "diagram.costsBenefits": "Costs, benefits",
+  "diagram.dragDemand": "Drag to shift demand",
+  "diagram.dragSupply": "Drag to shift supply",
+  "diagram.dragCurve": "Drag to shift {curve}",
+  "diagram.dragPoint": "Drag point A",
+  "diagram.dragPpc": "Drag to shift the PPC",
+  "diagram.dragExternalBenefit": "Drag to change the external benefit",
+  "diagram.dragExternalCost": "Drag to change the external cost",
+  "diagram.equilibrium": "Equilibrium: P = {p}, Q = {q}",
+  "diagram.surplus": "CS ≈ {cs} · PS ≈ {ps}",
+  "diagram.taxNote": "Tax revenue ≈ {revenue} · DWL ≈ {dwl}",
+  "diagram.efficient": "efficient (on the PPC)",
+  "diagram.inefficient": "inefficient (inside the PPC)",
+  "diagram.unattainable": "unattainable (outside the PPC)",
+  "diagram.pointIs": "Point A is {status}.",
+  "diagram.grown": "Economic growth has shifted the PPC outward.",
+  "diagram.output": "Real output Y = {y}, price level = {pl}",
+  "diagram.fullEmployment": "Output is at full employment (Yf).",
+  "diagram.recessionaryGapOf": "Recessionary gap of {gap}.",
+  "diagram.inflationaryGapOf": "Inflationary gap of {gap}.",
+  "diagram.marketVsOptimum": "Market output {market} vs social optimum {optimum}.",
+  "diagram.internalizedTax": "The tax fully internalizes the externality.",
+  "diagram.internalizedSubsidy": "The subsidy fully internalizes the externality.",
+  "diagram.over": "Over-production/consumption: welfare loss.",
+  "diagram.under": "Under-production/consumption: welfare loss.",
+};
@@ -0,0 +1,593 @@
+// Spanish messages. Keys missing here fall back to English (see ./index.js).
+export default {
+  // App shell
+  "app.title": "Tutor interactivo de Economía IB",
+  "app.offline": "Estás sin conexión. Las lecciones, las pruebas y el corrector integrado siguen funcionando; la corrección con IA y el tutor de IA vuelven cuando te reconectes.",
+  "app.updateReady": "Hay una nueva versión del tutor lista.",
+  "app.update": "Actualizar ahora",
+  "header.home": "Inicio",
+  "header.search": "Buscar",
+  "header.dashboard": "Progreso",
+  "header.exam": "Examen final",
+  "header.glossary": "Glosario",
+  "header.studio": "Estudio",
+  "header.class": "Clase",
+  "header.settings": "Ajustes",
+  "sidebar.curriculum": "Programa",
+  "section.summary": "{n} lecciones · 1 prueba",
+  "section.summary_one": "{n} lección · 1 prueba",
+  "home.welcome": "¡Bienvenido/a!",
+  "home.welcomeName": "¡Hola, {name}!",
+  "home.intro": "Un curso de Economía IB con lecciones breves, pruebas al final de cada sección, un examen final y un tutor siempre disponible. Tu progreso se guarda automáticamente.",
+  "home.start": "Empezar",
+  "notFound.title": "Página no encontrada",
+  "notFound.text": "{message} Puede que el enlace sea de otro curso o de una versión anterior de este.",
+  "notFound.section": "No hay ninguna sección «{id}» en este curso.",
+  "notFound.lesson": "«{section}» no tiene ninguna lección «{id}».",
+  "notFound.page": "No hay ninguna página en «{path}».",
+  "notFound.home": "Ir al inicio del curso",
+  "footer.pass": "Las pruebas se aprueban con un {pass} % · Repítelas cuando quieras para recibir nuevos comentarios",
+  "exam.name": "Examen final",
+  "a11y.skipToContent": "Saltar al contenido",
+  "a11y.skipToSections": "Saltar a las secciones del curso",
+  "a11y.skipToTutor": "Saltar al tutor",
+  "a11y.menu": "Menú de la aplicación",
+  "a11y.graded": "Corregido: {percent} % — {verdict}",
+  "a11y.answer": "Tu respuesta",
+
+  // Lessons
+  "lesson.pill": "Lección",
+  "lesson.markComplete": "Marcar la lección como completada",
+  "lesson.completed": "(completada)",
+  "lesson.position": "Lección {n} de {total}",
+  "lesson.previous": "Lección anterior",
+  "lesson.next": "Lección siguiente",
+  "lesson.takeTest": "Hacer la prueba de la sección",
+  "glossary.title": "Glosario",
+  "glossary.intro": "{n} términos clave del curso. En las lecciones y las preguntas aparecen subrayados con puntos: pasa el cursor, tócalos o enfócalos para ver su definición.",
+  "glossary.intro_one": "1 término clave del curso. En las lecciones y las preguntas aparece subrayado con puntos: pasa el cursor, tócalo o enfócalo para ver su definición.",
+  "glossary.empty": "Este curso todavía no tiene glosario.",
+  "glossary.unknown": "No hay ningún término «{id}» en este glosario.",
+  "glossary.filter": "Filtrar términos",
+  "glossary.noMatch": "Ningún término coincide con «{filter}».",
+  "glossary.related": "Ver también:",
+  "glossary.lessons": "Aparece en:",
+  "glossary.more": "Abrir en el glosario",
+  "search.title": "Buscar en el curso",
+  "search.placeholder": "Busca en lecciones, preguntas y el glosario…",
+  "search.hint": "Escribe una palabra o frase. ↑ ↓ eligen un resultado, Intro lo abre, Esc cierra la búsqueda.",
+  "search.results": "{n} resultados",
+  "search.results_one": "{n} resultado",
+  "search.none": "Nada en este curso coincide con «{query}».",
+  "search.lesson": "Lección",
+  "search.question": "Pregunta de práctica",
+  "search.term": "Glosario",
+  "practice.title": "Pregunta de práctica",
+  "practice.intro": "Responde y comprueba tantas veces como quieras; la práctica no se guarda en tu progreso.",
+  "practice.openLesson": "Leer la lección: {title}",
+  "embedded.heading": "Comprueba lo que has entendido",
+  "embedded.missing": "(La pregunta «{id}» no está en este curso.)",
+  "callout.note": "Nota",
+  "callout.tip": "Consejo",
+  "callout.warning": "Atención",
+  "callout.exam": "Técnica de examen",
+  "callout.keyterm": "Término clave",
+  "stimulus.title": "Material de referencia",
+  "stimulus.source": "Fuente: {source}",
+  "stimulus.missing": "Los datos «{name}» no están disponibles.",
+  "stimulus.inline": "incluidos",
+  "stimulus.bar": "Gráfico de barras de {series} por {x}: {values}",
+  "stimulus.line": "Gráfico de líneas de {series} por {x}: {values}",
+
+  // Answering questions
+  "common.check": "Comprobar",
+  "common.checking": "Comprobando…",
+  "common.tryAgain": "Intentar de nuevo",
+  "common.cancel": "Cancelar",
+  "common.remove": "Quitar",
+  "common.dismiss": "Cerrar",
+  "common.save": "Guardar",
+  "question.readingTime": "Tiempo de lectura: podrás escribir cuando termine.",
+  "question.marks": "[{n} puntos]",
+  "question.marks_one": "[{n} punto]",
+  "short.placeholder": "Escribe entre 4 y 6 oraciones…",
+  "short.rubric": "Criterios: {criteria}",
+  "numeric.working": "Desarrollo (puntos por los pasos correctos si el resultado final es incorrecto)",
+  "numeric.answer": "Respuesta",
+  "numeric.readingTime": "Tiempo de lectura",
+  "numeric.decimals": "con {n} decimales",
+  "numeric.units": "unidades",
+  "numeric.unitsLabel": "Unidades",
+  "essay.markedOn": "Se califica según: {bands}. Describe con palabras cualquier diagrama: nómbralo, rotula los ejes y las curvas, y explica los desplazamientos.",
+  "essay.plan": "Plan / esquema",
+  "essay.notMarked": "(no se califica)",
+  "essay.planPlaceholder": "Definiciones · diagrama · ejemplos · puntos de evaluación · conclusión",
+  "essay.essay": "Ensayo",
+  "essay.placeholder": "Introducción con definiciones, análisis con un diagrama, ejemplos reales, evaluación y una conclusión…",
+  "essay.words": "{n} palabras · intenta escribir al menos {min}",
+  "essay.words_one": "{n} palabra · intenta escribir al menos {min}",
+  "band.AO1": "Conocimiento y comprensión",
+  "band.AO2": "Ejemplos reales",
+  "band.AO3": "Evaluación",
+  "band.AO4": "Diagramas",
+  "level.0": "El trabajo no alcanza el nivel de ninguno de los descriptores siguientes.",
+  "level.1": "Poca comprensión de lo que pide la pregunta; pocos términos pertinentes; sin teoría ni ejemplos pertinentes.",
+  "level.2": "Cierta comprensión de la pregunta; algunos términos y teoría pertinentes, con errores; aplicación limitada.",
+  "level.3": "Se entiende lo que pide la pregunta; términos y teoría pertinentes mayormente correctos; hay un diagrama y ejemplos pertinentes, aunque no siempre se explican.",
+  "level.4": "Se responde a lo que pide la pregunta; términos usados con precisión; diagramas y ejemplos explicados y usados para apoyar el argumento; hay evaluación.",
+  "level.5": "Se responde a lo que pide la pregunta en todo momento; términos usados con precisión y coherencia; diagramas totalmente explicados; ejemplos usados con eficacia; la evaluación se apoya en pruebas.",
+  "items.choose": "Elige…",
+  "items.orderHint": "Arrastra los elementos, o usa los botones de flecha, para ordenarlos (el primero arriba). Si el orden mostrado ya es correcto, elige «Mantener este orden».",
+  "items.moveUp": "Subir «{item}»",
+  "items.moveDown": "Bajar «{item}»",
+  "items.moved": "«{item}» ahora está en la posición {n}.",
+  "items.keepOrder": "Mantener este orden",
+  "items.item": "Elemento",
+  "items.wordBank": "Banco de palabras: {words}",
+  "items.blank": "Espacio {n}",
+  "items.position": "posición {n}",
+
+  // Marking
+  "mark.correct": "Correcto",
+  "mark.mcqWrong": "Repasa la definición o el mecanismo e inténtalo de nuevo.",
+  "mark.unusable": "La respuesta del corrector de IA no se pudo usar ({error})",
+  "mark.offline": "{why}; se ha corregido sin conexión.",
+  "mark.noConnection": "Estás sin conexión, así que lo ha corregido el corrector integrado en lugar del corrector de IA.",
+  "markShort.blank": "No has dado ninguna respuesta. Intenta escribir 4–6 oraciones que cubran cada punto de la rúbrica.",
+  "markShort.tooShort": "Tu respuesta es muy corta ({n} palabras). Desarrolla cada punto con oraciones completas: intenta escribir al menos {min} palabras.",
+  "markShort.tooShort_one": "Tu respuesta es muy corta ({n} palabra). Desarrolla cada punto con oraciones completas: intenta escribir al menos {min} palabras.",
+  "markShort.noExplanation": "Nombras las ideas correctas, pero no las explicas. Relaciona causas y efectos con expresiones como «porque», «por lo tanto» o «lo que provoca».",
+  "markShort.negated": "{criterion}: escribiste «{phrase}», que se lee como lo contrario. Formula la idea en positivo si eso es lo que quieres decir.",
+  "markShort.missing": "{criterion}: no se trata.",
+  "markShort.missingHint": "{criterion}: no se trata. Prueba a hablar de «{hint}».",
+  "markShort.allCovered": "Se cubren todos los puntos de la rúbrica.",
+  "markShort.covered": "{met} de {total} puntos de la rúbrica cubiertos.",
+  "markEssay.notAttempted": "Sin intentar.",
+  "markEssay.blank": "No has escrito ningún ensayo. Planifica primero y luego escribe una introducción con definiciones, el análisis con un diagrama, ejemplos y (si se pide) una evaluación.",
+  "markEssay.level": "Nivel {level}: {descriptor}",
+  "markEssay.band": "{id} {title}: {word}. {comment}",
+  "markEssay.bandScore": "{id} {title}: {score}/{max}",
+  "markEssay.bandScoreComment": "{id} {title}: {score}/{max}. {comment}",
+  "markEssay.word0": "ausente",
+  "markEssay.word1": "limitado",
+  "markEssay.word2": "parcial",
+  "markEssay.word3": "bueno",
+  "markEssay.word4": "completo",
+  "markEssay.tooShort": "Con {n} palabras, el ensayo es demasiado corto para alcanzar un nivel más alto; intenta escribir al menos {min} palabras.",
+  "markEssay.tooShort_one": "Con {n} palabra, el ensayo es demasiado corto para alcanzar un nivel más alto; intenta escribir al menos {min} palabras.",
+  "markEssay.quoted": "«{text}»",
+  "markEssay.ao1Good": "Se usan y explican los términos clave.",
+  "markEssay.ao1GoodMore": "Se usan y explican los términos clave; incluye también {terms}.",
+  "markEssay.ao1Used": "Usas {terms}.",
+  "markEssay.ao1Few": "Aparecen pocos de los términos clave.",
+  "markEssay.ao1Define": "Define {terms} con precisión y explica la teoría paso a paso («porque…, por lo tanto…»).",
+  "markEssay.ao1DefineAll": "Define los términos clave con precisión y explica la teoría paso a paso («porque…, por lo tanto…»).",
+  "markEssay.ao2Good": "Los ejemplos reales apoyan el argumento.",
+  "markEssay.ao2Some": "Hay algo de aplicación; concreta el ejemplo (un país o una política con nombre, un año y una cifra) y relaciónalo con la teoría.",
+  "markEssay.ao2None": "No hay ningún ejemplo real. Nombra un país, una empresa o una política, di cuándo y usa una cifra para apoyar cada idea principal.",
+  "markEssay.ao3Good": "La evaluación es equilibrada y termina con un juicio.",
+  "markEssay.ao3Used": "Evalúas mediante {ways}.",
+  "markEssay.ao3None": "Todavía no hay evaluación.",
+  "markEssay.ao3Add": "Añade {ways}.",
+  "markEssay.ao3AddJudgement": "Añade {ways}, y termina con un juicio fundamentado que responda a la pregunta.",
+  "markEssay.eval.counter": "contraargumentos",
+  "markEssay.eval.timeFrame": "el horizonte temporal",
+  "markEssay.eval.stakeholders": "las partes interesadas",
+  "markEssay.eval.assumptions": "supuestos y condiciones",
+  "markEssay.eval.judgement": "un juicio final",
+  "markEssay.ao4Good": "Se hace referencia al diagrama y se explica.",
+  "markEssay.ao4None": "Incluye un diagrama pertinente, rotula los ejes y las curvas, y haz referencia a él en tu explicación.",
+  "markEssay.ao4NoneNamed": "Incluye un diagrama pertinente (p. ej., {diagrams}), rotula los ejes y las curvas, y haz referencia a él en tu explicación.",
+  "markEssay.ao4Explain": "Haz referencia a los rótulos del diagrama (ejes, curvas, equilibrios) y explica cada desplazamiento y su efecto.",
+  "markEssay.ao4ExplainNamed": "Haz referencia a los rótulos del diagrama (ejes, curvas, equilibrios) y explica cada desplazamiento y su efecto (p. ej., {diagrams}).",
+  "markNumeric.units": "El valor es correcto, pero exprésalo en {unit}. Se esperaba {expected}.",
+  "markNumeric.unreadable": "Tu respuesta final no es un número que podamos leer.",
+  "markNumeric.blank": "No has dado ninguna respuesta final.",
+  "markNumeric.outside": "Tu respuesta final, {value}, está fuera del margen aceptado.",
+  "markNumeric.expected": "Se esperaba {expected}.",
+  "markNumeric.steps": "{right} de {total} pasos del desarrollo correctos.",
+  "markNumeric.stepsMarks": "{right} de {total} pasos del desarrollo correctos ({n} puntos por el desarrollo).",
+  "markNumeric.stepsMarks_one": "{right} de {total} pasos del desarrollo correctos ({n} punto por el desarrollo).",
+  "markItem.allCorrect": "Todo correcto.",
+  "markItem.order": "{right} de {total} elementos en la secuencia correcta.",
+  "markItem.match": "{right} de {total} parejas correctas.",
+  "markItem.classify": "{right} de {total} elementos correctos.",
+  "markItem.cloze": "{right} de {total} espacios correctos.",
+
+  // Tests and the exam
+  "sitting.leaveWarning": "Tus respuestas están guardadas y puedes retomar este intento, pero en una prueba cronometrada el reloj sigue corriendo mientras no estás. ¿Salir de todos modos?",
+  "sitting.reading": "Tiempo de lectura {time}: las respuestas se desbloquean cuando termine",
+  "sitting.over": "Se acabó el tiempo. Enviando…",
+  "sitting.timeUp": "Se acabó el tiempo",
+  "sitting.left": "Tiempo restante {time}",
+  "sitting.resumed": "Has retomado el intento del {when}. Las respuestas se guardan automáticamente.",
+  "sitting.discardConfirm": "¿Descartar este intento? Se borrarán tus respuestas.",
+  "sitting.discard": "Descartar intento",
+  "sitting.submitFailed": "No se pudieron corregir tus respuestas ({error}). Siguen guardadas: vuelve a enviarlas.",
+  "sitting.writing": "Terminó el tiempo de lectura: ya puedes responder.",
+  "sitting.fiveMinutes": "Quedan cinco minutos.",
+  "sitting.oneMinute": "Queda un minuto.",
+  "test.title": "{section}: prueba de la sección",
+  "test.pill": "{n} preguntas • se aprueba con un {pass} %",
+  "test.pill_one": "{n} pregunta • se aprueba con un {pass} %",
+  "test.back": "Volver a las lecciones",
+  "test.submit": "Enviar",
+  "exam.pill": "{n} preguntas • Todo el curso",
+  "exam.minutes": " • {n} min",
+  "exam.submit": "Enviar examen",
+  "retry.nothing": "No hay nada que repetir",
+  "retry.nothingText": "En este intento no se perdieron puntos en ninguna pregunta, o se hizo antes de que existieran los planes de repaso.",
+  "retry.back": "Volver a la revisión",
+  "retry.title": "Práctica de repaso",
+  "retry.pill": "{n} preguntas • no se registra",
+  "retry.pill_one": "{n} pregunta • no se registra",
+  "retry.check": "Comprobar respuestas",
+
+  // Dashboard and review
+  "dashboard.title": "Panel de progreso",
+  "dashboard.passing": "Nota para aprobar ≥ {pass} %",
+  "dashboard.lessons": "Lecciones: {done}/{total} ({pct} %)",
+  "dashboard.bestTest": "Mejor nota en la prueba:",
+  "dashboard.exam": "Mejor nota: {best} % · Intentos: {n}",
+  "history.title": "Historial de intentos",
+  "history.empty": "Aún no hay intentos. Haz una prueba de sección o el examen final para ver aquí tus resultados.",
+  "history.review": "Revisar",
+  "history.reviewTitle": "Revisar este intento",
+  "history.noDetails": "No se guardaron detalles de este intento",
+  "review.title": "{title}: revisión",
+  "review.score": "Nota:",
+  "review.pass": "Aprobado",
+  "review.below": "Por debajo del {pass} % (puedes repetirla)",
+  "review.notFound": "Intento no encontrado",
+  "review.notFoundText": "Este intento no tiene detalles guardados. Los intentos anteriores a la revisión solo conservan su nota.",
+  "review.backToDashboard": "Volver al panel",
+  "review.retake": "Repetir",
+  "review.yourAnswer": "Tu respuesta",
+  "review.correctAnswer": "Respuesta correcta",
+  "review.notAnswered": "Sin responder.",
+  "review.notAnsweredShort": "sin responder",
+  "review.rubric": "Criterios cubiertos",
+  "review.guidance": "Orientación: {guidance}",
+  "review.feedback": "Comentarios del corrector",
+  "review.yourAnswerValue": "Tu respuesta:",
+  "review.correctValue": "Respuesta correcta:",
+  "review.working": "Desarrollo",
+  "review.youWrote": "— escribiste {value}",
+  "review.yourOrder": "Tu orden",
+  "review.correctOrder": "Orden correcto",
+  "review.itemAnswer": "— respuesta: {answer}",
+  "review.level": "Nivel {level}",
+  "review.markbands": "Bandas de calificación",
+  "review.yourEssay": "Tu ensayo",
+  "review.yourEssayPlan": "Tu ensayo y tu plan",
+  "review.plan": "Plan de repaso",
+  "review.weak": "Puntos débiles: ",
+  "review.reread": "Lecciones para releer",
+  "review.rereadNone": "Ninguna: todas las lecciones de esta prueba están en el {pass} % o más.",
+  "review.focus": "— céntrate en {concepts}",
+  "review.retryTitle": "Preguntas para repetir",
+  "review.retryButton": "Repetir estas preguntas",
+  "review.untagged": "{n} preguntas no tienen etiquetas del programa y no se incluyen en este plan.",
+  "review.untagged_one": "{n} pregunta no tiene etiquetas del programa y no se incluye en este plan.",
+
+  // Settings
+  "settings.title": "Ajustes",
+  "settings.language": "Idioma",
+  "settings.languageHint": "Para la aplicación, el curso siempre que el paquete de contenido tenga traducción (si no, en inglés), y el tutor y el corrector de IA.",
+  "settings.display": "Visualización",
+  "settings.highContrast": "Alto contraste",
+  "settings.highContrastHint": "Texto y bordes más oscuros y contornos de foco más gruesos.",
+  "settings.largeText": "Texto más grande",
+  "settings.largeTextHint": "Agranda todo el texto y los controles.",
+  "settings.name": "Nombre visible",
+  "settings.namePlaceholder": "Tu nombre",
+  "settings.timed": "Límite de tiempo en las pruebas y el examen final",
+  "settings.timedHint": "Usa el tiempo de lectura y la cuenta atrás que fija el curso. Desactívalo para practicar sin tiempo.",
+  "settings.teacher": "Herramientas para docentes",
+  "settings.teacherHint": "Añade a la cabecera el estudio de autoría (escribir lecciones y preguntas y exportarlas como paquete de contenido) y el análisis de la clase (importar los archivos de progreso del alumnado). Los problemas que encuentra el validador de paquetes se muestran en inglés.",
+  "settings.ai": "Proveedor de IA (opcional)",
+  "settings.aiHint": "Se usa para una corrección más completa y para el asistente de IA. Funciona cualquier servicio compatible con OpenAI, incluido un servidor de la red del centro (p. ej., Ollama en http://localhost:11434/v1) para que el trabajo del alumnado no salga de ella. Si no se configura nada, se usa un método local.",
+  "settings.baseUrl": "URL base",
+  "settings.model": "Modelo",
+  "settings.apiKey": "Clave de API",
+  "settings.apiKeyPlaceholder": "sk-... (déjala vacía para un servidor local sin claves)",
+  "settings.testing": "Probando…",
+  "settings.test": "Probar la conexión",
+  "settings.needKey": "Introduce una clave de API o la URL base de un servidor local.",
+  "settings.offline": "Estás sin conexión. Vuelve a conectarte para comprobar el servicio de IA.",
+  "settings.connected": "Conectado a {model}.",
+  "packs.title": "Contenido del curso",
+  "packs.sections": "{n} secciones",
+  "packs.sections_one": "{n} sección",
+  "packs.builtIn": "integrado",
+  "packs.imported": "importado",
+  "packs.load": "Cargar un paquete de contenido (.json)",
+  "packs.notLoaded": "«{file}» no se cargó ({n} problemas):",
+  "packs.notLoaded_one": "«{file}» no se cargó ({n} problema):",
+  "packs.builtInId": "\"{id}\" es el id de un paquete integrado; elige otro id.",
+  "transfer.title": "Copia de seguridad y traspaso del progreso",
+  "transfer.hint": "Descarga tu progreso para tener una copia de seguridad o llevarlo a otro dispositivo. Al importarlo se combina con lo que ya hay aquí.",
+  "transfer.export": "Exportar progreso",
+  "transfer.import": "Importar progreso",
+  "transfer.notImported": "«{file}» no se importó: {error}",
+  "transfer.imported": "Se importó «{file}»: {attempts} intento(s) y {lessons} lección(es) completada(s) combinados; se conservan las mejores notas.",
+  "storage.title": "No se pudieron leer algunos datos guardados.",
+  "storage.detail": "{message} El original se guardó como «{key}» y se están usando los valores predeterminados. Si tienes un archivo de progreso exportado, impórtalo en Ajustes.",
+  "storage.download": "Descargar los datos ilegibles",
+
+  // Profiles
+  "profiles.switch": "Cambiar de perfil",
+  "profiles.switchTo": "Cambiar a",
+  "profiles.new": "Nuevo perfil",
+  "profiles.thisProfile": "Este perfil",
+  "profiles.lock": "Bloquear y elegir un perfil",
+  "profiles.pinFor": "PIN de {name}",
+  "profiles.wrongPin": "Ese PIN no es correcto.",
+  "profiles.open": "Abrir",
+  "profiles.badPin": "Un PIN tiene de 4 a 8 cifras.",
+  "profiles.name": "Nombre",
+  "profiles.namePlaceholder": "p. ej., Lucía",
+  "profiles.pin": "PIN",
+  "profiles.pinOptional": "(opcional, de 4 a 8 cifras)",
+  "profiles.create": "Crear perfil",
+  "profiles.pinProtected": "Protegido con PIN",
+  "profiles.deleteConfirm": "¿Eliminar el perfil \"{name}\"? Se borrarán su progreso, intentos, ajustes y conversaciones con el tutor en este dispositivo.",
+  "profiles.profileName": "Nombre del perfil",
+  "profiles.rename": "Renombrar",
+  "profiles.newPin": "Nuevo PIN",
+  "profiles.addPin": "Añadir un PIN",
+  "profiles.change": "Cambiar",
+  "profiles.set": "Guardar",
+  "profiles.lastProfile": "No se puede eliminar el último perfil",
+  "profiles.nameRequired": "Escribe un nombre para el perfil.",
+  "profiles.nameTaken": "Ya hay un perfil llamado «{name}».",
+  "profiles.lastProfileError": "No se puede eliminar el último perfil.",
+  "profiles.delete": "Eliminar este perfil",
+  "profiles.who": "¿Quién va a estudiar?",
+  "profiles.whoHint": "Cada perfil guarda su propio progreso, ajustes y conversaciones con el tutor en este dispositivo.",
+
+  // Tutor
+  "tutor.title": "Tutor",
+  "tutor.greeting": "¡Hola! Pregúntame sobre esta lección o prueba. Te iré guiando.",
+  "tutor.earlier": "Conversaciones anteriores",
+  "tutor.thread": "Conversación {n} · {date}",
+  "tutor.newThread": "Nueva conversación",
+  "tutor.clear": "Borrar esta conversación",
+  "tutor.openLesson": "Abrir esta lección",
+  "tutor.thinking": "Pensando…",
+  "tutor.placeholder": "Pide una pista…",
+  "tutor.stop": "Detener",
+  "tutor.send": "Enviar",
+  "tutor.log": "Conversación con el tutor",
+  "tutor.input": "Mensaje para el tutor",
+  "tutor.hide": "Ocultar el tutor",
+  "tutor.show": "Preguntar al tutor",
+  "tutor.testThread": "Prueba de {section}",
+  "tutor.general": "General",
+  "tutor.noMatch": "No he encontrado eso en los apuntes del curso. Aquí tienes algunas pistas:\n{hints}\nPrueba a nombrar el concepto que te cuesta (p. ej., «elasticidad precio»).",
+  "tutor.hint1": "Empieza definiendo los términos clave de la pregunta.",
+  "tutor.hint2": "Haz un diagrama rápido si viene al caso (FPP, DA–OA, CMgS/CMgP).",
+  "tutor.hint3": "Indica el sentido de los desplazamientos y la intuición antes de calcular.",
+  "tutor.hint4": "Termina con una breve evaluación: supuestos, horizonte temporal, partes interesadas.",
+  "tutor.noResponse": "(Sin respuesta)",
+  "tutor.stopped": "(Detenido)",
+  "tutor.fromNotes": "{error}\nEn su lugar, de los apuntes del curso:\n{content}",
+  "tutor.heuristics": "{error}\nMientras tanto, un método: define los términos, haz el diagrama, explica el mecanismo y luego evalúa las ventajas y desventajas.",
+  "tutor.offline": "Estás sin conexión, así que esta respuesta sale de los apuntes del curso. El tutor de IA vuelve cuando te reconectes.\n{content}",
+  "tutor.courseSays": "Esto es lo que dice el curso:",
+  "tutor.ownWords": "Intenta explicarlo con tus propias palabras: ¿qué parte explicarías primero?",
+  "tutor.from": "(de «{title}»)",
+  "tutor.examiners": "Para «{prompt}», los examinadores buscan: {criteria}",
+  "class.title": "Análisis de la clase",
+  "class.students": "{n} estudiantes",
+  "class.students_one": "{n} estudiante",
+  "class.passMark": "Aprobado: {pass} %",
+  "class.intro": "Reúne los archivos que los estudiantes descargan en Ajustes → «Exportar progreso» e impórtalos aquí. Se leen en este navegador y solo se guardan en este dispositivo.",
+  "class.back": "Volver",
+  "class.import": "Importar archivos de progreso",
+  "class.scoresCsv": "Notas (CSV)",
+  "class.clear": "Vaciar la clase",
+  "class.empty": "Todavía no hay estudiantes. Importa uno o varios archivos de progreso para ver la clase.",
+  "class.unreadable": "No se pudo leer la clase guardada ({error}); se conservó en «{key}».",
+  "class.notImported": "«{file}» no se importó: {error}",
+  "class.imported": "«{file}»: {name}, {n} intentos.",
+  "class.imported_one": "«{file}»: {name}, {n} intento.",
+  "class.unnamed": "Estudiante sin nombre",
+  "class.confirmRemove": "¿Quitar a {name} de la vista de la clase? Su propio dispositivo no se ve afectado.",
+  "class.confirmClear": "¿Quitar a todos los estudiantes de la vista de la clase?",
+  "class.heatmapCaption": "Mejor nota por estudiante y sección; la última fila es el porcentaje de aprobados de cada sección",
+  "class.student": "Estudiante",
+  "class.removeStudent": "Quitar a {name}",
+  "class.passRate": "Aprobados",
+  "class.passedOf": "{passed} de {attempted} que lo intentaron",
+  "class.below": "Por debajo del {pass} % para aprobar",
+  "class.belowNone": "Todos han aprobado lo que han intentado.",
+  "class.correctOption": "(correcta)",
+  "class.items": "Análisis de preguntas",
+  "class.section": "Sección",
+  "class.all": "Todas",
+  "class.itemsHint": "La facilidad es la parte media de los puntos obtenidos. En las preguntas de opción múltiple se ve cuántas veces se eligió cada opción; en las de respuesta corta, cuántas veces se cumplió cada punto de la rúbrica.",
+  "class.itemsNone": "Todavía no hay preguntas respondidas. Los archivos de progreso solo incluyen preguntas de los intentos hechos desde que los intentos se guardan con su examen.",
+  "class.noPrompt": "(sin enunciado)",
+  "difficulty.easy": "fácil",
+  "difficulty.medium": "media",
+  "difficulty.hard": "difícil",
+  "class.responses": "{n} respuestas",
+  "class.responses_one": "{n} respuesta",
+  "class.tagged": "etiquetada como {difficulty}",
+  "class.csvLessons": "Lecciones completadas",
+  "class.csvBelow": "Por debajo del {pass} %",
+  "class.csvPassRate": "Aprobados %",
+  "class.csvQuestion": "Pregunta",
+  "class.csvSection": "Sección",
+  "class.csvType": "Tipo",
+  "class.csvTagged": "Dificultad etiquetada",
+  "class.csvPrompt": "Enunciado",
+  "class.csvResponses": "Respuestas",
+  "class.csvStudents": "Estudiantes",
+  "class.csvFacility": "Facilidad %",
+  "class.csvOptions": "Veces por opción (* = correcta)",
+  "class.csvCriteria": "Criterios cumplidos %",
+  "studio.heading": "Estudio de autoría",
+  "studio.intro": "Edita una copia de trabajo del curso. Se guarda en este dispositivo mientras escribes; guárdala para usarla o exporta el JSON para compartirla con otros ordenadores.",
+  "studio.back": "Volver",
+  "studio.save": "Guardar y usar",
+  "studio.fixFirst": "Corrige antes los problemas de la lista",
+  "studio.export": "Exportar JSON",
+  "studio.import": "Importar JSON",
+  "studio.startOver": "Empezar de nuevo desde el curso",
+  "studio.problems": "{n} problemas que corregir antes de guardar",
+  "studio.problems_one": "{n} problema que corregir antes de guardar",
+  "studio.course": "curso",
+  "studio.saved": "Se guardó «{title}» y el curso pasó a usarlo.",
+  "studio.confirmReplace": "¿Sustituir la copia de trabajo del estudio por «{title}»?",
+  "studio.loaded": "«{file}» se cargó en el estudio. Corrige los problemas de la lista y después guarda.",
+  "studio.notLoaded": "«{file}» no se cargó: {error}",
+  "studio.confirmStartOver": "¿Descartar la copia de trabajo y empezar de nuevo desde «{title}»?",
+  "studio.moveUp": "Subir {what}",
+  "studio.moveDown": "Bajar {what}",
+  "studio.delete": "Eliminar {what}",
+  "studio.confirmDelete": "¿Eliminar {what}? No se puede deshacer (salvo empezando de nuevo desde el curso).",
+  "studio.theQuestion": "la pregunta {id}",
+  "studio.theSection": "la sección {title}",
+  "studio.theSectionAll": "la sección «{title}» con sus lecciones y preguntas",
+  "studio.theLesson": "la lección {title}",
+  "studio.theLessonQuoted": "la lección «{title}»",
+  "studio.theOption": "la opción {n}",
+  "studio.theCriterion": "el criterio {n}",
+  "studio.hasProblems": "Tiene problemas",
+  "studio.outline": "Estructura del curso",
+  "studio.courseDetails": "Datos del curso",
+  "studio.lessons": "Lecciones",
+  "studio.testQuestions": "Preguntas del test",
+  "studio.section": "Sección",
+  "studio.lesson": "Lección",
+  "studio.mcq": "Opción múltiple",
+  "studio.multipleChoice": "Opción múltiple",
+  "studio.shortAnswer": "Respuesta corta",
+  "studio.noPrompt": "(sin enunciado)",
+  "studio.none": "(ninguna)",
+  "studio.courseId": "Id del curso",
+  "studio.courseIdHint": "los paquetes guardados se identifican por su id; no se puede reutilizar el de uno integrado",
+  "studio.title": "Título",
+  "studio.version": "Versión",
+  "studio.nSections": "{n} secciones",
+  "studio.nSections_one": "{n} sección",
+  "studio.nLessons": "{n} lecciones",
+  "studio.nLessons_one": "{n} lección",
+  "studio.nTestQuestions": "{n} preguntas de test",
+  "studio.nTestQuestions_one": "{n} pregunta de test",
+  "studio.nExamQuestions": "{n} preguntas de examen",
+  "studio.nExamQuestions_one": "{n} pregunta de examen",
+  "studio.nBankQuestions": "{n} preguntas en el banco del test",
+  "studio.nBankQuestions_one": "{n} pregunta en el banco del test",
+  "studio.sectionId": "Id de la sección",
+  "studio.sectionIdHint": "se usa en los enlaces; las preguntas de examen etiquetadas con él y los enlaces del glosario siguen el cambio",
+  "studio.lessonId": "Id de la lección",
+  "studio.lessonIdHint": "las preguntas etiquetadas con él y los enlaces del glosario siguen el cambio",
+  "studio.markdown": "Markdown",
+  "studio.markdownHint": "# títulos, **negrita**, listas, | tablas |, $fórmulas$, :::callout, ::diagram, ::question{id=…}: consulta el README",
+  "studio.preview": "Vista previa",
+  "studio.nothingToPreview": "Todavía no hay nada que previsualizar.",
+  "studio.options": "Opciones",
+  "studio.optionsHint": "marca la correcta",
+  "studio.optionCorrect": "La opción {n} es la correcta",
+  "studio.option": "Opción {n}",
+  "studio.addOption": "Opción",
+  "studio.criteria": "Criterios de la rúbrica",
+  "studio.criteriaHint": "un punto cada uno; los grupos de palabras clave del corrector sin conexión se mueven con su criterio",
+  "studio.criterion": "Criterio {n}",
+  "studio.addCriterion": "Criterio",
+  "studio.keywordGroups": "{n} grupos de palabras clave",
+  "studio.keywordGroups_one": "{n} grupo de palabras clave",
+  "studio.guidance": "Indicaciones para el corrector",
+  "studio.optional": "opcional",
+  "studio.minWords": "Mínimo de palabras",
+  "studio.json": "JSON de la pregunta ({type})",
+  "studio.jsonHint": "consulta el formato de los paquetes de contenido en el README",
+  "studio.notObject": "Una pregunta debe ser un objeto JSON cuyos `id`, `type` y `prompt` sean texto.",
+  "studio.notApplied": "No se aplicó: {error}",
+  "studio.questionId": "Id de la pregunta",
+  "studio.questionIdHint": "las directivas ::question que la muestran siguen el cambio",
+  "studio.type": "Tipo",
+  "studio.marks": "Puntos (maxScore)",
+  "studio.prompt": "Enunciado",
+  "studio.unit": "Unidad",
+  "studio.concept": "Concepto",
+  "studio.difficulty": "Dificultad",
+  "diagram.reset": "Restablecer",
+  "diagram.resetTitle": "Restablecer el diagrama",
+  "diagram.unknown": "Diagrama desconocido «{kind}». Disponibles: {kinds}.",
+  "diagram.title.supply-demand": "Demanda y oferta",
+  "diagram.title.ppc": "Frontera de posibilidades de producción",
+  "diagram.title.ad-as": "Demanda y oferta agregadas",
+  "diagram.title.externality": "Externalidades: CMgS/CMgP y BMgS/BMgP",
+  "diagram.control.demandShift": "Desplazamiento de la demanda",
+  "diagram.control.supplyShift": "Desplazamiento de la oferta",
+  "diagram.control.tax": "Impuesto por unidad",
+  "diagram.control.growth": "Crecimiento económico",
+  "diagram.control.pointX": "Punto A: bienes de consumo",
+  "diagram.control.pointY": "Punto A: bienes de capital",
+  "diagram.control.adShift": "Desplazamiento de la DA",
+  "diagram.control.srasShift": "Desplazamiento de la OACP",
+  "diagram.control.lrasShift": "Desplazamiento de la OALP",
+  "diagram.control.gap": "Coste/beneficio externo",
+  "diagram.control.policy": "Impuesto/subvención por unidad",
+  "diagram.D": "D",
+  "diagram.S": "O",
+  "diagram.sTax": "O + impuesto",
+  "diagram.AD": "DA",
+  "diagram.SRAS": "OACP",
+  "diagram.LRAS": "OALP",
+  "diagram.PPC": "FPP",
+  "diagram.PL": "NP",
+  "diagram.MPB": "BMgP",
+  "diagram.MSB": "BMgS",
+  "diagram.MPC": "CMgP",
+  "diagram.MSC": "CMgS",
+  "diagram.mpbSubsidy": "BMgP + subvención",
+  "diagram.mpcTax": "CMgP + impuesto",
+  "diagram.CS": "EC",
+  "diagram.PS": "EP",
+  "diagram.DWL": "PIE",
+  "diagram.taxRevenue": "Recaudación",
+  "diagram.welfareLoss": "Pérdida de bienestar",
+  "diagram.recessionaryGap": "Brecha recesiva",
+  "diagram.inflationaryGap": "Brecha inflacionaria",
+  "diagram.externalBenefit": "Beneficio externo",
+  "diagram.externalCost": "Coste externo",
+  "diagram.market": "Mercado",
+  "diagram.optimum": "Óptimo",
+  "diagram.quantity": "Cantidad",
+  "diagram.price": "Precio",
+  "diagram.consumerGoods": "Bienes de consumo",
+  "diagram.capitalGoods": "Bienes de capital",
+  "diagram.realGdp": "PIB real",
+  "diagram.priceLevel": "Nivel de precios",
+  "diagram.benefitsCosts": "Beneficios, costes",
+  "diagram.costsBenefits": "Costes, beneficios",
+  "diagram.dragDemand": "Arrastra para desplazar la demanda",
+  "diagram.dragSupply": "Arrastra para desplazar la oferta",
+  "diagram.dragCurve": "Arrastra para desplazar la curva {curve}",
+  "diagram.dragPoint": "Arrastra el punto A",
+  "diagram.dragPpc": "Arrastra para desplazar la FPP",
+  "diagram.dragExternalBenefit": "Arrastra para cambiar el beneficio externo",
+  "diagram.dragExternalCost": "Arrastra para cambiar el coste externo",
+  "diagram.equilibrium": "Equilibrio: P = {p}, Q = {q}",
+  "diagram.surplus": "EC ≈ {cs} · EP ≈ {ps}",
+  "diagram.taxNote": "Recaudación ≈ {revenue} · PIE ≈ {dwl}",
+  "diagram.efficient": "eficiente (sobre la FPP)",
+  "diagram.inefficient": "ineficiente (dentro de la FPP)",
+  "diagram.unattainable": "inalcanzable (fuera de la FPP)",
+  "diagram.pointIs": "El punto A es {status}.",
+  "diagram.grown": "El crecimiento económico ha desplazado la FPP hacia fuera.",
+  "diagram.output": "Producción real Y = {y}, nivel de precios = {pl}",
+  "diagram.fullEmployment": "La producción está en el pleno empleo (Yf).",
+  "diagram.recessionaryGapOf": "Brecha recesiva de {gap}.",
+  "diagram.inflationaryGapOf": "Brecha inflacionaria de {gap}.",
+  "diagram.marketVsOptimum": "Producción de mercado {market} frente al óptimo social {optimum}.",
+  "diagram.internalizedTax": "El impuesto internaliza por completo la externalidad.",
+  "diagram.internalizedSubsidy": "La subvención internaliza por completo la externalidad.",
+  "diagram.over": "Sobreproducción/sobreconsumo: pérdida de bienestar.",
+  "diagram.under": "Subproducción/subconsumo: pérdida de bienestar.",
+};
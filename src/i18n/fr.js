@@ -0,0 +1,593 @@
+// French messages. Keys missing here fall back to English (see ./index.js).
+export default {
+  // App shell
+  "app.title": "Tuteur interactif d'économie IB",
+  "app.offline": "Tu es hors ligne. Les leçons, les tests et le correcteur intégré fonctionnent toujours ; la correction par IA et le tuteur IA reviennent quand tu te reconnectes.",
+  "app.updateReady": "Une nouvelle version du tuteur est prête.",
+  "app.update": "Mettre à jour",
+  "header.home": "Accueil",
+  "header.search": "Rechercher",
+  "header.dashboard": "Progression",
+  "header.exam": "Examen final",
+  "header.glossary": "Glossaire",
+  "header.studio": "Atelier",
+  "header.class": "Classe",
+  "header.settings": "Réglages",
+  "sidebar.curriculum": "Programme",
+  "section.summary": "{n} leçons · 1 test",
+  "section.summary_one": "{n} leçon · 1 test",
+  "home.welcome": "Bienvenue !",
+  "home.welcomeName": "Bienvenue, {name} !",
+  "home.intro": "Un cours d'économie IB avec des leçons courtes, un test à la fin de chaque section, un examen final et un tuteur toujours disponible. Ta progression est enregistrée automatiquement.",
+  "home.start": "Commencer",
+  "notFound.title": "Page introuvable",
+  "notFound.text": "{message} Le lien vient peut-être d'un autre cours ou d'une version antérieure de celui-ci.",
+  "notFound.section": "Il n'y a pas de section « {id} » dans ce cours.",
+  "notFound.lesson": "« {section} » n'a pas de leçon « {id} ».",
+  "notFound.page": "Il n'y a pas de page à l'adresse « {path} ».",
+  "notFound.home": "Aller à l'accueil du cours",
+  "footer.pass": "Les tests sont réussis à partir de {pass} % · Recommence quand tu veux pour de nouveaux commentaires",
+  "exam.name": "Examen final",
+  "a11y.skipToContent": "Aller au contenu",
+  "a11y.skipToSections": "Aller aux sections du cours",
+  "a11y.skipToTutor": "Aller au tuteur",
+  "a11y.menu": "Menu de l’application",
+  "a11y.graded": "Corrigé : {percent} % — {verdict}",
+  "a11y.answer": "Votre réponse",
+
+  // Lessons
+  "lesson.pill": "Leçon",
+  "lesson.markComplete": "Marquer la leçon comme terminée",
+  "lesson.completed": "(terminée)",
+  "lesson.position": "Leçon {n} sur {total}",
+  "lesson.previous": "Leçon précédente",
+  "lesson.next": "Leçon suivante",
+  "lesson.takeTest": "Passer le test de la section",
+  "glossary.title": "Glossaire",
+  "glossary.intro": "{n} termes clés du cours. Dans les leçons et les questions, ils sont soulignés en pointillé : survole-les, touche-les ou place le focus dessus pour voir leur définition.",
+  "glossary.intro_one": "1 terme clé du cours. Dans les leçons et les questions, il est souligné en pointillé : survole-le, touche-le ou place le focus dessus pour voir sa définition.",
+  "glossary.empty": "Ce cours n'a pas encore de glossaire.",
+  "glossary.unknown": "Il n'y a pas de terme « {id} » dans ce glossaire.",
+  "glossary.filter": "Filtrer les termes",
+  "glossary.noMatch": "Aucun terme ne correspond à « {filter} ».",
+  "glossary.related": "Voir aussi :",
+  "glossary.lessons": "Utilisé dans :",
+  "glossary.more": "Ouvrir dans le glossaire",
+  "search.title": "Rechercher dans le cours",
+  "search.placeholder": "Cherche dans les leçons, les questions et le glossaire…",
+  "search.hint": "Tape un mot ou une expression. ↑ ↓ choisissent un résultat, Entrée l'ouvre, Échap ferme la recherche.",
+  "search.results": "{n} résultats",
+  "search.results_one": "{n} résultat",
+  "search.none": "Rien dans ce cours ne correspond à « {query} ».",
+  "search.lesson": "Leçon",
+  "search.question": "Question d'entraînement",
+  "search.term": "Glossaire",
+  "practice.title": "Question d'entraînement",
+  "practice.intro": "Réponds et vérifie autant de fois que tu veux ; l'entraînement n'est pas enregistré dans ta progression.",
+  "practice.openLesson": "Lire la leçon : {title}",
+  "embedded.heading": "Vérifie ta compréhension",
+  "embedded.missing": "(La question « {id} » ne fait pas partie de ce cours.)",
+  "callout.note": "Remarque",
+  "callout.tip": "Astuce",
+  "callout.warning": "Attention",
+  "callout.exam": "Méthode d'examen",
+  "callout.keyterm": "Terme clé",
+  "stimulus.title": "Documents",
+  "stimulus.source": "Source : {source}",
+  "stimulus.missing": "Les données « {name} » ne sont pas disponibles.",
+  "stimulus.inline": "intégrées",
+  "stimulus.bar": "Diagramme en barres de {series} par {x} : {values}",
+  "stimulus.line": "Courbe de {series} par {x} : {values}",
+
+  // Answering questions
+  "common.check": "Vérifier",
+  "common.checking": "Vérification…",
+  "common.tryAgain": "Réessayer",
+  "common.cancel": "Annuler",
+  "common.remove": "Retirer",
+  "common.dismiss": "Fermer",
+  "common.save": "Enregistrer",
+  "question.readingTime": "Temps de lecture : tu pourras écrire quand il sera terminé.",
+  "question.marks": "[{n} points]",
+  "question.marks_one": "[{n} point]",
+  "short.placeholder": "Écris 4 à 6 phrases…",
+  "short.rubric": "Critères : {criteria}",
+  "numeric.working": "Démarche (des points pour les étapes justes si le résultat final est faux)",
+  "numeric.answer": "Réponse",
+  "numeric.readingTime": "Temps de lecture",
+  "numeric.decimals": "à {n} décimale(s)",
+  "numeric.units": "unités",
+  "numeric.unitsLabel": "Unités",
+  "essay.markedOn": "Noté selon : {bands}. Décris tout graphique avec des mots : nomme-le, légende les axes et les courbes, et explique les déplacements.",
+  "essay.plan": "Plan",
+  "essay.notMarked": "(non noté)",
+  "essay.planPlaceholder": "Définitions · graphique · exemples · points d'évaluation · conclusion",
+  "essay.essay": "Dissertation",
+  "essay.placeholder": "Introduction avec des définitions, analyse avec un graphique, exemples concrets, évaluation et conclusion…",
+  "essay.words": "{n} mots · vise au moins {min}",
+  "essay.words_one": "{n} mot · vise au moins {min}",
+  "band.AO1": "Connaissances et compréhension",
+  "band.AO2": "Exemples concrets",
+  "band.AO3": "Évaluation",
+  "band.AO4": "Graphiques",
+  "level.0": "Le travail n'atteint aucun des niveaux décrits ci-dessous.",
+  "level.1": "Peu de compréhension de ce que demande la question ; peu de termes pertinents ; ni théorie ni exemples pertinents.",
+  "level.2": "Une certaine compréhension de la question ; quelques termes et éléments de théorie pertinents, avec des erreurs ; application limitée.",
+  "level.3": "Les exigences de la question sont comprises ; termes et théorie pertinents le plus souvent corrects ; un graphique et des exemples pertinents sont présents mais pas toujours expliqués.",
+  "level.4": "Les exigences de la question sont traitées ; termes employés avec précision ; graphiques et exemples expliqués et utilisés pour étayer l'argument ; l'évaluation est présente.",
+  "level.5": "Les exigences de la question sont traitées tout au long ; termes employés avec précision et cohérence ; graphiques entièrement expliqués ; exemples utilisés efficacement ; l'évaluation s'appuie sur des preuves.",
+  "items.choose": "Choisir…",
+  "items.orderHint": "Fais glisser les éléments, ou utilise les flèches, pour les mettre dans l'ordre (le premier en haut). Si l'ordre affiché est déjà le bon, choisis « Garder cet ordre ».",
+  "items.moveUp": "Monter « {item} »",
+  "items.moveDown": "Descendre « {item} »",
+  "items.moved": "« {item} » est maintenant en position {n}.",
+  "items.keepOrder": "Garder cet ordre",
+  "items.item": "Élément",
+  "items.wordBank": "Banque de mots : {words}",
+  "items.blank": "Blanc {n}",
+  "items.position": "position {n}",
+
+  // Marking
+  "mark.correct": "Correct",
+  "mark.mcqWrong": "Revois la définition ou le mécanisme et réessaie.",
+  "mark.unusable": "La réponse du correcteur IA était inutilisable ({error})",
+  "mark.offline": "{why} ; corrigé hors ligne à la place.",
+  "mark.noConnection": "Tu es hors ligne : le correcteur intégré a corrigé à la place du correcteur IA.",
+  "markShort.blank": "Tu n'as pas répondu. Vise 4 à 6 phrases qui couvrent chaque point du barème.",
+  "markShort.tooShort": "Ta réponse est très courte ({n} mots). Développe chaque point en phrases complètes : vise au moins {min} mots.",
+  "markShort.tooShort_one": "Ta réponse est très courte ({n} mot). Développe chaque point en phrases complètes : vise au moins {min} mots.",
+  "markShort.noExplanation": "Tu cites les bonnes idées sans les expliquer. Relie causes et effets avec des mots comme « parce que », « donc » ou « ce qui entraîne ».",
+  "markShort.negated": "{criterion} — tu as écrit « {phrase} », ce qui se lit comme le contraire. Formule l'idée positivement si c'est ce que tu veux dire.",
+  "markShort.missing": "{criterion} — non traité.",
+  "markShort.missingHint": "{criterion} — non traité. Pense à parler de « {hint} ».",
+  "markShort.allCovered": "Tous les points du barème sont traités.",
+  "markShort.covered": "Points du barème traités : {met} sur {total}.",
+  "markEssay.notAttempted": "Non traité.",
+  "markEssay.blank": "Tu n'as pas écrit de dissertation. Fais d'abord un plan, puis écris une introduction avec des définitions, l'analyse avec un graphique, des exemples et (si on le demande) une évaluation.",
+  "markEssay.level": "Niveau {level} : {descriptor}",
+  "markEssay.band": "{id} {title} : {word} — {comment}",
+  "markEssay.bandScore": "{id} {title} : {score}/{max}",
+  "markEssay.bandScoreComment": "{id} {title} : {score}/{max} — {comment}",
+  "markEssay.word0": "absent",
+  "markEssay.word1": "limité",
+  "markEssay.word2": "partiel",
+  "markEssay.word3": "bon",
+  "markEssay.word4": "approfondi",
+  "markEssay.tooShort": "Avec {n} mots, la dissertation est trop courte pour atteindre un niveau plus élevé ; vise au moins {min} mots.",
+  "markEssay.tooShort_one": "Avec {n} mot, la dissertation est trop courte pour atteindre un niveau plus élevé ; vise au moins {min} mots.",
+  "markEssay.quoted": "« {text} »",
+  "markEssay.ao1Good": "Les termes clés sont employés et expliqués.",
+  "markEssay.ao1GoodMore": "Les termes clés sont employés et expliqués ; fais aussi intervenir {terms}.",
+  "markEssay.ao1Used": "Tu emploies {terms}.",
+  "markEssay.ao1Few": "Peu de termes clés apparaissent.",
+  "markEssay.ao1Define": "Définis {terms} avec précision et explique la théorie étape par étape (« parce que…, donc… »).",
+  "markEssay.ao1DefineAll": "Définis les termes clés avec précision et explique la théorie étape par étape (« parce que…, donc… »).",
+  "markEssay.ao2Good": "Des exemples concrets étayent l'argument.",
+  "markEssay.ao2Some": "Il y a un peu d'application ; rends l'exemple précis — un pays ou une politique nommés, une année et un chiffre — et relie-le à la théorie.",
+  "markEssay.ao2None": "Il n'y a aucun exemple concret. Nomme un pays, une entreprise ou une politique, précise quand, et appuie chaque idée principale sur un chiffre.",
+  "markEssay.ao3Good": "L'évaluation est équilibrée et aboutit à un jugement.",
+  "markEssay.ao3Used": "Tu évalues par {ways}.",
+  "markEssay.ao3None": "Il n'y a pas encore d'évaluation.",
+  "markEssay.ao3Add": "Ajoute {ways}.",
+  "markEssay.ao3AddJudgement": "Ajoute {ways} — termine par un jugement étayé qui répond à la question.",
+  "markEssay.eval.counter": "des contre-arguments",
+  "markEssay.eval.timeFrame": "l'horizon temporel",
+  "markEssay.eval.stakeholders": "les parties prenantes",
+  "markEssay.eval.assumptions": "les hypothèses et conditions",
+  "markEssay.eval.judgement": "un jugement",
+  "markEssay.ao4Good": "Le graphique est cité et expliqué.",
+  "markEssay.ao4None": "Ajoute un graphique pertinent, légende les axes et les courbes, et fais-y référence dans ton explication.",
+  "markEssay.ao4NoneNamed": "Ajoute un graphique pertinent (p. ex. {diagrams}), légende les axes et les courbes, et fais-y référence dans ton explication.",
+  "markEssay.ao4Explain": "Fais référence aux légendes du graphique (axes, courbes, équilibres) et explique chaque déplacement et son effet.",
+  "markEssay.ao4ExplainNamed": "Fais référence aux légendes du graphique (axes, courbes, équilibres) et explique chaque déplacement et son effet (p. ex. {diagrams}).",
+  "markNumeric.units": "La valeur est juste, mais donne-la en {unit}. Réponse attendue : {expected}.",
+  "markNumeric.unreadable": "Ta réponse finale n'est pas un nombre lisible.",
+  "markNumeric.blank": "Tu n'as pas donné de réponse finale.",
+  "markNumeric.outside": "Ta réponse finale, {value}, est en dehors de la marge acceptée.",
+  "markNumeric.expected": "Réponse attendue : {expected}.",
+  "markNumeric.steps": "Étapes de calcul justes : {right} sur {total}.",
+  "markNumeric.stepsMarks": "Étapes de calcul justes : {right} sur {total} ({n} points pour le calcul).",
+  "markNumeric.stepsMarks_one": "Étapes de calcul justes : {right} sur {total} ({n} point pour le calcul).",
+  "markItem.allCorrect": "Tout est juste.",
+  "markItem.order": "Éléments dans le bon ordre : {right} sur {total}.",
+  "markItem.match": "Paires justes : {right} sur {total}.",
+  "markItem.classify": "Éléments justes : {right} sur {total}.",
+  "markItem.cloze": "Blancs justes : {right} sur {total}.",
+
+  // Tests and the exam
+  "sitting.leaveWarning": "Tes réponses sont enregistrées et tu peux reprendre cette tentative, mais le chrono d'une épreuve minutée continue de tourner pendant ton absence. Quitter quand même ?",
+  "sitting.reading": "Temps de lecture {time} : les réponses se débloquent à la fin",
+  "sitting.over": "Temps écoulé : envoi en cours…",
+  "sitting.timeUp": "Le temps est écoulé",
+  "sitting.left": "Temps restant {time}",
+  "sitting.resumed": "Tentative du {when} reprise. Les réponses sont enregistrées automatiquement.",
+  "sitting.discardConfirm": "Abandonner cette tentative ? Tes réponses seront supprimées.",
+  "sitting.discard": "Abandonner la tentative",
+  "sitting.submitFailed": "Tes réponses n'ont pas pu être corrigées ({error}). Elles sont toujours enregistrées : réessaie de les envoyer.",
+  "sitting.writing": "Le temps de lecture est terminé : vous pouvez répondre.",
+  "sitting.fiveMinutes": "Plus que cinq minutes.",
+  "sitting.oneMinute": "Plus qu’une minute.",
+  "test.title": "{section} : test de la section",
+  "test.pill": "{n} questions • {pass} % pour réussir",
+  "test.pill_one": "{n} question • {pass} % pour réussir",
+  "test.back": "Retour aux leçons",
+  "test.submit": "Envoyer",
+  "exam.pill": "{n} questions • Tout le cours",
+  "exam.minutes": " • {n} min",
+  "exam.submit": "Envoyer l'examen",
+  "retry.nothing": "Rien à refaire",
+  "retry.nothingText": "Aucune question de cette tentative n'a perdu de points, ou elle date d'avant les plans de révision.",
+  "retry.back": "Retour à la correction",
+  "retry.title": "Entraînement ciblé",
+  "retry.pill": "{n} questions • non enregistré",
+  "retry.pill_one": "{n} question • non enregistré",
+  "retry.check": "Vérifier les réponses",
+
+  // Dashboard and review
+  "dashboard.title": "Tableau de progression",
+  "dashboard.passing": "Note de réussite ≥ {pass} %",
+  "dashboard.lessons": "Leçons : {done}/{total} ({pct} %)",
+  "dashboard.bestTest": "Meilleur score au test :",
+  "dashboard.exam": "Meilleur score : {best} % · Tentatives : {n}",
+  "history.title": "Historique des tentatives",
+  "history.empty": "Aucune tentative pour l'instant. Passe un test de section ou l'examen final pour voir tes résultats ici.",
+  "history.review": "Revoir",
+  "history.reviewTitle": "Revoir cette tentative",
+  "history.noDetails": "Aucun détail n'a été enregistré pour cette tentative",
+  "review.title": "{title} : correction",
+  "review.score": "Score :",
+  "review.pass": "Réussi",
+  "review.below": "Moins de {pass} % (tu peux le repasser)",
+  "review.notFound": "Tentative introuvable",
+  "review.notFoundText": "Cette tentative n'a pas de détails enregistrés. Les tentatives antérieures à la correction détaillée n'ont gardé que leur score.",
+  "review.backToDashboard": "Retour au tableau",
+  "review.retake": "Repasser",
+  "review.yourAnswer": "Ta réponse",
+  "review.correctAnswer": "Bonne réponse",
+  "review.notAnswered": "Sans réponse.",
+  "review.notAnsweredShort": "sans réponse",
+  "review.rubric": "Critères couverts",
+  "review.guidance": "Conseils : {guidance}",
+  "review.feedback": "Commentaires du correcteur",
+  "review.yourAnswerValue": "Ta réponse :",
+  "review.correctValue": "Bonne réponse :",
+  "review.working": "Démarche",
+  "review.youWrote": "— tu as écrit {value}",
+  "review.yourOrder": "Ton ordre",
+  "review.correctOrder": "Bon ordre",
+  "review.itemAnswer": "— réponse : {answer}",
+  "review.level": "Niveau {level}",
+  "review.markbands": "Bandes de notation",
+  "review.yourEssay": "Ta dissertation",
+  "review.yourEssayPlan": "Ta dissertation et ton plan",
+  "review.plan": "Plan de révision",
+  "review.weak": "Points faibles : ",
+  "review.reread": "Leçons à relire",
+  "review.rereadNone": "Aucune : chaque leçon de cette épreuve est à {pass} % ou plus.",
+  "review.focus": "— concentre-toi sur {concepts}",
+  "review.retryTitle": "Questions à refaire",
+  "review.retryButton": "Refaire ces questions",
+  "review.untagged": "{n} questions n'ont pas d'étiquette du programme et ne figurent pas dans ce plan.",
+  "review.untagged_one": "{n} question n'a pas d'étiquette du programme et ne figure pas dans ce plan.",
+
+  // Settings
+  "settings.title": "Réglages",
+  "settings.language": "Langue",
+  "settings.languageHint": "Pour l'application, le cours partout où le paquet de contenu a une traduction (sinon en anglais), ainsi que le tuteur et le correcteur IA.",
+  "settings.display": "Affichage",
+  "settings.highContrast": "Contraste élevé",
+  "settings.highContrastHint": "Texte et bordures plus foncés, contours de focus plus épais.",
+  "settings.largeText": "Texte plus grand",
+  "settings.largeTextHint": "Agrandit tout le texte et les contrôles.",
+  "settings.name": "Nom affiché",
+  "settings.namePlaceholder": "Ton nom",
+  "settings.timed": "Limite de temps pour les tests et l'examen final",
+  "settings.timedHint": "Utilise le temps de lecture et le compte à rebours fixés par le cours. Désactive-la pour t'entraîner sans chrono.",
+  "settings.teacher": "Outils enseignant",
+  "settings.teacherHint": "Ajoute à l'en-tête l'atelier de création (écrire des leçons et des questions, les exporter en paquet de contenu) et l'analyse de classe (importer les fichiers de progression des élèves). Les problèmes relevés par le validateur de paquets sont affichés en anglais.",
+  "settings.ai": "Fournisseur d'IA (facultatif)",
+  "settings.aiHint": "Sert à une correction plus poussée et à l'assistant IA. Tout service compatible OpenAI fonctionne, y compris un serveur du réseau de l'établissement (par ex. Ollama sur http://localhost:11434/v1) pour que le travail des élèves n'en sorte pas. Sans réglage, une méthode locale est utilisée.",
+  "settings.baseUrl": "URL de base",
+  "settings.model": "Modèle",
+  "settings.apiKey": "Clé d'API",
+  "settings.apiKeyPlaceholder": "sk-... (laisser vide pour un serveur local sans clé)",
+  "settings.testing": "Test en cours…",
+  "settings.test": "Tester la connexion",
+  "settings.needKey": "Saisis une clé d'API ou l'URL de base d'un serveur local.",
+  "settings.offline": "Tu es hors ligne. Reconnecte-toi pour vérifier le service d'IA.",
+  "settings.connected": "Connecté à {model}.",
+  "packs.title": "Contenu du cours",
+  "packs.sections": "{n} sections",
+  "packs.sections_one": "{n} section",
+  "packs.builtIn": "intégré",
+  "packs.imported": "importé",
+  "packs.load": "Charger un paquet de contenu (.json)",
+  "packs.notLoaded": "« {file} » n'a pas été chargé ({n} problèmes) :",
+  "packs.notLoaded_one": "« {file} » n'a pas été chargé ({n} problème) :",
+  "packs.builtInId": "\"{id}\" est l'identifiant d'un paquet intégré ; choisis-en un autre.",
+  "transfer.title": "Sauvegarder et transférer la progression",
+  "transfer.hint": "Télécharge ta progression pour en garder une copie ou la transférer sur un autre appareil. L'importation la fusionne avec ce qui est déjà ici.",
+  "transfer.export": "Exporter la progression",
+  "transfer.import": "Importer une progression",
+  "transfer.notImported": "« {file} » n'a pas été importé : {error}",
+  "transfer.imported": "« {file} » importé : {attempts} tentative(s) et {lessons} leçon(s) terminée(s) fusionnées ; les meilleurs scores sont conservés.",
+  "storage.title": "Certaines données enregistrées n'ont pas pu être lues.",
+  "storage.detail": "{message} L'original a été conservé sous « {key} » et les valeurs par défaut sont utilisées. Si tu as un fichier de progression exporté, importe-le dans les Réglages.",
+  "storage.download": "Télécharger les données illisibles",
+
+  // Profiles
+  "profiles.switch": "Changer de profil",
+  "profiles.switchTo": "Passer à",
+  "profiles.new": "Nouveau profil",
+  "profiles.thisProfile": "Ce profil",
+  "profiles.lock": "Verrouiller et choisir un profil",
+  "profiles.pinFor": "Code PIN de {name}",
+  "profiles.wrongPin": "Ce code PIN n'est pas le bon.",
+  "profiles.open": "Ouvrir",
+  "profiles.badPin": "Un code PIN compte 4 à 8 chiffres.",
+  "profiles.name": "Nom",
+  "profiles.namePlaceholder": "par ex. Chloé",
+  "profiles.pin": "Code PIN",
+  "profiles.pinOptional": "(facultatif, 4 à 8 chiffres)",
+  "profiles.create": "Créer le profil",
+  "profiles.pinProtected": "Protégé par un code PIN",
+  "profiles.deleteConfirm": "Supprimer le profil « {name} » ? Sa progression, ses tentatives, ses réglages et ses conversations avec le tuteur sur cet appareil seront supprimés.",
+  "profiles.profileName": "Nom du profil",
+  "profiles.rename": "Renommer",
+  "profiles.newPin": "Nouveau code PIN",
+  "profiles.addPin": "Ajouter un code PIN",
+  "profiles.change": "Modifier",
+  "profiles.set": "Définir",
+  "profiles.lastProfile": "Le dernier profil ne peut pas être supprimé",
+  "profiles.nameRequired": "Saisis un nom pour le profil.",
+  "profiles.nameTaken": "Il existe déjà un profil nommé « {name} ».",
+  "profiles.lastProfileError": "Le dernier profil ne peut pas être supprimé.",
+  "profiles.delete": "Supprimer ce profil",
+  "profiles.who": "Qui étudie ?",
+  "profiles.whoHint": "Chaque profil garde sa propre progression, ses réglages et ses conversations avec le tuteur sur cet appareil.",
+
+  // Tutor
+  "tutor.title": "Tuteur",
+  "tutor.greeting": "Bonjour ! Pose-moi tes questions sur cette leçon ou ce test. Je vais te guider.",
+  "tutor.earlier": "Conversations précédentes",
+  "tutor.thread": "Conversation {n} · {date}",
+  "tutor.newThread": "Nouvelle conversation",
+  "tutor.clear": "Effacer cette conversation",
+  "tutor.openLesson": "Ouvrir cette leçon",
+  "tutor.thinking": "Réflexion…",
+  "tutor.placeholder": "Demande un indice…",
+  "tutor.stop": "Arrêter",
+  "tutor.send": "Envoyer",
+  "tutor.log": "Conversation avec le tuteur",
+  "tutor.input": "Message au tuteur",
+  "tutor.hide": "Masquer le tuteur",
+  "tutor.show": "Demander au tuteur",
+  "tutor.testThread": "Test : {section}",
+  "tutor.general": "Général",
+  "tutor.noMatch": "Je n'ai pas trouvé cela dans les notes du cours. Voici quelques pistes :\n{hints}\nEssaie de nommer la notion qui te pose problème (par ex. « élasticité-prix »).",
+  "tutor.hint1": "Commence par définir les termes clés de la question.",
+  "tutor.hint2": "Fais un graphique rapide si c'est pertinent (FPP, DG–OG, CMS/CMP).",
+  "tutor.hint3": "Indique le sens des déplacements et l'intuition avant de calculer.",
+  "tutor.hint4": "Termine par une brève évaluation : hypothèses, horizon temporel, parties prenantes.",
+  "tutor.noResponse": "(Pas de réponse)",
+  "tutor.stopped": "(Arrêté)",
+  "tutor.fromNotes": "{error}\nVoici plutôt ce que disent les notes du cours :\n{content}",
+  "tutor.heuristics": "{error}\nEn attendant, une méthode : définis les termes, fais le graphique, explique le mécanisme, puis évalue les arbitrages.",
+  "tutor.offline": "Tu es hors ligne : cette réponse vient des notes du cours. Le tuteur IA revient quand tu te reconnectes.\n{content}",
+  "tutor.courseSays": "Voici ce que dit le cours :",
+  "tutor.ownWords": "Essaie de le reformuler avec tes propres mots : quelle partie expliquerais-tu en premier ?",
+  "tutor.from": "(tiré de « {title} »)",
+  "tutor.examiners": "Pour « {prompt} », les examinateurs attendent : {criteria}",
+  "class.title": "Analyse de la classe",
+  "class.students": "{n} élèves",
+  "class.students_one": "{n} élève",
+  "class.passMark": "Seuil de réussite : {pass} %",
+  "class.intro": "Rassemble les fichiers que les élèves téléchargent dans Réglages → « Exporter la progression » et importe-les ici. Ils sont lus dans ce navigateur et conservés sur cet appareil uniquement.",
+  "class.back": "Retour",
+  "class.import": "Importer des fichiers de progression",
+  "class.scoresCsv": "Notes (CSV)",
+  "class.clear": "Vider la classe",
+  "class.empty": "Pas encore d'élèves. Importe un ou plusieurs fichiers de progression pour voir la classe.",
+  "class.unreadable": "La classe enregistrée n'a pas pu être lue ({error}) ; elle a été conservée sous « {key} ».",
+  "class.notImported": "« {file} » n'a pas été importé : {error}",
+  "class.imported": "« {file} » : {name}, {n} tentatives.",
+  "class.imported_one": "« {file} » : {name}, {n} tentative.",
+  "class.unnamed": "Élève sans nom",
+  "class.confirmRemove": "Retirer {name} de la vue de la classe ? Son propre appareil n'est pas touché.",
+  "class.confirmClear": "Retirer tous les élèves de la vue de la classe ?",
+  "class.heatmapCaption": "Meilleure note par élève et par section ; la dernière ligne donne le taux de réussite de chaque section",
+  "class.student": "Élève",
+  "class.removeStudent": "Retirer {name}",
+  "class.passRate": "Taux de réussite",
+  "class.passedOf": "{passed} sur {attempted} ayant tenté",
+  "class.below": "Sous le seuil de réussite de {pass} %",
+  "class.belowNone": "Tout le monde a réussi ce qu'il a tenté.",
+  "class.correctOption": "(correcte)",
+  "class.items": "Analyse des questions",
+  "class.section": "Section",
+  "class.all": "Toutes",
+  "class.itemsHint": "La facilité est la part moyenne des points obtenus. Les QCM montrent combien de fois chaque option a été choisie ; les réponses courtes, combien de fois chaque point du barème a été atteint.",
+  "class.itemsNone": "Pas encore de questions répondues. Les fichiers de progression ne contiennent que les questions des tentatives faites depuis que les tentatives sont enregistrées avec leur sujet.",
+  "class.noPrompt": "(sans énoncé)",
+  "difficulty.easy": "facile",
+  "difficulty.medium": "moyenne",
+  "difficulty.hard": "difficile",
+  "class.responses": "{n} réponses",
+  "class.responses_one": "{n} réponse",
+  "class.tagged": "étiquetée {difficulty}",
+  "class.csvLessons": "Leçons terminées",
+  "class.csvBelow": "Sous {pass} %",
+  "class.csvPassRate": "Taux de réussite %",
+  "class.csvQuestion": "Question",
+  "class.csvSection": "Section",
+  "class.csvType": "Type",
+  "class.csvTagged": "Difficulté étiquetée",
+  "class.csvPrompt": "Énoncé",
+  "class.csvResponses": "Réponses",
+  "class.csvStudents": "Élèves",
+  "class.csvFacility": "Facilité %",
+  "class.csvOptions": "Choix par option (* = correcte)",
+  "class.csvCriteria": "Critères atteints %",
+  "studio.heading": "Atelier de création",
+  "studio.intro": "Modifie une copie de travail du cours. Elle est conservée sur cet appareil pendant que tu écris ; enregistre-la pour l'utiliser, ou exporte le JSON pour la partager avec d'autres ordinateurs.",
+  "studio.back": "Retour",
+  "studio.save": "Enregistrer et utiliser",
+  "studio.fixFirst": "Corrige d'abord les problèmes listés",
+  "studio.export": "Exporter le JSON",
+  "studio.import": "Importer un JSON",
+  "studio.startOver": "Repartir du cours",
+  "studio.problems": "{n} problèmes à corriger avant d'enregistrer",
+  "studio.problems_one": "{n} problème à corriger avant d'enregistrer",
+  "studio.course": "cours",
+  "studio.saved": "« {title} » est enregistré et le cours l'utilise désormais.",
+  "studio.confirmReplace": "Remplacer la copie de travail de l'atelier par « {title} » ?",
+  "studio.loaded": "« {file} » est chargé dans l'atelier. Corrige les problèmes listés, puis enregistre.",
+  "studio.notLoaded": "« {file} » n'a pas été chargé : {error}",
+  "studio.confirmStartOver": "Abandonner la copie de travail et repartir de « {title} » ?",
+  "studio.moveUp": "Monter {what}",
+  "studio.moveDown": "Descendre {what}",
+  "studio.delete": "Supprimer {what}",
+  "studio.confirmDelete": "Supprimer {what} ? C'est définitif (sauf si tu repars du cours).",
+  "studio.theQuestion": "la question {id}",
+  "studio.theSection": "la section {title}",
+  "studio.theSectionAll": "la section « {title} » avec ses leçons et ses questions",
+  "studio.theLesson": "la leçon {title}",
+  "studio.theLessonQuoted": "la leçon « {title} »",
+  "studio.theOption": "l'option {n}",
+  "studio.theCriterion": "le critère {n}",
+  "studio.hasProblems": "Contient des problèmes",
+  "studio.outline": "Plan du cours",
+  "studio.courseDetails": "Détails du cours",
+  "studio.lessons": "Leçons",
+  "studio.testQuestions": "Questions du test",
+  "studio.section": "Section",
+  "studio.lesson": "Leçon",
+  "studio.mcq": "QCM",
+  "studio.multipleChoice": "Choix multiple",
+  "studio.shortAnswer": "Réponse courte",
+  "studio.noPrompt": "(sans énoncé)",
+  "studio.none": "(aucune)",
+  "studio.courseId": "Identifiant du cours",
+  "studio.courseIdHint": "les paquets enregistrés sont identifiés par leur id ; celui d'un paquet intégré ne peut pas être réutilisé",
+  "studio.title": "Titre",
+  "studio.version": "Version",
+  "studio.nSections": "{n} sections",
+  "studio.nSections_one": "{n} section",
+  "studio.nLessons": "{n} leçons",
+  "studio.nLessons_one": "{n} leçon",
+  "studio.nTestQuestions": "{n} questions de test",
+  "studio.nTestQuestions_one": "{n} question de test",
+  "studio.nExamQuestions": "{n} questions d'examen",
+  "studio.nExamQuestions_one": "{n} question d'examen",
+  "studio.nBankQuestions": "{n} questions dans la banque du test",
+  "studio.nBankQuestions_one": "{n} question dans la banque du test",
+  "studio.sectionId": "Identifiant de la section",
+  "studio.sectionIdHint": "utilisé dans les liens ; les questions d'examen qui le portent et les liens du glossaire suivent le changement",
+  "studio.lessonId": "Identifiant de la leçon",
+  "studio.lessonIdHint": "les questions qui le portent et les liens du glossaire suivent le changement",
+  "studio.markdown": "Markdown",
+  "studio.markdownHint": "# titres, **gras**, listes, | tableaux |, $formules$, :::callout, ::diagram, ::question{id=…} — voir le README",
+  "studio.preview": "Aperçu",
+  "studio.nothingToPreview": "Rien à prévisualiser pour l'instant.",
+  "studio.options": "Options",
+  "studio.optionsHint": "coche la bonne",
+  "studio.optionCorrect": "L'option {n} est la bonne",
+  "studio.option": "Option {n}",
+  "studio.addOption": "Option",
+  "studio.criteria": "Critères du barème",
+  "studio.criteriaHint": "un point chacun ; les groupes de mots-clés du correcteur hors ligne suivent leur critère",
+  "studio.criterion": "Critère {n}",
+  "studio.addCriterion": "Critère",
+  "studio.keywordGroups": "{n} groupes de mots-clés",
+  "studio.keywordGroups_one": "{n} groupe de mots-clés",
+  "studio.guidance": "Consignes pour le correcteur",
+  "studio.optional": "facultatif",
+  "studio.minWords": "Nombre minimal de mots",
+  "studio.json": "JSON de la question ({type})",
+  "studio.jsonHint": "voir le format des paquets de contenu dans le README",
+  "studio.notObject": "Une question doit être un objet JSON dont `id`, `type` et `prompt` sont du texte.",
+  "studio.notApplied": "Non appliqué : {error}",
+  "studio.questionId": "Identifiant de la question",
+  "studio.questionIdHint": "les directives ::question qui l'affichent suivent le changement",
+  "studio.type": "Type",
+  "studio.marks": "Points (maxScore)",
+  "studio.prompt": "Énoncé",
+  "studio.unit": "Unité",
+  "studio.concept": "Notion",
+  "studio.difficulty": "Difficulté",
+  "diagram.reset": "Réinitialiser",
+  "diagram.resetTitle": "Réinitialiser le graphique",
+  "diagram.unknown": "Graphique inconnu « {kind} ». Disponibles : {kinds}.",
+  "diagram.title.supply-demand": "Demande et offre",
+  "diagram.title.ppc": "Frontière des possibilités de production",
+  "diagram.title.ad-as": "Demande et offre globales",
+  "diagram.title.externality": "Externalités : CmS/CmP et BmS/BmP",
+  "diagram.control.demandShift": "Déplacement de la demande",
+  "diagram.control.supplyShift": "Déplacement de l'offre",
+  "diagram.control.tax": "Taxe unitaire",
+  "diagram.control.growth": "Croissance économique",
+  "diagram.control.pointX": "Point A : biens de consommation",
+  "diagram.control.pointY": "Point A : biens d'équipement",
+  "diagram.control.adShift": "Déplacement de la DG",
+  "diagram.control.srasShift": "Déplacement de l'OGCT",
+  "diagram.control.lrasShift": "Déplacement de l'OGLT",
+  "diagram.control.gap": "Coût/bénéfice externe",
+  "diagram.control.policy": "Taxe/subvention par unité",
+  "diagram.D": "D",
+  "diagram.S": "O",
+  "diagram.sTax": "O + taxe",
+  "diagram.AD": "DG",
+  "diagram.SRAS": "OGCT",
+  "diagram.LRAS": "OGLT",
+  "diagram.PPC": "FPP",
+  "diagram.PL": "NP",
+  "diagram.MPB": "BmP",
+  "diagram.MSB": "BmS",
+  "diagram.MPC": "CmP",
+  "diagram.MSC": "CmS",
+  "diagram.mpbSubsidy": "BmP + subvention",
+  "diagram.mpcTax": "CmP + taxe",
+  "diagram.CS": "SC",
+  "diagram.PS": "SP",
+  "diagram.DWL": "Perte sèche",
+  "diagram.taxRevenue": "Recettes fiscales",
+  "diagram.welfareLoss": "Perte de bien-être",
+  "diagram.recessionaryGap": "Écart récessionniste",
+  "diagram.inflationaryGap": "Écart inflationniste",
+  "diagram.externalBenefit": "Bénéfice externe",
+  "diagram.externalCost": "Coût externe",
+  "diagram.market": "Marché",
+  "diagram.optimum": "Optimum",
+  "diagram.quantity": "Quantité",
+  "diagram.price": "Prix",
+  "diagram.consumerGoods": "Biens de consommation",
+  "diagram.capitalGoods": "Biens d'équipement",
+  "diagram.realGdp": "PIB réel",
+  "diagram.priceLevel": "Niveau des prix",
+  "diagram.benefitsCosts": "Bénéfices, coûts",
+  "diagram.costsBenefits": "Coûts, bénéfices",
+  "diagram.dragDemand": "Fais glisser pour déplacer la demande",
+  "diagram.dragSupply": "Fais glisser pour déplacer l'offre",
+  "diagram.dragCurve": "Fais glisser pour déplacer la courbe {curve}",
+  "diagram.dragPoint": "Fais glisser le point A",
+  "diagram.dragPpc": "Fais glisser pour déplacer la FPP",
+  "diagram.dragExternalBenefit": "Fais glisser pour modifier le bénéfice externe",
+  "diagram.dragExternalCost": "Fais glisser pour modifier le coût externe",
+  "diagram.equilibrium": "Équilibre : P = {p}, Q = {q}",
+  "diagram.surplus": "SC ≈ {cs} · SP ≈ {ps}",
+  "diagram.taxNote": "Recettes fiscales ≈ {revenue} · perte sèche ≈ {dwl}",
+  "diagram.efficient": "efficace (sur la FPP)",
+  "diagram.inefficient": "inefficace (à l'intérieur de la FPP)",
+  "diagram.unattainable": "inatteignable (à l'extérieur de la FPP)",
+  "diagram.pointIs": "Le point A est {status}.",
+  "diagram.grown": "La croissance économique a déplacé la FPP vers l'extérieur.",
+  "diagram.output": "Production réelle Y = {y}, niveau des prix = {pl}",
+  "diagram.fullEmployment": "La production est au plein emploi (Yf).",
+  "diagram.recessionaryGapOf": "Écart récessionniste de {gap}.",
+  "diagram.inflationaryGapOf": "Écart inflationniste de {gap}.",
+  "diagram.marketVsOptimum": "Production du marché {market} contre optimum social {optimum}.",
+  "diagram.internalizedTax": "La taxe internalise entièrement l'externalité.",
+  "diagram.internalizedSubsidy": "La subvention internalise entièrement l'externalité.",
+  "diagram.over": "Surproduction/surconsommation : perte de bien-être.",
+  "diagram.under": "Sous-production/sous-consommation : perte de bien-être.",
+};
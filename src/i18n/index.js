@@ -0,0 +1,73 @@
+import { createContext, useContext } from "react";
+import en from "./en";
+import es from "./es";
+import fr from "./fr";
+
+/**
+ * LOCALIZATION
+ * The interface is available in the three languages IB Economics is examined in. Messages live
+ * in one catalog per language (./en.js, ./es.js, ./fr.js), keyed by a dotted id:
+ *
+ *   t("test.title", { section: "Microeconomics" })   // "{section} — Section Test"
+ *   t("marks", { n: 1 })                              // "[1 mark]", from the "marks_one" variant
+ *
+ * `{name}` placeholders are filled from `vars`. When `vars.n` is a number, the plural form for
+ * the language (Intl.PluralRules: "marks_one", "marks_other") is used if the catalog has it.
+ * A key missing from a catalog falls back to English, then to the key itself, so an
+ * untranslated string is visible rather than blank.
+ *
+ * Course content is translated in the content pack instead (see ../content/locale.js). The
+ * AI tutor and marker are asked to reply in the chosen language (`languageName`).
+ */
+
+/** @typedef {"en"|"es"|"fr"} Locale */
+
+export const LOCALES = [
+  { id: "en", name: "English", english: "English" },
+  { id: "es", name: "Español", english: "Spanish" },
+  { id: "fr", name: "Français", english: "French" },
+];
+export const DEFAULT_LOCALE = "en";
+
+const CATALOGS = { en, es, fr };
+
+export const isLocale = (id) => LOCALES.some(l => l.id === id);
+
+/** The language's name in English, for instructions to the AI model ("Spanish"). */
+export const languageName = (locale) => (LOCALES.find(l => l.id === locale) || LOCALES[0]).english;
+
+/** The browser's preferred supported language, or English. */
+export function detectLocale() {
+  const langs = typeof navigator === "undefined" ? [] : navigator.languages?.length ? navigator.languages : [navigator.language];
+  for (const lang of langs) {
+    const id = String(lang || "").slice(0, 2).toLowerCase();
+    if (isLocale(id)) return id;
+  }
+  return DEFAULT_LOCALE;
+}
+
+const pluralRules = {};
+function pluralKey(locale, key, n) {
+  pluralRules[locale] ||= new Intl.PluralRules(locale);
+  return `${key}_${pluralRules[locale].select(n)}`;
+}
+
+/** Look up one message. @param {Locale} locale @param {string} key @param {Record<string, string|number>} [vars] */
+export function translate(locale, key, vars) {
+  const lookup = (k) => CATALOGS[locale]?.[k] ?? CATALOGS[DEFAULT_LOCALE][k];
+  const plural = typeof vars?.n === "number" ? lookup(pluralKey(isLocale(locale) ? locale : DEFAULT_LOCALE, key, vars.n)) : undefined;
+  const text = plural ?? lookup(key) ?? key;
+  return vars ? text.replace(/\{(\w+)\}/g, (m, name) => (vars[name] === undefined ? m : String(vars[name]))) : text;
+}
+
+// ----------------------------- React -----------------------------
+/** The open profile's language; provided by the course app. */
+export const I18nContext = createContext(DEFAULT_LOCALE);
+
+export const useLocale = () => useContext(I18nContext);
+
+/** `t(key, vars)` in the current language. */
+export function useT() {
+  const locale = useContext(I18nContext);
+  return (key, vars) => translate(locale, key, vars);
+}
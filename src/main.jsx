@@ -2,6 +2,10 @@ import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
 import './index.css'       // <-- REQUIRED
+import { registerServiceWorker } from './pwa'
+
+// Offline support; the dev server always serves fresh files.
+if (import.meta.env.PROD) registerServiceWorker()
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
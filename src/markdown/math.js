@@ -0,0 +1,105 @@
+/**
+ * FORMULAS
+ * A small TeX-like syntax for the formulas economics lessons need, written between $…$ (inline)
+ * or $$…$$ (on its own line):
+ *   \frac{a}{b}   x^2  x^{n+1}  Q_d  Q_{s}   \sqrt{x}   \text{words}
+ *   \Delta \alpha … (Greek letters)   \times \cdot \div \pm \approx \le \ge \neq \to \infty \%
+ * e.g. $PED = \frac{\%\Delta Q_d}{\%\Delta P}$ or $k = \frac{1}{1 - MPC}$. `-` is shown as a minus
+ * sign and `*` as ×. Unknown commands are shown by name. ../components/Markdown.jsx lays the
+ * tree out with plain HTML (no fonts or libraries); `mathText` reads it back as linear text for
+ * screen readers.
+ */
+
+/** @typedef {{ type:"text", value:string, italic?:boolean }|{ type:"frac", num:MathNode[], den:MathNode[] }|{ type:"sup"|"sub"|"sqrt"|"group", children:MathNode[] }} MathNode */
+
+const SYMBOLS = {
+  alpha: "α", beta: "β", gamma: "γ", delta: "δ", epsilon: "ε", eta: "η", theta: "θ", lambda: "λ", mu: "μ", pi: "π", rho: "ρ", sigma: "σ", tau: "τ", phi: "φ", omega: "ω",
+  Delta: "Δ", Gamma: "Γ", Pi: "Π", Sigma: "Σ", Omega: "Ω",
+  times: "×", cdot: "·", div: "÷", pm: "±", approx: "≈", le: "≤", leq: "≤", ge: "≥", geq: "≥", neq: "≠", ne: "≠",
+  to: "→", rightarrow: "→", Rightarrow: "⇒", uparrow: "↑", downarrow: "↓", infty: "∞", sum: "∑", ldots: "…", dots: "…", lt: "<", gt: ">",
+  "%": "%", $: "$", "{": "{", "}": "}", _: "_", "&": "&", "#": "#", ",": " ", ";": " ", " ": " ", quad: " ",
+};
+const OPERATORS = { "-": "−", "*": "×", "=": "=", "+": "+", "<": "<", ">": ">" };
+
+/** @returns {MathNode[]} */
+export function parseMath(src) {
+  let i = 0;
+  const s = String(src ?? "");
+
+  const readGroup = () => {
+    // after "{": read until the matching "}"
+    const nodes = readSeq("}");
+    i++;
+    return nodes;
+  };
+  const readCommand = () => {
+    // after "\\"
+    const m = s.slice(i).match(/^([A-Za-z]+|.)/);
+    if (!m) return [];
+    i += m[1].length;
+    const name = m[1];
+    if (name === "frac" || name === "dfrac" || name === "tfrac") return [{ type: "frac", num: readAtom(), den: readAtom() }];
+    if (name === "sqrt") return [{ type: "sqrt", children: readAtom() }];
+    if (name === "text" || name === "mathrm" || name === "textrm") {
+      if (s[i] !== "{") return [];
+      const end = s.indexOf("}", i);
+      const value = s.slice(i + 1, end < 0 ? s.length : end);
+      i = end < 0 ? s.length : end + 1;
+      return [{ type: "text", value }];
+    }
+    if (name === "left" || name === "right") return [];
+    if (SYMBOLS[name] !== undefined) return [{ type: "text", value: SYMBOLS[name] }];
+    return [{ type: "text", value: name }];
+  };
+  const readAtom = () => {
+    while (s[i] === " ") i++;
+    if (i >= s.length) return [];
+    const c = s[i++];
+    if (c === "{") return readGroup();
+    if (c === "\\") return readCommand();
+    return [charNode(c)];
+  };
+  const readSeq = (stop) => {
+    const nodes = [];
+    while (i < s.length && s[i] !== stop) {
+      const c = s[i];
+      if (c === "^" || c === "_") { i++; nodes.push({ type: c === "^" ? "sup" : "sub", children: readAtom() }); }
+      else if (c === "{") { i++; nodes.push({ type: "group", children: readGroup() }); }
+      else if (c === "\\") { i++; nodes.push(...readCommand()); }
+      else { i++; nodes.push(charNode(c)); }
+    }
+    return merge(nodes);
+  };
+  return readSeq(null);
+}
+
+function charNode(c) {
+  if (OPERATORS[c]) return { type: "text", value: ` ${OPERATORS[c]} ` };
+  return { type: "text", value: c, italic: /[A-Za-z]/.test(c) };
+}
+
+/** Join neighbouring text with the same style so "MPC" is one run. */
+function merge(nodes) {
+  const out = [];
+  for (const n of nodes) {
+    const last = out[out.length - 1];
+    if (n.type === "text" && last?.type === "text" && !!last.italic === !!n.italic) out[out.length - 1] = { ...last, value: last.value + n.value };
+    else out.push(n.type === "group" ? { ...n, children: merge(n.children) } : n);
+  }
+  return out;
+}
+
+/** Linear text for a formula, e.g. "k = 1 / (1 − MPC)". */
+export function mathText(nodes) {
+  const wrap = (t) => (/^[\w.%]+$/.test(t) ? t : `(${t})`);
+  return nodes.map(n => {
+    switch (n.type) {
+      case "text": return n.value;
+      case "frac": return `${wrap(mathText(n.num).trim())} / ${wrap(mathText(n.den).trim())}`;
+      case "sup": return ` to the power ${mathText(n.children).trim()} `;
+      case "sub": return ` sub ${mathText(n.children).trim()} `;
+      case "sqrt": return `square root of ${wrap(mathText(n.children).trim())}`;
+      default: return mathText(n.children);
+    }
+  }).join("").replace(/\s+/g, " ").trim();
+}
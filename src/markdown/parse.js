@@ -0,0 +1,271 @@
+/**
+ * MARKDOWN PARSER
+ * Turns lesson Markdown into a small syntax tree that ../components/Markdown.jsx renders as
+ * React elements, so nothing in a lesson or an imported pack is ever inserted as HTML. Raw HTML
+ * is shown as text, and links keep only http(s), mailto and in-app/relative targets.
+ *
+ * Blocks: # headings, paragraphs (a single newline is a line break), - / * / + and 1. lists
+ * (nested by indenting), > blockquotes, | tables | with a |---| row, ``` code ```, --- rules,
+ * $$ display formulas $$, and directives:
+ *   ::name{key="value"}          a leaf block, e.g. ::diagram{kind="ppc"}
+ *   :::name{key="value"}         a container whose body is Markdown, closed by a line of the
+ *   …                            same number of colons (use more colons to nest containers)
+ *   :::
+ * Inline: **bold**, *italic* / _italic_, ~~struck~~, `code`, [text](url "title"), $formula$
+ * (see ./math.js; a $ followed by a space or closed before a digit stays a dollar sign) and
+ * backslash escapes.
+ */
+
+/** @typedef {{ type:"text", value:string }|{ type:"br" }|{ type:"strong"|"em"|"del", children:Inline[] }|{ type:"code"|"math", value:string }|{ type:"link", href:string|null, title?:string, children:Inline[] }} Inline */
+/** @typedef {{ type:"heading", level:number, children:Inline[] }|{ type:"paragraph", children:Inline[] }|{ type:"list", ordered:boolean, start:number, tight:boolean, items:Block[][] }|{ type:"blockquote", children:Block[] }|{ type:"table", align:(null|"left"|"center"|"right")[], head:Inline[][], rows:Inline[][][] }|{ type:"code", lang:string, value:string }|{ type:"math", value:string }|{ type:"hr" }|{ type:"directive", name:string, attrs:Record<string, string>, source:string }|{ type:"container", name:string, attrs:Record<string, string>, children:Block[], source:string }} Block */
+
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)/;
+const HEADING_RE = /^ {0,3}(#{1,6})[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/;
+const HR_RE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE_RE = /^ {0,3}>[ ]?/;
+const LIST_RE = /^( *)([-*+]|\d{1,9}[.)])([ \t]+|$)/;
+const LEAF_RE = /^::([a-z][\w-]*)(?:\{([^}]*)\})?[ \t]*$/;
+const CONTAINER_RE = /^(:{3,})([a-z][\w-]*)(?:\{([^}]*)\})?[ \t]*$/;
+const MATH_LINE_RE = /^ {0,3}\$\$(.+)\$\$[ \t]*$/;
+const MATH_FENCE_RE = /^ {0,3}\$\$[ \t]*$/;
+const TABLE_DELIM_RE = /^ *\|? *:?-+:? *(\| *:?-+:? *)*\|? *$/;
+
+export function parseDirectiveAttrs(src = "") {
+  const attrs = {};
+  for (const m of src.matchAll(/([\w-]+)=(?:"([^"]*)"|(\S+))/g)) attrs[m[1]] = m[2] ?? m[3];
+  return attrs;
+}
+
+/** @returns {Block[]} */
+export function parseMarkdown(md) {
+  return parseBlocks(String(md ?? "").replace(/\r\n?/g, "\n").replace(/\t/g, "    ").split("\n"));
+}
+
+// ----------------------------- Blocks -----------------------------
+const indentOf = (line) => line.match(/^ */)[0].length;
+const isTableStart = (lines, i) => lines[i].includes("|") && i + 1 < lines.length && lines[i + 1].includes("-") && TABLE_DELIM_RE.test(lines[i + 1]);
+
+/** Does `line` begin a block that ends a paragraph? */
+function startsBlock(line) {
+  return FENCE_RE.test(line) || HEADING_RE.test(line) || HR_RE.test(line) || QUOTE_RE.test(line) || (LIST_RE.test(line) && line.trim().length > 1)
+    || LEAF_RE.test(line) || CONTAINER_RE.test(line) || MATH_FENCE_RE.test(line) || MATH_LINE_RE.test(line);
+}
+
+function parseBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    let m;
+    if (!line.trim()) { i++; continue; }
+    if ((m = line.match(FENCE_RE))) {
+      let end = i + 1;
+      while (end < lines.length && !lines[end].trim().startsWith(m[1])) end++;
+      blocks.push({ type: "code", lang: m[2], value: lines.slice(i + 1, end).join("\n") });
+      i = end + 1;
+    } else if ((m = line.match(MATH_LINE_RE))) {
+      blocks.push({ type: "math", value: m[1].trim() });
+      i++;
+    } else if (MATH_FENCE_RE.test(line)) {
+      let end = i + 1;
+      while (end < lines.length && !MATH_FENCE_RE.test(lines[end])) end++;
+      blocks.push({ type: "math", value: lines.slice(i + 1, end).join(" ").trim() });
+      i = end + 1;
+    } else if ((m = line.match(CONTAINER_RE))) {
+      const fence = m[1];
+      let end = i + 1, depth = 0;
+      for (; end < lines.length; end++) {
+        const t = lines[end].trim();
+        if (t === fence) { if (depth === 0) break; depth--; }
+        else if (t.startsWith(fence) && CONTAINER_RE.test(t) && t.match(CONTAINER_RE)[1] === fence) depth++;
+      }
+      blocks.push({ type: "container", name: m[2], attrs: parseDirectiveAttrs(m[3]), children: parseBlocks(lines.slice(i + 1, end)), source: line.trim() });
+      i = end + 1;
+    } else if ((m = line.match(LEAF_RE))) {
+      blocks.push({ type: "directive", name: m[1], attrs: parseDirectiveAttrs(m[2]), source: line.trim() });
+      i++;
+    } else if ((m = line.match(HEADING_RE))) {
+      blocks.push({ type: "heading", level: m[1].length, children: parseInline(m[2]) });
+      i++;
+    } else if (HR_RE.test(line)) {
+      blocks.push({ type: "hr" });
+      i++;
+    } else if (QUOTE_RE.test(line)) {
+      const body = [];
+      while (i < lines.length && QUOTE_RE.test(lines[i])) body.push(lines[i++].replace(QUOTE_RE, ""));
+      blocks.push({ type: "blockquote", children: parseBlocks(body) });
+    } else if (LIST_RE.test(line) && line.trim().length > 1) {
+      const list = parseList(lines, i);
+      blocks.push(list.block);
+      i = list.end;
+    } else if (isTableStart(lines, i)) {
+      const table = parseTable(lines, i);
+      blocks.push(table.block);
+      i = table.end;
+    } else {
+      const body = [line.trim()];
+      i++;
+      while (i < lines.length && lines[i].trim() && !startsBlock(lines[i]) && !isTableStart(lines, i)) body.push(lines[i++].trim());
+      blocks.push({ type: "paragraph", children: parseInline(body.join("\n")) });
+    }
+  }
+  return blocks;
+}
+
+/** A list starting at line `start`: its items' lines, de-indented and parsed as blocks (so lists nest). */
+function parseList(lines, start) {
+  const first = lines[start].match(LIST_RE);
+  const ordered = /\d/.test(first[2]);
+  const sibling = (line) => {
+    const m = line.match(LIST_RE);
+    return m && /\d/.test(m[2]) === ordered && m[1].length <= first[1].length + 3 && line.trim().length > 1 ? m : null;
+  };
+  const items = [];
+  let i = start, tight = true;
+  while (i < lines.length) {
+    const m = sibling(lines[i]);
+    if (!m) break;
+    const gap = m[3].length;
+    const offset = m[1].length + m[2].length + (gap >= 1 && gap <= 4 ? gap : 1);
+    const body = [lines[i].slice(offset)];
+    i++;
+    while (i < lines.length) {
+      const line = lines[i];
+      if (!line.trim()) {
+        let j = i;
+        while (j < lines.length && !lines[j].trim()) j++;
+        if (j < lines.length && indentOf(lines[j]) >= offset) { body.push(...lines.slice(i, j).map(() => "")); tight = false; i = j; continue; }
+        break;
+      }
+      if (indentOf(line) >= offset) body.push(line.slice(offset));
+      else if (!startsBlock(line)) body.push(line.trim()); // a lazy continuation of the item's text
+      else break;
+      i++;
+    }
+    items.push(parseBlocks(body));
+    let j = i;
+    while (j < lines.length && !lines[j].trim()) j++;
+    if (j > i && j < lines.length && sibling(lines[j])) { tight = false; i = j; }
+  }
+  return { block: { type: "list", ordered, start: ordered ? parseInt(first[2], 10) : 1, tight, items }, end: i };
+}
+
+function splitRow(line) {
+  const cells = [];
+  let cell = "";
+  const body = line.trim().replace(/^\|/, "").replace(/(^|[^\\])\|$/, "$1");
+  for (let k = 0; k < body.length; k++) {
+    if (body[k] === "\\" && body[k + 1] === "|") { cell += "|"; k++; }
+    else if (body[k] === "|") { cells.push(cell.trim()); cell = ""; }
+    else cell += body[k];
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+function parseTable(lines, start) {
+  const head = splitRow(lines[start]);
+  const align = splitRow(lines[start + 1]).map(d => (d.startsWith(":") && d.endsWith(":") ? "center" : d.endsWith(":") ? "right" : d.startsWith(":") ? "left" : null));
+  const rows = [];
+  let i = start + 2;
+  while (i < lines.length && lines[i].trim() && lines[i].includes("|")) {
+    const cells = splitRow(lines[i++]);
+    rows.push(head.map((_, k) => parseInline(cells[k] ?? "")));
+  }
+  return { block: { type: "table", align: head.map((_, k) => align[k] ?? null), head: head.map(h => parseInline(h)), rows }, end: i };
+}
+
+// ----------------------------- Inline -----------------------------
+const ESCAPABLE = /[\\`*_{}[\]()#+\-.!|$~>]/;
+
+/** Links go to the web, an e-mail address, or somewhere in the app; anything else (javascript:, data:, …) is dropped. */
+export function safeHref(href) {
+  const url = String(href ?? "").trim();
+  if (!url || [...url].some(ch => ch.charCodeAt(0) < 32)) return null;
+  if (/^(https?:|mailto:)/i.test(url)) return url;
+  return /^[a-z][a-z0-9+.-]*:/i.test(url) ? null : url;
+}
+
+/** The index of the `$` closing an inline formula opened at `i`, or -1 (then it's just a dollar sign). */
+function closingDollar(src, i) {
+  if (!src[i + 1] || /[\s$]/.test(src[i + 1])) return -1;
+  for (let j = src.indexOf("$", i + 1); j > 0; j = src.indexOf("$", j + 1)) {
+    if (!/[\s\\]/.test(src[j - 1]) && !/\d/.test(src[j + 1] || "")) return j;
+  }
+  return -1;
+}
+
+/** The index of the delimiter closing emphasis opened at `i`, or -1. */
+function closingDelim(src, i, d) {
+  const open = i + d.length;
+  if (!src[open] || /\s/.test(src[open])) return -1;
+  if (d[0] === "_" && /[A-Za-z0-9]/.test(src[i - 1] || "")) return -1;
+  for (let j = src.indexOf(d, open + 1); j > 0; j = src.indexOf(d, j + 1)) {
+    if (d.length === 1 && src[j + 1] === d) { j++; continue; } // part of a ** or __ pair
+    if (/\s/.test(src[j - 1])) continue;
+    if (d[0] === "_" && /[A-Za-z0-9]/.test(src[j + d.length] || "")) continue;
+    return j;
+  }
+  return -1;
+}
+
+function matchLink(src, i) {
+  let depth = 0, k = i;
+  for (; k < src.length; k++) {
+    if (src[k] === "\\") { k++; continue; }
+    if (src[k] === "[") depth++;
+    else if (src[k] === "]" && --depth === 0) break;
+  }
+  if (k >= src.length || src[k + 1] !== "(") return null;
+  const m = src.slice(k + 1).match(/^\(\s*(<[^>]*>|(?:[^\s()]|\([^\s()]*\))+)(?:\s+"([^"]*)")?\s*\)/);
+  if (!m) return null;
+  return { text: src.slice(i + 1, k), href: safeHref(m[1].replace(/^<|>$/g, "")), title: m[2], end: k + 1 + m[0].length };
+}
+
+/** @returns {Inline[]} */
+export function parseInline(src) {
+  const out = [];
+  let text = "";
+  const push = (node) => {
+    if (text) { out.push({ type: "text", value: text }); text = ""; }
+    out.push(node);
+  };
+  let i = 0;
+  while (i < src.length) {
+    const c = src[i];
+    if (c === "\\" && ESCAPABLE.test(src[i + 1] || "")) { text += src[i + 1]; i += 2; continue; }
+    if (c === "\n") { push({ type: "br" }); i++; continue; }
+    if (c === "`") {
+      const run = src.slice(i).match(/^`+/)[0];
+      const end = src.indexOf(run, i + run.length);
+      if (end > 0) { push({ type: "code", value: src.slice(i + run.length, end).trim() }); i = end + run.length; continue; }
+      text += run; i += run.length; continue;
+    }
+    if (c === "$") {
+      const end = closingDollar(src, i);
+      if (end > 0) { push({ type: "math", value: src.slice(i + 1, end) }); i = end + 1; continue; }
+    }
+    if (c === "[") {
+      const link = matchLink(src, i);
+      if (link) { push({ type: "link", href: link.href, title: link.title, children: parseInline(link.text) }); i = link.end; continue; }
+    }
+    const d = ["**", "__", "~~", "*", "_"].find(x => src.startsWith(x, i));
+    if (d) {
+      const end = closingDelim(src, i, d);
+      if (end > 0) {
+        push({ type: d === "~~" ? "del" : d.length === 2 ? "strong" : "em", children: parseInline(src.slice(i + d.length, end)) });
+        i = end + d.length;
+        continue;
+      }
+      text += d; i += d.length; continue;
+    }
+    text += c; i++;
+  }
+  if (text) out.push({ type: "text", value: text });
+  return out;
+}
+
+/** The plain text of inline nodes (for labels and search). */
+export function inlineText(nodes) {
+  return nodes.map(n => (n.type === "text" || n.type === "code" || n.type === "math" ? n.value : n.type === "br" ? " " : inlineText(n.children || []))).join("");
+}
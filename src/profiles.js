@@ -0,0 +1,123 @@
+import { loadOrRecover, readRaw, removeLS, saveLS } from "./storage";
+import { DEFAULT_LOCALE, translate } from "./i18n";
+
+/**
+ * LEARNER PROFILES
+ * Several students can share one browser. Every per-student key — progress (with the attempt
+ * history), settings (name, API key, …), tutor threads and exam sessions — is stored once per
+ * profile as "<key>@<profileId>". Content packs loaded in Settings are shared by all profiles.
+ *
+ *   ibecon_tutor_profiles_v1: { version: 1, activeId, profiles: [{ id, name, pinHash?, createdAt }] }
+ *
+ * A PIN stops classmates opening the wrong profile by accident; it is not security (anyone with
+ * the browser's developer tools can read local storage). Only a salted SHA-256 hash is kept.
+ *
+ * The first run with profiles moves the existing single-student data into a "default" profile.
+ */
+
+/** @typedef {{ id:string, name:string, pinHash?:string, createdAt:string }} Profile */
+/** @typedef {{ version:number, activeId:string|null, profiles:Profile[] }} ProfileStore */
+
+export const LS_PROFILES_KEY = "ibecon_tutor_profiles_v1";
+export const DEFAULT_PROFILE_ID = "default";
+const MAX_NAME = 40;
+
+export const profileKey = (key, profileId) => `${key}@${profileId}`;
+
+/** A name or PIN that is not accepted; `key` and `vars` give the message in the i18n catalogs. */
+export class ProfileError extends Error {
+  constructor(key, vars) { super(translate(DEFAULT_LOCALE, key, vars)); this.name = "ProfileError"; this.key = key; this.vars = vars; }
+}
+
+function validateProfiles(v) {
+  if (!v || typeof v !== "object" || !Array.isArray(v.profiles)) throw new Error("Saved profiles must be { activeId, profiles: [...] }.");
+  const profiles = v.profiles.filter(p => typeof p?.id === "string" && typeof p.name === "string");
+  if (!profiles.length) throw new Error("There are no saved profiles.");
+  const activeId = profiles.some(p => p.id === v.activeId) ? v.activeId : null;
+  return { version: 1, activeId, profiles };
+}
+
+/** Copy the pre-profile keys into the default profile, then remove them. */
+function migrateLegacy(dataKeys) {
+  for (const key of dataKeys) {
+    const raw = readRaw(key);
+    if (raw == null) continue;
+    try { localStorage.setItem(profileKey(key, DEFAULT_PROFILE_ID), raw); } catch (e) { console.warn(`Could not move "${key}" into the default profile:`, e); continue; }
+    removeLS(key);
+  }
+}
+
+/**
+ * Load the profiles, creating the default profile (with any existing data) on first run. The
+ * default profile is named after the student name in the old settings, when there is one.
+ * @param {string[]} dataKeys every per-student storage key
+ * @param {string} settingsKey the key whose `name` names the default profile
+ * @returns {{ store:ProfileStore, issue:null|{ key:string, backupKey:string, message:string, raw:string } }}
+ */
+export function loadProfiles(dataKeys, settingsKey) {
+  const { value, issue } = loadOrRecover(LS_PROFILES_KEY, null, validateProfiles);
+  if (value) return { store: value, issue };
+  let name = "";
+  try { name = JSON.parse(readRaw(settingsKey) || "{}")?.name || ""; } catch { /* unreadable settings keep their recovery path */ }
+  // After a corrupt profile list the data keys are already namespaced; don't touch them.
+  if (!issue) migrateLegacy(dataKeys);
+  const store = { version: 1, activeId: DEFAULT_PROFILE_ID, profiles: [{ id: DEFAULT_PROFILE_ID, name: cleanName(name) || "Student", createdAt: new Date().toISOString() }] };
+  saveLS(LS_PROFILES_KEY, store); // at once: the old keys are gone now
+  return { store, issue };
+}
+
+// ----------------------------- Changes -----------------------------
+function cleanName(name) {
+  return String(name ?? "").replace(/\s+/g, " ").trim().slice(0, MAX_NAME);
+}
+
+function checkName(store, name, exceptId) {
+  const clean = cleanName(name);
+  if (!clean) throw new ProfileError("profiles.nameRequired");
+  if (store.profiles.some(p => p.id !== exceptId && p.name.toLowerCase() === clean.toLowerCase())) throw new ProfileError("profiles.nameTaken", { name: clean });
+  return clean;
+}
+
+/** @returns {{ store:ProfileStore, profile:Profile }} the new profile is not made active; add a PIN with setProfilePin */
+export function createProfile(store, name) {
+  const profile = { id: `p-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, name: checkName(store, name), createdAt: new Date().toISOString() };
+  return { store: { ...store, profiles: [...store.profiles, profile] }, profile };
+}
+
+export function renameProfile(store, id, name) {
+  const clean = checkName(store, name, id);
+  return { ...store, profiles: store.profiles.map(p => (p.id === id ? { ...p, name: clean } : p)) };
+}
+
+/** Set (or with `null`, remove) a profile's PIN. */
+export function setProfilePin(store, id, pinHash) {
+  const withPin = (p) => {
+    const { pinHash: _old, ...rest } = p;
+    return pinHash ? { ...rest, pinHash } : rest;
+  };
+  return { ...store, profiles: store.profiles.map(p => (p.id === id ? withPin(p) : p)) };
+}
+
+/** Remove a profile and everything stored for it. The last profile can't be deleted. */
+export function deleteProfile(store, id, dataKeys) {
+  if (store.profiles.length <= 1) throw new ProfileError("profiles.lastProfileError");
+  for (const key of dataKeys) removeLS(profileKey(key, id));
+  return { ...store, activeId: store.activeId === id ? null : store.activeId, profiles: store.profiles.filter(p => p.id !== id) };
+}
+
+export const selectProfile = (store, id) => ({ ...store, activeId: store.profiles.some(p => p.id === id) ? id : null });
+
+// ----------------------------- PINs -----------------------------
+export const isValidPin = (pin) => /^\d{4,8}$/.test(pin);
+
+/** Hex SHA-256 of the PIN, salted with the profile id so equal PINs don't look equal. */
+export async function hashPin(profileId, pin) {
+  const bytes = new TextEncoder().encode(`${profileId}:${pin}`);
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+export async function checkPin(profile, pin) {
+  if (!profile.pinHash) return true;
+  return (await hashPin(profile.id, pin)) === profile.pinHash;
+}
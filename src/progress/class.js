@@ -0,0 +1,221 @@
+import { loadOrRecover } from "../storage";
+import { defaultProgress, mergeProgress, migrateProgress, parseProgressImport } from "./model";
+import { PASS_MARK } from "../assessment/review";
+import { DEFAULT_LOCALE, translate } from "../i18n";
+
+/**
+ * CLASS ANALYTICS
+ * A teacher imports the progress files students export from Settings (or a bare list of attempts)
+ * and gets a class view: best scores per section as a pass-rate heatmap, item analysis per
+ * question, and the students below the pass mark. Files are read in the browser; nothing is sent
+ * anywhere. The class list is kept on this device, shared by all learner profiles like content packs.
+ *
+ *   ibecon_tutor_class_v1: { students: [{ id, name, files: string[], importedAt, progress }] }
+ *
+ * Importing a second file for a student with the same name merges it into their progress
+ * (mergeProgress), so re-collecting exports during a term doesn't double-count attempts.
+ *
+ * Item analysis reads the attempts' saved papers. MCQ answers are mapped back to the bank's
+ * option order through `optionOrder`, and data-response parts count as "<questionId>.<partId>".
+ * The exam column's title and the CSV headers are in the teacher's language (`class.*` messages).
+ */
+
+/** @typedef {{ id:string, name:string, files:string[], importedAt:string, progress:import("./model").Progress }} ClassStudent */
+/** @typedef {{ id:string, title:string, kind:"section"|"exam" }} ClassColumn */
+/** @typedef {{ id:string, sectionId:string|null, type:string, prompt:string, difficulty?:string, responses:number, students:number, facility:number, options?:{ text:string, count:number, correct:boolean }[], criteria?:{ text:string, met:number, of:number }[] }} ItemStats */
+
+export const LS_CLASS_KEY = "ibecon_tutor_class_v1";
+const ATTEMPTS_KIND = "ibecon-tutor/attempts";
+
+function validateClass(v) {
+  if (!Array.isArray(v?.students)) throw new Error("The saved class must be { students: [...] }.");
+  return { students: v.students.filter(s => typeof s?.id === "string" && typeof s.name === "string").map(s => ({ ...s, progress: migrateProgress(s.progress) })) };
+}
+
+export function loadClass() {
+  return loadOrRecover(LS_CLASS_KEY, { students: [] }, validateClass);
+}
+
+// ----------------------------- Import -----------------------------
+const nameFromFile = (fileName) => fileName.replace(/\.json$/i, "").replace(/^ibecon-progress-/, "").replace(/-\d{4}-\d{2}-\d{2}$/, "").replace(/[-_]+/g, " ").trim();
+
+/** A list of attempts (bare, or as `{ kind, student, attempts }`) as progress with those attempts only. */
+function attemptsAsProgress(data) {
+  const attempts = Array.isArray(data) ? data : data?.kind === ATTEMPTS_KIND ? data.attempts : null;
+  if (!Array.isArray(attempts)) return null;
+  const p = { ...defaultProgress(), attempts: attempts.filter(Boolean) };
+  for (const a of p.attempts) {
+    if (a.kind === "exam") p.exam = { attempts: p.exam.attempts + 1, best: Math.max(p.exam.best, a.percent) };
+    else if (a.sectionId) p.sectionScores[a.sectionId] = { attempts: (p.sectionScores[a.sectionId]?.attempts || 0) + 1, best: Math.max(p.sectionScores[a.sectionId]?.best || 0, a.percent) };
+  }
+  return p;
+}
+
+/**
+ * Read one student's file: a progress export, bare progress, or a list of attempts.
+ * @returns {{ name:string, progress:object|null, error:string|null }}
+ */
+export function parseStudentFile(text, fileName) {
+  let data = null;
+  try { data = JSON.parse(text); } catch { /* reported by parseProgressImport below */ }
+  const fromAttempts = attemptsAsProgress(data);
+  if (fromAttempts) {
+    try { return { name: data?.student || nameFromFile(fileName), progress: migrateProgress(fromAttempts), error: null }; }
+    catch (e) { return { name: "", progress: null, error: e.message }; }
+  }
+  const { progress, student, error } = parseProgressImport(text);
+  return { name: student || nameFromFile(fileName), progress, error };
+}
+
+/** Add a student's progress to the class, merging with a student of the same name. */
+export function addStudent(cls, { name, progress, file }) {
+  const clean = String(name || "").replace(/\s+/g, " ").trim() || "Unnamed student";
+  const existing = cls.students.find(s => s.name.toLowerCase() === clean.toLowerCase());
+  const importedAt = new Date().toISOString();
+  if (existing) {
+    const merged = { ...existing, files: [...new Set([...existing.files, file])], importedAt, progress: mergeProgress(existing.progress, progress) };
+    return { students: cls.students.map(s => (s.id === existing.id ? merged : s)) };
+  }
+  const student = { id: `s-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, name: clean, files: [file], importedAt, progress };
+  return { students: [...cls.students, student] };
+}
+
+export const removeStudent = (cls, id) => ({ students: cls.students.filter(s => s.id !== id) });
+
+// ----------------------------- Scores -----------------------------
+/** @returns {ClassColumn[]} the course's sections, then the final exam */
+export function classColumns(sections, locale = DEFAULT_LOCALE) {
+  return [...sections.map(s => ({ id: s.id, title: s.title, kind: "section" })), { id: "exam", title: translate(locale, "header.exam"), kind: "exam" }];
+}
+
+/** A student's best percent in a column, or null when they haven't attempted it. */
+export function bestFor(progress, column) {
+  const rec = column.kind === "exam" ? progress.exam : progress.sectionScores[column.id];
+  return rec && rec.attempts > 0 ? rec.best : null;
+}
+
+/** Per column: how many students attempted it, how many passed, and the pass rate (null if nobody attempted it). */
+export function passRates(students, columns) {
+  return columns.map(c => {
+    const bests = students.map(s => bestFor(s.progress, c)).filter(b => b !== null);
+    const passed = bests.filter(b => b >= PASS_MARK).length;
+    return { id: c.id, attempted: bests.length, passed, rate: bests.length ? Math.round((passed / bests.length) * 100) : null };
+  });
+}
+
+/** Students with at least one attempted section or exam below the pass mark, weakest first. */
+export function studentsBelowPass(students, columns) {
+  return students
+    .map(s => {
+      const below = columns.map(c => ({ column: c, best: bestFor(s.progress, c) })).filter(x => x.best !== null && x.best < PASS_MARK);
+      return { student: s, below, lowest: Math.min(...below.map(x => x.best)) };
+    })
+    .filter(x => x.below.length)
+    .sort((a, b) => a.lowest - b.lowest || a.student.name.localeCompare(b.student.name));
+}
+
+// ----------------------------- Item analysis -----------------------------
+function bankQuestions(pack) {
+  const bank = new Map();
+  const add = (q, sectionId) => {
+    bank.set(q.id, { q, sectionId });
+    if (q.type === "data") for (const p of q.parts || []) bank.set(`${q.id}.${p.id}`, { q: p, sectionId });
+  };
+  for (const s of pack.sections) for (const q of s.test?.questions || []) add(q, s.id);
+  for (const q of pack.finalExam?.questions || []) add(q, q.unit || null);
+  return bank;
+}
+
+/**
+ * Item analysis over every saved paper in the class. `facility` is the mean share of marks scored
+ * (100 = everyone full marks); MCQs count how often each option was chosen; short answers give how
+ * often each rubric criterion was met.
+ * @returns {ItemStats[]} in course order, then questions no longer in the course
+ */
+export function itemAnalysis(students, pack) {
+  const bank = bankQuestions(pack);
+  const stats = new Map();
+  const statFor = (id, q, sectionId) => {
+    if (!stats.has(id)) {
+      const known = bank.get(id);
+      const base = known?.q || q;
+      stats.set(id, {
+        id, sectionId: known?.sectionId ?? sectionId, type: base.type, prompt: base.prompt || "", difficulty: base.difficulty,
+        responses: 0, students: new Set(), scored: 0,
+        ...(base.type === "mcq" ? { options: (known ? base.options : unshuffled(q)).map((text, i) => ({ text, count: 0, correct: i === (known ? base.answer : originalIndex(q, q.answer)) })) } : {}),
+        ...(base.type === "short" ? { criteria: [] } : {}),
+      });
+    }
+    return stats.get(id);
+  };
+  const record = (id, q, answer, result, studentId, sectionId) => {
+    if (!result || !(result.max > 0)) return;
+    const st = statFor(id, q, sectionId);
+    st.responses++; st.students.add(studentId); st.scored += Math.min(1, result.score / result.max);
+    if (st.options && Number.isInteger(answer)) {
+      const option = st.options[originalIndex(q, answer)];
+      if (option) option.count++;
+    }
+    if (st.criteria && Array.isArray(result.criteria)) result.criteria.forEach((c, i) => {
+      st.criteria[i] ||= { text: c.text, met: 0, of: 0 };
+      st.criteria[i].of++;
+      if (c.met) st.criteria[i].met++;
+    });
+    if (q.type === "data") for (const p of q.parts || []) record(`${id}.${p.id}`, p, answer?.[p.id], result.partResults?.[p.id], studentId, sectionId);
+  };
+  for (const s of students) for (const a of s.progress.attempts) {
+    if (!a.questions || !a.results) continue;
+    for (const q of a.questions) record(q.id, q, a.answers?.[q.id], a.results[q.id], s.id, a.kind === "exam" ? q.unit || null : a.sectionId);
+  }
+  const order = [...bank.keys()];
+  const rank = (id) => { const i = order.indexOf(id); return i < 0 ? order.length : i; };
+  return [...stats.values()]
+    .sort((a, b) => rank(a.id) - rank(b.id) || a.id.localeCompare(b.id))
+    .map(({ scored, students: who, ...st }) => ({ ...st, students: who.size, facility: Math.round((scored / st.responses) * 100) }));
+}
+
+/** A paper's shuffled MCQ position → the bank's option index. */
+const originalIndex = (q, i) => (Array.isArray(q.optionOrder) ? q.optionOrder[i] : i);
+
+/** A saved MCQ's options back in bank order. */
+function unshuffled(q) {
+  if (!Array.isArray(q.optionOrder)) return q.options;
+  const out = [];
+  q.optionOrder.forEach((orig, i) => { out[orig] = q.options[i]; });
+  return out;
+}
+
+// ----------------------------- CSV -----------------------------
+// Names and prompts come from imported files: text a spreadsheet would run as a formula
+// (=, +, -, @, or a tab or return first) is prefixed with ' so it stays text.
+const FORMULA_RE = /^[=+\-@\t\r]/;
+const csvCell = (v) => {
+  let s = v === null || v === undefined ? "" : String(v);
+  if (typeof v === "string" && FORMULA_RE.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+export const toCsv = (rows) => `${rows.map(r => r.map(csvCell).join(",")).join("\r\n")}\r\n`;
+
+/** One row per student: best percent per section and the exam, lessons completed, sections below the pass mark. */
+export function scoresCsv(students, columns, sections, locale = DEFAULT_LOCALE) {
+  const t = (key, vars) => translate(locale, key, vars);
+  const lessons = sections.reduce((n, s) => n + s.lessons.length, 0);
+  const header = [t("class.student"), ...columns.map(c => c.title), t("class.csvLessons"), t("class.csvBelow", { pass: PASS_MARK })];
+  const rows = students.map(s => {
+    const bests = columns.map(c => bestFor(s.progress, c));
+    const done = sections.reduce((n, sec) => n + sec.lessons.filter(l => s.progress.lessonsCompleted[`${sec.id}_${l.id}`]).length, 0);
+    return [s.name, ...bests, `${done}/${lessons}`, columns.filter((c, i) => bests[i] !== null && bests[i] < PASS_MARK).map(c => c.title).join("; ")];
+  });
+  const rates = passRates(students, columns);
+  return toCsv([header, ...rows, [t("class.csvPassRate"), ...rates.map(r => r.rate), "", ""]]);
+}
+
+/** One row per question: facility, tagged difficulty, MCQ option counts and rubric criterion coverage. */
+export function itemsCsv(items, locale = DEFAULT_LOCALE) {
+  const header = ["csvQuestion", "csvSection", "csvType", "csvTagged", "csvPrompt", "csvResponses", "csvStudents", "csvFacility", "csvOptions", "csvCriteria"].map(k => translate(locale, `class.${k}`));
+  return toCsv([header, ...items.map(it => [
+    it.id, it.sectionId, it.type, it.difficulty, it.prompt, it.responses, it.students, it.facility,
+    it.options?.map((o, i) => `${String.fromCharCode(65 + i)}${o.correct ? "*" : ""}: ${o.count}`).join("; "),
+    it.criteria?.map((c, i) => `${i + 1}: ${Math.round((c.met / c.of) * 100)}`).join("; "),
+  ])]);
+}
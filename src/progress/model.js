@@ -0,0 +1,140 @@
+import { loadOrRecover, readRaw } from "../storage";
+
+/**
+ * PROGRESS MODEL
+ * Progress is stored with an explicit `version`. Older data is upgraded step by step
+ * through MIGRATIONS (v1 → v2 → …) whenever it is loaded or imported, so a file exported
+ * by any release can be restored by a later one.
+ *
+ * v1 (key "ibecon_tutor_progress_v1", no version field):
+ *   { lessonsCompleted, sectionScores: { [sectionId]: { attempts, best } }, exam: { attempts, best } }
+ * v2 (key "ibecon_tutor_progress"):
+ *   v1 + { version: 2, attempts: Attempt[], updatedAt }
+ *   Attempts graded since the review screen also carry the paper (`questions`), `answers`,
+ *   per-question `results` and `recommendations` (a review plan, see ../assessment/review.js;
+ *   older exam attempts only have `{ overall, weakSections }`).
+ */
+
+export const PROGRESS_VERSION = 2;
+export const LS_PROGRESS_KEY = "ibecon_tutor_progress";
+export const LS_PROGRESS_V1_KEY = "ibecon_tutor_progress_v1";
+const EXPORT_KIND = "ibecon-tutor/progress";
+
+/** @typedef {{ score:number, max:number, feedback:string, correct?:boolean, criteria?:{text:string, met:boolean, score?:number, comment?:string, evidence?:string, negated?:string, hint?:string}[]|null, steps?:{label:string, expected:number, given:string, correct:boolean, marks:number}[], parts?:{label:string, given:string|null, expected:string, correct:boolean}[], level?:number, bands?:{id:string, title:string, score:number, max:number, comment:string}[], partResults?:Record<string, QuestionResult> }} QuestionResult */
+/** @typedef {{ id:string, kind:"section"|"exam", sectionId?:string, percent:number, at:string, points?:number, max?:number, questions?:object[], answers?:Record<string, any>, results?:Record<string, QuestionResult>, recommendations?:object }} Attempt */
+/** @typedef {{ version:number, lessonsCompleted:Record<string, boolean>, sectionScores:Record<string, { attempts:number, best:number }>, exam:{ attempts:number, best:number }, attempts:Attempt[], updatedAt:string|null }} Progress */
+
+export class ProgressError extends Error {
+  constructor(message) { super(message); this.name = "ProgressError"; }
+}
+
+/** @returns {Progress} */
+export function defaultProgress() {
+  return { version: PROGRESS_VERSION, lessonsCompleted: {}, sectionScores: {}, exam: { attempts: 0, best: 0 }, attempts: [], updatedAt: null };
+}
+
+export function newAttemptId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// ----------------------------- Migrations -----------------------------
+// MIGRATIONS[n] upgrades a version-n object to version n+1.
+const MIGRATIONS = {
+  1: (p) => ({
+    version: 2,
+    lessonsCompleted: { ...(p.lessonsCompleted || {}) },
+    sectionScores: { ...(p.sectionScores || {}) },
+    exam: { attempts: p.exam?.attempts || 0, best: p.exam?.best || 0 },
+    attempts: [],
+    updatedAt: null,
+  }),
+};
+
+/** Upgrade any known progress version to the current one and check its shape. Throws ProgressError. */
+export function migrateProgress(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw new ProgressError("Progress data must be an object.");
+  let p = data;
+  let version = Number.isInteger(p.version) ? p.version : 1;
+  if (version > PROGRESS_VERSION) throw new ProgressError(`Progress was saved by a newer version of the app (v${version}).`);
+  while (version < PROGRESS_VERSION) {
+    const step = MIGRATIONS[version];
+    if (!step) throw new ProgressError(`No migration from progress v${version}.`);
+    p = step(p);
+    version = p.version;
+  }
+  const problems = validateProgress(p);
+  if (problems.length) throw new ProgressError(`Progress data is invalid: ${problems.join("; ")}`);
+  return p;
+}
+
+const isScore = (v) => typeof v === "number" && v >= 0 && v <= 100;
+const isCount = (v) => Number.isInteger(v) && v >= 0;
+const isRecord = (v) => v && typeof v === "object" && !Array.isArray(v);
+
+/** @returns {string[]} problems with a current-version progress object */
+export function validateProgress(p) {
+  const problems = [];
+  if (!isRecord(p.lessonsCompleted)) problems.push("lessonsCompleted must be an object");
+  if (!isRecord(p.sectionScores)) problems.push("sectionScores must be an object");
+  else for (const [id, s] of Object.entries(p.sectionScores)) {
+    if (!isRecord(s) || !isCount(s.attempts) || !isScore(s.best)) problems.push(`sectionScores.${id} needs attempts and a 0–100 best`);
+  }
+  if (!isRecord(p.exam) || !isCount(p.exam.attempts) || !isScore(p.exam.best)) problems.push("exam needs attempts and a 0–100 best");
+  if (!Array.isArray(p.attempts)) problems.push("attempts must be a list");
+  else p.attempts.forEach((a, i) => {
+    if (!isRecord(a) || typeof a.id !== "string" || !["section", "exam"].includes(a.kind) || !isScore(a.percent)) problems.push(`attempts[${i}] is malformed`);
+  });
+  return problems;
+}
+
+// ----------------------------- Merge -----------------------------
+/** Combine two progress objects: union of lessons and attempts, best scores kept. */
+export function mergeProgress(a, b) {
+  const byId = new Map();
+  for (const at of [...a.attempts, ...b.attempts]) if (!byId.has(at.id)) byId.set(at.id, at);
+  const attempts = [...byId.values()].sort((x, y) => String(x.at).localeCompare(String(y.at)));
+
+  const sectionScores = {};
+  for (const id of new Set([...Object.keys(a.sectionScores), ...Object.keys(b.sectionScores)])) {
+    const x = a.sectionScores[id] || { attempts: 0, best: 0 };
+    const y = b.sectionScores[id] || { attempts: 0, best: 0 };
+    const recorded = attempts.filter(at => at.kind === "section" && at.sectionId === id).length;
+    sectionScores[id] = { attempts: Math.max(x.attempts, y.attempts, recorded), best: Math.max(x.best, y.best) };
+  }
+  const examRecorded = attempts.filter(at => at.kind === "exam").length;
+
+  return {
+    version: PROGRESS_VERSION,
+    lessonsCompleted: { ...a.lessonsCompleted, ...b.lessonsCompleted },
+    sectionScores,
+    exam: { attempts: Math.max(a.exam.attempts, b.exam.attempts, examRecorded), best: Math.max(a.exam.best, b.exam.best) },
+    attempts,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+// ----------------------------- Storage, export & import -----------------------------
+/**
+ * Load progress from local storage, upgrading legacy v1 data. Corrupt data is backed up and
+ * reported through `issue` rather than silently replaced. `keyFor` maps a storage key to the
+ * current profile's copy of it (see ../profiles.js).
+ * @returns {{ progress:Progress, issue:null|{ key:string, backupKey:string, message:string, raw:string } }}
+ */
+export function loadProgress(keyFor = (k) => k) {
+  const key = readRaw(keyFor(LS_PROGRESS_KEY)) != null ? keyFor(LS_PROGRESS_KEY) : keyFor(LS_PROGRESS_V1_KEY);
+  const { value, issue } = loadOrRecover(key, defaultProgress(), migrateProgress);
+  return { progress: value, issue };
+}
+
+export function exportProgress(progress, { name } = {}) {
+  return JSON.stringify({ kind: EXPORT_KIND, exportedAt: new Date().toISOString(), student: name || "", progress }, null, 2);
+}
+
+/** Parse an exported file (or a bare progress object) into current-version progress. */
+export function parseProgressImport(text) {
+  let data;
+  try { data = JSON.parse(text); } catch (e) { return { progress: null, student: "", error: `Not valid JSON: ${e.message}` }; }
+  const body = data?.kind === EXPORT_KIND ? data.progress : data;
+  try { return { progress: migrateProgress(body), student: data?.student || "", error: null }; }
+  catch (e) { return { progress: null, student: "", error: e.message }; }
+}
@@ -0,0 +1,81 @@
+import { useEffect, useState } from "react";
+
+/**
+ * OFFLINE APP
+ * The production build installs a service worker (./service-worker.js, emitted as sw.js by the
+ * plugin in vite.config.js) that keeps the app shell and every bundled content pack in a cache,
+ * so the course opens and runs without a connection.
+ *
+ * A new deployment is downloaded in the background and waits: `useUpdate` reports it and
+ * `applyUpdate` swaps it in and reloads when the student chooses to, never in the middle of a paper
+ * without asking (the reload goes through the same leave warning as any other).
+ *
+ * `isOnline`/`useOnline` tell the AI features to mark and answer with the offline heuristics
+ * instead of waiting for requests that can't succeed.
+ */
+
+const CHECK_EVERY_MS = 60 * 60 * 1000;
+
+let waiting = null; // the installed worker of a newer deployment
+const listeners = new Set();
+const setWaiting = (worker) => { waiting = worker; listeners.forEach(fn => fn(!!worker)); };
+
+/** Register the service worker. Call once at startup, in production builds only. */
+export function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  window.addEventListener("load", async () => {
+    let registration;
+    try {
+      registration = await navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`);
+    } catch (e) {
+      console.warn("Offline mode unavailable:", e.message);
+      return;
+    }
+    // Only an update waits behind a controlling worker; the first install just takes over.
+    const track = (worker) => {
+      if (!worker) return;
+      const ready = () => { if (worker.state === "installed" && navigator.serviceWorker.controller) setWaiting(worker); };
+      ready();
+      worker.addEventListener("statechange", ready);
+    };
+    track(registration.waiting || registration.installing);
+    registration.addEventListener("updatefound", () => track(registration.installing));
+    const check = () => { if (navigator.onLine) registration.update().catch(() => {}); };
+    setInterval(check, CHECK_EVERY_MS);
+    document.addEventListener("visibilitychange", () => { if (document.visibilityState === "visible") check(); });
+  });
+}
+
+/** Whether a newer version is downloaded and ready to use. */
+export function useUpdate() {
+  const [ready, setReady] = useState(!!waiting);
+  useEffect(() => {
+    listeners.add(setReady);
+    return () => listeners.delete(setReady);
+  }, []);
+  return ready;
+}
+
+/** Switch to the waiting version and reload into it. */
+export function applyUpdate() {
+  if (!waiting) return;
+  navigator.serviceWorker.addEventListener("controllerchange", () => window.location.reload(), { once: true });
+  waiting.postMessage({ type: "SKIP_WAITING" });
+}
+
+/** False when the browser knows it has no network connection. */
+export function isOnline() {
+  return typeof navigator === "undefined" || navigator.onLine !== false;
+}
+
+/** `isOnline()`, re-rendering when the connection comes or goes. */
+export function useOnline() {
+  const [online, setOnline] = useState(isOnline);
+  useEffect(() => {
+    const update = () => setOnline(isOnline());
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => { window.removeEventListener("online", update); window.removeEventListener("offline", update); };
+  }, []);
+  return online;
+}
@@ -0,0 +1,147 @@
+import { useCallback, useEffect, useState } from "react";
+
+/**
+ * HASH ROUTES
+ * Navigation lives in the URL hash, so it survives a refresh, works with the browser's back
+ * button and can be shared — and it needs no server rewrites under the GitHub Pages `base`.
+ *
+ *   #/                                home
+ *   #/section/<sectionId>             first lesson of a section
+ *   #/section/<sectionId>/<lessonId>  a lesson
+ *   #/test/<sectionId>                section test
+ *   #/exam                            Master Final Exam
+ *   #/dashboard   #/settings
+ *   #/glossary   #/glossary/<termId>  the glossary, optionally at one term
+ *   #/studio   #/class                teacher authoring studio, class analytics
+ *   #/review/<attemptId>              review of a saved attempt
+ *   #/retry/<attemptId>               practice the questions an attempt lost marks on
+ *   #/practice/<questionId>           try one course question (from search)
+ *
+ * Routes use the content pack's stable `id`s; anything that doesn't resolve shows a
+ * not-found page rather than a blank screen.
+ *
+ * A page can hold a leave guard (an exam in progress): leaving it by link, back button or
+ * closing the tab asks for confirmation first.
+ */
+
+/** @typedef {{ name:"home"|"lesson"|"test"|"exam"|"dashboard"|"settings"|"glossary"|"studio"|"class"|"review"|"retry"|"practice"|"notFound", sectionId?:string, lessonId?:string, attemptId?:string, termId?:string, questionId?:string, path?:string }} Route */
+/** @typedef {{ mode:string, sectionIndex:number, lessonIndex:number, attemptId?:string, termId?:string, questionId?:string, reason?:{ key:string, vars:object } }} View */
+
+const dec = (s) => { try { return decodeURIComponent(s); } catch { return s; } };
+const enc = encodeURIComponent;
+
+/** @returns {Route} */
+export function parseHash(hash) {
+  const path = (hash || "").replace(/^#\/?/, "").replace(/\/+$/, "");
+  const [head, ...rest] = path.split("/").filter(Boolean).map(dec);
+  if (!head) return { name: "home" };
+  if (head === "section" && rest.length >= 1 && rest.length <= 2) return { name: "lesson", sectionId: rest[0], lessonId: rest[1] };
+  if (head === "test" && rest.length === 1) return { name: "test", sectionId: rest[0] };
+  if ((head === "review" || head === "retry") && rest.length === 1) return { name: head, attemptId: rest[0] };
+  if (head === "glossary" && rest.length <= 1) return { name: "glossary", termId: rest[0] };
+  if (head === "practice" && rest.length === 1) return { name: "practice", questionId: rest[0] };
+  if (["exam", "dashboard", "settings", "studio", "class"].includes(head) && rest.length === 0) return { name: head };
+  return { name: "notFound", path: `/${path}` };
+}
+
+/** The hash for a route, e.g. `routeHref({ name: "test", sectionId: "micro-failure" })` → "#/test/micro-failure". */
+export function routeHref(route) {
+  switch (route.name) {
+    case "lesson": return `#/section/${enc(route.sectionId)}${route.lessonId ? `/${enc(route.lessonId)}` : ""}`;
+    case "test": return `#/test/${enc(route.sectionId)}`;
+    case "review": case "retry": return `#/${route.name}/${enc(route.attemptId)}`;
+    case "glossary": return `#/glossary${route.termId ? `/${enc(route.termId)}` : ""}`;
+    case "practice": return `#/practice/${enc(route.questionId)}`;
+    case "exam": case "dashboard": case "settings": case "studio": case "class": return `#/${route.name}`;
+    case "notFound": return `#${route.path || "/"}`;
+    default: return "#/";
+  }
+}
+
+/**
+ * Turn a route into the app's view, looking ids up in the current pack.
+ * @returns {View}
+ */
+export function resolveRoute(route, sections) {
+  const none = { sectionIndex: -1, lessonIndex: -1 };
+  const notFound = (key, vars) => ({ ...none, mode: "notFound", reason: { key, vars } });
+  switch (route.name) {
+    case "lesson":
+    case "test": {
+      const sectionIndex = sections.findIndex(s => s.id === route.sectionId);
+      if (sectionIndex < 0) return notFound("notFound.section", { id: route.sectionId });
+      if (route.name === "test") return { mode: "test", sectionIndex, lessonIndex: 0 };
+      const lessonIndex = route.lessonId ? sections[sectionIndex].lessons.findIndex(l => l.id === route.lessonId) : 0;
+      if (lessonIndex < 0) return notFound("notFound.lesson", { section: sections[sectionIndex].title, id: route.lessonId });
+      return { mode: "section", sectionIndex, lessonIndex };
+    }
+    case "review": case "retry": return { ...none, mode: route.name, attemptId: route.attemptId };
+    case "glossary": return { ...none, mode: "glossary", termId: route.termId };
+    case "practice": return { ...none, mode: "practice", questionId: route.questionId };
+    case "exam": case "dashboard": case "settings": case "studio": case "class": return { ...none, mode: route.name };
+    case "notFound": return notFound("notFound.page", { path: route.path });
+    default: return { ...none, mode: "home" };
+  }
+}
+
+// ----------------------------- Leave guard -----------------------------
+/** @type {null|{ hash:string, message:string }} */
+let guard = null;
+
+function confirmLeave() {
+  return !guard || window.confirm(guard.message);
+}
+
+/**
+ * While `active`, ask before leaving the current page. Returns `release()`, which drops the
+ * guard at once (e.g. just before navigating away after a submit).
+ */
+export function useLeaveGuard(active, message) {
+  useEffect(() => {
+    if (!active) return;
+    const mine = { hash: window.location.hash, message };
+    guard = mine;
+    const onBeforeUnload = (e) => { e.preventDefault(); e.returnValue = message; };
+    window.addEventListener("beforeunload", onBeforeUnload);
+    return () => {
+      if (guard === mine) guard = null;
+      window.removeEventListener("beforeunload", onBeforeUnload);
+    };
+  }, [active, message]);
+  return useCallback(() => { guard = null; }, []);
+}
+
+// ----------------------------- Hook -----------------------------
+/**
+ * The current route and a `navigate(route, { replace })` function. Navigating updates the
+ * hash (adding a history entry unless `replace`) and scrolls to the top; it returns false when
+ * the student chose to stay on a guarded page.
+ * @returns {[Route, (route:Route, opts?:{ replace?:boolean })=>boolean]}
+ */
+export function useHashRoute() {
+  const [route, setRoute] = useState(() => parseHash(window.location.hash));
+  useEffect(() => {
+    const onChange = () => {
+      // Back/forward away from a guarded page: put the page back unless the student confirms.
+      if (guard && window.location.hash !== guard.hash && !confirmLeave()) { window.history.pushState(window.history.state, "", guard.hash); return; }
+      setRoute(parseHash(window.location.hash));
+      window.scrollTo(0, 0);
+    };
+    window.addEventListener("hashchange", onChange);
+    return () => window.removeEventListener("hashchange", onChange);
+  }, []);
+  const navigate = useCallback((next, { replace = false } = {}) => {
+    const hash = routeHref(next);
+    if (hash === window.location.hash) return true;
+    if (!confirmLeave()) return false;
+    guard = null; // confirmed (or none): don't ask again when the hashchange arrives
+    if (replace) {
+      window.history.replaceState(window.history.state, "", hash);
+      setRoute(parseHash(hash));
+    } else {
+      window.location.hash = hash;
+    }
+    return true;
+  }, []);
+  return [route, navigate];
+}
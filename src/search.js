@@ -0,0 +1,183 @@
+import { stem, words } from "./grading/heuristic";
+import { plainText, tokenize } from "./tutor/retrieval";
+import { syllabusTags } from "./assessment/review";
+
+/**
+ * COURSE SEARCH
+ * The search palette's index over the open (translated) pack, built in the browser:
+ *  - lessons: title and text,
+ *  - questions of the section tests and the final exam, data-response parts included: the prompt,
+ *    and rubric criteria and guidance, which are searched but never shown (they are the answer),
+ *  - glossary entries: term, aliases and definition.
+ *
+ * Every word of the query must match; the last one also matches as a prefix while it is being
+ * typed. Hits are ranked with BM25 (titles and terms count more, the whole phrase counts extra)
+ * and come with highlighted parts of the title and a snippet around the best match.
+ */
+
+/** @typedef {{ name:string, sectionId?:string, lessonId?:string, questionId?:string, termId?:string }} SearchTarget a route (./routing.js) */
+/** @typedef {{ id:string, kind:"lesson"|"question"|"term", title:string, where:string, text:string, tokens:string[], phrase:string, target:SearchTarget }} SearchDoc */
+/** @typedef {{ text:string, hit:boolean }[]} Highlighted */
+/** @typedef {{ doc:SearchDoc, score:number, title:Highlighted, snippet:Highlighted }} SearchHit */
+
+const K1 = 1.2, B = 0.75;
+const TITLE_WEIGHT = 3;
+const PHRASE_BOOST = 1.5;
+const SNIPPET = 160;
+const WORD_RE = /[\p{L}\p{N}]+/gu;
+
+/** Lesson Markdown as searchable text: no top heading (the title), directives, table rules or emphasis marks. */
+const lessonText = (md) => plainText(md.replace(/^#\s.*$/m, "").replace(/^\s*:{2,}.*$/gm, "").replace(/^\s*\|?[\s:|-]+\|[\s:|-]*$/gm, "").replace(/\|/g, " ").replace(/(^|\s)\*([^*\n]+)\*/g, "$1$2"));
+/** A numeric question's `{{name}}` placeholders get new values every attempt. */
+const promptText = (prompt) => plainText(String(prompt || "").replace(/\$?\{\{\w+\}\}/g, "…"));
+
+function doc({ id, kind, title, where, text, hidden = "", weighted = title, target }) {
+  return {
+    id, kind, title, where, text, target,
+    tokens: [...Array(TITLE_WEIGHT).fill(tokenize(weighted)).flat(), ...(weighted === title ? [] : tokenize(title)), ...tokenize(text), ...tokenize(hidden)],
+    phrase: words(`${title} ${text} ${hidden}`).join(" "),
+  };
+}
+
+/**
+ * Index a pack for the search palette.
+ * @param {{ exam:string }} labels where final-exam questions without a lesson are said to be
+ * @returns {{ docs:SearchDoc[], avgdl:number }}
+ */
+export function buildSearchIndex(pack, glossary, labels) {
+  const docs = [];
+  const lessonOf = new Map(pack.sections.flatMap(s => s.lessons.map(l => [`${s.id}/${l.id}`, l])));
+  const where = (q, sectionId) => {
+    const tags = syllabusTags(q, sectionId);
+    const section = pack.sections.find(s => s.id === tags.unit);
+    const lesson = section && lessonOf.get(`${section.id}/${tags.lesson}`);
+    return lesson ? `${section.title} · ${lesson.title}` : section?.title || labels.exam;
+  };
+  const addQuestion = (q, sectionId) => {
+    const parts = q.type === "data" ? q.parts || [] : [q];
+    const rubrics = parts.flatMap(p => [...(p.rubric?.criteria || []), p.rubric?.guidance || ""]);
+    docs.push(doc({
+      id: `question:${q.id}`, kind: "question", title: promptText(q.prompt), where: where(q, sectionId), weighted: "",
+      text: q.type === "data" ? parts.map(p => promptText(p.prompt)).join(" ") : "", hidden: rubrics.join(" "),
+      target: { name: "practice", questionId: q.id },
+    }));
+  };
+
+  for (const section of pack.sections) {
+    for (const lesson of section.lessons) {
+      docs.push(doc({ id: `lesson:${section.id}/${lesson.id}`, kind: "lesson", title: lesson.title, where: section.title, text: lessonText(lesson.md),
+        target: { name: "lesson", sectionId: section.id, lessonId: lesson.id } }));
+    }
+    for (const q of section.test?.questions || []) addQuestion(q, section.id);
+  }
+  for (const q of pack.finalExam?.questions || []) addQuestion(q, null);
+  for (const { entry } of glossary?.items || []) {
+    docs.push(doc({ id: `term:${entry.id}`, kind: "term", title: entry.term, where: (entry.aliases || []).join(", "), text: entry.definition,
+      weighted: [entry.term, ...(entry.aliases || [])].join(" "), target: { name: "glossary", termId: entry.id } }));
+  }
+  const avgdl = docs.reduce((n, d) => n + d.tokens.length, 0) / (docs.length || 1);
+  return { docs, avgdl };
+}
+
+// ----------------------------- Query -----------------------------
+/**
+ * The query's words as matchers. A finished word matches its stem; the word still being typed
+ * (no space after it yet) also matches longer words it begins.
+ */
+function parseQuery(query) {
+  const all = words(query);
+  const typing = all.length > 0 && !/\s$/.test(query);
+  const terms = [];
+  all.forEach((w, i) => {
+    const prefix = typing && i === all.length - 1;
+    const s = stem(w);
+    if (!prefix && tokenize(w).length === 0) return; // a stopword
+    terms.push({ stem: s, word: w, prefix });
+  });
+  return { terms, phrase: all.join(" ") };
+}
+
+const matches = (term, token) => token === term.stem
+  || (term.prefix && (token.startsWith(term.word) || (term.word.startsWith(token) && token.length >= 3 && term.word.length - token.length <= 3)));
+
+/** Does this word of a text match one of the query's terms? */
+const isHit = (terms, word) => {
+  const w = words(word)[0];
+  return !!w && terms.some(t => matches(t, stem(w)) || (t.prefix && w.startsWith(t.word)));
+};
+
+/** Split text into plain and highlighted parts. @returns {Highlighted} */
+function highlight(text, terms) {
+  const out = [];
+  let at = 0;
+  for (const m of text.matchAll(WORD_RE)) {
+    if (!isHit(terms, m[0])) continue;
+    if (m.index > at) out.push({ text: text.slice(at, m.index), hit: false });
+    out.push({ text: m[0], hit: true });
+    at = m.index + m[0].length;
+  }
+  if (at < text.length) out.push({ text: text.slice(at), hit: false });
+  return out;
+}
+
+/** About SNIPPET characters of `text` around the stretch with the most different query words. */
+function snippet(text, terms) {
+  if (!text) return [];
+  if (text.length <= SNIPPET) return highlight(text, terms);
+  const hits = [...text.matchAll(WORD_RE)].filter(m => isHit(terms, m[0])).map(m => ({ index: m.index, word: words(m[0])[0] }));
+  let start = 0, best = -1;
+  for (const h of hits) {
+    const inside = new Set(hits.filter(o => o.index >= h.index && o.index < h.index + SNIPPET / 2).map(o => o.word)).size;
+    if (inside > best) { best = inside; start = h.index; }
+  }
+  // Start a little before the first hit, at a word boundary.
+  let from = Math.max(0, start - SNIPPET / 4);
+  if (from > 0) from = text.indexOf(" ", from) + 1 || from;
+  let to = Math.min(text.length, from + SNIPPET);
+  if (to < text.length) to = text.lastIndexOf(" ", to) > from ? text.lastIndexOf(" ", to) : to;
+  const parts = highlight(text.slice(from, to), terms);
+  if (from > 0) parts.unshift({ text: "…", hit: false });
+  if (to < text.length) parts.push({ text: "…", hit: false });
+  return parts;
+}
+
+/**
+ * Search the index. Every query word must match.
+ * @returns {SearchHit[]} best first
+ */
+export function searchCourse(index, query, { limit = 20 } = {}) {
+  const { terms, phrase } = parseQuery(query);
+  if (!terms.length) return [];
+  const found = [];
+  const df = terms.map(() => 0);
+  for (const d of index.docs) {
+    const tf = terms.map(t => d.tokens.filter(tok => matches(t, tok)).length);
+    tf.forEach((f, i) => { if (f) df[i] += 1; });
+    if (tf.every(f => f > 0)) found.push({ doc: d, tf });
+  }
+  const n = index.docs.length;
+  const hits = found.map(({ doc: d, tf }) => {
+    let score = 0;
+    tf.forEach((f, i) => {
+      const idf = Math.log(1 + (n - df[i] + 0.5) / (df[i] + 0.5));
+      score += idf * (f * (K1 + 1)) / (f + K1 * (1 - B + B * (d.tokens.length / index.avgdl)));
+    });
+    if (terms.length > 1 && d.phrase.includes(phrase)) score *= PHRASE_BOOST;
+    return { doc: d, score };
+  });
+  return hits.sort((a, b) => b.score - a.score).slice(0, limit)
+    .map(h => ({ ...h, title: highlight(h.doc.title, terms), snippet: snippet(h.doc.text, terms) }));
+}
+
+/** Ctrl+K (⌘K on a Mac) anywhere, or "/" outside a text field, opens the search palette. */
+export function isSearchShortcut(e) {
+  if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === "k") return true;
+  const el = e.target;
+  const typing = el?.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(el?.tagName);
+  return e.key === "/" && !typing && !e.ctrlKey && !e.metaKey && !e.altKey;
+}
+
+/** How to write the shortcut on this device. */
+export function searchShortcutLabel() {
+  return typeof navigator !== "undefined" && /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent || "") ? "⌘K" : "Ctrl K";
+}
@@ -0,0 +1,59 @@
+/**
+ * SERVICE WORKER
+ * Built into sw.js by the plugin in vite.config.js, which fills in the build's file list and
+ * version. Registered by ./pwa.js.
+ *
+ * - Install: cache every file of this build (the app shell, scripts with the bundled content
+ *   packs, styles, icons, manifest). A newer build installs beside the old one and waits until
+ *   the student accepts the update (a SKIP_WAITING message).
+ * - Activate: drop the caches of older builds.
+ * - Fetch: pages are answered with the cached app shell (routes live in the hash), this build's
+ *   files from the cache, other same-origin files from the network with the cache as fallback.
+ *   Requests to other origins (the AI provider) are left alone.
+ */
+
+const VERSION = self.__VERSION__ || "dev";
+const PRECACHE = self.__PRECACHE__ || [];
+const PREFIX = "ibecon-tutor-";
+const CACHE = `${PREFIX}${VERSION}`;
+const SHELL = new URL("index.html", self.registration.scope).href;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(n => n.startsWith(PREFIX) && n !== CACHE).map(n => caches.delete(n)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+/** Network first, keeping a copy; the cached copy when the network fails. */
+async function fromNetwork(request) {
+  const cache = await caches.open(CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) cache.put(request, res.clone());
+    return res;
+  } catch (e) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+  if (request.mode === "navigate") {
+    event.respondWith(caches.match(SHELL, { cacheName: CACHE }).then(res => res || fetch(request)));
+    return;
+  }
+  event.respondWith(caches.match(request, { cacheName: CACHE }).then(res => res || fromNetwork(request)));
+});
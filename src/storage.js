@@ -0,0 +1,69 @@
+/**
+ * LOCAL STORAGE HELPERS
+ * JSON values under string keys. Unreadable values are never dropped silently:
+ * `loadLS` throws a CorruptDataError and `loadOrRecover` copies the raw text to a
+ * backup key before handing back the fallback, so the caller can tell the student.
+ */
+
+export class CorruptDataError extends Error {
+  constructor(key, raw, cause) {
+    super(`Stored data under "${key}" could not be read${cause?.message ? `: ${cause.message}` : "."}`);
+    this.name = "CorruptDataError";
+    this.key = key;
+    this.raw = raw;
+  }
+}
+
+export function readRaw(key) {
+  try { return localStorage.getItem(key); } catch { return null; }
+}
+
+/** Parse the JSON stored under `key`; `fallback` when nothing is stored. Throws CorruptDataError on bad JSON. */
+export function loadLS(key, fallback) {
+  const raw = readRaw(key);
+  if (raw == null || raw === "") return fallback;
+  try { return JSON.parse(raw); } catch (e) { throw new CorruptDataError(key, raw, e); }
+}
+
+export function saveLS(key, value) {
+  try { localStorage.setItem(key, JSON.stringify(value)); return true; } catch (e) { console.warn(`Could not save "${key}":`, e); return false; }
+}
+
+export function removeLS(key) {
+  try { localStorage.removeItem(key); } catch { /* storage unavailable */ }
+}
+
+/** Keep unreadable data under a timestamped key so it can be inspected or sent to a teacher. */
+export function backupCorrupt(key, raw) {
+  const backupKey = `${key}__corrupt_${new Date().toISOString().replace(/[:.]/g, "-")}`;
+  try { localStorage.setItem(backupKey, raw); } catch (e) { console.warn(`Could not back up "${key}":`, e); }
+  return backupKey;
+}
+
+/**
+ * Load `key`, and if the data is corrupt back it up and return the fallback together with an issue
+ * describing what happened. `validate` may throw to reject well-formed JSON with the wrong shape.
+ * @returns {{ value:any, issue:null|{ key:string, backupKey:string, message:string, raw:string } }}
+ */
+export function loadOrRecover(key, fallback, validate = (v) => v) {
+  let raw = null;
+  try {
+    const stored = loadLS(key, undefined);
+    if (stored === undefined) return { value: fallback, issue: null };
+    raw = readRaw(key);
+    return { value: validate(stored), issue: null };
+  } catch (e) {
+    raw = e instanceof CorruptDataError ? e.raw : raw;
+    const backupKey = backupCorrupt(key, raw ?? "");
+    return { value: fallback, issue: { key, backupKey, message: e.message, raw: raw ?? "" } };
+  }
+}
+
+/** Trigger a browser download of `text` as `filename`. */
+export function downloadText(filename, text, type = "application/json") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url; a.download = filename;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,174 @@
+import { stem, words } from "../grading/heuristic";
+import { mathText, parseMath } from "../markdown/math";
+import { DEFAULT_LOCALE, translate } from "../i18n";
+import { buildGlossary, findTerms } from "../content/glossary";
+
+/**
+ * COURSE RETRIEVAL
+ * A BM25 index over the active content pack, built in the browser:
+ *  - lesson passages (each paragraph or list item of a lesson's markdown),
+ *  - glossary terms: the pack's glossary (../content/glossary.js) and passages that open with a
+ *    bold term, e.g. "**Demand**: …",
+ *  - short-answer rubrics (prompt, criteria and guidance), including data-response parts.
+ *
+ * Without an AI provider the tutor answers straight from the best passages; with one, the same
+ * passages are added to the prompt, with the glossary definitions of terms the student used.
+ * Either way the lessons they come from are cited.
+ */
+
+/** @typedef {{ id:string, kind:"lesson"|"term"|"rubric", sectionId:string|null, lessonId:string|null, title:string, text:string, term?:string, prompt?:string, criteria?:string[], tokens:string[] }} Passage */
+/** @typedef {{ sectionId:string, lessonId:string, title:string }} Source */
+
+const K1 = 1.2, B = 0.75;
+/** Passages from the lesson the student is reading rank a little higher. */
+const HERE_BOOST = 1.25;
+const TERM_WEIGHT = 3;
+
+const STOPWORDS = new Set("a an the and or of to in on for with by as at from into is are was were be been it its this that these those their there which who what when where why how than then so such can could may might will would should do does did has have had i me my you your we our they them explain tell about please help mean means".split(" "));
+
+export function tokenize(text) {
+  return words(text).filter(w => !STOPWORDS.has(w)).map(stem);
+}
+
+/** Markdown → plain text for display in the tutor dock. */
+export function plainText(md) {
+  return md.replace(/^#+\s*/gm, "").replace(/\*\*(.+?)\*\*/g, "$1").replace(/`([^`]+)`/g, "$1")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1").replace(/\$([^\s$][^$]*?)(?<!\s)\$(?!\d)/g, (_, f) => mathText(parseMath(f)))
+    .replace(/\s+/g, " ").trim();
+}
+
+// ----------------------------- Index -----------------------------
+function lessonPassages(section, lesson) {
+  const out = [];
+  // Paragraphs are passages; so is each item of a list.
+  const blocks = lesson.md.split(/\n\s*\n/).flatMap(block => {
+    const lines = block.split("\n").map(l => l.trim()).filter(l => l && !/^:{2,}\w*/.test(l) && !/^#+\s/.test(l));
+    return lines.length && lines.every(l => /^([-*]|\d+\.)\s/.test(l)) ? lines.map(l => l.replace(/^([-*]|\d+\.)\s+/, "")) : [lines.join("\n")];
+  });
+  blocks.forEach((text, i) => {
+    if (!text) return;
+    const base = { sectionId: section.id, lessonId: lesson.id, title: lesson.title };
+    const term = text.match(/^\*\*(.+?)\*\*\s*[:—–-]\s*(.+)/s);
+    if (term) {
+      out.push({ ...base, id: `${section.id}/${lesson.id}#term${i}`, kind: "term", term: term[1], text,
+        tokens: [...Array(TERM_WEIGHT).fill(tokenize(term[1])).flat(), ...tokenize(term[2])] });
+    } else {
+      out.push({ ...base, id: `${section.id}/${lesson.id}#p${i}`, kind: "lesson", text, tokens: [...tokenize(lesson.title), ...tokenize(text)] });
+    }
+  });
+  return out;
+}
+
+function rubricPassage(q, section) {
+  if (q.type !== "short" || !q.rubric?.criteria?.length) return null;
+  const lesson = section?.lessons.find(l => l.id === q.lesson);
+  const text = `${q.prompt}\nA good answer covers: ${q.rubric.criteria.join("; ")}.${q.rubric.guidance ? ` ${q.rubric.guidance}` : ""}`;
+  return {
+    id: `rubric:${q.id}`, kind: "rubric", sectionId: section?.id || null, lessonId: lesson?.id || null,
+    title: lesson?.title || (section ? `${section.title} test` : "Final exam"), text, tokens: tokenize(text),
+    prompt: q.prompt, criteria: q.rubric.criteria,
+  };
+}
+
+/** A glossary entry, cited from the first lesson that uses it. */
+function glossaryPassage({ entry, lessons }) {
+  const lesson = lessons[0];
+  return {
+    id: `glossary:${entry.id}`, kind: "term", sectionId: lesson?.sectionId || null, lessonId: lesson?.lessonId || null,
+    title: lesson?.title || entry.term, term: entry.term, text: `**${entry.term}**: ${entry.definition}`,
+    tokens: [...Array(TERM_WEIGHT).fill(tokenize([entry.term, ...(entry.aliases || [])].join(" "))).flat(), ...tokenize(entry.definition)],
+  };
+}
+
+/** A question, or the parts of a data response (tagged like their question). */
+const withParts = (q) => (q?.type === "data" ? (q.parts || []).map(p => ({ lesson: q.lesson, ...p, id: `${q.id}.${p.id}` })) : [q]);
+
+/** Build the index for a content pack, with its glossary (built here unless given). */
+export function buildIndex(pack, glossary = buildGlossary(pack)) {
+  const passages = glossary.items.map(glossaryPassage);
+  for (const section of pack.sections) {
+    for (const lesson of section.lessons) passages.push(...lessonPassages(section, lesson));
+    for (const q of section.test.questions.flatMap(withParts)) { const p = rubricPassage(q, section); if (p) passages.push(p); }
+  }
+  for (const q of (pack.finalExam?.questions || []).flatMap(withParts)) { const p = rubricPassage(q, null); if (p) passages.push(p); }
+
+  const df = new Map();
+  for (const p of passages) for (const t of new Set(p.tokens)) df.set(t, (df.get(t) || 0) + 1);
+  const avgdl = passages.reduce((n, p) => n + p.tokens.length, 0) / (passages.length || 1);
+  return { passages, df, avgdl, n: passages.length, glossary };
+}
+
+// ----------------------------- Search -----------------------------
+/**
+ * Rank passages for a query with BM25.
+ * @param {{ sectionId?:string, lessonId?:string }} [here] where the student is, for a small boost
+ * @returns {{ passage:Passage, score:number }[]}
+ */
+export function search(index, query, { limit = 5, here = {}, kinds } = {}) {
+  const terms = [...new Set(tokenize(query))];
+  if (!terms.length) return [];
+  const hits = [];
+  for (const p of index.passages) {
+    if (kinds && !kinds.includes(p.kind)) continue;
+    let score = 0;
+    for (const t of terms) {
+      const tf = p.tokens.filter(x => x === t).length;
+      if (!tf) continue;
+      const df = index.df.get(t) || 0;
+      const idf = Math.log(1 + (index.n - df + 0.5) / (df + 0.5));
+      score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * (p.tokens.length / index.avgdl)));
+    }
+    if (!score) continue;
+    if (here.lessonId && p.lessonId === here.lessonId && p.sectionId === here.sectionId) score *= HERE_BOOST;
+    hits.push({ passage: p, score });
+  }
+  return hits.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+/** Distinct lessons behind a list of hits, in rank order. @returns {Source[]} */
+export function sourcesOf(hits) {
+  const seen = new Set();
+  const out = [];
+  for (const { passage: p } of hits) {
+    if (!p.lessonId || seen.has(`${p.sectionId}/${p.lessonId}`)) continue;
+    seen.add(`${p.sectionId}/${p.lessonId}`);
+    out.push({ sectionId: p.sectionId, lessonId: p.lessonId, title: p.title });
+  }
+  return out;
+}
+
+/** Definitions of the glossary terms in `text`, one per line, for an LLM prompt. */
+export function glossaryContext(index, text) {
+  const ids = [...new Set(findTerms(index.glossary, text).map(m => m.id))];
+  return ids.map(id => index.glossary.byId.get(id).entry).map(e => `- ${e.term}: ${e.definition}`).join("\n");
+}
+
+/** Snippets for an LLM prompt, numbered so the model can refer to them. */
+export function retrievalContext(hits) {
+  return hits.map(({ passage: p }, i) => `[${i + 1}] ${p.title}${p.kind === "rubric" ? " (marking rubric)" : ""}: ${plainText(p.text)}`).join("\n");
+}
+
+/**
+ * Answer a question from the course alone, framed in the student's language.
+ * @returns {{ content:string, sources:Source[] }|null} null when nothing relevant was found
+ */
+export function answerFromCourse(index, question, here, locale = DEFAULT_LOCALE) {
+  const t = (key, vars) => translate(locale, key, vars);
+  const hits = search(index, question, { limit: 6, here });
+  if (!hits.length || hits[0].score < 1) return null;
+  // Keep hits that are reasonably close to the best one, at most three, and a term only once
+  // (the glossary and the lesson that introduces it often define it alike).
+  const terms = new Set();
+  const top = hits.filter(h => h.score >= hits[0].score * 0.45)
+    .filter(({ passage: p }) => p.kind !== "term" || (!terms.has(p.term.toLowerCase()) && terms.add(p.term.toLowerCase())))
+    .slice(0, 3);
+  const lines = top.map(({ passage: p }) => {
+    if (p.kind === "term") return `• ${p.term} — ${plainText(p.text).replace(/^.+?[:—–-]\s*/, "")} ${t("tutor.from", { title: p.title })}`;
+    if (p.kind === "rubric") return `• ${t("tutor.examiners", { prompt: plainText(p.prompt), criteria: p.criteria.join("; ") })}`;
+    return `• ${plainText(p.text)} ${t("tutor.from", { title: p.title })}`;
+  });
+  return {
+    content: `${t("tutor.courseSays")}\n${lines.join("\n")}\n${t("tutor.ownWords")}`,
+    sources: sourcesOf(top),
+  };
+}
@@ -0,0 +1,107 @@
+/**
+ * TUTOR THREADS
+ * Conversations with the tutor are kept per place in the course, so coming back to a lesson
+ * brings back what was said there:
+ *
+ *   { [threadKey]: { active:string, threads: Thread[] } }
+ *
+ * `threadKey` is "<sectionId>/<lessonId>" for lessons, "<sectionId>/test" for a section test,
+ * "exam" and "general" elsewhere. "New thread" keeps the old one in the list.
+ */
+
+/** @typedef {{ role:"user"|"assistant", content:string, at:string, sources?:{ sectionId:string, lessonId:string, title:string }[] }} TutorMessage */
+/** @typedef {{ id:string, createdAt:string, messages:TutorMessage[] }} Thread */
+
+export const LS_THREADS_KEY = "ibecon_tutor_threads_v1";
+const MAX_THREADS_PER_KEY = 10;
+const MAX_MESSAGES_PER_THREAD = 200;
+
+/** Roughly how much of the model's context the conversation may use (system prompt and context come on top). */
+export const HISTORY_TOKEN_BUDGET = 3000;
+
+export function threadKeyFor(view, section, lesson) {
+  if (view.mode === "section" && section && lesson) return `${section.id}/${lesson.id}`;
+  if (view.mode === "test" && section) return `${section.id}/test`;
+  if (view.mode === "exam") return "exam";
+  return "general";
+}
+
+function newThread() {
+  return { id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`, createdAt: new Date().toISOString(), messages: [] };
+}
+
+/** Throws when stored threads have the wrong shape (used with loadOrRecover). */
+export function validateThreads(v) {
+  if (!v || typeof v !== "object" || Array.isArray(v)) throw new Error("Saved tutor threads must be an object.");
+  for (const [key, entry] of Object.entries(v)) {
+    if (!Array.isArray(entry?.threads) || !entry.threads.every(t => typeof t?.id === "string" && Array.isArray(t.messages))) {
+      throw new Error(`Saved tutor threads for "${key}" are malformed.`);
+    }
+  }
+  return v;
+}
+
+/** The active thread for a key (an empty one if there is none yet). */
+export function activeThread(store, key) {
+  const entry = store[key];
+  return entry?.threads.find(t => t.id === entry.active) || entry?.threads[entry.threads.length - 1] || { id: "", createdAt: "", messages: [] };
+}
+
+export function listThreads(store, key) {
+  return store[key]?.threads || [];
+}
+
+/** Append a message to the active thread, creating it if needed. Returns a new store. */
+export function appendMessage(store, key, message) {
+  const entry = store[key] || { active: "", threads: [] };
+  let thread = entry.threads.find(t => t.id === entry.active);
+  if (!thread) thread = newThread();
+  const updated = { ...thread, messages: [...thread.messages, { ...message, at: new Date().toISOString() }].slice(-MAX_MESSAGES_PER_THREAD) };
+  const threads = [...entry.threads.filter(t => t.id !== thread.id), updated].slice(-MAX_THREADS_PER_KEY);
+  return { ...store, [key]: { active: updated.id, threads } };
+}
+
+/** Empty the active thread. */
+export function clearThread(store, key) {
+  const entry = store[key];
+  if (!entry) return store;
+  return { ...store, [key]: { ...entry, threads: entry.threads.map(t => (t.id === entry.active ? { ...t, messages: [] } : t)) } };
+}
+
+/** Start a fresh thread; the current one stays in the list unless it is empty. */
+export function startThread(store, key) {
+  const entry = store[key] || { active: "", threads: [] };
+  const kept = entry.threads.filter(t => t.messages.length > 0);
+  const thread = newThread();
+  return { ...store, [key]: { active: thread.id, threads: [...kept, thread].slice(-MAX_THREADS_PER_KEY) } };
+}
+
+export function selectThread(store, key, id) {
+  const entry = store[key];
+  return entry ? { ...store, [key]: { ...entry, active: id } } : store;
+}
+
+/** About four characters per token for English text; close enough for budgeting. */
+export function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4) + 4;
+}
+
+/**
+ * The most recent messages that fit in `budget` tokens, oldest first. The latest message is
+ * always kept (cut down to the budget if it alone is too long).
+ * @param {{ role:string, content:string }[]} messages
+ */
+export function trimHistory(messages, budget = HISTORY_TOKEN_BUDGET) {
+  const kept = [];
+  let used = 0;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(messages[i].content);
+    if (kept.length && used + cost > budget) break;
+    const { role, content } = messages[i];
+    kept.unshift({ role, content: kept.length === 0 && cost > budget ? content.slice(-budget * 4) : content });
+    used += cost;
+  }
+  // Chat APIs expect the conversation to open with the student.
+  while (kept.length > 1 && kept[0].role !== "user") kept.shift();
+  return kept;
+}
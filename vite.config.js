@@ -1,8 +1,39 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
+import { join } from 'node:path'
+
+// Emit src/service-worker.js as sw.js, told which files make up this build (to cache for offline
+// use) and a version that changes with them (so browsers see a new deployment).
+function serviceWorker() {
+  let root = '', publicDir = ''
+  return {
+    name: 'ibecon-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) { root = config.root; publicDir = config.publicDir },
+    generateBundle(_, bundle) {
+      const files = [
+        ...Object.keys(bundle),
+        ...readdirSync(publicDir, { recursive: true, withFileTypes: true })
+          .filter(f => f.isFile())
+          .map(f => join(f.parentPath, f.name).slice(publicDir.length + 1).split('\\').join('/')),
+      ].filter(f => !f.endsWith('.map')).sort()
+      const source = readFileSync(join(root, 'src/service-worker.js'), 'utf8')
+      const version = createHash('sha256').update(source).update(files.join('\n')).digest('hex').slice(0, 12)
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: source
+          .replace('self.__VERSION__', JSON.stringify(version))
+          .replace('self.__PRECACHE__', JSON.stringify(['./', ...files])),
+      })
+    },
+  }
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   base: '/ibecon-tutor/', // MUST match repo name
 })
-